@@ -4,47 +4,73 @@
 import * as THREE from 'three';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { BVHLoader } from 'three/addons/loaders/BVHLoader.js';
+import {
+  VRMAnimationLoaderPlugin,
+  VRMLookAtQuaternionProxy,
+  createVRMAnimationClip
+} from '@pixiv/three-vrm-animation';
 import { MixamoVRMMapper } from './MixamoVRMMapper.js';
+import { AnimationSelector } from './AnimationSelector.js';
+import { ConfigSchema } from './ConfigSchema.js';
 
-// カスタムVRMAnimationLoaderPluginの実装
-class VRMAnimationLoaderPlugin {
-  constructor(parser) {
-    this.parser = parser;
-    // GLTFLoaderプラグインには名前が必要
-    this.name = 'VRMC_vrm_animation';
-  }
-
-  // GLTFParser拡張のコア関数
-  async afterRoot(gltf) {
-    const json = this.parser.json;
-
-    // 基本的なVRMAのパースロジック
-    if (json.extensions && json.extensions.VRMC_vrm_animation) {
-      console.log('VRMAファイルを検出しました');
-      return {
-        animations: gltf.animations || [],
-        // 必要に応じてここに他のプロパティを追加
-        // メタデータやセットアップ用の情報など
-      };
-    }
-    return null;
-  }
-}
+/**
+ * BVHのボーン名からVRMヒューマノイドボーン名へのマッピング（CMU Motion Capture Databaseの骨格）
+ * animations.jsonのエントリの boneMap で上書き・追加できる
+ */
+export const CMU_BVH_BONE_MAP = {
+  Hips: 'hips',
+  LowerBack: 'spine',
+  Spine: 'chest',
+  Spine1: 'upperChest',
+  Neck: 'neck',
+  Head: 'head',
+  LeftShoulder: 'leftShoulder',
+  LeftArm: 'leftUpperArm',
+  LeftForeArm: 'leftLowerArm',
+  LeftHand: 'leftHand',
+  RightShoulder: 'rightShoulder',
+  RightArm: 'rightUpperArm',
+  RightForeArm: 'rightLowerArm',
+  RightHand: 'rightHand',
+  LeftUpLeg: 'leftUpperLeg',
+  LeftLeg: 'leftLowerLeg',
+  LeftFoot: 'leftFoot',
+  LeftToeBase: 'leftToes',
+  RightUpLeg: 'rightUpperLeg',
+  RightLeg: 'rightLowerLeg',
+  RightFoot: 'rightFoot',
+  RightToeBase: 'rightToes'
+};
 
 export class AnimationLoader {
   constructor() {
     this.fbxLoader = new FBXLoader();
     this.gltfLoader = new GLTFLoader();
+    this.bvhLoader = new BVHLoader();
     
-    // VRMAローダーのために、GLTFLoaderにVRMAnimationLoaderPluginを登録
+    // VRMC_vrm_animation拡張を解析するため、GLTFLoaderにVRMAnimationLoaderPluginを登録
     this.gltfLoader.register((parser) => new VRMAnimationLoaderPlugin(parser));
     
     // リターゲット用のマッパー
     this.vrmMapper = null;
     this.vrmInstance = null;
     
-    // カスタムVRMAのロード警告
-    console.info('注：カスタムVRMAローダーを使用しています。完全なVRMAサポートには限界があります。');
+    // リターゲット結果の向き（nullはVRMのバージョンに合わせる。VRMAへ書き出すツールでは'1'）
+    this.outputMetaVersion = null;
+    
+    // 直前に読み込んだアニメーションリストの問題（ローディング表示用）
+    this.configProblems = [];
+  }
+  
+  /**
+   * アニメーション設定の役割を取得する
+   * roleの指定がなければ、FBXは歩行アニメーション、それ以外はアイドルアニメーションとして扱う
+   * @param {Object} animConfig - アニメーション設定
+   * @returns {string} 'walk'、'run' または 'idle'
+   */
+  static getRole(animConfig) {
+    return animConfig.role || (animConfig.type.toLowerCase() === 'fbx' ? 'walk' : 'idle');
   }
   
   /**
@@ -62,27 +88,88 @@ export class AnimationLoader {
       this.vrmInstance = vrm;
       this.vrmMapper = new MixamoVRMMapper(vrm);
       console.log('AnimationLoader: VRMボーンマッパーを初期化しました');
+      
+      // VRMAの視線トラック用プロキシを準備
+      this.ensureLookAtProxy(vrm);
     }
   }
   
+  /**
+   * VRMAの視線トラックを受け取るVRMLookAtQuaternionProxyをVRMシーンに追加する
+   * @param {Object} vrm - VRMインスタンス
+   */
+  ensureLookAtProxy(vrm) {
+    if (!vrm.lookAt || !vrm.scene) return;
+    
+    const exists = vrm.scene.children.some(
+      (child) => child instanceof VRMLookAtQuaternionProxy
+    );
+    if (exists) return;
+    
+    const proxy = new VRMLookAtQuaternionProxy(vrm.lookAt);
+    proxy.name = 'VRMLookAtQuaternionProxy';
+    vrm.scene.add(proxy);
+  }
+  
+  /**
+   * VRMAnimationを現在のVRMにバインドしたAnimationClipを生成する
+   * ヒューマノイドボーンは正規化ボーンへ、表情・視線トラックもVRMへマッピングされる
+   * @param {Object} vrmAnimation - VRMAnimationLoaderPluginが解析したVRMAnimation
+   * @param {Object} animConfig - アニメーション設定 (type, path, name)
+   * @returns {THREE.AnimationClip} - VRM用のアニメーションクリップ
+   */
+  bindVRMAnimation(vrmAnimation, animConfig) {
+    const clip = createVRMAnimationClip(vrmAnimation, this.vrmInstance);
+    clip.name = animConfig.name || animConfig.path.split('/').pop();
+    
+    // VRMにバインド済みのクリップとして印を付け、再生時のリターゲットを省略させる
+    clip.userData = { boundToVRM: true };
+    
+    // ベイク時に取り出したルートモーションは、ヒップの高さの比でこのVRMの縮尺に合わせる
+    if (animConfig.rootMotion && vrmAnimation.restHipsPosition.y > 0) {
+      const scale = this.vrmInstance.humanoid.normalizedRestPose.hips.position[1] / vrmAnimation.restHipsPosition.y;
+      clip.userData.rootMotion = {
+        ...animConfig.rootMotion,
+        distance: animConfig.rootMotion.distance * scale,
+        speed: animConfig.rootMotion.speed * scale
+      };
+    }
+    
+    return clip;
+  }
+  
   /**
    * アニメーションリストのJSONを読み込む
    * @param {string} path - アニメーションリストJSONのパス
    * @returns {Promise<Array>} - アニメーションの配列
    */
   async loadAnimationsConfig(path) {
+    let rawAnimations;
     try {
       const response = await fetch(path);
-      return await response.json();
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      rawAnimations = await response.json();
     } catch (error) {
       console.error('アニメーションリストの読み込みに失敗しました:', error);
+      this.configProblems = [`${path}を読み込めませんでした（${error.message}）`];
       return [];
     }
+    
+    // 不正なエントリは除外し、問題はローディング表示に出せるよう残しておく
+    const fileName = path.split('/').pop();
+    const { animations, errors, warnings } = ConfigSchema.normalizeAnimations(rawAnimations, fileName);
+    errors.forEach((message) => console.error(message));
+    warnings.forEach((message) => console.warn(message));
+    this.configProblems = [...errors, ...warnings];
+    
+    return animations;
   }
   
   /**
    * アニメーションの種類に基づいてローダーを取得
-   * @param {string} type - アニメーションタイプ ('fbx' または 'vrma')
+   * @param {string} type - アニメーションタイプ ('fbx'、'vrma' または 'bvh')
    * @returns {Object} - 適切なローダー
    */
   getLoaderByType(type) {
@@ -93,6 +180,8 @@ export class AnimationLoader {
       case 'gltf':
       case 'glb':
         return this.gltfLoader;
+      case 'bvh':
+        return this.bvhLoader;
       default:
         console.error(`未知のアニメーション形式: ${type}`);
         return null;
@@ -115,42 +204,10 @@ export class AnimationLoader {
       loader.load(
         animConfig.path,
         (result) => {
-          // タイプに応じて異なる処理
-          if (animConfig.type.toLowerCase() === 'fbx') {
-            // FBXの場合、最初のアニメーションを取得
-            let animation = result.animations[0];
-            if (animation) {
-              // FBXアニメーションをVRMモデル用に最適化
-              animation = this.optimizeAnimationForVRM(animation);
-              resolve(animation);
-            } else {
-              reject(new Error(`アニメーションが含まれていません: ${animConfig.path}`));
-            }
-          } else if (animConfig.type.toLowerCase() === 'vrma') {
-            // カスタムVRMAローダーの場合の処理
-            console.log('VRMA読み込み結果:', result);
-            
-            // アニメーションデータを取得
-            let animation = null;
-            
-            // 結果からアニメーションを抽出する様々な方法を試みる
-            if (result.animations && result.animations.length > 0) {
-              animation = result.animations[0]; 
-            } else if (result.userData && result.userData.vrmAnimations) {
-              animation = result.userData.vrmAnimations[0];
-            } else if (result.animation) {
-              animation = result.animation;
-            } else {
-              // 最後の手段として簡易アニメーションを作成
-              console.warn('VRMAからアニメーションを抽出できませんでした。ダミーアニメーションを作成します。');
-              animation = new THREE.AnimationClip('dummy', 1, [
-                new THREE.NumberKeyframeTrack('.quaternion[0]', [0, 1], [0, 0])
-              ]);
-            }
-            
-            resolve(animation);
-          } else {
-            reject(new Error(`不明なアニメーション形式: ${animConfig.type}`));
+          try {
+            resolve(this.createClip(result, animConfig));
+          } catch (error) {
+            reject(error);
           }
         },
         (xhr) => {
@@ -162,6 +219,78 @@ export class AnimationLoader {
       );
     });
   }
+
+  /**
+   * ローダーの読み込み結果からVRM用のアニメーションクリップを作る
+   * @param {Object} result - ローダーの読み込み結果
+   * @param {Object} animConfig - アニメーション設定 (type, path, name)
+   * @returns {THREE.AnimationClip} - VRM用のアニメーションクリップ
+   */
+  createClip(result, animConfig) {
+    // タイプに応じて異なる処理
+    if (animConfig.type.toLowerCase() === 'fbx') {
+      // FBXの場合、最初のアニメーションを取得
+      let animation = result.animations[0];
+      if (animation) {
+        // FBXアニメーションをVRMモデル用に最適化（リグの初期姿勢を使ってリターゲット）
+        animation = this.optimizeAnimationForVRM(animation, result);
+        return animation;
+      }
+      throw new Error(`アニメーションが含まれていません: ${animConfig.path}`);
+    } else if (animConfig.type.toLowerCase() === 'vrma') {
+      // VRMC_vrm_animation拡張から解析されたアニメーションを取得
+      const vrmAnimations = result.userData.vrmAnimations;
+      
+      if (!vrmAnimations || vrmAnimations.length === 0) {
+        throw new Error(`VRMC_vrm_animation拡張を解析できませんでした: ${animConfig.path}`);
+      }
+      
+      if (!this.vrmInstance) {
+        throw new Error(`VRMインスタンスが未設定のためVRMAをバインドできません: ${animConfig.path}`);
+      }
+      
+      const animation = this.bindVRMAnimation(vrmAnimations[0], animConfig);
+      
+      // VRMに適用できるトラックが1つもない場合は失敗として扱う
+      if (animation.tracks.length === 0) {
+        throw new Error(`VRMに適用できるトラックがありません: ${animConfig.path}`);
+      }
+      
+      console.log(`VRMA「${animation.name}」を読み込みました (トラック数: ${animation.tracks.length})`);
+      return animation;
+    } else if (animConfig.type.toLowerCase() === 'bvh') {
+      // BVHLoaderは骨格とクリップを返す
+      const animation = this.retargetBVH(result, animConfig);
+      
+      if (!animation || animation.tracks.length === 0) {
+        throw new Error(`VRMに適用できるトラックがありません: ${animConfig.path}`);
+      }
+      
+      console.log(`BVH「${animation.name}」を読み込みました (トラック数: ${animation.tracks.length})`);
+      return animation;
+    } else {
+      throw new Error(`不明なアニメーション形式: ${animConfig.type}`);
+    }
+  }
+
+  /**
+   * 読み込み済みのファイルの内容からアニメーションを作る（Node.jsのツールから使用）
+   * @param {ArrayBuffer|string} data - ファイルの内容（FBX・VRMAはArrayBuffer、BVHは文字列）
+   * @param {Object} animConfig - アニメーション設定 (type, path, name)
+   * @returns {Promise<THREE.AnimationClip>} - VRM用のアニメーションクリップ
+   */
+  async parseAnimation(data, animConfig) {
+    switch (animConfig.type.toLowerCase()) {
+      case 'fbx':
+        return this.createClip(this.fbxLoader.parse(data, ''), animConfig);
+      case 'vrma':
+        return this.createClip(await this.gltfLoader.parseAsync(data, ''), animConfig);
+      case 'bvh':
+        return this.createClip(this.bvhLoader.parse(data), animConfig);
+      default:
+        throw new Error(`ファイルの内容から読み込めない形式です: ${animConfig.type}`);
+    }
+  }
     /**
    * 複数のアニメーションを読み込む
    * @param {Array} animConfigs - アニメーション設定の配列
@@ -293,9 +422,10 @@ export class AnimationLoader {
   /**
    * FBXアニメーションをVRMモデル向けに最適化する
    * @param {THREE.AnimationClip} animation - 最適化するアニメーション
+   * @param {THREE.Object3D} sourceRig - アニメーションのリグ（FBXのシーン、省略可）
    * @returns {THREE.AnimationClip} - 最適化されたアニメーション
    */
-  optimizeAnimationForVRM(animation) {
+  optimizeAnimationForVRM(animation, sourceRig = null) {
     // VRMインスタンスが利用できない場合はエラー
     if (!this.vrmInstance) {
       console.warn('optimizeAnimationForVRM: VRMインスタンスが設定されていません');
@@ -315,7 +445,9 @@ export class AnimationLoader {
     // アニメーション名にリターゲット済みという接尾辞をつける
     const retargetedAnimation = this.vrmMapper.retargetAnimation(
       animation, 
-      `${animation.name}_retargeted`
+      `${animation.name}_retargeted`,
+      sourceRig,
+      { metaVersion: this.outputMetaVersion }
     );
     
     // 統計情報の出力
@@ -326,6 +458,28 @@ export class AnimationLoader {
     return retargetedAnimation;
   }
 
+  /**
+   * BVHLoaderの結果をVRM用にリターゲットする
+   * @param {Object} result - BVHLoaderの結果 ({ skeleton, clip })
+   * @param {Object} animConfig - アニメーション設定 (type, path, name, boneMap)
+   * @returns {THREE.AnimationClip|null} - リターゲットされたアニメーション
+   */
+  retargetBVH(result, animConfig) {
+    if (!this.vrmMapper) {
+      console.warn('retargetBVH: VRMインスタンスが設定されていません');
+      return null;
+    }
+    
+    // ヒップの移動を親の座標系で測れるよう、骨格をグループに入れる
+    const rig = new THREE.Group();
+    rig.add(result.skeleton.bones[0]);
+    
+    const boneMap = { ...CMU_BVH_BONE_MAP, ...(animConfig.boneMap || {}) };
+    const name = animConfig.name || animConfig.path.split('/').pop();
+    
+    return this.vrmMapper.retargetAnimation(result.clip, name, rig, { boneMap, metaVersion: this.outputMetaVersion });
+  }
+
   /**
    * Hip回転の調整（MixamoからVRMへの座標系変換）
    * @param {THREE.KeyframeTrack} track - 調整するトラック
@@ -385,6 +539,7 @@ export class AnimationLoader {
   async loadAnimations(animConfigs) {
     const animations = {
       walk: null,
+      run: null,
       idle: []
     };
     
@@ -392,9 +547,13 @@ export class AnimationLoader {
       try {
         const animation = await this.loadAnimation(config);
         
-        // FBXは歩行アニメーション、VRMAはアイドルアニメーションとして扱う
-        if (config.type.toLowerCase() === 'fbx') {
-          animations.walk = animation;
+        // タグ・重み・時間帯などの選択ルールをクリップに持たせる
+        animation.userData = { ...animation.userData, selection: AnimationSelector.createRules(config) };
+        
+        // roleの指定がなければ、FBXは歩行アニメーション、VRMAはアイドルアニメーションとして扱う
+        const role = AnimationLoader.getRole(config);
+        if (role === 'walk' || role === 'run') {
+          animations[role] = animation;
         } else {
           animations.idle.push(animation);
         }
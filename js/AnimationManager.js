@@ -1,5 +1,9 @@
 import * as THREE from 'three';
+import { VRMUtils } from '@pixiv/three-vrm';
 import { AnimationLoader } from './AnimationLoader.js';
+import { AnimationSelector } from './AnimationSelector.js';
+import { BlendTree1D } from './BlendTree1D.js';
+import { VRMBoneAnalyzer } from './VRMBoneAnalyzer.js';
 
 /**
  * アニメーション管理クラス
@@ -11,12 +15,28 @@ export class AnimationManager {
     this.mixer = mixer;
     this.animations = {
       walk: null,
+      run: null,
       idle: []
     };
     this.currentAnimation = null;
     this.currentState = 'idle';
-    this.clock = new THREE.Clock();
     this.animationLoader = new AnimationLoader();
+    this.idleSelector = new AnimationSelector();
+    
+    // クロスフェード
+    this.defaultFadeDuration = 0.3; // 秒
+    this.preparedClips = new WeakMap(); // 元のクリップ -> リターゲット済みのクリップ
+    this.retiredClips = []; // 差し替えたセットのクリップ（フェードアウトが終わってからミキサーのキャッシュを解放する）
+    
+    // 移動速度で歩行・走行を混ぜるブレンドツリー
+    this.blendTree = null;
+    this.fadingBlendTrees = [];
+    this.locomotionSpeed = 0;
+    this.setLocomotionConfig();
+    
+    // ジェスチャーなどの加算レイヤー（クリップ名 -> レイヤー）
+    this.additiveLayers = new Map();
+    this.additiveClips = new WeakMap();
   }
   
   /**
@@ -30,18 +50,87 @@ export class AnimationManager {
       const animConfigs = await this.animationLoader.loadAnimationsConfig(configPath);
       
       // すべてのアニメーションを読み込む
-      const loadedAnimations = await this.animationLoader.loadAnimations(animConfigs);
-      
-      // 読み込んだアニメーションを保存
-      this.animations.walk = loadedAnimations.walk;
-      this.animations.idle = loadedAnimations.idle;
-      
-      return this.animations;
+      return await this.loadAnimationList(animConfigs);
     } catch (error) {
       console.error('アニメーション設定の読み込みに失敗しました:', error);
       throw error;
     }
   }
+  
+  /**
+   * animations.jsonと同じ形式のエントリの配列からアニメーションを読み込む
+   * @param {Array<Object>} animConfigs - アニメーション設定の配列
+   * @returns {Promise} - アニメーションのロード完了Promise
+   */
+  async loadAnimationList(animConfigs) {
+    const loadedAnimations = await this.animationLoader.loadAnimations(animConfigs);
+    
+    // 読み込んだアニメーションを保存
+    this.animations.walk = loadedAnimations.walk;
+    this.animations.run = loadedAnimations.run;
+    this.animations.idle = loadedAnimations.idle;
+    
+    return this.animations;
+  }
+  
+  /**
+   * 再生できるアニメーションがあるかどうか
+   * @returns {boolean} 歩行・アイドルのいずれかがあればtrue
+   */
+  hasAnimations() {
+    return !!this.animations.walk || this.animations.idle.length > 0;
+  }
+
+  /**
+   * アニメーションセットを実行中に差し替える
+   * 新しいセットが1つも読み込めなかった場合は現在のセットを維持する
+   * @param {string} configPath - アニメーション設定JSONのパス
+   * @returns {Promise} - 差し替え完了Promise
+   */
+  async switchAnimationSet(configPath) {
+    const animConfigs = await this.animationLoader.loadAnimationsConfig(configPath);
+    const loadedAnimations = await this.animationLoader.loadAnimations(animConfigs);
+
+    if (!loadedAnimations.walk && loadedAnimations.idle.length === 0) {
+      throw new Error(`アニメーションセットを読み込めませんでした: ${configPath}`);
+    }
+
+    // ミキサーに登録されているのは元のクリップではなく変換後（prepareClip）のクリップ
+    const previousClips = [];
+    for (const clip of [this.animations.walk, this.animations.run, ...this.animations.idle].filter(Boolean)) {
+      const prepared = this.preparedClips.get(clip) || clip;
+      previousClips.push(prepared);
+      if (this.additiveClips.has(prepared)) {
+        previousClips.push(this.additiveClips.get(prepared));
+      }
+      this.preparedClips.delete(clip);
+    }
+
+    this.animations.walk = loadedAnimations.walk;
+    this.animations.run = loadedAnimations.run;
+    this.animations.idle = loadedAnimations.idle;
+
+    // 現在の状態に合わせて新しいセットのアニメーションに切り替える
+    if (this.blendTree) {
+      // ブレンドツリーで移動中は、新しいセットのクリップでツリーを組み直す（古いツリーはフェードアウトさせる）
+      this.stopLocomotion();
+      this.currentAnimation = null;
+      this.playLocomotion();
+      if (!this.blendTree) {
+        this.playRandomIdleAnimation();
+      }
+    } else if (this.currentState === 'walk') {
+      this.playWalkAnimation();
+    } else {
+      this.playRandomIdleAnimation();
+    }
+
+    // 古いクリップのキャッシュは、クロスフェードで消えていくのを待ってから解放する（update()で確認する）
+    this.retiredClips.push(...previousClips);
+
+    console.log(`アニメーションセットを切り替えました: ${configPath}`);
+    return this.animations;
+  }
   /**
    * 歩行アニメーションを読み込む
    * @param {string} animationPath - アニメーションファイルのパス
@@ -94,62 +183,257 @@ export class AnimationManager {
     console.log(`${this.animations.idle.length}個のアイドルアニメーションを読み込みました`);
     return this.animations.idle;
   }  /**
-   * ランダムなアイドルアニメーションを再生する
+   * 名前でアニメーションを検索する
+   * @param {string} name - アニメーション名
+   * @returns {THREE.AnimationClip|null} 見つかったアニメーション
+   */
+  findAnimation(name) {
+    const clips = [this.animations.walk, this.animations.run, ...this.animations.idle].filter(Boolean);
+    return clips.find((clip) => clip.name === name) || null;
+  }
+
+  /**
+   * 選択ルール（タグ・重み・時間帯など）に従ってアイドルアニメーションを選ぶ
+   * @param {Object} options - オプション
+   * @param {Array<string>} options.tags - 必要なタグ
+   * @returns {THREE.AnimationClip|null} 選ばれたアニメーション
    */
-  playRandomIdleAnimation() {
-    if (this.animations.idle.length === 0) return;
+  selectIdleAnimation(options = {}) {
+    return this.idleSelector.select(this.animations.idle, options);
+  }
+
+  /**
+   * 選択ルールに従ってアイドルアニメーションを再生する
+   * @param {Object} options - オプション（selectIdleAnimationとplayAnimationのオプション）
+   */
+  playRandomIdleAnimation(options = {}) {
+    const animation = this.selectIdleAnimation(options);
+    if (!animation) return;
     
-    const index = Math.floor(Math.random() * this.animations.idle.length);
-    this.playAnimation(this.animations.idle[index]);
+    this.playAnimation(animation, options);
     this.currentState = 'idle';
   }
 
   /**
    * 歩行アニメーションを再生する
+   * @param {Object} options - オプション（playAnimationと同じ）
    */
-  playWalkAnimation() {
+  playWalkAnimation(options = {}) {
     if (!this.animations.walk) return;
     
-    this.playAnimation(this.animations.walk);
+    this.playAnimation(this.animations.walk, options);
     this.currentState = 'walk';
   }
 
   /**
-   * 指定されたアニメーションを再生する（新版・外部から呼び出し可能）
+   * 指定されたアニメーションをクロスフェードで再生する
    * @param {Object} animation - 再生するアニメーション
-   * @param {number} fadeInTime - フェードイン時間（秒）
-   * @param {number} fadeOutTime - 現在のアニメーションのフェードアウト時間（秒）
+   * @param {number} fadeInTime - クロスフェード時間（秒）
    */
-  playAnimationWithFade(animation, fadeInTime = 0.3, fadeOutTime = 0.3) {
-    if (!animation) return;
+  playAnimationWithFade(animation, fadeInTime = 0.3) {
+    this.playAnimation(animation, { fadeDuration: fadeInTime });
+  }
+
+  /**
+   * 移動速度に応じて アイドル → 歩行 → 走行 を混ぜるブレンドツリーで再生する
+   * 直前にアイドルアニメーションを再生していた場合は、そのアイドルを速度0のノードとして引き継ぐ
+   * @param {Object} options - オプション
+   * @param {number} options.fadeDuration - フェード時間（秒）
+   */
+  playLocomotion(options = {}) {
+    if (this.blendTree) return;
     
-    try {
-      // 現在のアニメーションをフェードアウト
-      if (this.currentAnimation) {
-        this.currentAnimation.fadeOut(fadeOutTime);
+    const walk = this.animations.walk && this.prepareClip(this.animations.walk);
+    if (!walk) {
+      console.warn('歩行アニメーションがないため、ブレンドツリーを使用できません');
+      return;
+    }
+    
+    const fadeDuration = options.fadeDuration !== undefined ? options.fadeDuration : this.defaultFadeDuration;
+    const previousAction = this.currentAnimation;
+    const previousClip = previousAction ? previousAction.getClip() : null;
+    const continuesIdle = previousClip && this.animations.idle.includes(previousClip) && previousAction.isRunning();
+    
+    const nodes = [{ clip: walk, threshold: this.getLocomotionThreshold('walk') }];
+    if (this.animations.run) {
+      nodes.push({ clip: this.prepareClip(this.animations.run), threshold: this.getLocomotionThreshold('run') });
+    }
+    if (continuesIdle) {
+      nodes.push({ clip: previousClip, threshold: 0, sync: false });
+    }
+    
+    this.blendTree = new BlendTree1D(this.mixer, nodes, { smoothing: this.locomotion.speedSmoothing });
+    for (const node of this.blendTree.nodes) {
+      this.releaseFromFadingBlendTrees(node.action);
+    }
+    this.blendTree.setParameter(this.locomotionSpeed, true);
+    
+    if (continuesIdle) {
+      // アイドルはツリーの中で速度に応じて歩行へ移っていく
+      this.blendTree.start(0);
+    } else {
+      if (previousAction) {
+        previousAction.fadeOut(fadeDuration);
       }
+      this.blendTree.start(fadeDuration);
+    }
+    
+    this.currentAnimation = this.blendTree.getDominantAction();
+    this.currentState = 'walk';
+    console.log(`ブレンドツリーで再生開始: ${this.blendTree.nodes.map((node) => node.clip.name).join(', ')}`);
+  }
+
+  /**
+   * ブレンドツリーで歩行・走行アニメーションがそのままの速さで再生される移動速度を求める
+   * クリップにルートモーションがあれば歩幅の速度を使い、足が滑らないようにする
+   * @param {string} role - 'walk' または 'run'
+   * @returns {number} 移動速度（m/秒）
+   */
+  getLocomotionThreshold(role) {
+    if (this.locomotion.rootMotion !== 'off') {
+      const strideSpeed = this.getRootMotionSpeed(role);
+      if (strideSpeed) return strideSpeed;
+    }
+    return role === 'run' ? this.locomotion.runSpeed : this.locomotion.walkSpeed;
+  }
+
+  /**
+   * アニメーションから取り出したルートモーションの速度（歩幅の速度）を取得する
+   * @param {string} role - 'walk' または 'run'
+   * @returns {number|null} 移動速度（m/秒）、ルートモーションがない場合はnull
+   */
+  getRootMotionSpeed(role = 'walk') {
+    const clip = this.animations[role];
+    const rootMotion = clip && clip.userData && clip.userData.rootMotion;
+    return rootMotion && rootMotion.speed > 0 ? rootMotion.speed : null;
+  }
+
+  /**
+   * ブレンドツリーの再生を終了する
+   * @param {number} fadeDuration - フェード時間（秒）
+   * @param {THREE.AnimationAction} keepAction - ツリーの外で再生を続けるアクション
+   */
+  stopLocomotion(fadeDuration = this.defaultFadeDuration, keepAction = null) {
+    if (!this.blendTree) return;
+    
+    if (keepAction) {
+      this.blendTree.detach(keepAction);
+    }
+    this.blendTree.stop(fadeDuration);
+    if (fadeDuration > 0) {
+      this.fadingBlendTrees.push(this.blendTree);
+    }
+    this.blendTree = null;
+  }
+
+  /**
+   * フェードアウト中のブレンドツリーからアクションを外す（再利用するアクションが止められないように）
+   * @param {THREE.AnimationAction} action - アクション
+   */
+  releaseFromFadingBlendTrees(action) {
+    for (const tree of this.fadingBlendTrees) {
+      tree.detach(action);
+    }
+  }
+
+  /**
+   * キャラクターの実際の移動速度を設定する（ブレンドツリーのパラメータ）
+   * @param {number} speed - 移動速度（m/秒）
+   */
+  setLocomotionSpeed(speed) {
+    this.locomotionSpeed = speed;
+  }
+
+  /**
+   * ブレンドツリーの設定を反映する
+   * @param {Object} locomotion - 設定（config.locomotion）
+   */
+  setLocomotionConfig(locomotion = {}) {
+    this.locomotion = {
+      walkSpeed: locomotion.walkSpeed || 0.6,
+      runSpeed: locomotion.runSpeed || 2.0,
+      speedSmoothing: locomotion.speedSmoothing !== undefined ? locomotion.speedSmoothing : 0.15,
+      rootMotion: locomotion.rootMotion || 'timeScale' // 'timeScale' | 'drive' | 'off'
+    };
+  }
+
+  /**
+   * ジェスチャーなどを現在のアニメーションに加算して再生する
+   * @param {Object} animation - 再生するアニメーション
+   * @param {Object} options - オプション
+   * @param {number} options.weight - 加算の強さ
+   * @param {number} options.fadeDuration - フェードイン・アウトの時間（秒）
+   * @param {boolean} options.loop - ループ再生するか（既定は1回だけ）
+   * @returns {THREE.AnimationAction|null} 加算レイヤーのアクション
+   */
+  playAdditive(animation, options = {}) {
+    const clip = animation && this.prepareClip(animation);
+    if (!clip || !this.mixer) return null;
+    
+    // 最初のフレームを基準にした差分のクリップを作る
+    let additiveClip = this.additiveClips.get(clip);
+    if (!additiveClip) {
+      additiveClip = THREE.AnimationUtils.makeClipAdditive(clip.clone());
+      additiveClip.name = `${clip.name} (additive)`;
+      this.additiveClips.set(clip, additiveClip);
+    }
+    
+    const fadeDuration = options.fadeDuration !== undefined ? options.fadeDuration : 0.2;
+    const action = this.mixer.clipAction(additiveClip, null, THREE.AdditiveAnimationBlendMode);
+    action.reset();
+    action.setLoop(options.loop ? THREE.LoopRepeat : THREE.LoopOnce);
+    action.clampWhenFinished = false;
+    action.setEffectiveWeight(options.weight !== undefined ? options.weight : 1.0);
+    action.fadeIn(fadeDuration);
+    action.play();
+    
+    this.additiveLayers.set(clip.name, { action, fadeDuration, loop: !!options.loop, isFadingOut: false });
+    console.log(`加算アニメーション再生: ${clip.name}`);
+    return action;
+  }
+
+  /**
+   * 加算レイヤーを停止する
+   * @param {string} name - クリップ名
+   * @param {number} fadeDuration - フェードアウトの時間（秒）
+   */
+  stopAdditive(name, fadeDuration = 0.2) {
+    const layer = this.additiveLayers.get(name);
+    if (!layer) return;
+    
+    layer.action.fadeOut(fadeDuration);
+    layer.isFadingOut = true;
+  }
+
+  /**
+   * 加算レイヤーの終了処理（終わりに合わせてフェードアウトし、止まったものを取り除く）
+   */
+  updateAdditiveLayers() {
+    for (const [name, layer] of this.additiveLayers) {
+      const { action } = layer;
       
-      // 新しいアニメーションを準備
-      const newAction = this.mixer.clipAction(animation);
-      newAction.reset();
-      newAction.setLoop(THREE.LoopRepeat);
-      newAction.clampWhenFinished = false;
-      
-      // フェードインして再生
-      newAction.fadeIn(fadeInTime);
-      newAction.play();
-      
-      this.currentAnimation = newAction;
+      if (!action.isRunning()) {
+        action.stop();
+        this.additiveLayers.delete(name);
+        continue;
+      }
       
-      console.log(`アニメーション再生: ${animation.name} (fade: ${fadeInTime}s)`);
-    } catch (error) {
-      console.error('アニメーション再生エラー:', error);
+      if (!layer.loop && !layer.isFadingOut && action.time >= action.getClip().duration - layer.fadeDuration) {
+        action.fadeOut(layer.fadeDuration);
+        layer.isFadingOut = true;
+      }
     }
   }  /**
    * 指定されたアニメーションを再生する
+   * 現在のアニメーションからはクロスフェードで切り替える
    * @param {Object} animation - 再生するアニメーション
+   * @param {Object} options - オプション
+   * @param {boolean} options.loop - ループ再生するか（falseの場合は最後の姿勢で止まる）
+   * @param {number} options.fadeDuration - クロスフェード時間（秒、0で即座に切り替え）
+   * @param {boolean} options.warp - クロスフェード中に再生速度を互いの長さに合わせて伸縮するか
+   * @param {boolean} options.sync - 直前のアニメーションと正規化した再生位置を揃えるか
    */
-  playAnimation(animation) {
+  playAnimation(animation, options = {}) {
     if (!animation) {
       console.warn('再生するアニメーションが指定されていません');
       return;
@@ -161,86 +445,59 @@ export class AnimationManager {
     }
 
     try {
-      // 現在のアニメーションを停止
-      if (this.currentAnimation) {
-        this.currentAnimation.stop();
-      }
-      
       console.log(`アニメーション再生開始: ${animation.name}`);
       
-      // MixamoVRMMapperが利用可能かチェック
-      if (window.vrmMapper && this.vrm) {
-        // アニメーションを検証して最適化
-        console.log('MixamoVRMMapperを使用してアニメーションを最適化します');
-        
-        // アニメーションを検証
-        const validationResult = window.vrmMapper.validateClip(animation);
-        
-        // 有効なトラックが1つもない場合はエラー
-        if (validationResult.validRatio < 0.1) { // 10%未満の場合
-          console.error('このアニメーションはVRMモデルとの互換性が非常に低いです');
-          console.error(`有効なトラック: ${validationResult.valid}/${validationResult.total}`);
-          // それでも続行（デバッグ用）
-        }
-        
-        // アニメーションをリターゲット
-        animation = window.vrmMapper.retargetAnimation(animation);
-        
-        console.log(`リターゲット後のトラック数: ${animation.tracks.length}`);
-      }
-      // 従来のVRMBoneAnalyzerを使用したフォールバック処理
-      else if (this.vrm && window.VRMBoneAnalyzer) {
-        // もし初回実行なら、VRMBoneAnalyzerのデバッグ情報を出力
-        if (!this._vrmAnalyzed && this.vrm) {
-          this._vrmAnalyzed = true;
-          window.VRMBoneAnalyzer.printDebugInfo(this.vrm);
-        }
-        
-        // アニメーショントラックの検証
-        const validation = window.VRMBoneAnalyzer.validateAnimationTracks(this.vrm, animation);
-        if (validation.validTracks.length === 0) {
-          console.error('このアニメーションはVRMモデルと互換性がありません');
-          return;
-        }
-        
-        // VRM特有のボーンに関する警告をフィルタリング
-        const filteredInvalidTracks = validation.invalidTracks.filter(trackName => {
-          const boneName = trackName.split('.')[0];
-          return !window.VRMBoneAnalyzer.isVRMSpecificBone(boneName);
-        });
-        
-        console.log(`アニメーション互換性: ${validation.validTracks.length}/${validation.totalTracks} トラックが有効`);
-        console.log(`  - 無効トラック(VRM特有のボーンを除外): ${filteredInvalidTracks.length}`);
-        
-        // VRM特有のボーントラックをフィルタリングしたアニメーションクリップを作成
-        const filteredAnimation = animation.clone();
-        filteredAnimation.tracks = animation.tracks.filter(track => {
-          const boneName = track.name.split('.')[0];
-          // VRM特有のボーンでないトラックか、有効なトラックのみを保持
-          return !window.VRMBoneAnalyzer.isVRMSpecificBone(boneName) || 
-                 validation.validTracks.includes(track.name);
-        });
-        
-        console.log(`フィルタリング後のトラック数: ${filteredAnimation.tracks.length}/${animation.tracks.length}`);
-        
-        // フィルタリングしたアニメーションを使用
-        animation = filteredAnimation;
+      animation = this.prepareClip(animation);
+      if (!animation) return;
+      
+      const fadeDuration = options.fadeDuration !== undefined ? options.fadeDuration : this.defaultFadeDuration;
+      const action = this.mixer.clipAction(animation);
+      let previousAction = this.currentAnimation;
+      
+      // ブレンドツリーの再生中はツリー全体をフェードアウトする
+      this.releaseFromFadingBlendTrees(action);
+      if (this.blendTree) {
+        this.stopLocomotion(fadeDuration, action);
+        previousAction = null;
       }
       
       // 新しいアニメーションを開始
-      this.currentAnimation = this.mixer.clipAction(animation);
-      this.currentAnimation.reset();
-      this.currentAnimation.setLoop(THREE.LoopRepeat);
-      this.currentAnimation.clampWhenFinished = false;
+      action.reset();
+      if (options.loop === false) {
+        action.setLoop(THREE.LoopOnce);
+        action.clampWhenFinished = true;
+      } else {
+        action.setLoop(THREE.LoopRepeat);
+        action.clampWhenFinished = false;
+      }
       
       // アニメーションのウェイトを設定
-      this.currentAnimation.setEffectiveWeight(1.0);
-      this.currentAnimation.setEffectiveTimeScale(1.0);
+      action.setEffectiveWeight(1.0);
+      action.setEffectiveTimeScale(1.0);
+      
+      // 周期的なアニメーション同士（歩行とアイドルなど）は再生位置を揃える
+      if (options.sync && previousAction && previousAction !== action) {
+        const previousClip = previousAction.getClip();
+        const phase = previousClip.duration > 0 ? (previousAction.time % previousClip.duration) / previousClip.duration : 0;
+        action.time = phase * animation.duration;
+      }
       
       // アニメーションを再生
-      this.currentAnimation.play();
+      action.play();
       
-      console.log(`アニメーション再生中: ${animation.name}, 長さ: ${animation.duration}秒`);
+      if (previousAction && previousAction !== action) {
+        if (fadeDuration > 0) {
+          action.crossFadeFrom(previousAction, fadeDuration, options.warp === true);
+        } else {
+          previousAction.stop();
+        }
+      } else if (!previousAction && fadeDuration > 0) {
+        action.fadeIn(fadeDuration);
+      }
+      
+      this.currentAnimation = action;
+      
+      console.log(`アニメーション再生中: ${animation.name}, 長さ: ${animation.duration}秒 (fade: ${fadeDuration}s)`);
       
     } catch (error) {
       console.error('アニメーション適用エラー:', error);
@@ -249,13 +506,93 @@ export class AnimationManager {
       // エラーが発生した場合、T-poseに戻す
       if (this.vrm) {
         console.log('T-poseに復帰します');
-        // VRMUtilsが利用可能な場合のみ呼び出し
-        if (window.VRMUtils) {
-          window.VRMUtils.rotateVRM0(this.vrm);
-        }
+        VRMUtils.rotateVRM0(this.vrm);
       }
     }
   }
+
+  /**
+   * アニメーションをVRMで再生できる形に変換する（リターゲット・トラックの検証）
+   * 変換結果はキャッシュし、同じクリップを何度も変換しないようにする
+   * @param {Object} animation - アニメーション
+   * @returns {Object|null} 再生できるクリップ（互換性がない場合はnull）
+   */
+  prepareClip(animation) {
+    // VRMAから生成したクリップやリターゲット済みのクリップはそのまま再生
+    if (animation.userData && (animation.userData.boundToVRM || animation.userData.retargeted)) {
+      return animation;
+    }
+    
+    // リターゲット済みのクリップを再利用
+    const original = animation;
+    if (this.preparedClips.has(original)) {
+      return this.preparedClips.get(original);
+    }
+    
+    // MixamoVRMMapperが利用可能かチェック（キャラクターごとにAnimationLoaderが持つ）
+    const vrmMapper = this.animationLoader.vrmMapper;
+    if (vrmMapper && this.vrm) {
+      // アニメーションを検証して最適化
+      console.log('MixamoVRMMapperを使用してアニメーションを最適化します');
+      
+      // アニメーションを検証
+      const validationResult = vrmMapper.validateClip(animation);
+      
+      // 有効なトラックが1つもない場合はエラー
+      if (validationResult.validRatio < 0.1) { // 10%未満の場合
+        console.error('このアニメーションはVRMモデルとの互換性が非常に低いです');
+        console.error(`有効なトラック: ${validationResult.valid}/${validationResult.total}`);
+        // それでも続行（デバッグ用）
+      }
+      
+      // アニメーションをリターゲット
+      animation = vrmMapper.retargetAnimation(animation);
+      
+      console.log(`リターゲット後のトラック数: ${animation.tracks.length}`);
+    }
+    // 従来のVRMBoneAnalyzerを使用したフォールバック処理
+    else if (this.vrm) {
+      // もし初回実行なら、VRMBoneAnalyzerのデバッグ情報を出力
+      if (!this._vrmAnalyzed && this.vrm) {
+        this._vrmAnalyzed = true;
+        VRMBoneAnalyzer.printDebugInfo(this.vrm);
+      }
+      
+      // アニメーショントラックの検証
+      const validation = VRMBoneAnalyzer.validateAnimationTracks(this.vrm, animation);
+      if (validation.validTracks.length === 0) {
+        console.error('このアニメーションはVRMモデルと互換性がありません');
+        return null;
+      }
+      
+      // VRM特有のボーンに関する警告をフィルタリング
+      const filteredInvalidTracks = validation.invalidTracks.filter(trackName => {
+        const boneName = trackName.split('.')[0];
+        return !VRMBoneAnalyzer.isVRMSpecificBone(boneName);
+      });
+      
+      console.log(`アニメーション互換性: ${validation.validTracks.length}/${validation.totalTracks} トラックが有効`);
+      console.log(`  - 無効トラック(VRM特有のボーンを除外): ${filteredInvalidTracks.length}`);
+      
+      // VRM特有のボーントラックをフィルタリングしたアニメーションクリップを作成
+      const filteredAnimation = animation.clone();
+      filteredAnimation.tracks = animation.tracks.filter(track => {
+        const boneName = track.name.split('.')[0];
+        // VRM特有のボーンでないトラックか、有効なトラックのみを保持
+        return !VRMBoneAnalyzer.isVRMSpecificBone(boneName) || 
+               validation.validTracks.includes(track.name);
+      });
+      
+      console.log(`フィルタリング後のトラック数: ${filteredAnimation.tracks.length}/${animation.tracks.length}`);
+      
+      // フィルタリングしたアニメーションを使用
+      animation = filteredAnimation;
+    }
+    
+    this.preparedClips.set(original, animation);
+    return animation;
+  }
+
   /**
    * VRMインスタンスを設定する（リターゲティング用）
    * @param {Object} vrm - VRMインスタンス
@@ -274,9 +611,9 @@ export class AnimationManager {
       console.log('歩行アニメーションのVRM互換性を検証中...');
       
       // MixamoVRMMapperが利用可能な場合、それを使って再検証
-      if (window.vrmMapper) {
+      if (this.animationLoader.vrmMapper) {
         console.log('MixamoVRMMapperを使用して歩行アニメーションを最適化します');
-        this.animations.walk = window.vrmMapper.retargetAnimation(this.animations.walk);
+        this.animations.walk = this.animationLoader.vrmMapper.retargetAnimation(this.animations.walk);
       } else {
         // 従来の方法でフォールバック検証
         this.animations.walk = this.animationLoader.validateBonesAndCreateFallback(
@@ -288,12 +625,38 @@ export class AnimationManager {
   }
   /**
    * アニメーションを更新する
+   * @param {number} delta - 経過時間（秒）
    */
-  update() {
-    const delta = this.clock.getDelta();
+  update(delta) {
+    // ブレンドツリーの重みを更新
+    if (this.blendTree) {
+      this.blendTree.setParameter(this.locomotionSpeed);
+      this.blendTree.update(delta);
+      this.currentAnimation = this.blendTree.getDominantAction();
+    }
+    this.fadingBlendTrees = this.fadingBlendTrees.filter((tree) => tree.update(delta));
+    
+    this.updateAdditiveLayers();
+    
     if (this.mixer) {
       this.mixer.update(delta);
     }
+    this.releaseRetiredClips();
+  }
+
+  /**
+   * 差し替えたセットのクリップのうち、フェードアウトが終わったもののキャッシュを解放する
+   */
+  releaseRetiredClips() {
+    if (!this.mixer || this.retiredClips.length === 0) return;
+    
+    this.retiredClips = this.retiredClips.filter((clip) => {
+      const action = this.mixer.existingAction(clip);
+      if (action && action.isRunning()) return true;
+      
+      this.mixer.uncacheClip(clip);
+      return false;
+    });
   }
 
   /**
@@ -314,7 +677,10 @@ export class AnimationManager {
       hasWalkAnimation: !!this.animations.walk,
       idleAnimationCount: this.animations.idle.length,
       currentAnimationName: this.currentAnimation ? this.currentAnimation.getClip().name : 'なし',
-      isPlaying: this.currentAnimation ? this.currentAnimation.isRunning() : false
+      isPlaying: this.currentAnimation ? this.currentAnimation.isRunning() : false,
+      idleSelection: this.idleSelector.getDebugInfo(),
+      blendTree: this.blendTree ? this.blendTree.getDebugInfo() : null,
+      additiveLayers: Array.from(this.additiveLayers.keys())
     };
   }
 }
@@ -0,0 +1,208 @@
+import { ContentScheduler } from './ContentScheduler.js';
+
+/**
+ * アニメーション選択クラス
+ * animations.jsonの各エントリに書かれた選択ルールに従って、再生するクリップを重み付きで選ぶ
+ *
+ * 選択ルール（クリップの userData.selection）:
+ * - tags: タグの配列。選択時にタグを指定すると、すべてのタグを持つクリップだけが候補になる
+ * - weight: 選ばれやすさ（既定は1、0で自動選択から除外）
+ * - cooldown: 一度選ばれた後、他のクリップが何回選ばれるまで候補から外すか
+ * - timeOfDay: 再生できる時間帯 ({ start: "HH:MM", end: "HH:MM", days: ["sat", "sun"] })
+ * - oncePerMinutes: 指定した分数の間に1回だけ再生する
+ *
+ * 条件を満たすクリップがない場合は、cooldown → タグ以外の条件 → タグの順に緩めて選び直す
+ */
+export class AnimationSelector {
+  /**
+   * コンストラクタ
+   * @param {Object} options - オプション
+   * @param {number} options.defaultCooldown - cooldownが未指定のクリップに使う値
+   */
+  constructor(options = {}) {
+    this.defaultCooldown = options.defaultCooldown !== undefined ? options.defaultCooldown : 3;
+
+    // 選択履歴
+    this.recent = [];            // 最近選ばれたクリップ名（新しい順）
+    this.lastPlayed = new Map(); // クリップ名 -> 最後に選ばれた時刻（ミリ秒）
+    this.lastSelection = null;
+  }
+
+  /**
+   * animations.jsonのエントリから選択ルールを取り出す
+   * @param {Object} animConfig - アニメーション設定
+   * @returns {Object} 選択ルール
+   */
+  static createRules(animConfig) {
+    return {
+      tags: Array.isArray(animConfig.tags) ? animConfig.tags : [],
+      weight: animConfig.weight !== undefined ? animConfig.weight : 1,
+      cooldown: animConfig.cooldown,
+      timeOfDay: animConfig.timeOfDay || null,
+      oncePerMinutes: animConfig.oncePerMinutes || 0
+    };
+  }
+
+  /**
+   * クリップの選択ルールを取得する（未設定の場合は既定値）
+   * @param {THREE.AnimationClip} clip - クリップ
+   * @returns {Object} 選択ルール
+   */
+  static getRules(clip) {
+    const selection = clip.userData && clip.userData.selection;
+    return selection || AnimationSelector.createRules({});
+  }
+
+  /**
+   * ルールに従ってクリップを選ぶ
+   * @param {Array<THREE.AnimationClip>} clips - 候補のクリップ
+   * @param {Object} options - オプション
+   * @param {Array<string>} options.tags - 必要なタグ
+   * @param {Date} options.now - 判定する日時
+   * @returns {THREE.AnimationClip|null} 選ばれたクリップ
+   */
+  select(clips, options = {}) {
+    const tags = options.tags || [];
+    const now = options.now || new Date();
+
+    if (clips.length === 0) {
+      this.lastSelection = { name: null, reason: '候補のクリップがありません', excluded: [] };
+      return null;
+    }
+
+    const evaluated = clips.map((clip) => {
+      const rules = AnimationSelector.getRules(clip);
+      return { clip, rules, excluded: this.getExclusion(clip, rules, tags, now) };
+    });
+
+    // cooldownは、他の条件を満たすクリップが1つしかない場合でも選べるよう「その数-1」までに制限する
+    const eligibleCount = evaluated.filter((entry) => !entry.excluded).length;
+    for (const entry of evaluated) {
+      if (!entry.excluded) {
+        entry.excluded = this.getCooldownExclusion(entry.clip, entry.rules, eligibleCount);
+      }
+    }
+
+    // 条件を満たす候補がなければ、cooldown → タグ以外の条件 → タグの順に緩める
+    let candidates = evaluated.filter((entry) => !entry.excluded);
+    let note = '';
+
+    if (candidates.length === 0) {
+      candidates = evaluated.filter((entry) => entry.excluded.type === 'cooldown');
+      note = 'cooldownを無視';
+    }
+    if (candidates.length === 0) {
+      candidates = evaluated.filter((entry) => entry.excluded.type !== 'tags');
+      note = 'タグ以外の条件を無視';
+    }
+    if (candidates.length === 0) {
+      candidates = evaluated;
+      note = 'すべての条件を無視';
+    }
+
+    // 重み付きで選択（重みがすべて0の場合は均等）
+    const weightOf = (entry) => Math.max(0, entry.rules.weight);
+    const totalWeight = candidates.reduce((sum, entry) => sum + weightOf(entry), 0);
+    let selected;
+
+    if (totalWeight > 0) {
+      let roll = Math.random() * totalWeight;
+      selected = candidates.find((entry) => (roll -= weightOf(entry)) < 0) || candidates[candidates.length - 1];
+    } else {
+      selected = candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    this.markPlayed(selected.clip.name, now);
+
+    const probability = totalWeight > 0 ? weightOf(selected) / totalWeight : 1 / candidates.length;
+    const reasons = [`候補${candidates.length}件中、確率${Math.round(probability * 100)}%で選択`];
+    if (tags.length > 0) reasons.push(`タグ: ${tags.join(', ')}`);
+    if (note) reasons.push(`条件を満たすクリップがないため${note}`);
+
+    this.lastSelection = {
+      name: selected.clip.name,
+      reason: reasons.join(' / '),
+      excluded: evaluated
+        .filter((entry) => entry.excluded)
+        .map((entry) => ({ name: entry.clip.name, reason: entry.excluded.message }))
+    };
+
+    return selected.clip;
+  }
+
+  /**
+   * クリップが候補から外れる理由を求める
+   * @param {THREE.AnimationClip} clip - クリップ
+   * @param {Object} rules - 選択ルール
+   * @param {Array<string>} tags - 必要なタグ
+   * @param {Date} now - 判定する日時
+   * @returns {{type: string, message: string}|null} 除外理由（候補になる場合はnull）
+   */
+  getExclusion(clip, rules, tags, now) {
+    const missingTags = tags.filter((tag) => !rules.tags.includes(tag));
+    if (missingTags.length > 0) {
+      return { type: 'tags', message: `タグなし (${missingTags.join(', ')})` };
+    }
+
+    if (rules.weight <= 0) {
+      return { type: 'weight', message: '重みが0' };
+    }
+
+    if (rules.timeOfDay && !ContentScheduler.isEntryActive(rules.timeOfDay, now)) {
+      return { type: 'timeOfDay', message: '時間帯外' };
+    }
+
+    const lastPlayed = this.lastPlayed.get(clip.name);
+    if (rules.oncePerMinutes > 0 && lastPlayed !== undefined) {
+      const remaining = lastPlayed + rules.oncePerMinutes * 60000 - now.getTime();
+      if (remaining > 0) {
+        return { type: 'oncePerMinutes', message: `あと${Math.ceil(remaining / 60000)}分は再生しない` };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * クリップがcooldown中かどうかを判定する
+   * @param {THREE.AnimationClip} clip - クリップ
+   * @param {Object} rules - 選択ルール
+   * @param {number} eligibleCount - cooldown以外の条件を満たすクリップの数
+   * @returns {{type: string, message: string}|null} 除外理由（候補になる場合はnull）
+   */
+  getCooldownExclusion(clip, rules, eligibleCount) {
+    const cooldown = Math.min(
+      rules.cooldown !== undefined ? rules.cooldown : this.defaultCooldown,
+      eligibleCount - 1
+    );
+    const recentIndex = this.recent.indexOf(clip.name);
+    if (recentIndex !== -1 && recentIndex < cooldown) {
+      return { type: 'cooldown', message: `cooldown中 (${recentIndex + 1}回前に再生)` };
+    }
+
+    return null;
+  }
+
+  /**
+   * クリップが選ばれたことを記録する
+   * @param {string} name - クリップ名
+   * @param {Date} now - 選ばれた日時
+   */
+  markPlayed(name, now = new Date()) {
+    this.lastPlayed.set(name, now.getTime());
+    this.recent = [name, ...this.recent.filter((recentName) => recentName !== name)].slice(0, 50);
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      lastSelected: this.lastSelection ? this.lastSelection.name : 'なし',
+      reason: this.lastSelection ? this.lastSelection.reason : 'なし',
+      excluded: this.lastSelection ? this.lastSelection.excluded : [],
+      recent: this.recent.slice(0, 5)
+    };
+  }
+}
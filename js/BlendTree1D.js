@@ -0,0 +1,250 @@
+import * as THREE from 'three';
+
+/**
+ * 1次元ブレンドツリー
+ * パラメータ（移動速度など）に応じて、しきい値の近い2つのクリップの重みを線形に補間する
+ * 例: idle(0) → walk(0.6) → run(2.0)
+ *
+ * sync を指定したクリップ同士は正規化した再生位置を揃え、
+ * 重みに応じた周期で再生することで足の運びがずれないようにする
+ */
+export class BlendTree1D {
+  /**
+   * コンストラクタ
+   * @param {THREE.AnimationMixer} mixer - アニメーションミキサー
+   * @param {Array<Object>} nodes - ノードの配列 ({ clip, threshold, sync })
+   * @param {Object} options - オプション
+   * @param {number} options.smoothing - パラメータの平滑化の時定数（秒）
+   */
+  constructor(mixer, nodes, options = {}) {
+    this.mixer = mixer;
+    this.smoothing = options.smoothing !== undefined ? options.smoothing : 0.15;
+
+    // しきい値の昇順に並べる
+    this.nodes = nodes
+      .filter((node) => node.clip)
+      .sort((a, b) => a.threshold - b.threshold)
+      .map((node) => ({
+        clip: node.clip,
+        threshold: node.threshold,
+        sync: node.sync !== false,
+        action: mixer.clipAction(node.clip),
+        weight: 0
+      }));
+
+    this.parameter = 0;
+    this.targetParameter = 0;
+
+    // ツリー全体のフェード
+    this.masterWeight = 0;
+    this.fadeFrom = 0;
+    this.fadeTo = 0;
+    this.fadeDuration = 0;
+    this.fadeElapsed = 0;
+    this.isActive = false;
+  }
+
+  /**
+   * ブレンドのパラメータを設定する
+   * @param {number} value - パラメータ（移動速度など）
+   * @param {boolean} immediate - 平滑化せずにすぐ反映するか
+   */
+  setParameter(value, immediate = false) {
+    this.targetParameter = value;
+    if (immediate) {
+      this.parameter = value;
+    }
+  }
+
+  /**
+   * ツリーの再生を開始する
+   * @param {number} fadeDuration - フェードインの時間（秒）
+   */
+  start(fadeDuration = 0) {
+    this.isActive = true;
+    this.computeWeights();
+
+    for (const node of this.nodes) {
+      // 再生中のアクション（直前のアイドルなど）は途中から引き継ぐ
+      if (!node.action.isRunning()) {
+        node.action.reset();
+      }
+      node.action.setLoop(THREE.LoopRepeat);
+      node.action.setEffectiveTimeScale(1);
+      node.action.play();
+    }
+
+    this.startFade(1, fadeDuration);
+    this.applyWeights();
+  }
+
+  /**
+   * ツリーの再生を終了する（フェードアウト後にアクションを停止する）
+   * @param {number} fadeDuration - フェードアウトの時間（秒）
+   */
+  stop(fadeDuration = 0) {
+    this.isActive = false;
+    this.startFade(0, fadeDuration);
+
+    if (fadeDuration <= 0) {
+      this.stopActions();
+    }
+  }
+
+  /**
+   * アクションをツリーの管理から外す（ツリーの外で再生を続ける場合に使用）
+   * @param {THREE.AnimationAction} action - 外すアクション
+   */
+  detach(action) {
+    this.nodes = this.nodes.filter((node) => node.action !== action);
+  }
+
+  /**
+   * ツリー全体の重みのフェードを開始する
+   * @param {number} to - 目標の重み
+   * @param {number} duration - フェード時間（秒）
+   */
+  startFade(to, duration) {
+    this.fadeFrom = this.masterWeight;
+    this.fadeTo = to;
+    this.fadeDuration = duration;
+    this.fadeElapsed = 0;
+
+    if (duration <= 0) {
+      this.masterWeight = to;
+    }
+  }
+
+  /**
+   * 毎フレームの更新処理（mixer.update()の前に呼ぶ）
+   * @param {number} deltaTime - 経過時間（秒）
+   * @returns {boolean} まだ再生中か（フェードアウトが終わるとfalse）
+   */
+  update(deltaTime) {
+    // パラメータの平滑化
+    const t = this.smoothing > 0 ? 1 - Math.exp(-deltaTime / this.smoothing) : 1;
+    this.parameter += (this.targetParameter - this.parameter) * t;
+
+    // ツリー全体のフェード
+    if (this.fadeDuration > 0 && this.fadeElapsed < this.fadeDuration) {
+      this.fadeElapsed = Math.min(this.fadeDuration, this.fadeElapsed + deltaTime);
+      const progress = this.fadeElapsed / this.fadeDuration;
+      this.masterWeight = THREE.MathUtils.lerp(this.fadeFrom, this.fadeTo, progress);
+    }
+
+    if (!this.isActive && this.masterWeight <= 0) {
+      this.stopActions();
+      return false;
+    }
+
+    this.computeWeights();
+    this.syncActions();
+    this.applyWeights();
+    return true;
+  }
+
+  /**
+   * パラメータから各ノードの重みを求める
+   */
+  computeWeights() {
+    const nodes = this.nodes;
+    if (nodes.length === 0) return;
+
+    for (const node of nodes) {
+      node.weight = 0;
+    }
+
+    const value = this.parameter;
+    if (value <= nodes[0].threshold) {
+      nodes[0].weight = 1;
+      return;
+    }
+    if (value >= nodes[nodes.length - 1].threshold) {
+      nodes[nodes.length - 1].weight = 1;
+      return;
+    }
+
+    for (let i = 0; i < nodes.length - 1; i++) {
+      const lower = nodes[i];
+      const upper = nodes[i + 1];
+      if (value >= lower.threshold && value <= upper.threshold) {
+        const range = upper.threshold - lower.threshold;
+        const ratio = range > 0 ? (value - lower.threshold) / range : 1;
+        lower.weight = 1 - ratio;
+        upper.weight = ratio;
+        return;
+      }
+    }
+  }
+
+  /**
+   * 同期するクリップの再生位置と再生速度を揃える
+   * 重み付き平均の周期で全体を進め、各クリップは自分の長さに合わせて速度を変える
+   * 1つしか有効なクリップがない場合は、しきい値とパラメータの比で再生速度を変える（足滑りの防止）
+   */
+  syncActions() {
+    const synced = this.nodes.filter((node) => node.sync && node.weight > 0);
+    if (synced.length === 0) return;
+
+    const totalWeight = synced.reduce((sum, node) => sum + node.weight, 0);
+    const cycleDuration = synced.reduce((sum, node) => sum + node.clip.duration * node.weight, 0) / totalWeight;
+
+    // 最も重みの大きいクリップの再生位置を基準にする
+    const leader = synced.reduce((a, b) => (b.weight > a.weight ? b : a));
+    const phase = leader.clip.duration > 0 ? (leader.action.time % leader.clip.duration) / leader.clip.duration : 0;
+
+    let speedScale = 1;
+    if (synced.length === 1 && leader.threshold > 0) {
+      speedScale = THREE.MathUtils.clamp(this.parameter / leader.threshold, 0.5, 2.0);
+    }
+
+    for (const node of this.nodes) {
+      if (!node.sync) continue;
+
+      node.action.setEffectiveTimeScale(cycleDuration > 0 ? (node.clip.duration / cycleDuration) * speedScale : 1);
+      if (node !== leader) {
+        node.action.time = phase * node.clip.duration;
+      }
+    }
+  }
+
+  /**
+   * 各ノードの重みをアクションに反映する
+   */
+  applyWeights() {
+    for (const node of this.nodes) {
+      node.action.setEffectiveWeight(node.weight * this.masterWeight);
+    }
+  }
+
+  /**
+   * すべてのアクションを停止する
+   */
+  stopActions() {
+    for (const node of this.nodes) {
+      node.action.stop();
+    }
+  }
+
+  /**
+   * 最も重みの大きいノードのアクションを取得する
+   * @returns {THREE.AnimationAction|null} アクション
+   */
+  getDominantAction() {
+    if (this.nodes.length === 0) return null;
+    return this.nodes.reduce((a, b) => (b.weight > a.weight ? b : a)).action;
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      isActive: this.isActive,
+      parameter: this.parameter.toFixed(2),
+      masterWeight: this.masterWeight.toFixed(2),
+      weights: this.nodes.map((node) => `${node.clip.name}:${node.weight.toFixed(2)}`).join(', ')
+    };
+  }
+}
@@ -0,0 +1,279 @@
+import * as THREE from 'three';
+
+// 行頭に置かない文字（句読点・閉じ括弧・小書き文字など）
+const NO_LINE_START = '、。，．,.・：；:;？！?!ー～」』）)］]｝}〉》】ぁぃぅぇぉっゃゅょゎァィゥェォッャュョヮヵヶ々';
+// 行末に置かない文字（開き括弧）
+const NO_LINE_END = '「『（(［[｛{〈《【';
+
+/**
+ * 吹き出し（キャプション）表示クラス
+ * VRMの頭ボーンを毎フレーム画面座標に投影し、キャラクターに追従する吹き出しを表示する
+ */
+export class CaptionOverlay {
+  /**
+   * コンストラクタ
+   * @param {HTMLElement} container - 吹き出しを配置する要素
+   * @param {THREE.Camera} camera - 投影に使うカメラ
+   * @param {HTMLCanvasElement} canvas - レンダラーのキャンバス
+   * @param {Object} options - オプション（config.caption）
+   */
+  constructor(container, camera, canvas, options = {}) {
+    this.container = container;
+    this.camera = camera;
+    this.canvas = canvas;
+    this.vrm = null;
+
+    // 表示パラメータ
+    this.maxCharsPerLine = options.maxCharsPerLine || 14;
+    this.charsPerSecond = options.charsPerSecond || 12;
+    this.defaultDuration = options.defaultDuration || 4000;
+    this.headOffset = options.headOffset !== undefined ? options.headOffset : 0.25;
+
+    // 再生管理
+    this.queue = [];
+    this.current = null;
+    this.headPosition = new THREE.Vector3();
+
+    this.createElements();
+  }
+
+  /**
+   * 吹き出しのDOM要素を作成する
+   */
+  createElements() {
+    this.bubbleElement = document.createElement('div');
+    this.bubbleElement.className = 'caption-bubble';
+    this.bubbleElement.style.display = 'none';
+
+    this.textElement = document.createElement('div');
+    this.textElement.className = 'caption-text';
+    this.bubbleElement.appendChild(this.textElement);
+
+    this.container.appendChild(this.bubbleElement);
+  }
+
+  /**
+   * 追従するVRMを設定する
+   * @param {Object} vrm - VRMインスタンス
+   */
+  setVRM(vrm) {
+    this.vrm = vrm;
+  }
+
+  /**
+   * メッセージをキューに追加する
+   * @param {string} text - 表示するテキスト
+   * @param {Object} options - オプション
+   * @param {number} options.duration - 全文表示後に表示し続ける時間（ミリ秒）
+   * @param {boolean} options.typewriter - 1文字ずつ表示するか
+   * @param {boolean} options.interrupt - 現在のメッセージとキューを破棄してすぐに表示するか
+   * @returns {Promise} メッセージの表示が終わると解決するPromise
+   */
+  say(text, options = {}) {
+    if (options.interrupt) {
+      this.clear();
+    }
+
+    return new Promise((resolve) => {
+      this.queue.push({
+        lines: CaptionOverlay.wrapText(String(text), this.maxCharsPerLine),
+        duration: options.duration !== undefined ? options.duration : this.defaultDuration,
+        typewriter: options.typewriter !== false,
+        resolve
+      });
+    });
+  }
+
+  /**
+   * 表示中のメッセージとキューをすべて破棄する
+   */
+  clear() {
+    const messages = this.current ? [this.current, ...this.queue] : this.queue;
+    for (const message of messages) {
+      message.resolve();
+    }
+
+    this.queue = [];
+    this.current = null;
+    this.bubbleElement.style.display = 'none';
+  }
+
+  /**
+   * 毎フレームの更新処理
+   * @param {number} deltaTime - 経過時間（秒）
+   */
+  update(deltaTime) {
+    if (!this.current) {
+      if (this.queue.length === 0) return;
+      this.startNext();
+    }
+
+    const message = this.current;
+    message.elapsed += deltaTime * 1000;
+
+    // タイプライター表示
+    const totalChars = message.lines.reduce((sum, line) => sum + Array.from(line).length, 0);
+    const typingTime = message.typewriter ? (totalChars / this.charsPerSecond) * 1000 : 0;
+    const visibleChars = typingTime > 0
+      ? Math.min(totalChars, Math.floor(message.elapsed / 1000 * this.charsPerSecond))
+      : totalChars;
+
+    if (visibleChars !== message.visibleChars) {
+      message.visibleChars = visibleChars;
+      this.renderText(message.lines, visibleChars);
+    }
+
+    // 表示時間が終わったら次のメッセージへ
+    if (message.elapsed >= typingTime + message.duration) {
+      this.current = null;
+      this.bubbleElement.style.display = 'none';
+      message.resolve();
+      return;
+    }
+
+    this.updatePosition();
+  }
+
+  /**
+   * キューから次のメッセージを取り出して表示を開始する
+   */
+  startNext() {
+    this.current = this.queue.shift();
+    this.current.elapsed = 0;
+    this.current.visibleChars = -1;
+
+    // 全文で一度レイアウトして吹き出しの大きさを固定し、表示中にサイズが変わらないようにする
+    this.renderText(this.current.lines, Infinity);
+    this.bubbleElement.style.display = 'block';
+    this.bubbleElement.style.width = '';
+    this.bubbleElement.style.width = `${this.bubbleElement.offsetWidth}px`;
+  }
+
+  /**
+   * 折り返し済みの行を、指定文字数まで表示する
+   * @param {Array<string>} lines - 行の配列
+   * @param {number} visibleChars - 表示する文字数
+   */
+  renderText(lines, visibleChars) {
+    let remaining = visibleChars;
+    const visibleLines = [];
+
+    for (const line of lines) {
+      const chars = Array.from(line);
+      visibleLines.push(chars.slice(0, Math.max(0, remaining)).join(''));
+      remaining -= chars.length;
+    }
+
+    this.textElement.textContent = visibleLines.join('\n');
+  }
+
+  /**
+   * 頭ボーンの位置を画面座標に投影して吹き出しを配置する
+   */
+  updatePosition() {
+    const head = this.getHeadNode();
+    if (!head) return;
+
+    head.getWorldPosition(this.headPosition);
+    this.headPosition.y += this.headOffset;
+    this.headPosition.project(this.camera);
+
+    // カメラの後ろ、または画面外の場合は隠す
+    const offscreen = this.headPosition.z > 1 ||
+      Math.abs(this.headPosition.x) > 1.2 ||
+      Math.abs(this.headPosition.y) > 1.2;
+    this.bubbleElement.style.visibility = offscreen ? 'hidden' : 'visible';
+    if (offscreen) return;
+
+    // 画面の回転（CSSのtransform）の影響を受けないよう、回転前のレイアウトの大きさを使う
+    let x = this.canvas.offsetLeft + (this.headPosition.x + 1) / 2 * this.canvas.clientWidth;
+    let y = this.canvas.offsetTop + (1 - this.headPosition.y) / 2 * this.canvas.clientHeight;
+
+    // 吹き出しが画面からはみ出さないよう制限（吹き出しは下端中央が基準点）
+    const halfWidth = this.bubbleElement.offsetWidth / 2;
+    const height = this.bubbleElement.offsetHeight;
+    x = THREE.MathUtils.clamp(x, halfWidth, Math.max(halfWidth, this.container.clientWidth - halfWidth));
+    y = Math.max(y, height);
+
+    this.bubbleElement.style.left = `${x}px`;
+    this.bubbleElement.style.top = `${y}px`;
+  }
+
+  /**
+   * VRMの頭ボーンを取得する
+   * @returns {THREE.Object3D|null} 頭ボーン
+   */
+  getHeadNode() {
+    if (!this.vrm || !this.vrm.humanoid) return null;
+    return this.vrm.humanoid.getRawBoneNode('head');
+  }
+
+  /**
+   * テキストを1行あたりの文字数で折り返す（日本語の禁則処理付き）
+   * 全角文字を1、半角文字を0.5として数え、英単語は途中で分割しない
+   * @param {string} text - テキスト
+   * @param {number} maxCharsPerLine - 1行あたりの最大文字数（全角換算）
+   * @returns {Array<string>} 行の配列
+   */
+  static wrapText(text, maxCharsPerLine) {
+    const charWidth = (char) => (/[\u0000-\u00ff\uff61-\uff9f]/.test(char) ? 0.5 : 1);
+    const lines = [];
+
+    for (const paragraph of text.split('\n')) {
+      // 英数字の連続は1つの単位として扱う
+      const tokens = paragraph.match(/[A-Za-z0-9_'\-]+|[\s\S]/gu) || [''];
+      let line = '';
+      let width = 0;
+
+      for (const token of tokens) {
+        const tokenWidth = Array.from(token).reduce((sum, char) => sum + charWidth(char), 0);
+
+        if (width + tokenWidth > maxCharsPerLine && line.length > 0) {
+          const first = Array.from(token)[0];
+
+          if (NO_LINE_START.includes(first)) {
+            // 行頭禁則: 句読点などは前の行にぶら下げる
+            line += token;
+            lines.push(line);
+            line = '';
+            width = 0;
+            continue;
+          }
+
+          // 行末禁則: 開き括弧で終わる場合は次の行に送る
+          let carry = '';
+          while (line.length > 1 && NO_LINE_END.includes(line.slice(-1))) {
+            carry = line.slice(-1) + carry;
+            line = line.slice(0, -1);
+          }
+
+          lines.push(line.trimEnd());
+          line = carry;
+          width = Array.from(carry).reduce((sum, char) => sum + charWidth(char), 0);
+
+          // 行頭の空白は詰める
+          if (/^\s+$/.test(token)) continue;
+        }
+
+        line += token;
+        width += tokenWidth;
+      }
+
+      lines.push(line);
+    }
+
+    return lines;
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      isShowing: !!this.current,
+      queueLength: this.queue.length,
+      currentText: this.current ? this.current.lines.join('') : 'なし'
+    };
+  }
+}
@@ -0,0 +1,402 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { VRMUtils, VRMLoaderPlugin } from '@pixiv/three-vrm';
+
+import { AnimationManager } from './AnimationManager.js';
+import { CharacterController } from './CharacterController.js';
+import { VRMBoneAnalyzer } from './VRMBoneAnalyzer.js';
+
+/**
+ * キャラクタークラス
+ * 1体のVRMと、そのミキサー・アニメーション管理・キャラクター制御（ステートマシン・表情・視線）をまとめる
+ * シーンに複数のキャラクターを置けるよう、グローバル変数を使わずにキャラクターごとに持つ
+ */
+export class Character {
+  /**
+   * コンストラクタ
+   * @param {Object} definition - config.jsonのcharactersの要素（id・model・animations・position・character）
+   * @param {Object} options - オプション
+   * @param {THREE.Scene} options.scene - 追加先のシーン
+   * @param {THREE.Camera} options.camera - カメラ（移動範囲・視線に使う）
+   * @param {Object} options.config - 設定（config.json）
+   * @param {NavigationGrid|null} options.navigation - 障害物を避ける経路探索（省略時はまっすぐ歩く）
+   */
+  constructor(definition, options) {
+    this.id = definition.id;
+    this.definition = definition;
+    this.scene = options.scene;
+    this.camera = options.camera;
+    this.config = Character.mergeConfig(options.config, definition);
+    this.navigation = options.navigation || null;
+
+    this.vrm = null;
+    this.mixer = null;
+    this.animationManager = null;
+    this.controller = null;
+    this.modelConfig = null;
+    this.animationsPath = null;
+    this.startTimeout = null;
+
+    // 揺れもの（スプリングボーン）を更新する間隔（フレーム数。0の場合は更新しない）
+    this.springBoneInterval = 1;
+    this.springBoneFrame = 0;
+    this.springBoneDelta = 0;
+  }
+
+  /**
+   * キャラクターごとのcharacter設定を共通の設定に重ねる
+   * @param {Object} config - 設定（config.json）
+   * @param {Object} definition - charactersの要素
+   * @returns {Object} このキャラクター用の設定
+   */
+  static mergeConfig(config, definition) {
+    if (!definition.character) return config;
+    return { ...config, character: { ...config.character, ...definition.character } };
+  }
+
+  /**
+   * VRMモデルを読み込んでシーンに追加する
+   * @param {Object} modelConfig - モデル設定（path・scale）
+   * @param {Function} onProgress - 読み込み進捗（%）を受け取る関数
+   * @returns {Promise<Object>} VRMインスタンス
+   */
+  loadVRM(modelConfig, onProgress = null) {
+    return new Promise((resolve, reject) => {
+      // GLTFLoaderにVRMLoaderPluginを登録
+      const loader = new GLTFLoader();
+      loader.register((parser) => {
+        return new VRMLoaderPlugin(parser);
+      });
+
+      loader.load(
+        modelConfig.path,
+        (gltf) => {
+          const vrm = gltf.userData.vrm;
+          if (!vrm) {
+            reject(new Error('VRMの読み込みに失敗しました'));
+            return;
+          }
+
+          // T-Poseに初期化
+          VRMUtils.rotateVRM0(vrm);
+
+          // VRMをシーンに追加し、スケールを調整
+          this.scene.add(vrm.scene);
+          vrm.scene.scale.setScalar(modelConfig.scale);
+
+          // 影を落とす（影の有無・解像度は画質の段階で切り替わる）
+          vrm.scene.traverse((object) => {
+            if (object.isMesh) {
+              object.castShadow = true;
+            }
+          });
+
+          // アニメーションミキサーの作成
+          this.vrm = vrm;
+          this.mixer = new THREE.AnimationMixer(vrm.scene);
+          this.modelConfig = modelConfig;
+
+          this.printBoneSummary();
+          resolve(vrm);
+        },
+        (xhr) => {
+          // 読み込み進捗の表示（必要に応じて）
+          if (onProgress) {
+            onProgress(Math.round((xhr.loaded / xhr.total) * 100));
+          }
+        },
+        (error) => {
+          console.error(`VRMモデルの読み込みに失敗しました (${this.id}):`, error);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  /**
+   * VRMボーン構造を解析してデバッグ情報を出力する
+   */
+  printBoneSummary() {
+    console.log(`=== VRMボーン構造解析開始 (${this.id}) ===`);
+    const { boneInfo, mapping } = VRMBoneAnalyzer.printDebugInfo(this.vrm);
+
+    const humanoidBoneCount = Object.keys(boneInfo.humanoidBones).length;
+    const fingerBoneCount = Object.entries(mapping).filter(([mixamoName]) =>
+      mixamoName.includes('Hand') &&
+      (mixamoName.includes('Thumb') ||
+       mixamoName.includes('Index') ||
+       mixamoName.includes('Middle') ||
+       mixamoName.includes('Ring') ||
+       mixamoName.includes('Pinky') ||
+       mixamoName.includes('Little'))
+    ).length;
+
+    console.log(`VRMボーン統計: 全${boneInfo.allBones.length}ボーン中、ヒューマノイド${humanoidBoneCount}ボーン、指${fingerBoneCount}ボーン`);
+    console.log(`=== VRMボーン構造解析完了 (${this.id}) ===`);
+  }
+
+  /**
+   * アニメーションを読み込む
+   * 1つも読み込めなかった場合はフォールバックのエントリから読み込む
+   * @param {string} animationsPath - animations.jsonのパス
+   * @param {Array<Object>} fallback - フォールバックのエントリ（config.jsonのanimations.fallback）
+   * @returns {Promise<Array<string>>} animations.jsonの問題の一覧
+   */
+  async loadAnimations(animationsPath, fallback = []) {
+    // VRMを先に設定し、読み込み時にこのキャラクターのボーンへリターゲットする
+    this.animationManager = new AnimationManager(this.vrm, this.mixer);
+    this.animationManager.setLocomotionConfig(this.config.locomotion);
+    this.animationManager.setVRM(this.vrm);
+    this.animationsPath = animationsPath;
+
+    // デバッグ時はリターゲットの詳細を出力する
+    this.setDebugMode(!!(this.config.debug && this.config.debug.enabled));
+
+    try {
+      await this.animationManager.loadAnimationsFromConfig(animationsPath);
+      console.log(`アニメーションの読み込みが完了しました (${this.id})`);
+    } catch (error) {
+      console.error(`アニメーションの読み込みに失敗しました (${this.id}):`, error);
+    }
+
+    if (!this.animationManager.hasAnimations() && fallback.length > 0) {
+      try {
+        console.log('フォールバックアニメーション読み込み開始...');
+        await this.animationManager.loadAnimationList(fallback);
+        console.log('フォールバックアニメーションの読み込み完了');
+      } catch (fallbackError) {
+        console.error('フォールバックアニメーションの読み込みにも失敗しました:', fallbackError);
+      }
+    }
+
+    return this.animationManager.animationLoader.configProblems;
+  }
+
+  /**
+   * キャラクター制御を初期化する
+   * @param {Object|null} stateDefinition - 状態定義（nullの場合はステートマシンの既定の動作）
+   */
+  createController(stateDefinition) {
+    this.controller = new CharacterController(
+      this.vrm.scene,
+      this.scene,
+      this.camera,
+      this.config,
+      this.animationManager,
+      stateDefinition
+    );
+    this.controller.setVRM(this.vrm);
+    this.controller.setNavigation(this.navigation);
+  }
+
+  /**
+   * 経路探索を切り替える（config.navigation.enabledのホットリロード用）
+   * @param {NavigationGrid|null} navigation - ナビゲーショングリッド
+   */
+  setNavigation(navigation) {
+    this.navigation = navigation;
+    if (this.controller) {
+      this.controller.setNavigation(navigation);
+    }
+  }
+
+  /**
+   * 初期位置に置き、アイドルアニメーションと自律的な移動を開始する
+   * @param {{x: number, z: number}} position - 初期位置
+   */
+  start(position = { x: 0, z: 0 }) {
+    this.controller.setInitialPosition(position.x, position.z);
+
+    // 少し待ってからアニメーションを開始し、さらに待ってから歩き始める
+    this.startTimeout = setTimeout(() => {
+      this.animationManager.playRandomIdleAnimation();
+      this.startTimeout = setTimeout(() => {
+        this.startTimeout = null;
+        this.controller.startMoving();
+      }, 500);
+    }, 500);
+  }
+
+  /**
+   * モデルのスケールを変更する
+   * @param {number} scale - スケール
+   */
+  setScale(scale) {
+    if (!this.vrm) return;
+    this.vrm.scene.scale.setScalar(scale);
+    this.modelConfig = { ...this.modelConfig, scale };
+    
+    // 全身が画面に収まる範囲は体の大きさで変わる
+    if (this.controller) {
+      this.controller.calculateScreenBoundaries();
+    }
+  }
+
+  /**
+   * アニメーションセットを切り替える
+   * @param {string} animationsPath - animations.jsonのパス
+   */
+  async switchAnimationSet(animationsPath) {
+    if (!this.animationManager) return;
+    await this.animationManager.switchAnimationSet(animationsPath);
+    this.animationsPath = animationsPath;
+  }
+
+  /**
+   * 現在の位置
+   * @returns {THREE.Vector3} 位置（ワールド座標）
+   */
+  getPosition() {
+    return this.vrm.scene.position;
+  }
+
+  /**
+   * 頭の正規化ボーン（視線の注視点に使う）
+   * @returns {THREE.Object3D|null} 頭ボーン
+   */
+  getHeadNode() {
+    if (!this.vrm || !this.vrm.humanoid) return null;
+    return this.vrm.humanoid.getNormalizedBoneNode('head');
+  }
+
+  /**
+   * MixamoVRMMapperのデバッグモードを切り替える
+   * @param {boolean} enabled - 有効にする場合はtrue
+   */
+  setDebugMode(enabled) {
+    const vrmMapper = this.animationManager && this.animationManager.animationLoader.vrmMapper;
+    if (vrmMapper) {
+      vrmMapper.setDebugMode(enabled);
+    }
+  }
+
+  /**
+   * アニメーション・キャラクター制御を更新する（VRMの更新より前に呼ぶ）
+   * @param {number} deltaTime - 経過時間（秒）
+   */
+  update(deltaTime) {
+    if (this.animationManager) {
+      this.animationManager.update(deltaTime);
+    }
+    if (this.controller) {
+      this.controller.update(deltaTime);
+    }
+  }
+
+  /**
+   * VRM（表情・視線・揺れもの）を更新する
+   * @param {number} deltaTime - 経過時間（秒）
+   */
+  updateVRM(deltaTime) {
+    if (!this.vrm) return;
+
+    const springBoneManager = this.vrm.springBoneManager;
+    if (!springBoneManager || this.springBoneInterval === 1) {
+      this.vrm.update(deltaTime);
+      return;
+    }
+
+    // 揺れもの以外はVRM.update()と同じ順に毎フレーム更新する
+    this.vrm.humanoid.update();
+    if (this.vrm.lookAt) {
+      this.vrm.lookAt.update(deltaTime);
+    }
+    if (this.vrm.expressionManager) {
+      this.vrm.expressionManager.update();
+    }
+    if (this.vrm.nodeConstraintManager) {
+      this.vrm.nodeConstraintManager.update();
+    }
+
+    // 揺れものは間引いて、間引いた分の時間をまとめて進める
+    if (this.springBoneInterval > 0) {
+      this.springBoneFrame++;
+      this.springBoneDelta += deltaTime;
+      if (this.springBoneFrame >= this.springBoneInterval) {
+        springBoneManager.update(this.springBoneDelta);
+        this.springBoneFrame = 0;
+        this.springBoneDelta = 0;
+      }
+    }
+
+    if (this.vrm.materials) {
+      this.vrm.materials.forEach((material) => {
+        if (material.update) {
+          material.update(deltaTime);
+        }
+      });
+    }
+  }
+
+  /**
+   * 揺れもの（スプリングボーン）を更新する間隔を設定する（画質の段階の切り替え用）
+   * @param {number} interval - 更新する間隔（フレーム数。1で毎フレーム、0で更新しない）
+   */
+  setSpringBoneInterval(interval) {
+    // 止めていた揺れものは、離れた位置から急に追いつかないよう初期状態に戻してから再開する
+    if (this.springBoneInterval === 0 && interval !== 0 && this.vrm && this.vrm.springBoneManager) {
+      this.vrm.springBoneManager.reset();
+    }
+    this.springBoneInterval = interval;
+    this.springBoneFrame = 0;
+    this.springBoneDelta = 0;
+  }
+
+  /**
+   * 設定の変更を反映する（設定ファイルのホットリロード用）
+   * @param {Object} config - 新しい設定
+   * @param {Object} definition - 新しいcharactersの要素（省略時は現在のもの）
+   */
+  applyConfig(config, definition = this.definition) {
+    this.definition = definition;
+    this.config = Character.mergeConfig(config, definition);
+
+    if (this.controller) {
+      this.controller.applyConfig(this.config);
+    }
+    if (this.animationManager) {
+      this.animationManager.setLocomotionConfig(this.config.locomotion);
+    }
+  }
+
+  /**
+   * タイマーを止め、シーンから取り除いて破棄する
+   */
+  dispose() {
+    if (this.startTimeout) {
+      clearTimeout(this.startTimeout);
+      this.startTimeout = null;
+    }
+
+    if (this.controller) {
+      this.controller.dispose();
+      this.controller = null;
+    }
+    this.animationManager = null;
+
+    if (this.mixer) {
+      this.mixer.stopAllAction();
+      this.mixer = null;
+    }
+
+    if (this.vrm) {
+      this.scene.remove(this.vrm.scene);
+      VRMUtils.deepDispose(this.vrm.scene);
+      this.vrm = null;
+    }
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      id: this.id,
+      model: this.modelConfig ? this.modelConfig.path : null,
+      animations: this.animationsPath,
+      animation: this.animationManager ? this.animationManager.getDebugInfo() : null,
+      controller: this.controller ? this.controller.getDebugInfo() : null
+    };
+  }
+}
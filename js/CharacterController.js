@@ -1,18 +1,28 @@
 import * as THREE from 'three';
 import { ExpressionManager } from './ExpressionManager.js';
 import { CharacterStateMachine } from './CharacterStateMachine.js';
+import { GazeController } from './GazeController.js';
+
+// ランダムな目的地を選び直す回数（他のキャラクターのそばを避けるため）
+const MAX_DESTINATION_ATTEMPTS = 10;
+// 移動可能な領域を探す範囲（カメラからの奥行き、メートル）と間隔
+const BOUNDARY_SEARCH_DEPTH = 20;
+const BOUNDARY_SEARCH_STEP = 0.02;
+// モデルの高さを測れない場合の身長（メートル）
+const DEFAULT_BODY_HEIGHT = 1.6;
 
 /**
  * キャラクター制御クラス
  * 3Dキャラクターの移動とアニメーションを管理する
  */
 export class CharacterController {
-  constructor(model, scene, camera, config, animationManager) {
+  constructor(model, scene, camera, config, animationManager, stateDefinition) {
     this.model = model;
     this.scene = scene;
     this.camera = camera;
     this.config = config;
     this.animationManager = animationManager;
+    this.stateDefinition = stateDefinition;
     
     // 移動パラメータ
     this.moveSpeed = config.character.moveSpeed;
@@ -22,17 +32,44 @@ export class CharacterController {
     
     // 状態管理
     this.isMoving = false;
+    this.isPaused = false;
     this.moveTimeout = null;
     this.destination = new THREE.Vector3(0, 0, 0);
     this.direction = new THREE.Vector3(0, 0, 0);
     this.targetRotation = 0;
     this.currentRotation = 0;
+    this.isTurning = false; // 立ち止まったまま向きを変えている
+    this.oneShotAction = null; // ループせずに再生中のアニメーション（終わったらアイドルに戻す）
+    
+    // 複数キャラクター時の回避（CharacterGroupが設定する）
+    this.avoidance = new THREE.Vector3(0, 0, 0);
+    this.destinationFilter = null;
+    
+    // 障害物を避ける経路（NavigationGridを設定した場合のみ）
+    this.navigation = null;
+    this.path = [];          // 経由点（最後が目的地）
+    this.pathIndex = 0;      // 次に向かう経由点
+    this.pointOfInterest = null; // 向かっている名前付きの地点
+    this.currentPointName = null; // 立ち止まっている名前付きの地点
+    
+    // 画面の前の来場者（PresenceDetectorの通知で設定される）
+    this.viewer = null;
+    this.viewerPoint = new THREE.Vector3(); // 来場者の目の位置（ワールド座標）
+    this.viewerOptions = {};
+    
+    // 実際の移動速度（アニメーションのブレンドに使用）
+    this.lastPosition = model.position.clone();
+    this.currentSpeed = 0;
+    
+    // 視線制御（VRM設定時に初期化）
+    this.gazeController = null;
     
     // 移動の滑らかさ
     this.rotationDamping = 0.1;
     this.movementDamping = 0.05;
     
-    // 画面の境界を計算
+    // 画面の境界を計算（モデルの身長を測ってから求める）
+    this.measureBody();
     this.calculateScreenBoundaries();
     
     // 表情管理システムの初期化
@@ -62,16 +99,11 @@ export class CharacterController {
         vrm = this.model.parent.userData.vrm;
       }
       
-      // グローバルなVRMインスタンスがある場合
-      if (!vrm && window.vrm) {
-        vrm = window.vrm;
-      }
-      
       if (vrm) {
         this.expressionManager = new ExpressionManager(vrm);
         console.log('表情管理システムが初期化されました');
       } else {
-        console.warn('VRMインスタンスが見つかりません。表情管理を無効化します。');
+        // setVRM()で初期化する
         this.expressionManager = null;
       }
     } catch (error) {
@@ -88,7 +120,8 @@ export class CharacterController {
       this.stateMachine = new CharacterStateMachine(
         this.animationManager,
         this.expressionManager,
-        this.config
+        this.config,
+        this.stateDefinition
       );
       console.log('キャラクターステートマシンが初期化されました');
     } catch (error) {
@@ -97,25 +130,126 @@ export class CharacterController {
     }
   }
 
+  /**
+   * モデルの身長（スケール1のとき）を測る
+   */
+  measureBody() {
+    const size = new THREE.Box3().setFromObject(this.model).getSize(new THREE.Vector3());
+    const scale = this.model.scale.y || 1;
+    this.measuredHeight = Number.isFinite(size.y) && size.y > 0 ? size.y / scale : DEFAULT_BODY_HEIGHT;
+  }
+
+  /**
+   * 画面に収める体の大きさ（現在のスケールでのメートル）
+   * character.bodyHeightを省略した場合はモデルから測った身長を使う
+   * @returns {{height: number, radius: number}} 身長と、足元を中心とした半径
+   */
+  getBodySize() {
+    const character = this.config.character;
+    return {
+      height: (character.bodyHeight || this.measuredHeight) * this.model.scale.y,
+      radius: (character.bodyRadius !== undefined ? character.bodyRadius : 0.25) * this.model.scale.x
+    };
+  }
+
+  /**
+   * 床のその位置に立ったとき、体を囲む箱が画面（安全マージンの内側）に収まるか
+   * @param {number} x - X座標
+   * @param {number} z - Z座標
+   * @param {{height: number, radius: number}} body - 体の大きさ
+   * @param {number} limit - 正規化デバイス座標での画面の端（1から安全マージンを引いた値）
+   * @returns {boolean} 収まる場合はtrue
+   */
+  isBodyOnScreen(x, z, body, limit) {
+    const corner = new THREE.Vector3();
+    for (const dx of [-body.radius, body.radius]) {
+      for (const dz of [-body.radius, body.radius]) {
+        for (const y of [0, body.height]) {
+          corner.set(x + dx, y, z + dz).project(this.camera);
+          if (Math.abs(corner.x) > limit || Math.abs(corner.y) > limit || Math.abs(corner.z) > 1) {
+            return false;
+          }
+        }
+      }
+    }
+    return true;
+  }
+
   /**
    * 画面内の移動可能な領域を計算する
+   * キャラクターの体を囲む箱を実際のカメラ（位置・向き・縦横比）で画面に投影し、
+   * 全身が画面に収まる床の範囲を求める（カメラはZ軸の正の側から奥を向いている前提）
+   * 手前ほど横幅が狭くなるため、奥行きの範囲すべてで収まる長方形を使う
    */
   calculateScreenBoundaries() {
-    // 視錐台（フラスタム）の境界を計算
-    const vFOV = THREE.MathUtils.degToRad(this.camera.fov);
-    const height = 2 * Math.tan(vFOV / 2) * this.camera.position.z;
-    const width = height * this.camera.aspect;
-    
-    // 安全マージンを考慮（キャラクターが画面外に出ないよう）
-    const margin = 0.5;
-    
-    this.boundaries = {
-      minX: -width / 2 + margin,
-      maxX: width / 2 - margin,
-      minZ: -height / 2 + margin,
-      maxZ: height / 2 - margin
-    };
+    this.camera.updateMatrixWorld();
+    
+    const character = this.config.character;
+    const body = this.getBodySize();
+    const limit = 1 - 2 * (character.screenMargin !== undefined ? character.screenMargin : 0.02);
+    const walkDepth = character.walkDepth !== undefined ? character.walkDepth : 1.5;
+    const centerX = this.camera.position.x;
+    
+    // カメラの手前から奥へ調べ、全身が収まる最も手前の位置から奥行きの範囲を決める
+    let maxZ = null;
+    let minZ = null;
+    for (let depth = BOUNDARY_SEARCH_STEP; depth <= BOUNDARY_SEARCH_DEPTH; depth += BOUNDARY_SEARCH_STEP) {
+      const z = this.camera.position.z - depth;
+      const fits = this.isBodyOnScreen(centerX, z, body, limit);
+      if (fits && maxZ === null) {
+        maxZ = z;
+      }
+      if (maxZ !== null) {
+        if (!fits || maxZ - z > walkDepth) break;
+        minZ = z;
+      }
+    }
+    
+    if (maxZ === null) {
+      // 体が大きすぎて画面に収まらない場合は、注視点の周りに立たせる
+      console.warn('キャラクターの全身が画面に収まる位置がありません（カメラ・スケールを確認してください）');
+      this.boundaries = { minX: centerX, maxX: centerX, minZ: 0, maxZ: 0 };
+    } else {
+      // 奥行きの範囲の各位置で左右に収まる範囲を求め、その共通部分を使う
+      let minX = -Infinity;
+      let maxX = Infinity;
+      for (let z = maxZ; z >= minZ - 1e-6; z -= Math.max(BOUNDARY_SEARCH_STEP, (maxZ - minZ) / 10)) {
+        minX = Math.max(minX, this.findScreenEdge(centerX, z, -1, body, limit));
+        maxX = Math.min(maxX, this.findScreenEdge(centerX, z, 1, body, limit));
+      }
+      this.boundaries = { minX, maxX, minZ, maxZ };
+    }
+    
+    // ナビゲーショングリッドも同じ範囲で作り直し、範囲の外にいる場合は中に戻す
+    if (this.navigation) {
+      this.navigation.setBounds(this.boundaries);
+    }
+    this.clampToBoundaries();
+  }
+
+  /**
+   * 奥行きzで、中央から左右どちらかへ全身が画面に収まる端のX座標を求める（二分探索）
+   * @param {number} centerX - 中央のX座標
+   * @param {number} z - Z座標
+   * @param {number} side - -1: 左、1: 右
+   * @param {{height: number, radius: number}} body - 体の大きさ
+   * @param {number} limit - 正規化デバイス座標での画面の端
+   * @returns {number} 端のX座標
+   */
+  findScreenEdge(centerX, z, side, body, limit) {
+    let inside = 0;
+    let outside = BOUNDARY_SEARCH_DEPTH;
+    for (let i = 0; i < 20; i++) {
+      const offset = (inside + outside) / 2;
+      if (this.isBodyOnScreen(centerX + side * offset, z, body, limit)) {
+        inside = offset;
+      } else {
+        outside = offset;
+      }
+    }
+    return centerX + side * inside;
   }
+
   /**
    * キャラクターの移動を開始する
    */
@@ -125,6 +259,7 @@ export class CharacterController {
     }
     
     this.isMoving = true;
+    this.isTurning = false;
     this.setRandomDestination();
     
     // ステートマシンを使用して歩行状態に遷移
@@ -145,50 +280,488 @@ export class CharacterController {
    * キャラクターの移動を停止する
    */
   stopMoving() {
-    this.isMoving = false;
+    this.haltMovement();
     
     // ステートマシンを使用してアイドル状態に遷移
     if (this.stateMachine) {
-      this.stateMachine.requestStateChange('idle');
+      // 一時停止中は自動遷移が止まっているため強制的に遷移する
+      if (this.isPaused) {
+        this.stateMachine.forceStateChange('idle');
+      } else {
+        this.stateMachine.requestStateChange('idle');
+      }
     } else {
       // フォールバック：直接アニメーション管理
       this.animationManager.playRandomIdleAnimation();
     }
     
+    // 一時停止中・来場者がいる間は移動を再開しない
+    if (this.isPaused || this.viewer) return;
+    
     // 一定時間後に再び移動を開始する
     this.moveTimeout = setTimeout(() => {
       this.startMoving();
     }, this.idleInterval);
   }
+
+  /**
+   * 指定した地点まで歩かせる（外部から呼び出し可能）
+   * @param {number} x - 目的地のX座標
+   * @param {number} z - 目的地のZ座標
+   */
+  walkTo(x, z) {
+    this.pointOfInterest = null;
+    if (this.moveTimeout) {
+      clearTimeout(this.moveTimeout);
+      this.moveTimeout = null;
+    }
+    
+    // 画面外には行かせない
+    const clampedX = THREE.MathUtils.clamp(x, this.boundaries.minX, this.boundaries.maxX);
+    const clampedZ = THREE.MathUtils.clamp(z, this.boundaries.minZ, this.boundaries.maxZ);
+    
+    this.isMoving = true;
+    this.isTurning = false;
+    this.setDestination(clampedX, clampedZ);
+    
+    if (this.stateMachine) {
+      this.stateMachine.forceStateChange('walking');
+    } else {
+      this.animationManager.playWalkAnimation();
+    }
+    
+    // 到着時はupdate()からstopMoving()が呼ばれる（障害物の中を指定した場合は最も近い歩ける位置が目的地になる）
+    return { x: this.destination.x, z: this.destination.z };
+  }
+
+  /**
+   * 名前付きの地点まで歩かせる（外部から呼び出し可能）
+   * @param {string} name - 地点の名前（config.navigation.pointsOfInterest）
+   * @returns {{x: number, z: number}} 実際の目的地
+   */
+  walkToPoint(name) {
+    const point = this.navigation && this.navigation.getPointOfInterest(name);
+    if (!point) {
+      throw new Error(`地点が見つかりません: ${name}`);
+    }
+    
+    const destination = this.walkTo(point.x, point.z);
+    this.pointOfInterest = point;
+    return destination;
+  }
+
+  /**
+   * 指定したアニメーションをその場で再生する（外部から呼び出し可能）
+   * @param {THREE.AnimationClip} clip - 再生するアニメーション
+   * @param {Object} options - オプション
+   * @param {boolean} options.loop - falseの場合は1回だけ再生し、終わったらアイドルに戻す
+   */
+  playAnimationClip(clip, options = {}) {
+    if (this.moveTimeout) {
+      clearTimeout(this.moveTimeout);
+      this.moveTimeout = null;
+    }
+    this.isMoving = false;
+    
+    // ステートマシンのアイドル処理でアニメーションが上書きされないよう、状態だけを切り替える
+    if (this.stateMachine) {
+      this.stateMachine.holdState('idle');
+    }
+    this.animationManager.playAnimation(clip, { loop: options.loop });
+    this.oneShotAction = options.loop === false ? this.animationManager.currentAnimation : null;
+    
+    if (!this.isPaused && !this.viewer) {
+      this.moveTimeout = setTimeout(() => {
+        this.startMoving();
+      }, this.idleInterval);
+    }
+  }
+
+  /**
+   * 立ち止まったままアイドルアニメーションに戻す
+   * 状態に入る際の表情で反応の表情が上書きされないよう、状態だけを切り替える
+   */
+  returnToIdle() {
+    if (this.stateMachine) {
+      this.stateMachine.holdState('idle');
+      this.stateMachine.playIdleAnimation();
+    } else {
+      this.animationManager.playRandomIdleAnimation();
+    }
+  }
+
+  /**
+   * タッチなどへの反応を再生する（外部から呼び出し可能）
+   * 歩行中の場合は経路を破棄してその場で立ち止まり、カメラ（画面の前の人）の方へ振り向いてから反応する
+   * @param {Object} reaction - 反応
+   * @param {THREE.AnimationClip|null} reaction.clip - 再生するアニメーション（省略時は歩行中のみアイドルアニメーションに戻す）
+   * @param {Object|null} reaction.expression - 表情（{ name, weight, duration }）
+   */
+  react({ clip = null, expression = null } = {}) {
+    const wasMoving = this.isMoving;
+    if (wasMoving) {
+      this.haltMovement();
+    }
+    this.faceTowards(this.camera.position);
+    
+    // 反応のしぐさは1回だけ再生し、終わったらアイドルに戻す
+    if (clip) {
+      this.playAnimationClip(clip, { loop: false });
+    } else if (wasMoving) {
+      if (this.moveTimeout) {
+        clearTimeout(this.moveTimeout);
+        this.moveTimeout = null;
+      }
+      
+      this.returnToIdle();
+      
+      if (!this.isPaused && !this.viewer) {
+        this.moveTimeout = setTimeout(() => {
+          this.startMoving();
+        }, this.idleInterval);
+      }
+    }
+    
+    if (expression && this.expressionManager) {
+      this.expressionManager.setExpression(
+        expression.name,
+        expression.weight !== undefined ? expression.weight : 1.0,
+        expression.duration !== undefined ? expression.duration : 2000
+      );
+    }
+  }
+
+  /**
+   * 自律的な移動を一時停止する
+   */
+  pause() {
+    if (this.moveTimeout) {
+      clearTimeout(this.moveTimeout);
+      this.moveTimeout = null;
+    }
+    
+    this.isPaused = true;
+    
+    if (this.stateMachine) {
+      this.stateMachine.setAutoTransitionsEnabled(false);
+    }
+    
+    if (this.isMoving) {
+      this.stopMoving();
+    }
+    
+    console.log('キャラクターの移動を一時停止しました');
+  }
+
+  /**
+   * 自律的な移動を再開する
+   */
+  resume() {
+    if (!this.isPaused) return;
+    
+    this.isPaused = false;
+    
+    if (this.stateMachine) {
+      this.stateMachine.setAutoTransitionsEnabled(true);
+    }
+    
+    this.startMoving();
+    console.log('キャラクターの移動を再開しました');
+  }
+
+  /**
+   * 来場者が近づいたときの処理（外部から呼び出し可能）
+   * 自律的な移動を止め、来場者の方を向いて見る。挨拶の状態があればその状態にする
+   * @param {{x: number, y: number, size: number}} viewer - 来場者（x: -1〜1 の画面の横の位置）
+   * @param {Object} options - オプション
+   * @param {string} options.greetState - 近づいたときに遷移する状態（状態定義にない場合は遷移しない）
+   * @param {boolean} options.follow - 来場者の横の位置についていくか
+   * @param {number} options.followDistance - ついていくときに、これより離れたら歩き出す距離（メートル）
+   */
+  engageViewer(viewer, options = {}) {
+    this.viewer = viewer;
+    this.viewerOptions = options;
+    this.updateViewerPoint(viewer);
+    
+    if (this.stateMachine) {
+      this.stateMachine.setAudiencePresent(true);
+    }
+    if (this.gazeController) {
+      this.gazeController.setTarget(this.viewerPoint);
+    }
+    
+    // 一時停止中は外部の操作を優先し、見るだけにする
+    if (this.isPaused) return;
+    
+    if (this.moveTimeout) {
+      clearTimeout(this.moveTimeout);
+      this.moveTimeout = null;
+    }
+    if (this.isMoving) {
+      this.stopMoving();
+    }
+    this.faceTowards(this.viewerPoint);
+    
+    if (this.stateMachine && options.greetState && this.stateMachine.definition.states[options.greetState]) {
+      this.stateMachine.forceStateChange(options.greetState);
+    }
+  }
+
+  /**
+   * 来場者の位置の変化を反映する（外部から呼び出し可能）
+   * 立ち止まっている間は来場者の方を向き、followの場合は離れたら横に歩いてついていく
+   * @param {{x: number, y: number, size: number}} viewer - 来場者
+   */
+  updateViewer(viewer) {
+    if (!this.viewer) return;
+    
+    this.viewer = viewer;
+    this.updateViewerPoint(viewer);
+    if (this.isPaused || this.isMoving) return;
+    
+    // 挨拶の途中では歩き出さない
+    const greeting = this.stateMachine && this.stateMachine.currentState === this.viewerOptions.greetState;
+    if (this.viewerOptions.follow && !greeting) {
+      const targetX = THREE.MathUtils.clamp(this.viewerPoint.x, this.boundaries.minX, this.boundaries.maxX);
+      const followDistance = this.viewerOptions.followDistance !== undefined ? this.viewerOptions.followDistance : 0.3;
+      if (Math.abs(targetX - this.model.position.x) > followDistance) {
+        this.walkTo(targetX, this.model.position.z);
+        return;
+      }
+    }
+    
+    this.faceTowards(this.viewerPoint);
+  }
+
+  /**
+   * 来場者が離れたときの処理（外部から呼び出し可能）
+   * 視線を戻し、しばらくしてから自律的な移動を再開する
+   */
+  releaseViewer() {
+    if (!this.viewer) return;
+    this.viewer = null;
+    
+    if (this.stateMachine) {
+      this.stateMachine.setAudiencePresent(false);
+    }
+    if (this.gazeController && this.gazeController.explicitTarget === this.viewerPoint) {
+      this.gazeController.setTarget(null);
+    }
+    
+    // 歩行中（ついていく途中）の場合は到着後に再開する
+    if (this.isPaused || this.isMoving) return;
+    if (this.moveTimeout) {
+      clearTimeout(this.moveTimeout);
+    }
+    this.moveTimeout = setTimeout(() => {
+      this.startMoving();
+    }, this.idleInterval);
+  }
+
+  /**
+   * 来場者の画面上の横の位置から、目の位置（ワールド座標）を求める
+   * 来場者はカメラの位置（画面の前）にいるものとし、横の位置は移動範囲の幅に合わせる
+   * @param {{x: number}} viewer - 来場者
+   */
+  updateViewerPoint(viewer) {
+    const t = (THREE.MathUtils.clamp(viewer.x, -1, 1) + 1) / 2;
+    this.viewerPoint.set(
+      THREE.MathUtils.lerp(this.boundaries.minX, this.boundaries.maxX, t),
+      this.camera.position.y,
+      this.camera.position.z
+    );
+  }
+
+  /**
+   * 移動をやめて経路を破棄する（状態・タイマーは変更しない）
+   */
+  haltMovement() {
+    this.isMoving = false;
+    this.pointOfInterest = null;
+    this.path = [];
+    this.pathIndex = 0;
+    
+    if (this.gazeController) {
+      this.gazeController.setDestination(null);
+    }
+  }
+
   /**
-   * ランダムな目的地を設定する
+   * 次の目的地を設定する
+   * 名前付きの地点がある場合はその中から重みに応じて選び、ない場合は画面内のランダムな位置にする
    */
   setRandomDestination() {
-    // 画面内のランダムな位置を生成
-    const randomX = THREE.MathUtils.randFloat(this.boundaries.minX, this.boundaries.maxX);
-    const randomZ = THREE.MathUtils.randFloat(this.boundaries.minZ, this.boundaries.maxZ);
+    const exclude = this.currentPointName;
+    this.currentPointName = null;
+    this.pointOfInterest = null;
+    
+    if (this.navigation) {
+      const point = this.navigation.choosePointOfInterest(this.destinationFilter, exclude);
+      if (point) {
+        this.pointOfInterest = point;
+        console.log(`次の地点: ${point.name}`);
+        this.setDestination(point.x, point.z);
+        return;
+      }
+      
+      const randomPoint = this.navigation.getRandomPoint(this.destinationFilter, MAX_DESTINATION_ATTEMPTS);
+      if (randomPoint) {
+        this.setDestination(randomPoint.x, randomPoint.z);
+        return;
+      }
+    }
+    
+    // 画面内のランダムな位置を生成（他のキャラクターのそばは選び直す）
+    let randomX, randomZ;
+    for (let attempt = 0; attempt < MAX_DESTINATION_ATTEMPTS; attempt++) {
+      randomX = THREE.MathUtils.randFloat(this.boundaries.minX, this.boundaries.maxX);
+      randomZ = THREE.MathUtils.randFloat(this.boundaries.minZ, this.boundaries.maxZ);
+      if (!this.destinationFilter || this.destinationFilter(randomX, randomZ)) break;
+    }
+    
+    this.setDestination(randomX, randomZ);
+  }
+
+  /**
+   * 目的地を選ぶときの条件を設定する（複数キャラクター時にCharacterGroupが設定する）
+   * @param {Function|null} filter - (x, z) => 選んでよければtrue
+   */
+  setDestinationFilter(filter) {
+    this.destinationFilter = filter;
+  }
+
+  /**
+   * 他のキャラクターを避けるための横方向の補正を設定する（毎フレームCharacterGroupが設定する）
+   * @param {THREE.Vector3} avoidance - 進行方向に加えるベクトル
+   */
+  setAvoidance(avoidance) {
+    this.avoidance.copy(avoidance);
+  }
+
+  /**
+   * 立ち止まったまま、指定した位置の方へ体を向ける
+   * @param {THREE.Vector3} point - 向く位置（ワールド座標）
+   */
+  faceTowards(point) {
+    if (this.isMoving) return;
+    
+    this.targetRotation = Math.atan2(point.x - this.model.position.x, point.z - this.model.position.z);
+    this.isTurning = true;
+  }
+
+  /**
+   * ナビゲーショングリッドを設定する（nullの場合は障害物を考えずにまっすぐ歩く）
+   * @param {NavigationGrid|null} navigation - ナビゲーショングリッド
+   */
+  setNavigation(navigation) {
+    this.navigation = navigation;
+    
+    if (navigation) {
+      navigation.setBounds(this.boundaries);
+      this.clampToBoundaries();
+    }
+    this.replan();
+  }
+
+  /**
+   * 歩行中の経路を求め直す（障害物・歩行可能な領域の変更時に使用）
+   */
+  replan() {
+    if (this.isMoving) {
+      this.setDestination(this.destination.x, this.destination.z);
+    } else {
+      this.path = [];
+      this.pathIndex = 0;
+    }
+  }
+
+  /**
+   * 目的地を設定し、向かう方向を計算する
+   * ナビゲーショングリッドがある場合は障害物を避ける経路を求める（経路がない場合はその場で立ち止まる）
+   * @param {number} x - 目的地のX座標
+   * @param {number} z - 目的地のZ座標
+   */
+  setDestination(x, z) {
+    this.destination.set(x, 0, z);
+    this.path = [];
+    this.pathIndex = 0;
+    
+    if (this.navigation) {
+      this.path = this.navigation.findPath(this.model.position, this.destination);
+      if (this.path.length > 0) {
+        this.destination.copy(this.path[this.path.length - 1]);
+      } else {
+        console.warn(`目的地 (${x.toFixed(2)}, ${z.toFixed(2)}) までの経路が見つかりません`);
+        this.destination.set(this.model.position.x, 0, this.model.position.z);
+      }
+    }
     
-    this.destination.set(randomX, 0, randomZ);
+    // 体より先に顔を目的地へ向ける
+    if (this.gazeController) {
+      this.gazeController.setDestination(this.destination);
+    }
     
-    // 目的地への方向ベクトルを計算
-    this.direction.subVectors(this.destination, this.model.position).normalize();
+    // 最初の経由点への方向ベクトルを計算
+    this.direction.subVectors(this.getSteeringTarget(), this.model.position).setY(0).normalize();
     
     // 移動方向の角度を計算（正面を向くよう調整）
     if (this.direction.length() > 0) {
       // Z軸を前方として、移動方向に向く回転を計算
       this.targetRotation = Math.atan2(this.direction.x, this.direction.z);
       
-      console.log(`新しい目的地: (${randomX.toFixed(2)}, ${randomZ.toFixed(2)})`);
+      console.log(`新しい目的地: (${this.destination.x.toFixed(2)}, ${this.destination.z.toFixed(2)})${this.path.length > 1 ? ` 経由点${this.path.length - 1}個` : ''}`);
       console.log(`移動方向: ${this.targetRotation.toFixed(2)} rad`);
     }
   }
 
+  /**
+   * いま向かっている位置（経路がある場合は次の経由点、ない場合は目的地）
+   * @returns {THREE.Vector3} 位置
+   */
+  getSteeringTarget() {
+    return this.path.length > 0 ? this.path[this.pathIndex] : this.destination;
+  }
+
+  /**
+   * 経由点の手前（navigation.lookAhead）まで来て、次の経由点が見通せる場合は次に進む
+   * 角を手前から曲がり始めるため、経路に沿ってなめらかに向きを変える
+   */
+  advanceWaypoint() {
+    const position = this.model.position;
+    while (this.pathIndex < this.path.length - 1) {
+      const waypoint = this.path[this.pathIndex];
+      const distance = Math.hypot(waypoint.x - position.x, waypoint.z - position.z);
+      if (distance > this.navigation.lookAhead || !this.navigation.hasLineOfSight(position, this.path[this.pathIndex + 1])) {
+        break;
+      }
+      this.pathIndex++;
+    }
+  }
+
+  /**
+   * 目的地への方向を現在の位置から求め直す（回避で押し出された後も目的地へ向かうため）
+   * @param {boolean} withAvoidance - 他のキャラクターを避ける補正を加える場合はtrue
+   */
+  updateDirection(withAvoidance = true) {
+    if (this.navigation && this.path.length > 0) {
+      this.advanceWaypoint();
+    }
+    
+    this.direction.subVectors(this.getSteeringTarget(), this.model.position).setY(0).normalize();
+    if (withAvoidance) {
+      this.direction.add(this.avoidance).setY(0).normalize();
+    }
+    
+    if (this.direction.lengthSq() > 0) {
+      this.targetRotation = Math.atan2(this.direction.x, this.direction.z);
+    }
+  }
+
   /**
    * キャラクターの回転を滑らかに更新する
+   * @returns {number} 残りの回転角（rad）
    */
   updateRotation() {
-    if (!this.isMoving) return;
-    
     // 現在の回転と目標回転の差を計算
     let rotationDiff = this.targetRotation - this.currentRotation;
     
@@ -201,7 +774,37 @@ export class CharacterController {
     
     // モデルの回転を適用
     this.model.rotation.y = this.currentRotation;
-  }  /**
+    
+    return rotationDiff;
+  }
+
+  /**
+   * キャラクターの位置を画面の境界内に収める
+   * ナビゲーショングリッドがある場合は、障害物の上や歩行可能な領域の外から最も近い歩ける位置に戻す
+   */
+  clampToBoundaries() {
+    this.model.position.x = THREE.MathUtils.clamp(
+      this.model.position.x,
+      this.boundaries.minX,
+      this.boundaries.maxX
+    );
+    
+    this.model.position.z = THREE.MathUtils.clamp(
+      this.model.position.z,
+      this.boundaries.minZ,
+      this.boundaries.maxZ
+    );
+    
+    if (this.navigation && !this.navigation.isWalkable(this.model.position.x, this.model.position.z)) {
+      const nearest = this.navigation.findNearestWalkable(this.model.position.x, this.model.position.z);
+      if (nearest) {
+        this.model.position.x = nearest.x;
+        this.model.position.z = nearest.z;
+      }
+    }
+  }
+
+  /**
    * キャラクターの状態を更新する
    */
   update(deltaTime = 0.016) {
@@ -210,11 +813,29 @@ export class CharacterController {
       this.stateMachine.update();
     }
     
+    // ループしないアニメーションが終わったらアイドルに戻す（先に別のアニメーションに切り替わった場合は何もしない）
+    if (this.oneShotAction) {
+      if (this.oneShotAction !== this.animationManager.currentAnimation) {
+        this.oneShotAction = null;
+      } else if (!this.oneShotAction.isRunning()) {
+        this.oneShotAction = null;
+        if (!this.isMoving) {
+          this.returnToIdle();
+        }
+      }
+    }
+    
     // 表情管理の更新
     if (this.expressionManager) {
       this.expressionManager.update();
     }
     
+    // 視線の更新（AnimationMixerの姿勢に首・頭の回転を加える）
+    if (this.gazeController) {
+      const state = this.stateMachine ? this.stateMachine.currentState : (this.isMoving ? 'walking' : 'idle');
+      this.gazeController.update(deltaTime, state);
+    }
+    
     // 移動処理
     if (this.isMoving) {
       // 目的地までの距離を計算
@@ -222,39 +843,90 @@ export class CharacterController {
       
       if (distanceToTarget > 0.1) {
         // 滑らかな回転更新
+        this.updateDirection();
         this.updateRotation();
         
         // 目的地に向かって移動（フレームレート独立）
-        const actualMoveSpeed = this.moveSpeed * deltaTime * 60; // 60FPS基準
+        const actualMoveSpeed = this.getMoveSpeed() * deltaTime;
         const moveVector = this.direction.clone().multiplyScalar(actualMoveSpeed);
+        
+        // 回避の補正で障害物に入る場合は、補正せずに経路に沿って進む
+        if (this.navigation && this.avoidance.lengthSq() > 0 &&
+            !this.navigation.isWalkable(this.model.position.x + moveVector.x, this.model.position.z + moveVector.z)) {
+          this.updateDirection(false);
+          moveVector.copy(this.direction).multiplyScalar(actualMoveSpeed);
+        }
         this.model.position.add(moveVector);
         
         // キャラクターの位置が境界内に収まるよう制限
-        this.model.position.x = THREE.MathUtils.clamp(
-          this.model.position.x,
-          this.boundaries.minX,
-          this.boundaries.maxX
-        );
-        
-        this.model.position.z = THREE.MathUtils.clamp(
-          this.model.position.z,
-          this.boundaries.minZ,
-          this.boundaries.maxZ
-        );
+        this.clampToBoundaries();
       } else {
         // 目的地に到着
+        const point = this.pointOfInterest;
         this.stopMoving();
+        if (this.viewer) {
+          // 来場者についてきた場合はその方を向く
+          this.faceTowards(this.viewerPoint);
+        } else if (point) {
+          this.arriveAt(point);
+        }
+      }
+    } else if (this.isTurning) {
+      // 立ち止まったまま向きを変える
+      if (Math.abs(this.updateRotation()) < 0.01) {
+        this.isTurning = false;
+      }
+    }
+    
+    // 実際の移動速度を求め、歩行・走行のブレンドに反映する
+    if (deltaTime > 0) {
+      this.currentSpeed = this.model.position.distanceTo(this.lastPosition) / deltaTime;
+      this.animationManager.setLocomotionSpeed(this.currentSpeed / this.model.scale.x);
+    }
+    this.lastPosition.copy(this.model.position);
+  }
+  /**
+   * 名前付きの地点に到着したときの処理（facingが指定されていればその向きに振り向く）
+   * @param {Object} point - 地点（config.navigation.pointsOfInterestの要素）
+   */
+  arriveAt(point) {
+    this.currentPointName = point.name;
+    console.log(`地点に到着しました: ${point.name}`);
+    
+    if (point.facing !== undefined && !this.isMoving) {
+      // 0度が正面（カメラの方）
+      this.targetRotation = THREE.MathUtils.degToRad(point.facing);
+      this.isTurning = true;
+    }
+  }
+
+  /**
+   * 1秒あたりの移動距離を求める
+   * locomotion.rootMotionが"drive"で歩行アニメーションにルートモーションがある場合は、その歩幅で進む
+   * @returns {number} 移動速度（m/秒）
+   */
+  getMoveSpeed() {
+    const locomotion = this.config.locomotion || {};
+    if (locomotion.rootMotion === 'drive') {
+      const strideSpeed = this.animationManager.getRootMotionSpeed('walk');
+      if (strideSpeed) {
+        return strideSpeed * this.model.scale.x;
       }
     }
+    return this.moveSpeed * 60; // 60FPS基準
   }
+
   /**
    * キャラクターの初期位置を設定する
+   * @param {number} x - X座標（省略時は画面の中央）
+   * @param {number} z - Z座標
    */
-  setInitialPosition() {
-    // 画面の中央に配置
-    this.model.position.set(0, 0, 0);
+  setInitialPosition(x = 0, z = 0) {
+    this.model.position.set(x, 0, z);
+    this.clampToBoundaries();
     this.currentRotation = 0;
     this.model.rotation.y = 0;
+    this.lastPosition.copy(this.model.position);
   }
 
   /**
@@ -267,14 +939,68 @@ export class CharacterController {
         this.expressionManager = new ExpressionManager(vrm);
         console.log('VRM設定後に表情管理システムを初期化しました');
         
-        // ステートマシンも再初期化
+        // ステートマシンにも表情管理を渡す
         if (!this.stateMachine) {
           this.initializeStateMachine();
+        } else {
+          this.stateMachine.expressionManager = this.expressionManager;
         }
       } catch (error) {
         console.error('VRM設定後の表情管理初期化に失敗:', error);
       }
     }
+    
+    if (vrm && !this.gazeController) {
+      this.gazeController = new GazeController(vrm, this.camera, this.config.gaze);
+      console.log('視線制御を初期化しました');
+    }
+  }
+
+  /**
+   * 設定の変更を反映する（設定ファイルのホットリロード用）
+   * @param {Object} config - 新しい設定
+   */
+  applyConfig(config) {
+    this.config = config;
+    this.moveSpeed = config.character.moveSpeed;
+    this.rotationSpeed = config.character.rotationSpeed;
+    this.moveInterval = config.character.moveInterval;
+    this.idleInterval = config.character.idleInterval;
+    
+    // カメラ位置・体の大きさが変わっている可能性があるため境界を再計算
+    this.calculateScreenBoundaries();
+    
+    if (this.stateMachine) {
+      this.stateMachine.applyConfig(config);
+    }
+    
+    if (this.gazeController) {
+      this.gazeController.applyConfig(config.gaze);
+    }
+    
+    console.log('キャラクター設定を更新しました');
+  }
+
+  /**
+   * タイマーを停止してコントローラーを破棄する（モデル差し替え時に使用）
+   */
+  dispose() {
+    if (this.moveTimeout) {
+      clearTimeout(this.moveTimeout);
+      this.moveTimeout = null;
+    }
+
+    this.isMoving = false;
+    this.isTurning = false;
+    this.viewer = null;
+
+    if (this.expressionManager) {
+      this.expressionManager.clearExpressions();
+    }
+
+    if (this.gazeController) {
+      this.gazeController.dispose();
+    }
   }
 
   /**
@@ -284,13 +1010,20 @@ export class CharacterController {
   getDebugInfo() {
     const baseInfo = {
       isMoving: this.isMoving,
+      isPaused: this.isPaused,
       position: {
         x: this.model.position.x.toFixed(2),
         y: this.model.position.y.toFixed(2),
         z: this.model.position.z.toFixed(2)
       },
       rotation: this.currentRotation.toFixed(2),
-      targetRotation: this.targetRotation.toFixed(2)
+      targetRotation: this.targetRotation.toFixed(2),
+      speed: this.currentSpeed.toFixed(2),
+      isTurning: this.isTurning,
+      isAvoiding: this.avoidance.lengthSq() > 0,
+      waypoints: Math.max(0, this.path.length - this.pathIndex),
+      viewer: this.viewer ? Number(this.viewer.x.toFixed(2)) : null,
+      pointOfInterest: this.pointOfInterest ? this.pointOfInterest.name : this.currentPointName
     };
     
     // ステートマシンのデバッグ情報を追加
@@ -303,6 +1036,11 @@ export class CharacterController {
       baseInfo.expressions = this.expressionManager.getDebugInfo();
     }
     
+    // 視線制御のデバッグ情報を追加
+    if (this.gazeController) {
+      baseInfo.gaze = this.gazeController.getDebugInfo();
+    }
+    
     return baseInfo;
   }
 }
@@ -0,0 +1,344 @@
+import * as THREE from 'three';
+
+// 目的地に選ばない範囲（パーソナルスペースの倍率）
+const DESTINATION_MARGIN = 1.5;
+// 前方の他のキャラクターを避け始める距離（パーソナルスペースの倍率）
+const AVOIDANCE_RANGE = 2.5;
+// 回避しても進めないとみなす速度（m/秒）と、立ち止まらせるまでの時間（秒）
+const STUCK_SPEED = 0.05;
+const STUCK_TIME = 1.0;
+// 向かい合ったときの表情の表示時間（ミリ秒）
+const GREETING_DURATION = 2000;
+
+/**
+ * キャラクターグループクラス
+ * 同じシーンにいる複数のキャラクターが互いにぶつからないよう回避させ、
+ * 近くで立ち止まったキャラクター同士を向かい合わせる（config.interaction）
+ */
+export class CharacterGroup {
+  /**
+   * コンストラクタ
+   * @param {Array<Character>} characters - キャラクターの配列（呼び出し側で追加・削除してよい）
+   * @param {Object} options - オプション（config.interaction）
+   */
+  constructor(characters, options = {}) {
+    this.characters = characters;
+    this.facingPairs = new Map(); // "id:id" -> [キャラクター, キャラクター]
+    this.lastPositions = new WeakMap(); // キャラクター -> 前のフレームの位置
+    this.stuckTimes = new WeakMap();    // キャラクター -> 進めていない時間（秒）
+    this.applyConfig(options);
+  }
+
+  /**
+   * 設定を反映する
+   * @param {Object} options - オプション（config.interaction）
+   */
+  applyConfig(options = {}) {
+    this.avoidance = options.avoidance !== false;
+    this.personalSpace = options.personalSpace !== undefined ? options.personalSpace : 0.6;
+    this.faceEachOther = options.faceEachOther !== false;
+    this.faceDistance = options.faceDistance !== undefined ? options.faceDistance : 1.2;
+    this.expression = options.expression || null;
+
+    if (!this.faceEachOther) {
+      this.releaseAllPairs();
+    }
+  }
+
+  /**
+   * キャラクターを登録する（目的地の選択で他のキャラクターのそばを避けさせる）
+   * @param {Character} character - キャラクター
+   */
+  attach(character) {
+    character.controller.setDestinationFilter((x, z) => this.isDestinationFree(character, x, z));
+  }
+
+  /**
+   * 目的地に他のキャラクター（歩行中の場合はその目的地）がいないかどうか
+   * @param {Character} character - 目的地を選ぶキャラクター
+   * @param {number} x - 目的地のX座標
+   * @param {number} z - 目的地のZ座標
+   * @returns {boolean} 選んでよければtrue
+   */
+  isDestinationFree(character, x, z) {
+    if (!this.avoidance) return true;
+
+    const margin = this.personalSpace * DESTINATION_MARGIN;
+    return this.getOthers(character).every((other) => {
+      const position = other.getPosition();
+      if (Math.hypot(position.x - x, position.z - z) < margin) return false;
+
+      const controller = other.controller;
+      return !controller.isMoving || Math.hypot(controller.destination.x - x, controller.destination.z - z) >= margin;
+    });
+  }
+
+  /**
+   * 毎フレームの更新処理（各キャラクターの移動の後に呼ぶ）
+   * @param {number} deltaTime - 経過時間（秒）
+   */
+  update(deltaTime) {
+    const active = this.characters.filter((character) => character.controller);
+
+    if (this.avoidance && active.length > 1) {
+      this.updateAvoidance(active);
+      this.separate(active);
+      this.checkStuck(active, deltaTime);
+    } else {
+      active.forEach((character) => character.controller.avoidance.set(0, 0, 0));
+    }
+
+    if (this.faceEachOther) {
+      this.updateFacing(active);
+    }
+  }
+
+  /**
+   * 歩行中のキャラクターの前方にいる他のキャラクターを横に避ける補正を求める
+   * 目的地が他のキャラクターにふさがれている場合は、その手前で立ち止まらせる
+   * @param {Array<Character>} active - キャラクター
+   */
+  updateAvoidance(active) {
+    const range = this.personalSpace * AVOIDANCE_RANGE;
+    const offset = new THREE.Vector3();
+    const side = new THREE.Vector3();
+    const steer = new THREE.Vector3();
+    const goal = new THREE.Vector3();
+
+    for (const character of active) {
+      const controller = character.controller;
+      steer.set(0, 0, 0);
+
+      if (controller.isMoving) {
+        const position = character.getPosition();
+        goal.subVectors(controller.getSteeringTarget(), position).setY(0).normalize();
+
+        for (const other of active) {
+          if (other === character) continue;
+          const otherPosition = other.getPosition();
+
+          // ふさがれた目的地に向かっている場合は、相手の手前まで来たら到着とみなす
+          if (otherPosition.distanceTo(controller.destination) < this.personalSpace &&
+              position.distanceTo(otherPosition) < this.personalSpace * DESTINATION_MARGIN) {
+            console.log(`目的地が${other.id}にふさがれているため、${character.id}が立ち止まります`);
+            controller.stopMoving();
+            break;
+          }
+
+          offset.subVectors(position, otherPosition).setY(0);
+          const distance = offset.length();
+
+          // 前方の一定距離内にいる相手だけを避ける
+          if (distance >= range || offset.dot(goal) > 0) continue;
+
+          // 相手を回り込む向き（相手への方向に垂直で、目的地に近い方）と、相手から離れる向きを加える
+          offset.divideScalar(distance || 1);
+          side.set(offset.z, 0, -offset.x);
+          if (side.dot(goal) < 0) side.negate();
+          const weight = (range - distance) / range * 2;
+          steer.addScaledVector(side, weight).addScaledVector(offset, weight * 0.5);
+        }
+      }
+
+      controller.setAvoidance(steer);
+    }
+  }
+
+  /**
+   * パーソナルスペースより近づいたキャラクター同士を押し離す
+   * 歩行中のキャラクターを優先して動かし、立ち止まっているキャラクターはなるべく動かさない
+   * @param {Array<Character>} active - キャラクター
+   */
+  separate(active) {
+    const offset = new THREE.Vector3();
+
+    for (let i = 0; i < active.length; i++) {
+      for (let j = i + 1; j < active.length; j++) {
+        const a = active[i];
+        const b = active[j];
+        offset.subVectors(a.getPosition(), b.getPosition()).setY(0);
+        const distance = offset.length();
+        if (distance >= this.personalSpace) continue;
+
+        // 同じ位置にいる場合は横に離す
+        if (distance === 0) offset.set(1, 0, 0);
+        offset.normalize().multiplyScalar(this.personalSpace - distance);
+
+        const aMoving = a.controller.isMoving;
+        const bMoving = b.controller.isMoving;
+        const aShare = aMoving === bMoving ? 0.5 : (aMoving ? 1 : 0);
+
+        a.getPosition().addScaledVector(offset, aShare);
+        b.getPosition().addScaledVector(offset, -(1 - aShare));
+        a.controller.clampToBoundaries();
+        b.controller.clampToBoundaries();
+      }
+    }
+  }
+
+  /**
+   * 回避しても進めない（画面の端で相手を回り込めないなど）キャラクターをその場で立ち止まらせる
+   * @param {Array<Character>} active - キャラクター
+   * @param {number} deltaTime - 経過時間（秒）
+   */
+  checkStuck(active, deltaTime) {
+    for (const character of active) {
+      const controller = character.controller;
+      const position = character.getPosition();
+
+      let lastPosition = this.lastPositions.get(character);
+      const speed = lastPosition && deltaTime > 0 ? lastPosition.distanceTo(position) / deltaTime : Infinity;
+      if (!lastPosition) {
+        lastPosition = new THREE.Vector3();
+        this.lastPositions.set(character, lastPosition);
+      }
+      lastPosition.copy(position);
+
+      if (!controller.isMoving || controller.avoidance.lengthSq() === 0 || speed >= STUCK_SPEED) {
+        this.stuckTimes.delete(character);
+        continue;
+      }
+
+      const stuckTime = (this.stuckTimes.get(character) || 0) + deltaTime;
+      if (stuckTime >= STUCK_TIME) {
+        console.log(`他のキャラクターを避けられないため、${character.id}が立ち止まります`);
+        controller.stopMoving();
+        this.stuckTimes.delete(character);
+      } else {
+        this.stuckTimes.set(character, stuckTime);
+      }
+    }
+  }
+
+  /**
+   * 近くで立ち止まったキャラクター同士を向かい合わせ、視線を相手の頭に向ける
+   * 離れる・歩き出すと視線を元に戻す
+   * @param {Array<Character>} active - キャラクター
+   */
+  updateFacing(active) {
+    const nearPairs = new Set();
+
+    for (let i = 0; i < active.length; i++) {
+      for (let j = i + 1; j < active.length; j++) {
+        const a = active[i];
+        const b = active[j];
+        if (!this.isStanding(a) || !this.isStanding(b)) continue;
+        if (a.getPosition().distanceTo(b.getPosition()) > this.faceDistance) continue;
+
+        const key = `${a.id}:${b.id}`;
+        nearPairs.add(key);
+        if (!this.facingPairs.has(key)) {
+          this.facingPairs.set(key, [a, b]);
+          this.face(a, b);
+          this.face(b, a);
+        }
+      }
+    }
+
+    for (const [key, pair] of this.facingPairs) {
+      if (!nearPairs.has(key)) {
+        this.releasePair(pair);
+        this.facingPairs.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 立ち止まっていて、向かい合わせてよいキャラクターかどうか（一時停止中は外部の操作を、来場者がいる間は来場者を優先する）
+   * @param {Character} character - キャラクター
+   * @returns {boolean} 向かい合わせてよければtrue
+   */
+  isStanding(character) {
+    return !character.controller.isMoving && !character.controller.isPaused && !character.controller.viewer;
+  }
+
+  /**
+   * キャラクターを相手の方へ向ける
+   * @param {Character} character - 向きを変えるキャラクター
+   * @param {Character} other - 相手
+   */
+  face(character, other) {
+    const controller = character.controller;
+    controller.faceTowards(other.getPosition());
+
+    if (controller.gazeController) {
+      controller.gazeController.setTarget(other.getHeadNode());
+    }
+    if (this.expression && controller.expressionManager && controller.expressionManager.isEnabled) {
+      controller.expressionManager.setExpression(this.expression, 1.0, GREETING_DURATION);
+    }
+    console.log(`${character.id}が${other.id}の方を向きます`);
+  }
+
+  /**
+   * 向かい合わせたキャラクターの視線を元に戻す
+   * @param {Array<Character>} pair - 向かい合わせた2体
+   */
+  releasePair([a, b]) {
+    this.releaseGaze(a, b);
+    this.releaseGaze(b, a);
+  }
+
+  /**
+   * 相手を見ている場合だけ視線を自動に戻す（他の操作で設定された注視点は残す）
+   * @param {Character} character - キャラクター
+   * @param {Character} other - 相手
+   */
+  releaseGaze(character, other) {
+    const gazeController = character.controller && character.controller.gazeController;
+    if (gazeController && gazeController.explicitTarget && gazeController.explicitTarget === other.getHeadNode()) {
+      gazeController.setTarget(null);
+    }
+  }
+
+  /**
+   * 向かい合わせをすべて解除する
+   */
+  releaseAllPairs() {
+    if (!this.facingPairs) return;
+    for (const pair of this.facingPairs.values()) {
+      if (pair.every((character) => character.controller)) {
+        this.releasePair(pair);
+      }
+    }
+    this.facingPairs.clear();
+  }
+
+  /**
+   * 破棄されたキャラクターを含む向かい合わせを取り除く（キャラクターの差し替え時に使用）
+   * @param {Character} character - 取り除くキャラクター
+   */
+  remove(character) {
+    for (const [key, pair] of this.facingPairs) {
+      if (pair.includes(character)) {
+        const other = pair[0] === character ? pair[1] : pair[0];
+        if (other.controller) {
+          this.releaseGaze(other, character);
+        }
+        this.facingPairs.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 他のキャラクター
+   * @param {Character} character - キャラクター
+   * @returns {Array<Character>} 読み込み済みの他のキャラクター
+   */
+  getOthers(character) {
+    return this.characters.filter((other) => other !== character && other.controller);
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      count: this.characters.length,
+      avoidance: this.avoidance,
+      faceEachOther: this.faceEachOther,
+      facingPairs: Array.from(this.facingPairs.keys())
+    };
+  }
+}
@@ -3,56 +3,202 @@ import * as THREE from 'three';
 /**
  * キャラクターステートマシン
  * キャラクターの状態遷移と行動を管理する
+ *
+ * 状態・遷移・ガード条件・最小継続時間・アニメーション・表情はJSONの状態定義ファイルで宣言する
+ * （既定の定義は public/states/default.json）
+ *
+ * 状態定義の形式:
+ * {
+ *   "initialState": "idle",
+ *   "transitionDuration": 500,
+ *   "transitionWarp": false,
+ *   "states": {
+ *     "<状態名>": {
+ *       "minDuration": 6000 または "character.idleInterval"（config.jsonの値を参照）,
+ *       "animation": "idle" | "walk" | "locomotion" | "<クリップ名>" | { "name": "<クリップ名>", "loop": false } | { "tags": ["greeting"] },
+ *       "expression": "random" | "walking" | { "name": "happy", "weight": 1.0, "duration": 2000 },
+ *       "expressionDelay": 500,
+ *       "expressionLoop": true,
+ *       "transitions": [{ "to": "<状態名>", "weight": 1, "guard": { "<ガード名>": <引数> }, "duration": 300, "warp": true, "sync": false }]
+ *     }
+ *   }
+ * }
+ *
+ * "locomotion" は移動速度に応じてアイドル・歩行・走行を混ぜるブレンドツリーで再生する
+ * 遷移の duration（ミリ秒）・warp・sync はクロスフェードの設定で、省略時は transitionDuration・transitionWarp を使う
+ * 組み込みのガード: animationFinished（アニメーションが終わったか）・previousState（直前の状態）・audience（画面の前に来場者がいるか）
  */
 export class CharacterStateMachine {
-  constructor(animationManager, expressionManager, config) {
+  /**
+   * コンストラクタ
+   * @param {AnimationManager} animationManager - アニメーション管理
+   * @param {ExpressionManager} expressionManager - 表情管理
+   * @param {Object} config - 設定
+   * @param {Object} definition - 状態定義（loadDefinition()で読み込んだもの）
+   */
+  constructor(animationManager, expressionManager, config, definition) {
+    if (!definition) {
+      throw new Error('状態定義が指定されていません');
+    }
+    
     this.animationManager = animationManager;
     this.expressionManager = expressionManager;
     this.config = config;
+    this.definition = definition;
     
-    // 状態定義
-    this.states = {
-      IDLE: 'idle',
-      WALKING: 'walking',
-      TRANSITIONING: 'transitioning'
-    };
+    // 状態名の一覧（例: { IDLE: 'idle', WALKING: 'walking' }）
+    this.states = {};
+    for (const name of Object.keys(definition.states)) {
+      this.states[name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')] = name;
+    }
     
     // 現在の状態
-    this.currentState = this.states.IDLE;
+    this.currentState = definition.initialState;
     this.previousState = null;
     this.stateStartTime = Date.now();
-    this.transitionProgress = 0;
     
-    // 状態継続時間の管理
-    this.stateMinDurations = {
-      [this.states.IDLE]: config.character.idleInterval || 6000,
-      [this.states.WALKING]: config.character.moveInterval || 5000
-    };
+    // アニメーション遷移（クロスフェード）の既定値
+    this.transitionDuration = definition.transitionDuration !== undefined ? definition.transitionDuration : 500;
+    this.transitionWarp = definition.transitionWarp === true;
+    
+    // 自動状態遷移の有効/無効（リモート操作での一時停止用）
+    this.autoTransitionsEnabled = true;
     
-    // アニメーション遷移の管理
-    this.currentAnimationAction = null;
-    this.nextAnimationAction = null;
-    this.isTransitioning = false;
-    this.transitionDuration = 500; // 0.5秒の遷移時間
+    // 画面の前に来場者がいるか（ガード条件 audience で参照する）
+    this.audiencePresent = false;
     
-    // アイドルアニメーションのローテーション
+    // ガード条件（外部から registerGuard() で追加できる）
+    this.guards = new Map();
+    this.registerDefaultGuards();
+    
+    // 最後に選ばれたアイドルアニメーション
     this.lastIdleAnimation = null;
-    this.idleAnimationCooldown = new Set();
     
     console.log('CharacterStateMachine初期化完了');
   }
 
+  /**
+   * 状態定義ファイルを読み込んで検証する
+   * @param {string} path - 状態定義JSONのパス
+   * @returns {Promise<Object>} 状態定義
+   */
+  static async loadDefinition(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error(`状態定義ファイルの読み込みに失敗しました: ${path} (${response.status})`);
+    }
+    
+    const definition = await response.json();
+    CharacterStateMachine.validateDefinition(definition);
+    
+    console.log(`状態定義を読み込みました: ${path} (${Object.keys(definition.states).join(', ')})`);
+    return definition;
+  }
+
+  /**
+   * 状態定義の整合性を確認する
+   * @param {Object} definition - 状態定義
+   */
+  static validateDefinition(definition) {
+    if (!definition || typeof definition.states !== 'object' || Object.keys(definition.states).length === 0) {
+      throw new Error('状態定義にstatesがありません');
+    }
+    if (!definition.states[definition.initialState]) {
+      throw new Error(`initialStateが定義されていません: ${definition.initialState}`);
+    }
+    
+    for (const [name, state] of Object.entries(definition.states)) {
+      for (const transition of state.transitions || []) {
+        if (!definition.states[transition.to]) {
+          throw new Error(`状態「${name}」の遷移先が定義されていません: ${transition.to}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * 組み込みのガード条件を登録する
+   */
+  registerDefaultGuards() {
+    // 再生中のアニメーション（ループしないもの）が終わったか
+    this.registerGuard('animationFinished', (expected) => {
+      const action = this.animationManager && this.animationManager.currentAnimation;
+      const finished = !action || !action.isRunning();
+      return finished === expected;
+    });
+    
+    // 直前の状態が指定のものか
+    this.registerGuard('previousState', (states) => {
+      return [].concat(states).includes(this.previousState);
+    });
+    
+    // 画面の前に来場者がいるか（config.presence）
+    this.registerGuard('audience', (expected) => {
+      return this.audiencePresent === expected;
+    });
+  }
+
+  /**
+   * ガード条件を登録する
+   * @param {string} name - ガード名（状態定義の guard のキー）
+   * @param {Function} predicate - (引数, ステートマシン) => boolean
+   */
+  registerGuard(name, predicate) {
+    this.guards.set(name, predicate);
+  }
+
+  /**
+   * 遷移のガード条件をすべて満たしているか判定する
+   * @param {Object} guard - ガード条件（{ ガード名: 引数 }）
+   * @returns {boolean} 遷移できるか
+   */
+  checkGuard(guard) {
+    if (!guard) return true;
+    
+    return Object.entries(guard).every(([name, arg]) => {
+      const predicate = this.guards.get(name);
+      if (!predicate) {
+        console.warn(`未知のガード条件: ${name}`);
+        return false;
+      }
+      return predicate(arg, this);
+    });
+  }
+
+  /**
+   * 状態の最小継続時間を取得する
+   * 文字列の場合はconfig.jsonの値（ドット区切りのパス）を参照する
+   * @param {string} state - 状態名
+   * @returns {number} 最小継続時間（ミリ秒）
+   */
+  getMinDuration(state) {
+    const definition = this.definition.states[state];
+    const value = definition && definition.minDuration;
+    
+    if (typeof value === 'string') {
+      const resolved = value.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), this.config);
+      return typeof resolved === 'number' ? resolved : 0;
+    }
+    return value || 0;
+  }
+
   /**
    * 状態を変更する
    * @param {string} newState - 新しい状態
    * @param {boolean} force - 強制的に状態変更するか
+   * @param {Object} transition - 遷移の定義（クロスフェードの duration・warp・sync）
    */
-  changeState(newState, force = false) {
+  changeState(newState, force = false, transition = {}) {
     if (!force && this.currentState === newState) return;
     
+    if (!this.definition.states[newState]) {
+      console.warn(`未知の状態: ${newState}`);
+      return false;
+    }
+    
     const now = Date.now();
     const currentStateDuration = now - this.stateStartTime;
-    const minDuration = this.stateMinDurations[this.currentState] || 0;
+    const minDuration = this.getMinDuration(this.currentState);
     
     // 最小継続時間のチェック（強制でない場合）
     if (!force && currentStateDuration < minDuration) {
@@ -67,165 +213,151 @@ export class CharacterStateMachine {
     this.stateStartTime = now;
     
     // 状態に応じた処理を実行
-    this.executeStateAction(newState);
+    this.executeStateAction(newState, transition);
     
     return true;
   }
 
   /**
-   * 状態に応じたアクションを実行
+   * 状態に入る際のアクション（アニメーション・表情）を実行
    * @param {string} state - 実行する状態
+   * @param {Object} transition - 遷移の定義（クロスフェードの設定）
    */
-  executeStateAction(state) {
-    switch(state) {
-      case this.states.IDLE:
-        this.enterIdleState();
-        break;
-      case this.states.WALKING:
-        this.enterWalkingState();
-        break;
-      case this.states.TRANSITIONING:
-        this.enterTransitioningState();
-        break;
-      default:
-        console.warn(`未知の状態: ${state}`);
-    }
-  }
-
-  /**
-   * アイドル状態に入る
-   */
-  enterIdleState() {
-    console.log('アイドル状態に移行');
-    
-    // アイドルアニメーションを選択・再生
-    this.playIdleAnimation();
-    
-    // 表情をアイドル用に設定
-    if (this.expressionManager) {
-      // 少し遅延を入れて自然な表情変化を演出
-      setTimeout(() => {
-        this.expressionManager.playRandomExpression();
-      }, 500);
+  executeStateAction(state, transition = {}) {
+    const definition = this.definition.states[state];
+    if (!definition) {
+      console.warn(`未知の状態: ${state}`);
+      return;
     }
-  }
-
-  /**
-   * 歩行状態に入る
-   */
-  enterWalkingState() {
-    console.log('歩行状態に移行');
     
-    // 歩行アニメーションを再生
-    this.smoothTransitionToAnimation(() => {
-      this.animationManager.playWalkAnimation();
-    });
+    console.log(`${state}状態に移行`);
     
-    // 歩行時の表情設定
-    if (this.expressionManager) {
-      this.expressionManager.setWalkingExpression();
+    this.playStateAnimation(definition.animation, this.getFadeOptions(transition));
+    
+    if (this.expressionManager && definition.expression) {
+      // 遅延を入れて自然な表情変化を演出
+      if (definition.expressionDelay) {
+        setTimeout(() => {
+          if (this.currentState === state) {
+            this.playStateExpression(definition.expression);
+          }
+        }, definition.expressionDelay);
+      } else {
+        this.playStateExpression(definition.expression);
+      }
     }
   }
 
   /**
-   * 遷移状態に入る
+   * 遷移の定義からクロスフェードのオプションを求める
+   * @param {Object} transition - 遷移の定義
+   * @returns {Object} AnimationManager.playAnimation()のオプション
    */
-  enterTransitioningState() {
-    console.log('遷移状態に移行');
-    this.isTransitioning = true;
+  getFadeOptions(transition = {}) {
+    const duration = transition.duration !== undefined ? transition.duration : this.transitionDuration;
+    return {
+      fadeDuration: duration / 1000,
+      warp: transition.warp !== undefined ? transition.warp === true : this.transitionWarp,
+      sync: transition.sync === true
+    };
   }
 
   /**
-   * アイドルアニメーションを再生（重複回避）
+   * 状態に対応するアニメーションを再生する
+   * @param {string|Object} animation - 状態定義のanimation
+   * @param {Object} fadeOptions - クロスフェードのオプション
    */
-  playIdleAnimation() {
-    if (!this.animationManager || !this.animationManager.animations.idle.length) {
-      console.warn('アイドルアニメーションが利用できません');
+  playStateAnimation(animation, fadeOptions = this.getFadeOptions()) {
+    if (!animation || !this.animationManager) return;
+    
+    if (animation === 'idle') {
+      this.playIdleAnimation([], fadeOptions);
       return;
     }
     
-    const availableAnimations = this.animationManager.animations.idle.filter(
-      (anim, index) => !this.idleAnimationCooldown.has(index)
-    );
-    
-    // すべてのアニメーションがクールダウン中の場合、リセット
-    if (availableAnimations.length === 0) {
-      this.idleAnimationCooldown.clear();
-      this.playIdleAnimation();
+    // タグを指定したアイドルアニメーション
+    if (animation.tags) {
+      this.playIdleAnimation(animation.tags, fadeOptions);
       return;
     }
     
-    // ランダムにアニメーションを選択
-    const randomIndex = Math.floor(Math.random() * availableAnimations.length);
-    const selectedAnimation = availableAnimations[randomIndex];
-    const originalIndex = this.animationManager.animations.idle.indexOf(selectedAnimation);
-    
-    // スムーズな遷移でアニメーションを再生
-    this.smoothTransitionToAnimation(() => {
-      this.animationManager.playAnimation(selectedAnimation);
-    });
+    if (animation === 'walk') {
+      this.animationManager.playWalkAnimation(fadeOptions);
+      return;
+    }
     
-    // クールダウンに追加
-    this.idleAnimationCooldown.add(originalIndex);
-    this.lastIdleAnimation = originalIndex;
+    if (animation === 'locomotion') {
+      this.animationManager.playLocomotion(fadeOptions);
+      return;
+    }
     
-    // クールダウンの管理（3つのアニメーションを記憶）
-    if (this.idleAnimationCooldown.size > Math.min(3, this.animationManager.animations.idle.length - 1)) {
-      const oldestIndex = this.idleAnimationCooldown.values().next().value;
-      this.idleAnimationCooldown.delete(oldestIndex);
+    const name = typeof animation === 'string' ? animation : animation.name;
+    const clip = this.animationManager.findAnimation(name);
+    if (!clip) {
+      console.warn(`状態定義のアニメーションが見つかりません: ${name}`);
+      return;
     }
     
-    console.log(`アイドルアニメーション選択: インデックス ${originalIndex}`);
+    this.animationManager.playAnimation(clip, { ...fadeOptions, loop: animation.loop !== false });
   }
 
   /**
-   * アニメーションの滑らかな遷移
-   * @param {Function} animationCallback - 新しいアニメーションを開始するコールバック
+   * 状態に対応する表情を設定する
+   * @param {string|Object} expression - 状態定義のexpression
    */
-  smoothTransitionToAnimation(animationCallback) {
-    if (!this.animationManager.currentAnimation) {
-      animationCallback();
+  playStateExpression(expression) {
+    if (expression === 'random') {
+      this.expressionManager.playRandomExpression();
+    } else if (expression === 'walking') {
+      this.expressionManager.setWalkingExpression();
+    } else if (typeof expression === 'object') {
+      this.expressionManager.setExpression(expression.name, expression.weight, expression.duration);
+    }
+  }
+
+  /**
+   * アイドルアニメーションを選択ルール（重み・cooldown・時間帯など）に従って再生
+   * @param {Array<string>} tags - 必要なタグ（省略時はすべてのアイドルアニメーションが候補）
+   * @param {Object} fadeOptions - クロスフェードのオプション
+   */
+  playIdleAnimation(tags = [], fadeOptions = this.getFadeOptions()) {
+    if (!this.animationManager || !this.animationManager.animations.idle.length) {
+      console.warn('アイドルアニメーションが利用できません');
       return;
     }
     
-    const currentAction = this.animationManager.currentAnimation;
+    const selectedAnimation = this.animationManager.selectIdleAnimation({ tags });
+    if (!selectedAnimation) return;
     
-    // 現在のアニメーションをフェードアウト
-    currentAction.fadeOut(this.transitionDuration / 1000);
+    // 現在のアニメーションからクロスフェードで再生
+    this.animationManager.playAnimation(selectedAnimation, fadeOptions);
     
-    // 新しいアニメーションを開始してフェードイン
-    setTimeout(() => {
-      animationCallback();
-      
-      if (this.animationManager.currentAnimation) {
-        this.animationManager.currentAnimation.reset();
-        this.animationManager.currentAnimation.fadeIn(this.transitionDuration / 1000);
-        this.animationManager.currentAnimation.play();
-      }
-    }, this.transitionDuration / 2);
+    this.lastIdleAnimation = selectedAnimation.name;
+    
+    const selection = this.animationManager.idleSelector.getDebugInfo();
+    console.log(`アイドルアニメーション選択: ${selectedAnimation.name} (${selection.reason})`);
   }
 
   /**
    * 自動状態遷移の判定
+   * 最小継続時間が経過し、ガード条件を満たした遷移の中から重みに従って1つ選ぶ
    */
   checkAutoTransitions() {
-    const now = Date.now();
-    const currentStateDuration = now - this.stateStartTime;
-    const minDuration = this.stateMinDurations[this.currentState] || 0;
-    
-    // 最小継続時間経過後の自動遷移
-    if (currentStateDuration >= minDuration) {
-      switch(this.currentState) {
-        case this.states.IDLE:
-          // アイドル状態から歩行状態への遷移
-          this.changeState(this.states.WALKING);
-          break;
-        case this.states.WALKING:
-          // 歩行状態からアイドル状態への遷移
-          this.changeState(this.states.IDLE);
-          break;
-      }
-    }
+    if (!this.autoTransitionsEnabled) return;
+    
+    const currentStateDuration = Date.now() - this.stateStartTime;
+    if (currentStateDuration < this.getMinDuration(this.currentState)) return;
+    
+    const definition = this.definition.states[this.currentState];
+    const candidates = (definition.transitions || []).filter((transition) => this.checkGuard(transition.guard));
+    if (candidates.length === 0) return;
+    
+    const totalWeight = candidates.reduce((sum, transition) => sum + (transition.weight || 1), 0);
+    let roll = Math.random() * totalWeight;
+    const selected = candidates.find((transition) => (roll -= transition.weight || 1) < 0) ||
+      candidates[candidates.length - 1];
+    
+    this.changeState(selected.to, false, selected);
   }
 
   /**
@@ -238,66 +370,62 @@ export class CharacterStateMachine {
 
   /**
    * 強制的な状態変更
-   * @param {string} newState - 強制する新しい状態  
+   * @param {string} newState - 強制する新しい状態
    */
   forceStateChange(newState) {
     return this.changeState(newState, true);
   }
 
   /**
-   * 更新処理
+   * 状態に入る際のアクションを実行せずに状態だけを切り替える
+   * 外部から再生したアニメーションを維持したい場合に使用する
+   * @param {string} newState - 新しい状態
    */
-  update() {
-    // 自動状態遷移の確認
-    this.checkAutoTransitions();
-    
-    // 現在の状態に応じた更新処理
-    switch(this.currentState) {
-      case this.states.IDLE:
-        this.updateIdleState();
-        break;
-      case this.states.WALKING:
-        this.updateWalkingState();
-        break;
-      case this.states.TRANSITIONING:
-        this.updateTransitioningState();
-        break;
-    }
+  holdState(newState) {
+    this.previousState = this.currentState;
+    this.currentState = newState;
+    this.stateStartTime = Date.now();
   }
 
   /**
-   * アイドル状態の更新
+   * 自動状態遷移の有効/無効を切り替える
+   * @param {boolean} enabled - 有効にするか
    */
-  updateIdleState() {
-    // 表情変化の管理
-    if (this.expressionManager) {
-      this.expressionManager.idleExpressionLoop();
-    }
+  setAutoTransitionsEnabled(enabled) {
+    this.autoTransitionsEnabled = enabled;
   }
 
   /**
-   * 歩行状態の更新
+   * 画面の前に来場者がいるかを設定する
+   * @param {boolean} present - いる場合はtrue
    */
-  updateWalkingState() {
-    // 歩行中の特別な処理があればここに追加
+  setAudiencePresent(present) {
+    this.audiencePresent = present;
   }
 
   /**
-   * 遷移状態の更新
+   * 更新処理
    */
-  updateTransitioningState() {
-    // 遷移完了の判定
-    if (this.isTransitioning) {
-      // 遷移時間経過後に次の状態へ
-      const now = Date.now();
-      if (now - this.stateStartTime >= this.transitionDuration) {
-        this.isTransitioning = false;
-        // 適切な次の状態に遷移
-        this.changeState(this.states.IDLE);
-      }
+  update() {
+    // 自動状態遷移の確認
+    this.checkAutoTransitions();
+    
+    // 状態中の表情変化
+    const definition = this.definition.states[this.currentState];
+    if (definition && definition.expressionLoop && this.expressionManager) {
+      this.expressionManager.idleExpressionLoop();
     }
   }
 
+  /**
+   * 設定の変更を反映する（設定ファイルのホットリロード用）
+   * 最小継続時間はconfigを参照して都度求めるため、configの差し替えだけで反映される
+   * @param {Object} config - 新しい設定
+   */
+  applyConfig(config) {
+    this.config = config;
+  }
+
   /**
    * 現在の状態を取得
    * @returns {string} 現在の状態
@@ -323,9 +451,10 @@ export class CharacterStateMachine {
       currentState: this.currentState,
       previousState: this.previousState,
       stateDuration: this.getStateDuration(),
-      isTransitioning: this.isTransitioning,
-      lastIdleAnimation: this.lastIdleAnimation,
-      idleAnimationCooldown: Array.from(this.idleAnimationCooldown)
+      minDuration: this.getMinDuration(this.currentState),
+      autoTransitionsEnabled: this.autoTransitionsEnabled,
+      audiencePresent: this.audiencePresent,
+      lastIdleAnimation: this.lastIdleAnimation
     };
   }
 }
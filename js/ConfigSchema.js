@@ -0,0 +1,903 @@
+/**
+ * 設定ファイルのスキーマ
+ * config.json・animations.jsonの型を検証し、足りない値を既定値で補う
+ * 誤った値は既定値に置き換えて起動を続け、問題の一覧を返す（ローディング表示に出すため）
+ *
+ * スキーマのノード:
+ * - type: 'number' | 'string' | 'boolean' | 'object' | 'array'（複数の型を使える場合は配列）
+ * - default: 値がない・型が違う場合に使う値（省略した場合は項目ごと省き、各クラスの既定値に任せる）
+ * - required: 必須（animations.jsonのエントリ・navigationの地点などで、ない場合はエントリごと除外する）
+ * - min / max: 数値の範囲、enum: 使える値
+ * - format: 文字列の形式（'time'は"HH:MM"の時刻。省略すると終日になるため、正しくない場合は項目を含むエントリごと除外する）
+ * - properties: objectの項目（省略した場合は中身を検証しない）、items: arrayの要素
+ * - values: 項目名を自由に付けられるobject（状態名 -> 値など）の値
+ */
+
+import { ContentScheduler } from './ContentScheduler.js';
+
+// 既定のファイル
+const DEFAULT_ANIMATIONS_PATH = './public/animations/animations.json';
+const DEFAULT_STATES_PATH = './public/states/default.json';
+
+// 現在のconfig.jsonのバージョン
+export const CONFIG_VERSION = 1;
+
+// 3次元座標
+const vector3 = (x, y, z) => ({
+  type: 'object',
+  properties: {
+    x: { type: 'number', default: x },
+    y: { type: 'number', default: y },
+    z: { type: 'number', default: z }
+  }
+});
+
+// animations.jsonのエントリ
+export const ANIMATION_ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', required: true, enum: ['fbx', 'vrma', 'bvh'] },
+    path: { type: 'string', required: true },
+    name: { type: 'string' },
+    role: { type: 'string', enum: ['walk', 'run', 'idle'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    weight: { type: 'number', min: 0 },
+    cooldown: { type: 'number', min: 0 },
+    oncePerMinutes: { type: 'number', min: 0 },
+    timeOfDay: {
+      type: 'object',
+      properties: {
+        start: { type: 'string', format: 'time' },
+        end: { type: 'string', format: 'time' },
+        days: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    boneMap: { type: 'object' },
+    rootMotion: { type: 'object' },
+    bakedFrom: { type: 'string' }
+  }
+};
+
+// config.jsonのcharactersの要素（省略した項目はmodel・animations・characterの値を使う）
+export const CHARACTER_ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    model: {
+      type: 'object',
+      properties: {
+        path: { type: 'string' },
+        scale: { type: 'number', min: 0.001 }
+      }
+    },
+    animations: { type: 'string' },
+    position: {
+      type: 'object',
+      properties: {
+        x: { type: 'number' },
+        z: { type: 'number' }
+      }
+    },
+    character: {
+      type: 'object',
+      properties: {
+        moveSpeed: { type: 'number', min: 0 },
+        rotationSpeed: { type: 'number', min: 0 },
+        moveInterval: { type: 'number', min: 0 },
+        idleInterval: { type: 'number', min: 0 },
+        statesPath: { type: 'string' },
+        bodyHeight: { type: 'number', min: 0 },
+        bodyRadius: { type: 'number', min: 0 }
+      }
+    }
+  }
+};
+
+// 床の上の位置
+const FLOOR_POINT_SCHEMA = {
+  type: 'object',
+  properties: {
+    x: { type: 'number', required: true },
+    z: { type: 'number', required: true }
+  }
+};
+
+// config.jsonのnavigation.obstaclesの要素（typeごとに使う項目が異なる。詳しくはNavigationGrid）
+export const OBSTACLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string', required: true, enum: ['rect', 'circle', 'polygon', 'screen'] },
+    x: { type: 'number' },
+    z: { type: 'number' },
+    width: { type: 'number', min: 0 },
+    depth: { type: 'number', min: 0 },
+    rotation: { type: 'number' },
+    radius: { type: 'number', min: 0 },
+    points: { type: 'array', items: FLOOR_POINT_SCHEMA },
+    left: { type: 'number', min: 0, max: 1 },
+    top: { type: 'number', min: 0, max: 1 },
+    height: { type: 'number', min: 0, max: 1 }
+  }
+};
+
+// config.jsonのnavigation.pointsOfInterestの要素
+export const POINT_OF_INTEREST_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', required: true },
+    x: { type: 'number', required: true },
+    z: { type: 'number', required: true },
+    weight: { type: 'number', min: 0 },
+    facing: { type: 'number' }
+  }
+};
+
+// config.jsonのperformance.tiersの要素（上ほど高画質）
+export const QUALITY_TIER_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', required: true },
+    pixelRatio: { type: 'number', default: 1, min: 0.25 },
+    antialias: { type: 'boolean', default: true },
+    shadowMapSize: { type: 'number', default: 0, enum: [0, 256, 512, 1024, 2048] },
+    springBoneInterval: { type: 'number', default: 1, min: 0 },
+    backgroundInterval: { type: 'number', default: 0, min: 0 }
+  }
+};
+
+// config.jsonのrender.offHoursの要素（schedule.jsonのエントリと同じ形式の時間帯）
+export const OFF_HOURS_SCHEMA = {
+  type: 'object',
+  properties: {
+    days: { type: 'array', items: { type: 'string' } },
+    start: { type: 'string', required: true, format: 'time' },
+    end: { type: 'string', required: true, format: 'time' }
+  }
+};
+
+// config.jsonのtouch.regionsの要素（触れた位置に最も近いボーンの部位になる）
+export const TOUCH_REGION_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', required: true },
+    bones: { type: 'array', required: true, items: { type: 'string' } }
+  }
+};
+
+// config.jsonのtouch.reactionsの要素（同じ部位に複数ある場合はweightの重みで選ぶ）
+export const TOUCH_REACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    region: { type: 'string', required: true },
+    expression: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', required: true },
+        weight: { type: 'number', min: 0, max: 1 },
+        duration: { type: 'number', min: 0 }
+      }
+    },
+    animation: { type: 'string' },
+    caption: { type: 'string' },
+    weight: { type: 'number', min: 0 },
+    cooldown: { type: 'number', min: 0 }
+  }
+};
+
+// schedule.jsonのentriesの要素（省略した項目はconfig.jsonの値を使う。詳しくはContentScheduler）
+export const SCHEDULE_ENTRY_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    days: { type: 'array', items: { type: ['string', 'number'] } },
+    start: { type: 'string', format: 'time' },
+    end: { type: 'string', format: 'time' },
+    model: {
+      type: 'object',
+      properties: {
+        path: { type: 'string' },
+        scale: { type: 'number', min: 0.001 }
+      }
+    },
+    background: {
+      type: 'object',
+      properties: {
+        color: { type: 'string' },
+        imagePath: { type: 'string' }
+      }
+    },
+    animations: { type: 'string' },
+    lighting: { type: ['string', 'object'] }
+  }
+};
+
+// schedule.json
+export const SCHEDULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    checkInterval: { type: 'number', min: 1000 },
+    lightingPresets: { type: 'object' },
+    entries: { type: 'array', default: [], items: SCHEDULE_ENTRY_SCHEMA }
+  }
+};
+
+// config.json
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    version: { type: 'number', default: CONFIG_VERSION },
+    display: {
+      type: 'object',
+      properties: {
+        width: { type: 'number', default: 1024, min: 1 },
+        height: { type: 'number', default: 600, min: 1 },
+        orientation: { type: 'string', default: 'portrait', enum: ['portrait', 'landscape'] },
+        rotation: { type: 'number', default: 0, enum: [0, 90, 180, 270] },
+        scaleMode: { type: 'string', default: 'fit', enum: ['fit', 'fill', 'stretch'] },
+        safeArea: {
+          type: 'object',
+          properties: {
+            top: { type: 'number', default: 0, min: 0, max: 0.45 },
+            right: { type: 'number', default: 0, min: 0, max: 0.45 },
+            bottom: { type: 'number', default: 0, min: 0, max: 0.45 },
+            left: { type: 'number', default: 0, min: 0, max: 0.45 }
+          }
+        }
+      }
+    },
+    model: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', default: './public/models/models.vrm' },
+        scale: { type: 'number', default: 1.0, min: 0.001 }
+      }
+    },
+    animations: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', default: DEFAULT_ANIMATIONS_PATH },
+        fallback: { type: 'array', default: [], items: ANIMATION_ENTRY_SCHEMA }
+      }
+    },
+    background: {
+      type: 'object',
+      properties: {
+        color: { type: 'string', default: '#ffffff' },
+        imagePath: { type: 'string', default: '' }
+      }
+    },
+    character: {
+      type: 'object',
+      properties: {
+        moveSpeed: { type: 'number', default: 0.01, min: 0 },
+        rotationSpeed: { type: 'number', default: 0.05, min: 0 },
+        moveInterval: { type: 'number', default: 5000, min: 0 },
+        idleInterval: { type: 'number', default: 6000, min: 0 },
+        statesPath: { type: 'string', default: DEFAULT_STATES_PATH },
+        bodyHeight: { type: 'number', min: 0 },
+        bodyRadius: { type: 'number', default: 0.25, min: 0 },
+        screenMargin: { type: 'number', default: 0.02, min: 0, max: 0.4 },
+        walkDepth: { type: 'number', default: 1.5, min: 0 }
+      }
+    },
+    characters: { type: 'array', default: [], items: CHARACTER_ENTRY_SCHEMA },
+    interaction: {
+      type: 'object',
+      properties: {
+        avoidance: { type: 'boolean', default: true },
+        personalSpace: { type: 'number', default: 0.6, min: 0 },
+        faceEachOther: { type: 'boolean', default: true },
+        faceDistance: { type: 'number', default: 1.2, min: 0 },
+        expression: { type: 'string' }
+      }
+    },
+    navigation: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        cellSize: { type: 'number', default: 0.1, min: 0.01 },
+        characterRadius: { type: 'number', default: 0.2, min: 0 },
+        characterHeight: { type: 'number', default: 1.6, min: 0 },
+        lookAhead: { type: 'number', default: 0.3, min: 0 },
+        walkableArea: { type: 'array', items: FLOOR_POINT_SCHEMA },
+        obstacles: { type: 'array', default: [], items: OBSTACLE_SCHEMA },
+        pointsOfInterest: { type: 'array', default: [], items: POINT_OF_INTEREST_SCHEMA }
+      }
+    },
+    camera: {
+      type: 'object',
+      properties: {
+        position: vector3(0, 1.5, 3),
+        lookAt: vector3(0, 1, 0)
+      }
+    },
+    lighting: {
+      type: 'object',
+      properties: {
+        ambient: {
+          type: 'object',
+          properties: {
+            color: { type: 'string', default: '#ffffff' },
+            intensity: { type: 'number', default: 0.5, min: 0 }
+          }
+        },
+        directional: {
+          type: 'object',
+          properties: {
+            color: { type: 'string', default: '#ffffff' },
+            intensity: { type: 'number', default: 0.8, min: 0 },
+            position: vector3(1, 2, 1)
+          }
+        }
+      }
+    },
+    gaze: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        mode: { type: 'string', enum: ['auto', 'camera'] },
+        maxHeadYaw: { type: 'number', min: 0 },
+        maxHeadPitch: { type: 'number', min: 0 },
+        headSmoothing: { type: 'number', min: 0 },
+        glanceMinInterval: { type: 'number', min: 0 },
+        glanceMaxInterval: { type: 'number', min: 0 },
+        cameraProbability: { type: 'number', min: 0, max: 1 },
+        saccadeMinInterval: { type: 'number', min: 0 },
+        saccadeMaxInterval: { type: 'number', min: 0 },
+        saccadeAmplitude: { type: 'number', min: 0 }
+      }
+    },
+    locomotion: {
+      type: 'object',
+      properties: {
+        walkSpeed: { type: 'number', min: 0 },
+        runSpeed: { type: 'number', min: 0 },
+        speedSmoothing: { type: 'number', min: 0 },
+        rootMotion: { type: 'string', enum: ['timeScale', 'drive', 'off'] }
+      }
+    },
+    schedule: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        path: { type: 'string', default: './schedule.json' },
+        checkInterval: { type: 'number', min: 1000 }
+      }
+    },
+    hotReload: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        interval: { type: 'number', default: 5000, min: 500 }
+      }
+    },
+    caption: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        maxCharsPerLine: { type: 'number', min: 1 },
+        charsPerSecond: { type: 'number', min: 0 },
+        defaultDuration: { type: 'number', min: 0 },
+        headOffset: { type: 'number' }
+      }
+    },
+    lipSync: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        mode: { type: 'string', enum: ['offline', 'realtime'] },
+        volume: { type: 'number', min: 0 },
+        gain: { type: 'number', min: 0 },
+        attack: { type: 'number', min: 0 },
+        release: { type: 'number', min: 0 },
+        silenceThreshold: { type: 'number' }
+      }
+    },
+    remote: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        url: { type: 'string', default: 'ws://localhost:8001/ws' },
+        stateInterval: { type: 'number', min: 0 }
+      }
+    },
+    performance: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        targetFps: { type: 'number', default: 30, min: 1 },
+        sampleTime: { type: 'number', min: 100 },
+        stepDownRatio: { type: 'number', min: 1 },
+        stepUpRatio: { type: 'number', min: 0, max: 1 },
+        stepUpDelay: { type: 'number', min: 0 },
+        settleTime: { type: 'number', min: 0 },
+        initialTier: { type: 'number', min: 0 },
+        tiers: { type: 'array', items: QUALITY_TIER_SCHEMA }
+      }
+    },
+    render: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        maxFps: { type: 'object', values: { type: 'number', min: 1 } },
+        offHours: { type: 'array', default: [], items: OFF_HOURS_SCHEMA },
+        standbyMode: { type: 'string', enum: ['dim', 'poster'], default: 'dim' },
+        posterPath: { type: 'string' },
+        dimOpacity: { type: 'number', min: 0, max: 1 },
+        wakeOn: { type: 'array', items: { type: 'string', enum: ['touch', 'presence'] } },
+        wakeDuration: { type: 'number', min: 0 },
+        checkInterval: { type: 'number', min: 1000 }
+      }
+    },
+    watchdog: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        checkInterval: { type: 'number', min: 1000 },
+        loadingTimeout: { type: 'number', min: 1000 },
+        stallTimeout: { type: 'number', min: 1000 },
+        contextRestoreTimeout: { type: 'number', min: 0 },
+        errorLimit: { type: 'number', min: 1 },
+        errorWindow: { type: 'number', min: 1000 },
+        stableTime: { type: 'number', min: 0 },
+        reloadDelay: { type: 'number', min: 0 },
+        maxReloadDelay: { type: 'number', min: 0 },
+        heartbeatUrl: { type: 'string', default: '' },
+        heartbeatInterval: { type: 'number', min: 1000 },
+        fallback: {
+          type: 'object',
+          properties: {
+            model: {
+              type: 'object',
+              properties: {
+                path: { type: 'string' },
+                scale: { type: 'number', min: 0.001 }
+              }
+            },
+            animations: { type: 'string' }
+          }
+        }
+      }
+    },
+    touch: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        cooldown: { type: 'number', default: 3000, min: 0 },
+        regions: { type: 'array', items: TOUCH_REGION_SCHEMA },
+        reactions: { type: 'array', default: [], items: TOUCH_REACTION_SCHEMA }
+      }
+    },
+    presence: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        source: { type: 'string', enum: ['camera', 'video'], default: 'camera' },
+        videoPath: { type: 'string' },
+        deviceId: { type: 'string' },
+        analysisWidth: { type: 'number', min: 16 },
+        analysisHeight: { type: 'number', min: 12 },
+        interval: { type: 'number', min: 50 },
+        motionThreshold: { type: 'number', min: 0, max: 255 },
+        minArea: { type: 'number', min: 0, max: 1 },
+        approachArea: { type: 'number', min: 0, max: 1 },
+        leaveDelay: { type: 'number', min: 0 },
+        backgroundRate: { type: 'number', min: 0, max: 1 },
+        mirror: { type: 'boolean' },
+        greetState: { type: 'string', default: 'greeting' },
+        follow: { type: 'boolean', default: true },
+        followDistance: { type: 'number', default: 0.3, min: 0 }
+      }
+    },
+    debug: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean', default: false },
+        showFPS: { type: 'boolean' },
+        showBoundaries: { type: 'boolean' },
+        showNavigation: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+/**
+ * 古いconfig.jsonを現在の形式に変換するマイグレーション（versionの昇順）
+ * version N のマイグレーションは、version N-1 以前の設定を version N に変換する
+ */
+export const CONFIG_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'animations.walk・animations.idleをanimations.fallbackに移動',
+    migrate(config) {
+      const animations = config.animations;
+      if (!animations || typeof animations !== 'object' || (!animations.walk && !animations.idle)) {
+        return;
+      }
+
+      // 以前はwalkをFBX、idleをVRMAとして読み込んでいた
+      const fallback = [];
+      if (animations.walk && animations.walk.path) {
+        fallback.push({ type: 'fbx', path: animations.walk.path, name: animations.walk.name, role: 'walk' });
+      }
+      if (Array.isArray(animations.idle)) {
+        for (const idle of animations.idle) {
+          if (idle && idle.path) {
+            fallback.push({ type: 'vrma', path: idle.path, name: idle.name, role: 'idle' });
+          }
+        }
+      }
+
+      delete animations.walk;
+      delete animations.idle;
+      animations.fallback = [...(Array.isArray(animations.fallback) ? animations.fallback : []), ...fallback];
+    }
+  }
+];
+
+// 型の表示名
+const TYPE_NAMES = {
+  number: '数値',
+  string: '文字列',
+  boolean: 'true/false',
+  object: 'オブジェクト',
+  array: '配列'
+};
+
+export class ConfigSchema {
+  /**
+   * config.jsonを検証し、マイグレーションと既定値の補完をした設定を返す
+   * @param {Object} rawConfig - 読み込んだconfig.json
+   * @returns {{config: Object, errors: Array<string>, warnings: Array<string>, migrations: Array<string>}} 結果
+   */
+  static normalizeConfig(rawConfig) {
+    const errors = [];
+    const warnings = [];
+
+    if (!ConfigSchema.isObject(rawConfig)) {
+      errors.push('config.json: オブジェクト（{ ... }）を指定してください。すべて既定値を使用します');
+      rawConfig = {};
+    }
+
+    // 元のオブジェクトを書き換えないよう複製してからマイグレーションする
+    const migrated = JSON.parse(JSON.stringify(rawConfig));
+    const migrations = ConfigSchema.migrate(migrated);
+    for (const description of migrations) {
+      warnings.push(`config.json: 古い形式の設定を変換しました（${description}）。config.jsonの更新をおすすめします`);
+    }
+
+    const config = ConfigSchema.apply(migrated, CONFIG_SCHEMA, 'config', errors, warnings);
+    return { config, errors, warnings, migrations };
+  }
+
+  /**
+   * マイグレーションを適用する
+   * @param {Object} config - 設定（直接書き換える）
+   * @returns {Array<string>} 適用したマイグレーションの説明
+   */
+  static migrate(config) {
+    const version = typeof config.version === 'number' ? config.version : 0;
+    const applied = [];
+
+    for (const migration of CONFIG_MIGRATIONS) {
+      if (migration.version > version) {
+        const before = JSON.stringify(config);
+        migration.migrate(config);
+        if (JSON.stringify(config) !== before) {
+          applied.push(migration.description);
+        }
+      }
+    }
+
+    config.version = CONFIG_VERSION;
+    return applied;
+  }
+
+  /**
+   * animations.jsonを検証する（不正なエントリは除外する）
+   * @param {*} rawAnimations - 読み込んだanimations.json
+   * @param {string} name - メッセージに使うファイル名
+   * @returns {{animations: Array<Object>, errors: Array<string>, warnings: Array<string>}} 結果
+   */
+  static normalizeAnimations(rawAnimations, name = 'animations.json') {
+    const errors = [];
+    const warnings = [];
+
+    if (!Array.isArray(rawAnimations)) {
+      errors.push(`${name}: 配列（[ ... ]）を指定してください`);
+      return { animations: [], errors, warnings };
+    }
+
+    const animations = ConfigSchema.apply(rawAnimations, { type: 'array', items: ANIMATION_ENTRY_SCHEMA }, name, errors, warnings);
+    return { animations, errors, warnings };
+  }
+
+  /**
+   * schedule.jsonを検証する（不正なエントリは除外する）
+   * @param {*} rawSchedule - 読み込んだschedule.json
+   * @param {string} name - メッセージに使うファイル名
+   * @returns {{schedule: Object, errors: Array<string>, warnings: Array<string>}} 結果
+   */
+  static normalizeSchedule(rawSchedule, name = 'schedule.json') {
+    const errors = [];
+    const warnings = [];
+
+    if (!ConfigSchema.isObject(rawSchedule)) {
+      errors.push(`${name}: オブジェクト（{ ... }）を指定してください`);
+      return { schedule: { entries: [] }, errors, warnings };
+    }
+
+    const schedule = ConfigSchema.apply(rawSchedule, SCHEDULE_SCHEMA, name, errors, warnings);
+    return { schedule, errors, warnings };
+  }
+
+  /**
+   * 値をスキーマで検証する
+   * @param {*} value - 値
+   * @param {Object} schema - スキーマのノード
+   * @param {string} path - メッセージに使う値の場所（例: "config.display.width"）
+   * @param {Array<string>} errors - エラーの追加先
+   * @param {Array<string>} warnings - 警告の追加先
+   * @returns {*} 検証後の値（使えない場合はundefined）
+   */
+  static apply(value, schema, path, errors, warnings) {
+    const fallback = () => ConfigSchema.getDefault(schema, path, errors, warnings);
+
+    if (value === undefined || value === null) {
+      if (schema.required) {
+        errors.push(`${path}: 必須の項目がありません`);
+      }
+      return fallback();
+    }
+
+    const typeError = ConfigSchema.checkType(value, schema);
+    if (typeError) {
+      errors.push(`${path}: ${typeError}（${ConfigSchema.describe(value)}が指定されています）。${ConfigSchema.describeFallback(schema)}`);
+      return ConfigSchema.isDiscardable(schema) ? undefined : fallback();
+    }
+
+    if (schema.type === 'object') {
+      return ConfigSchema.applyObject(value, schema, path, errors, warnings);
+    }
+
+    if (schema.type === 'array' && schema.items) {
+      return value
+        .map((item, index) => {
+          // 空の要素は既定値で補わず、書き忘れに気付けるよう知らせて除外する
+          if (item === undefined || item === null) {
+            errors.push(`${path}[${index}]: 空の要素（null）は使用しません`);
+            return undefined;
+          }
+          return ConfigSchema.apply(item, schema.items, `${path}[${index}]`, errors, warnings);
+        })
+        .filter((item) => item !== undefined);
+    }
+
+    return value;
+  }
+
+  /**
+   * オブジェクトの各項目を検証する
+   * 必須の項目が使えない場合はオブジェクトごとundefinedを返す
+   * @param {Object} value - 値
+   * @param {Object} schema - スキーマのノード
+   * @param {string} path - 値の場所
+   * @param {Array<string>} errors - エラーの追加先
+   * @param {Array<string>} warnings - 警告の追加先
+   * @returns {Object|undefined} 検証後の値
+   */
+  static applyObject(value, schema, path, errors, warnings) {
+    if (schema.values) {
+      return ConfigSchema.applyValues(value, schema, path, errors, warnings);
+    }
+    if (!schema.properties) {
+      return value;
+    }
+
+    const result = {};
+    let valid = true;
+
+    for (const [key, property] of Object.entries(schema.properties)) {
+      const propertyValue = ConfigSchema.apply(value[key], property, `${path}.${key}`, errors, warnings);
+      const given = value[key] !== undefined && value[key] !== null;
+      if (propertyValue !== undefined) {
+        result[key] = propertyValue;
+      } else if (property.required || (given && ConfigSchema.invalidatesEntry(property))) {
+        valid = false;
+      }
+    }
+
+    // スキーマにない項目はそのまま残して知らせる（綴りの誤りと思われる場合は候補も出す）
+    for (const key of Object.keys(value)) {
+      if (schema.properties[key]) continue;
+
+      result[key] = value[key];
+      const suggestion = ConfigSchema.suggest(key, Object.keys(schema.properties));
+      warnings.push(suggestion
+        ? `${path}.${key}: 不明な項目です（「${suggestion}」の誤りではありませんか？）`
+        : `${path}.${key}: 不明な項目です（使用されません）`);
+    }
+
+    if (!valid) {
+      errors.push(`${path}: 必須の項目や時刻が正しくないため、このエントリを使用しません`);
+      return undefined;
+    }
+    return result;
+  }
+
+  /**
+   * 項目名を自由に付けられるオブジェクトの各値を検証する（使えない値の項目は省く）
+   * @param {Object} value - 値
+   * @param {Object} schema - スキーマのノード
+   * @param {string} path - 値の場所
+   * @param {Array<string>} errors - エラーの追加先
+   * @param {Array<string>} warnings - 警告の追加先
+   * @returns {Object} 検証後の値
+   */
+  static applyValues(value, schema, path, errors, warnings) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const itemValue = ConfigSchema.apply(item, schema.values, `${path}.${key}`, errors, warnings);
+      if (itemValue !== undefined) {
+        result[key] = itemValue;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 型・範囲・使える値を確認する
+   * @param {*} value - 値
+   * @param {Object} schema - スキーマのノード
+   * @returns {string|null} エラーの内容（問題がなければnull）
+   */
+  static checkType(value, schema) {
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.includes(actualType) || (actualType === 'number' && !Number.isFinite(value))) {
+      return `${types.map((type) => TYPE_NAMES[type]).join('または')}を指定してください`;
+    }
+
+    // 文字列は大文字・小文字を区別しない（"FBX"なども使えるため）
+    const matches = (item) => item === value || (typeof value === 'string' && item.toLowerCase() === value.toLowerCase());
+    if (schema.enum && !schema.enum.some(matches)) {
+      return `${schema.enum.map((item) => `"${item}"`).join('、')}のいずれかを指定してください`;
+    }
+
+    if (schema.min !== undefined && value < schema.min) {
+      return `${schema.min}以上の値を指定してください`;
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      return `${schema.max}以下の値を指定してください`;
+    }
+    if (schema.format === 'time' && ContentScheduler.parseTime(value) === null) {
+      return '"HH:MM"形式の時刻（00:00〜24:00）を指定してください';
+    }
+
+    return null;
+  }
+
+  /**
+   * スキーマの既定値を取得する（objectは各項目の既定値から作る）
+   * @param {Object} schema - スキーマのノード
+   * @param {string} path - 値の場所
+   * @param {Array<string>} errors - エラーの追加先
+   * @param {Array<string>} warnings - 警告の追加先
+   * @returns {*} 既定値（ない場合はundefined）
+   */
+  static getDefault(schema, path, errors, warnings) {
+    if (schema.default !== undefined) {
+      return JSON.parse(JSON.stringify(schema.default));
+    }
+    if (schema.type === 'object' && schema.properties && !ConfigSchema.isDiscardable(schema)) {
+      // 既定値を持つ項目がない場合（timeOfDayなど）は、空のオブジェクトを作らず省略する
+      const value = ConfigSchema.applyObject({}, schema, path, errors, warnings);
+      return Object.keys(value).length > 0 ? value : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * 使えない場合に既定値で補わず、除外する値かどうか（必須の項目や、必須の項目を持つエントリ）
+   * @param {Object} schema - スキーマのノード
+   * @returns {boolean} 除外するかどうか
+   */
+  static isDiscardable(schema) {
+    return !!schema.required || !!schema.format ||
+      (!!schema.properties && Object.values(schema.properties).some((property) => property.required));
+  }
+
+  /**
+   * 正しくない値が指定された場合に、項目を含むエントリごと除外するかどうか
+   * （時刻やtimeOfDayなど、省略したときと意味が変わってしまう項目）
+   * @param {Object} schema - スキーマのノード
+   * @returns {boolean} 除外するかどうか
+   */
+  static invalidatesEntry(schema) {
+    return !!schema.format || (!!schema.properties && Object.values(schema.properties).some(ConfigSchema.invalidatesEntry));
+  }
+
+  /**
+   * 型が違う場合に使う値の説明
+   * @param {Object} schema - スキーマのノード
+   * @returns {string} 説明
+   */
+  static describeFallback(schema) {
+    if (ConfigSchema.isDiscardable(schema)) {
+      return 'この項目を使用しません';
+    }
+    if (schema.default !== undefined) {
+      return `既定値 ${JSON.stringify(schema.default)} を使用します`;
+    }
+    return '既定値を使用します';
+  }
+
+  /**
+   * メッセージに表示する値の説明
+   * @param {*} value - 値
+   * @returns {string} 説明
+   */
+  static describe(value) {
+    const text = JSON.stringify(value);
+    return text.length > 30 ? `${text.slice(0, 30)}…` : text;
+  }
+
+  /**
+   * 綴りの近い項目名を探す
+   * @param {string} key - 不明な項目名
+   * @param {Array<string>} candidates - スキーマの項目名
+   * @returns {string|null} 候補（ない場合はnull）
+   */
+  static suggest(key, candidates) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of candidates) {
+      const distance = ConfigSchema.editDistance(key.toLowerCase(), candidate.toLowerCase());
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    return bestDistance <= Math.max(1, Math.floor(key.length / 3)) ? best : null;
+  }
+
+  /**
+   * 2つの文字列の編集距離を求める（隣り合う文字の入れ替えも1回と数える）
+   * @param {string} a - 文字列
+   * @param {string} b - 文字列
+   * @returns {number} 編集距離
+   */
+  static editDistance(a, b) {
+    const distances = Array.from({ length: a.length + 1 }, (_, i) =>
+      Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+    );
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        distances[i][j] = Math.min(
+          distances[i - 1][j] + 1,
+          distances[i][j - 1] + 1,
+          distances[i - 1][j - 1] + cost
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+        }
+      }
+    }
+
+    return distances[a.length][b.length];
+  }
+
+  /**
+   * オブジェクトかどうかを判定する
+   * @param {*} value - 値
+   * @returns {boolean} オブジェクトかどうか
+   */
+  static isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * 設定ファイル監視クラス
+ * config.json を定期的に再取得し、変更があれば差分を通知する
+ */
+export class ConfigWatcher {
+  /**
+   * コンストラクタ
+   * @param {string} path - 監視する設定ファイルのパス
+   * @param {Object} initialConfig - 現在適用されている設定
+   * @param {Object} options - オプション
+   * @param {number} options.interval - 再取得の間隔（ミリ秒）
+   * @param {Function} options.onChange - 変更時に呼ばれるコールバック (newConfig, changes, previousConfig)
+   *   実際に反映した設定を返した場合はそれを現在の設定とする（反映できなかった項目を前の値のまま返すと、次の確認でその項目だけを反映し直す）
+   * @param {Function} options.normalize - 読み込んだ設定を検証・補完する関数（差分は補完後の設定で比べる）
+   */
+  constructor(path, initialConfig, options = {}) {
+    this.path = path;
+    this.config = initialConfig;
+    this.interval = options.interval || 5000;
+    this.onChange = options.onChange || null;
+    this.normalize = options.normalize || null;
+
+    // 状態管理
+    this.timer = null;
+    this.isPolling = false;
+    this.lastError = null;
+    this.lastCheckTime = null;
+    this.lastChangeTime = null;
+    this.lastChanges = [];
+  }
+
+  /**
+   * 監視を開始する
+   */
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.poll(), this.interval);
+    console.log(`設定ファイルの監視を開始しました: ${this.path} (${this.interval}ms間隔)`);
+  }
+
+  /**
+   * 監視を停止する
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 設定ファイルを再取得し、変更があれば通知する
+   * @returns {Promise<Array>} 変更されたキーのパス一覧
+   */
+  async poll() {
+    // 前回の取得が終わっていない場合はスキップ
+    if (this.isPolling) return [];
+    this.isPolling = true;
+
+    try {
+      const response = await fetch(this.path, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const rawConfig = await response.json();
+      const nextConfig = this.normalize ? this.normalize(rawConfig) : rawConfig;
+      this.lastCheckTime = Date.now();
+
+      if (this.lastError) {
+        console.log('設定ファイルを再び読み込めるようになりました');
+        this.lastError = null;
+      }
+
+      const changes = ConfigWatcher.diff(this.config, nextConfig);
+      if (changes.length === 0) return [];
+
+      console.log(`設定ファイルの変更を検出しました: ${changes.join(', ')}`);
+
+      // 反映に失敗した場合は現在の設定のままにし、次の確認で同じ変更を反映し直す
+      const appliedConfig = this.onChange ? await this.onChange(nextConfig, changes, this.config) : null;
+
+      this.config = appliedConfig || nextConfig;
+      this.lastChangeTime = this.lastCheckTime;
+      this.lastChanges = changes;
+
+      return changes;
+    } catch (error) {
+      // 編集途中の不完全なJSONなどは、同じエラーを繰り返し出力しない
+      if (!this.lastError || this.lastError !== error.message) {
+        console.warn('設定ファイルの再読み込みに失敗しました。現在の設定を維持します:', error);
+      }
+      this.lastError = error.message;
+      return [];
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * 2つの設定の差分を、変更された値のパス（例: "camera.position.x"）の配列で返す
+   * @param {*} previous - 変更前の値
+   * @param {*} next - 変更後の値
+   * @param {string} prefix - パスの接頭辞
+   * @returns {Array<string>} 変更されたパスの配列
+   */
+  static diff(previous, next, prefix = '') {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(previous) || !isObject(next)) {
+      return JSON.stringify(previous) === JSON.stringify(next) ? [] : [prefix];
+    }
+
+    const changes = [];
+    const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+    for (const key of keys) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      changes.push(...ConfigWatcher.diff(previous[key], next[key], path));
+    }
+
+    return changes;
+  }
+
+  /**
+   * 変更一覧に指定したセクションが含まれるか判定
+   * @param {Array<string>} changes - 変更されたパスの配列
+   * @param {string} section - セクションのパス（例: "camera"）
+   * @returns {boolean} 含まれるかどうか
+   */
+  static hasChanged(changes, section) {
+    return changes.some((path) => path === section || path.startsWith(`${section}.`));
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      isWatching: !!this.timer,
+      lastChangeTime: this.lastChangeTime ? new Date(this.lastChangeTime).toLocaleTimeString() : 'なし',
+      lastChanges: this.lastChanges,
+      lastError: this.lastError
+    };
+  }
+}
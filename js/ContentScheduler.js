@@ -0,0 +1,209 @@
+/**
+ * コンテンツスケジューラー
+ * 時間帯・曜日ごとのプレイリストに従って、表示するモデル・背景・アニメーションセット・ライティングを切り替える
+ */
+
+// Date.getDay() の値に対応する曜日名
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export class ContentScheduler {
+  /**
+   * コンストラクタ
+   * @param {Object} schedule - スケジュール定義（schedule.json の内容）
+   * @param {Object} defaults - どのエントリにも該当しない場合に使うコンテンツ (model, background, animations, lighting)
+   * @param {Object} options - オプション
+   * @param {Function} options.onChange - 有効なコンテンツが切り替わったときに呼ばれるコールバック
+   * @param {number} options.checkInterval - スケジュールの確認間隔（ミリ秒）
+   */
+  constructor(schedule, defaults, options = {}) {
+    this.schedule = schedule || {};
+    this.defaults = defaults;
+    this.entries = Array.isArray(this.schedule.entries) ? this.schedule.entries : [];
+    this.lightingPresets = this.schedule.lightingPresets || {};
+    this.onChange = options.onChange || null;
+    this.checkInterval = options.checkInterval || this.schedule.checkInterval || 60000;
+
+    // 状態管理
+    this.activeEntry = null;
+    this.activeKey = undefined;
+    this.lastCheckTime = null;
+    this.timer = null;
+
+    console.log(`ContentScheduler初期化完了: ${this.entries.length}件のエントリ`);
+  }
+
+  /**
+   * 定期的なスケジュール確認を開始する
+   */
+  start() {
+    this.stop();
+    this.check();
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+  }
+
+  /**
+   * スケジュール確認を停止する
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 現在時刻で有効なエントリを確認し、切り替わっていればコールバックを呼ぶ
+   * @param {Date} now - 判定する日時
+   * @returns {boolean} コンテンツが切り替わったかどうか
+   */
+  check(now = new Date()) {
+    this.lastCheckTime = now;
+
+    const entry = this.findActiveEntry(now);
+    const key = entry ? this.entries.indexOf(entry) : null;
+
+    if (key === this.activeKey) return false;
+
+    this.activeEntry = entry;
+    this.activeKey = key;
+
+    const content = this.resolveContent(entry);
+    console.log(`スケジュール切り替え: ${content.name}`);
+
+    if (this.onChange) {
+      try {
+        this.onChange(content, entry);
+      } catch (error) {
+        console.error('スケジュール適用エラー:', error);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * 指定日時に有効なエントリを探す（先に定義されたものが優先）
+   * @param {Date} now - 判定する日時
+   * @returns {Object|null} 有効なエントリ
+   */
+  findActiveEntry(now = new Date()) {
+    return this.entries.find((entry) => ContentScheduler.isEntryActive(entry, now)) || null;
+  }
+
+  /**
+   * エントリが指定日時に有効かどうかを判定
+   * start/end/days を持つ他の設定（アニメーションの時間帯指定など）にも使用できる
+   * @param {Object} entry - スケジュールエントリ
+   * @param {Date} now - 判定する日時
+   * @returns {boolean} 有効かどうか
+   */
+  static isEntryActive(entry, now) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const day = now.getDay();
+    const start = entry.start ? ContentScheduler.parseTime(entry.start) : 0;
+    const end = entry.end ? ContentScheduler.parseTime(entry.end) : 24 * 60;
+
+    if (start === null || end === null) {
+      console.warn(`時刻の形式が不正です: ${entry.name || JSON.stringify(entry)}`);
+      return false;
+    }
+
+    if (start <= end) {
+      // 同日内の時間帯
+      return minutes >= start && minutes < end && ContentScheduler.matchesDay(entry, day);
+    }
+
+    // 日付をまたぐ時間帯（例: 22:00-06:00）は開始日の曜日で判定
+    if (minutes >= start) {
+      return ContentScheduler.matchesDay(entry, day);
+    }
+    if (minutes < end) {
+      return ContentScheduler.matchesDay(entry, (day + 6) % 7);
+    }
+    return false;
+  }
+
+  /**
+   * エントリの曜日指定に一致するか判定
+   * @param {Object} entry - スケジュールエントリ
+   * @param {number} day - 曜日 (0=日曜)
+   * @returns {boolean} 一致するかどうか
+   */
+  static matchesDay(entry, day) {
+    if (!Array.isArray(entry.days) || entry.days.length === 0) return true;
+
+    return entry.days.some((value) => {
+      if (typeof value === 'number') return value === day;
+      return String(value).toLowerCase().slice(0, 3) === DAY_NAMES[day];
+    });
+  }
+
+  /**
+   * "HH:MM" 形式の時刻を0時からの分数に変換
+   * @param {string} time - 時刻文字列
+   * @returns {number|null} 分数（不正な場合はnull）
+   */
+  static parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * エントリを既定値で補完し、適用可能なコンテンツに変換する
+   * @param {Object|null} entry - スケジュールエントリ
+   * @returns {Object} コンテンツ (name, model, background, animations, lighting)
+   */
+  resolveContent(entry) {
+    const defaults = this.defaults;
+
+    if (!entry) {
+      return { name: 'デフォルト', ...defaults };
+    }
+
+    return {
+      name: entry.name || `エントリ${this.entries.indexOf(entry) + 1}`,
+      model: entry.model ? { ...defaults.model, ...entry.model } : defaults.model,
+      background: entry.background ? { ...defaults.background, ...entry.background } : defaults.background,
+      animations: entry.animations || defaults.animations,
+      lighting: this.resolveLighting(entry.lighting)
+    };
+  }
+
+  /**
+   * ライティング指定（プリセット名または設定オブジェクト）を解決する
+   * @param {string|Object} lighting - ライティング指定
+   * @returns {Object} ライティング設定
+   */
+  resolveLighting(lighting) {
+    if (!lighting) return this.defaults.lighting;
+
+    if (typeof lighting === 'string') {
+      if (this.lightingPresets[lighting]) {
+        return this.lightingPresets[lighting];
+      }
+      console.warn(`ライティングプリセット「${lighting}」が見つかりません。デフォルトを使用します`);
+      return this.defaults.lighting;
+    }
+
+    return lighting;
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      entryCount: this.entries.length,
+      activeEntry: this.activeEntry ? (this.activeEntry.name || `エントリ${this.activeKey + 1}`) : 'デフォルト',
+      lastCheckTime: this.lastCheckTime ? this.lastCheckTime.toLocaleTimeString() : 'なし',
+      isRunning: !!this.timer
+    };
+  }
+}
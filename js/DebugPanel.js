@@ -5,8 +5,14 @@
  */
 
 export class DebugPanel {
-  constructor(config) {
+  /**
+   * コンストラクタ
+   * @param {Object} config - 設定（config.json）
+   * @param {HTMLElement} parent - パネルを置く要素（画面の回転に合わせるため、コンテンツの要素を指定する）
+   */
+  constructor(config, parent = document.body) {
     this.config = config;
+    this.parent = parent;
     this.visible = false;
     this.panelElement = null;
     
@@ -23,7 +29,7 @@ export class DebugPanel {
     // パネル要素を作成
     this.panelElement = document.createElement('div');
     this.panelElement.className = 'debug-panel';
-    this.panelElement.style.position = 'fixed';
+    this.panelElement.style.position = 'absolute';
     this.panelElement.style.top = '10px';
     this.panelElement.style.right = '10px';
     this.panelElement.style.padding = '10px';
@@ -33,7 +39,7 @@ export class DebugPanel {
     this.panelElement.style.fontSize = '12px';
     this.panelElement.style.zIndex = '1000';
     this.panelElement.style.borderRadius = '5px';
-    this.panelElement.style.maxHeight = '80vh';
+    this.panelElement.style.maxHeight = '80%';
     this.panelElement.style.overflowY = 'auto';
     
     // ヘッダー
@@ -57,14 +63,15 @@ export class DebugPanel {
     this.panelElement.appendChild(toggleButton);
     
     // キーボードショートカット
-    document.addEventListener('keydown', (e) => {
+    this.onKeyDown = (e) => {
       if (e.key === 'D' && e.ctrlKey) {
         this.toggleVisibility();
       }
-    });
+    };
+    document.addEventListener('keydown', this.onKeyDown);
     
     // ページに追加
-    document.body.appendChild(this.panelElement);
+    this.parent.appendChild(this.panelElement);
     
     // デフォルトでは非表示
     this.panelElement.style.display = 'none';
@@ -79,6 +86,22 @@ export class DebugPanel {
     this.panelElement.style.display = this.visible ? 'block' : 'none';
   }
   
+  /**
+   * デバッグパネルを破棄する
+   */
+  dispose() {
+    if (this.onKeyDown) {
+      document.removeEventListener('keydown', this.onKeyDown);
+      this.onKeyDown = null;
+    }
+    
+    if (this.panelElement) {
+      this.panelElement.remove();
+      this.panelElement = null;
+      this.contentElement = null;
+    }
+  }
+  
   /**
    * デバッグ情報を更新する
    * @param {Object} data - 表示するデータ
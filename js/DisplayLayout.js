@@ -0,0 +1,189 @@
+// 回転に使える角度（度、時計回り）
+const ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * 表示レイアウトクラス
+ * コンテンツ（display.orientationの向きの画面）を、ウィンドウに合わせて回転・拡大縮小して配置する
+ * 横向きに設置したパネルでもOSの設定を変えずに縦向きのコンテンツを表示できるよう、回転はCSSで行う
+ *
+ * 要素の構成:
+ * - screen: ウィンドウ全体をコンテンツの向きで覆い、display.rotationだけ回転する
+ * - viewport: screenのうち、セーフエリア（display.safeArea）を除いた領域。はみ出した部分は表示しない
+ * - container: コンテンツ（キャンバス・吹き出し・デバッグパネル・ローディング表示）。viewportの中央に置く
+ */
+export class DisplayLayout {
+  /**
+   * コンストラクタ
+   * @param {Object} elements - 要素
+   * @param {HTMLElement} elements.screen - 回転する要素
+   * @param {HTMLElement} elements.viewport - セーフエリアの要素
+   * @param {HTMLElement} elements.container - コンテンツの要素
+   * @param {Object} options - オプション（config.display）
+   */
+  constructor(elements, options = {}) {
+    this.screen = elements.screen;
+    this.viewport = elements.viewport;
+    this.container = elements.container;
+    this.layout = null;
+    this.applyConfig(options);
+  }
+
+  /**
+   * 設定を反映する（配置はupdate()で更新する）
+   * @param {Object} options - オプション（config.display）
+   */
+  applyConfig(options = {}) {
+    this.width = options.width || 1024;
+    this.height = options.height || 600;
+    this.orientation = options.orientation || 'portrait';
+    this.rotation = ROTATIONS.includes(options.rotation) ? options.rotation : 0;
+    this.scaleMode = options.scaleMode || 'fit';
+    this.safeArea = { top: 0, right: 0, bottom: 0, left: 0, ...options.safeArea };
+  }
+
+  /**
+   * コンテンツの解像度（display.width・heightをorientationの向きに合わせる。"portrait"の場合は縦長）
+   * @returns {{width: number, height: number}} 幅と高さ
+   */
+  getContentSize() {
+    const long = Math.max(this.width, this.height);
+    const short = Math.min(this.width, this.height);
+    return this.orientation === 'landscape'
+      ? { width: long, height: short }
+      : { width: short, height: long };
+  }
+
+  /**
+   * コンテンツの縦横比（カメラのアスペクト比に使う）
+   * @returns {number} 幅 / 高さ
+   */
+  getAspect() {
+    const { width, height } = this.getContentSize();
+    return width / height;
+  }
+
+  /**
+   * ウィンドウの大きさからレイアウトを求める
+   * 大きさはすべてコンテンツの向き（回転前）のCSSピクセル
+   * @param {number} windowWidth - ウィンドウの幅
+   * @param {number} windowHeight - ウィンドウの高さ
+   * @returns {Object} レイアウト（screen: 回転前のウィンドウ、viewport: セーフエリア、content: コンテンツの大きさと位置）
+   */
+  calculate(windowWidth, windowHeight) {
+    // 90度・270度の場合は、ウィンドウの幅と高さを入れ替えたものがコンテンツの向きの画面になる
+    const sideways = this.rotation % 180 !== 0;
+    const screen = {
+      width: sideways ? windowHeight : windowWidth,
+      height: sideways ? windowWidth : windowHeight
+    };
+
+    // セーフエリア（コンテンツの向きで見た上下左右の余白。画面に対する割合）
+    const viewport = {
+      left: screen.width * this.safeArea.left,
+      top: screen.height * this.safeArea.top,
+      width: Math.max(1, screen.width * (1 - this.safeArea.left - this.safeArea.right)),
+      height: Math.max(1, screen.height * (1 - this.safeArea.top - this.safeArea.bottom))
+    };
+
+    // fit: 全体が収まるよう縮小、fill: 隙間がないよう拡大（はみ出した部分は切り取る）、stretch: 縦横比を無視して合わせる
+    const aspect = this.getAspect();
+    let width = viewport.width;
+    let height = viewport.height;
+    if (this.scaleMode !== 'stretch') {
+      const wider = viewport.width / viewport.height > aspect;
+      const matchHeight = this.scaleMode === 'fill' ? !wider : wider;
+      if (matchHeight) {
+        width = height * aspect;
+      } else {
+        height = width / aspect;
+      }
+    }
+
+    return {
+      rotation: this.rotation,
+      scaleMode: this.scaleMode,
+      screen,
+      viewport,
+      content: {
+        left: (viewport.width - width) / 2,
+        top: (viewport.height - height) / 2,
+        width: Math.round(width),
+        height: Math.round(height)
+      }
+    };
+  }
+
+  /**
+   * ウィンドウの大きさに合わせて要素を配置する
+   * @param {number} windowWidth - ウィンドウの幅
+   * @param {number} windowHeight - ウィンドウの高さ
+   * @returns {{width: number, height: number}} コンテンツの大きさ（レンダラーのサイズに使う）
+   */
+  update(windowWidth, windowHeight) {
+    const layout = this.calculate(windowWidth, windowHeight);
+    this.layout = layout;
+
+    // ウィンドウの中央を中心に回転させる
+    Object.assign(this.screen.style, {
+      width: `${layout.screen.width}px`,
+      height: `${layout.screen.height}px`,
+      left: `${(windowWidth - layout.screen.width) / 2}px`,
+      top: `${(windowHeight - layout.screen.height) / 2}px`,
+      transform: layout.rotation ? `rotate(${layout.rotation}deg)` : ''
+    });
+
+    Object.assign(this.viewport.style, {
+      left: `${layout.viewport.left}px`,
+      top: `${layout.viewport.top}px`,
+      width: `${layout.viewport.width}px`,
+      height: `${layout.viewport.height}px`
+    });
+
+    Object.assign(this.container.style, {
+      left: `${layout.content.left}px`,
+      top: `${layout.content.top}px`,
+      width: `${layout.content.width}px`,
+      height: `${layout.content.height}px`
+    });
+
+    return { width: layout.content.width, height: layout.content.height };
+  }
+
+  /**
+   * ウィンドウ上の座標をコンテンツ上の座標に変換する（タッチ・クリックの位置の判定用）
+   * @param {number} clientX - ウィンドウ上のX座標
+   * @param {number} clientY - ウィンドウ上のY座標
+   * @returns {{x: number, y: number}} コンテンツの左上を原点とした座標（CSSピクセル）
+   */
+  toContentPoint(clientX, clientY) {
+    if (!this.layout) {
+      return { x: clientX, y: clientY };
+    }
+
+    // ウィンドウの中央からの位置を、回転を戻してコンテンツの向きに変換する
+    const rect = this.screen.getBoundingClientRect();
+    const dx = clientX - (rect.left + rect.width / 2);
+    const dy = clientY - (rect.top + rect.height / 2);
+    const angle = -this.layout.rotation * Math.PI / 180;
+    const x = dx * Math.cos(angle) - dy * Math.sin(angle) + this.layout.screen.width / 2;
+    const y = dx * Math.sin(angle) + dy * Math.cos(angle) + this.layout.screen.height / 2;
+
+    return {
+      x: x - this.layout.viewport.left - this.layout.content.left,
+      y: y - this.layout.viewport.top - this.layout.content.top
+    };
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    const content = this.layout ? this.layout.content : this.getContentSize();
+    return {
+      rotation: this.rotation,
+      scaleMode: this.scaleMode,
+      content: `${content.width}x${content.height}`
+    };
+  }
+}
@@ -124,11 +124,11 @@ export class FormatRecommendations {
       
       actions.push({
         priority: 'medium',
-        action: 'BVHファイルの変換',
-        description: 'BVHファイルをVRMAに変換して使用',
+        action: 'BVHファイルの使用',
+        description: 'BVHファイルをそのまま読み込み、VRMにリターゲットして使用',
         steps: [
           '1. CMU Motion Capture DatabaseからBVHファイルをダウンロード',
-          '2. BlenderのVRM add-onでVRMAに変換',
+          '2. animations.jsonに { "type": "bvh", "path": "..." } を追加（CMU以外の骨格はboneMapを指定）',
           '3. VRMモデルに適用してテスト'
         ]
       });
@@ -0,0 +1,322 @@
+import * as THREE from 'three';
+
+// 首と頭に分配する回転の割合（合計1.0）
+const NECK_SHARE = 0.4;
+const HEAD_SHARE = 0.6;
+
+/**
+ * 視線制御クラス
+ * vrm.lookAtで目を、首・頭ボーンへの加算回転で顔を注視点へ向ける
+ *
+ * 注視点の優先順位:
+ * 1. setTarget()で明示的に指定された点・オブジェクト
+ * 2. 歩行中の目的地
+ * 3. アイドル中はカメラとランダムな「ちら見」先を交互に見る
+ *
+ * 首・頭の回転はAnimationMixerが書き込んだ姿勢に掛け合わせるため、
+ * AnimationMixerの更新後、vrm.update()の前に update() を呼ぶこと
+ */
+export class GazeController {
+  /**
+   * コンストラクタ
+   * @param {Object} vrm - VRMインスタンス
+   * @param {THREE.Camera} camera - 視線を向けるカメラ
+   * @param {Object} options - オプション（config.gaze）
+   */
+  constructor(vrm, camera, options = {}) {
+    this.vrm = vrm;
+    this.camera = camera;
+
+    // 注視点
+    this.explicitTarget = null;
+    this.destination = null;
+    this.glanceTarget = null;
+    this.gazePoint = new THREE.Vector3();
+    this.source = 'camera';
+
+    // 目の動き（サッカード）
+    this.eyeTarget = new THREE.Object3D();
+    this.saccadeOffset = new THREE.Vector3();
+    this.nextSaccadeTime = 0;
+    this.nextGlanceTime = 0;
+
+    // 首・頭の加算回転
+    this.headYaw = 0;
+    this.headPitch = 0;
+    this.appliedBones = new Map();
+
+    // 作業用
+    this.headPosition = new THREE.Vector3();
+    this.localDirection = new THREE.Vector3();
+    this.additive = new THREE.Quaternion();
+    this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    this.inverseWorld = new THREE.Matrix4();
+
+    this.applyConfig(options);
+    this.attachLookAt();
+  }
+
+  /**
+   * 設定を反映する（設定ファイルのホットリロード用）
+   * @param {Object} options - オプション（config.gaze）
+   */
+  applyConfig(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.mode = options.mode || 'auto';                               // 'auto' または 'camera'
+    this.maxHeadYaw = THREE.MathUtils.degToRad(options.maxHeadYaw || 45);
+    this.maxHeadPitch = THREE.MathUtils.degToRad(options.maxHeadPitch || 20);
+    this.headSmoothing = options.headSmoothing || 0.3;                  // 顔が追従する時定数（秒）
+    this.glanceMinInterval = options.glanceMinInterval || 2000;
+    this.glanceMaxInterval = options.glanceMaxInterval || 5000;
+    this.cameraProbability = options.cameraProbability !== undefined ? options.cameraProbability : 0.5;
+    this.glanceYaw = THREE.MathUtils.degToRad(options.glanceYaw || 40);
+    this.glancePitch = THREE.MathUtils.degToRad(options.glancePitch || 15);
+    this.saccadeMinInterval = options.saccadeMinInterval || 300;
+    this.saccadeMaxInterval = options.saccadeMaxInterval || 1500;
+    this.saccadeAmplitude = THREE.MathUtils.degToRad(options.saccadeAmplitude || 2);
+
+    if (this.vrm && this.vrm.lookAt) {
+      this.vrm.lookAt.target = this.enabled ? this.eyeTarget : null;
+    }
+  }
+
+  /**
+   * vrm.lookAtの注視対象に目の注視点を設定する
+   */
+  attachLookAt() {
+    if (!this.vrm || !this.vrm.lookAt) {
+      console.warn('VRMにlookAtがないため、目の動きを無効化します');
+      return;
+    }
+
+    this.vrm.lookAt.autoUpdate = true;
+    this.vrm.lookAt.target = this.enabled ? this.eyeTarget : null;
+  }
+
+  /**
+   * 注視点を明示的に指定する
+   * Object3Dまたは参照を保持したVector3を渡すと、動く対象を追い続ける
+   * @param {THREE.Vector3|THREE.Object3D|null} target - 注視点（nullで自動に戻す）
+   */
+  setTarget(target) {
+    this.explicitTarget = target || null;
+    this.nextSaccadeTime = 0;
+  }
+
+  /**
+   * 歩行の目的地を設定する（到着・停止時はnull）
+   * @param {THREE.Vector3|null} destination - 目的地（ワールド座標）
+   */
+  setDestination(destination) {
+    this.destination = destination ? destination.clone() : null;
+    this.nextSaccadeTime = 0;
+  }
+
+  /**
+   * 毎フレームの更新処理
+   * @param {number} deltaTime - 経過時間（秒）
+   * @param {string} state - キャラクターの状態（'idle', 'walking' など）
+   */
+  update(deltaTime, state) {
+    if (!this.vrm || !this.vrm.humanoid) return;
+
+    if (!this.enabled) {
+      this.resetHeadRotation();
+      return;
+    }
+
+    const now = Date.now();
+    const head = this.vrm.humanoid.getNormalizedBoneNode('head');
+    if (!head) return;
+
+    head.getWorldPosition(this.headPosition);
+    this.updateGazePoint(now, state);
+
+    // サッカード: 目は注視点の周りで小さく素早く跳ぶ
+    if (now >= this.nextSaccadeTime) {
+      const distance = this.gazePoint.distanceTo(this.headPosition);
+      this.saccadeOffset.randomDirection().multiplyScalar(distance * Math.tan(this.saccadeAmplitude) * Math.random());
+      this.nextSaccadeTime = now + THREE.MathUtils.randFloat(this.saccadeMinInterval, this.saccadeMaxInterval);
+    }
+    this.eyeTarget.position.copy(this.gazePoint).add(this.saccadeOffset);
+
+    // 顔は注視点へ滑らかに追従する
+    const { yaw, pitch } = this.calculateHeadAngles(this.gazePoint);
+    const t = 1 - Math.exp(-deltaTime / this.headSmoothing);
+    this.headYaw += (yaw - this.headYaw) * t;
+    this.headPitch += (pitch - this.headPitch) * t;
+
+    this.applyHeadRotation();
+  }
+
+  /**
+   * 現在見るべき注視点を決める
+   * @param {number} now - 現在時刻（ミリ秒）
+   * @param {string} state - キャラクターの状態
+   */
+  updateGazePoint(now, state) {
+    // 1. 明示的な注視点
+    if (this.explicitTarget) {
+      if (this.explicitTarget.isObject3D) {
+        this.explicitTarget.getWorldPosition(this.gazePoint);
+      } else {
+        this.gazePoint.copy(this.explicitTarget);
+      }
+      this.source = 'target';
+      return;
+    }
+
+    // 2. 歩行中は目的地の方向（目の高さ）を見る
+    if (state === 'walking' && this.destination) {
+      this.gazePoint.set(this.destination.x, this.headPosition.y, this.destination.z);
+      this.source = 'destination';
+      return;
+    }
+
+    // 3. アイドル中はカメラとちら見先を切り替える
+    if (this.mode === 'auto' && state === 'idle') {
+      if (now >= this.nextGlanceTime) {
+        this.glanceTarget = Math.random() < this.cameraProbability ? null : this.createGlancePoint();
+        this.nextGlanceTime = now + THREE.MathUtils.randFloat(this.glanceMinInterval, this.glanceMaxInterval);
+        this.nextSaccadeTime = 0;
+      }
+    } else {
+      this.glanceTarget = null;
+    }
+
+    if (this.glanceTarget) {
+      this.gazePoint.copy(this.glanceTarget);
+      this.source = 'glance';
+    } else {
+      this.camera.getWorldPosition(this.gazePoint);
+      this.source = 'camera';
+    }
+  }
+
+  /**
+   * 顔の正面を基準にしたランダムなちら見先を作る
+   * @returns {THREE.Vector3} ちら見先（ワールド座標）
+   */
+  createGlancePoint() {
+    const front = this.vrm.lookAt ? this.vrm.lookAt.faceFront : new THREE.Vector3(0, 0, 1);
+    const yaw = THREE.MathUtils.randFloatSpread(2 * this.glanceYaw);
+    const pitch = THREE.MathUtils.randFloatSpread(2 * this.glancePitch);
+
+    const direction = new THREE.Vector3(
+      Math.sin(yaw) * Math.cos(pitch) * Math.sign(front.z || 1),
+      Math.sin(pitch),
+      Math.cos(yaw) * Math.cos(pitch) * Math.sign(front.z || 1)
+    );
+    direction.transformDirection(this.vrm.scene.matrixWorld);
+
+    return this.headPosition.clone().addScaledVector(direction, 2.0);
+  }
+
+  /**
+   * 注視点を向くための首・頭の角度を求める（キャラクターのローカル空間、制限付き）
+   * @param {THREE.Vector3} point - 注視点（ワールド座標）
+   * @returns {{yaw: number, pitch: number}} 角度（ラジアン）
+   */
+  calculateHeadAngles(point) {
+    const root = this.vrm.scene;
+    this.inverseWorld.copy(root.matrixWorld).invert();
+    this.localDirection.copy(point).sub(this.headPosition).transformDirection(this.inverseWorld);
+
+    const front = this.vrm.lookAt ? this.vrm.lookAt.faceFront : new THREE.Vector3(0, 0, 1);
+    const frontSign = Math.sign(front.z || 1);
+
+    // 正面からの方位角と仰角
+    let yaw = Math.atan2(this.localDirection.x, this.localDirection.z) - Math.atan2(front.x, front.z);
+    yaw = Math.atan2(Math.sin(yaw), Math.cos(yaw));
+    const horizontal = Math.hypot(this.localDirection.x, this.localDirection.z);
+    const elevation = Math.atan2(this.localDirection.y, horizontal);
+
+    // 真後ろに近い対象は無理に振り向かない
+    if (Math.abs(yaw) > Math.PI * 0.75) {
+      return { yaw: 0, pitch: 0 };
+    }
+
+    return {
+      yaw: THREE.MathUtils.clamp(yaw, -this.maxHeadYaw, this.maxHeadYaw),
+      // X軸の正回転は顔の正面が+Zなら下向き、-Zなら上向き
+      pitch: THREE.MathUtils.clamp(-elevation * frontSign, -this.maxHeadPitch, this.maxHeadPitch)
+    };
+  }
+
+  /**
+   * 首・頭ボーンにアニメーションへの加算回転を適用する
+   */
+  applyHeadRotation() {
+    const shares = { neck: NECK_SHARE, head: HEAD_SHARE };
+
+    for (const [boneName, share] of Object.entries(shares)) {
+      const bone = this.vrm.humanoid.getNormalizedBoneNode(boneName);
+      if (!bone) continue;
+
+      // アニメーションがこのボーンを書き換えていなければ、前フレームの加算分を取り除く
+      this.removeAppliedRotation(boneName, bone);
+
+      this.euler.set(this.headPitch * share, this.headYaw * share, 0, 'YXZ');
+      this.additive.setFromEuler(this.euler);
+      bone.quaternion.multiply(this.additive);
+
+      this.appliedBones.set(boneName, {
+        result: bone.quaternion.clone(),
+        additive: this.additive.clone()
+      });
+    }
+  }
+
+  /**
+   * 前フレームで加えた回転が残っていれば取り除く
+   * @param {string} boneName - ボーン名
+   * @param {THREE.Object3D} bone - 正規化ボーン
+   */
+  removeAppliedRotation(boneName, bone) {
+    const applied = this.appliedBones.get(boneName);
+    if (applied && bone.quaternion.equals(applied.result)) {
+      bone.quaternion.multiply(applied.additive.invert());
+    }
+    this.appliedBones.delete(boneName);
+  }
+
+  /**
+   * 首・頭に加えた回転をすべて取り除く
+   */
+  resetHeadRotation() {
+    for (const boneName of [...this.appliedBones.keys()]) {
+      const bone = this.vrm.humanoid.getNormalizedBoneNode(boneName);
+      if (bone) {
+        this.removeAppliedRotation(boneName, bone);
+      }
+    }
+    this.headYaw = 0;
+    this.headPitch = 0;
+  }
+
+  /**
+   * 視線制御を解除する（モデル差し替え時に使用）
+   */
+  dispose() {
+    if (this.vrm && this.vrm.humanoid) {
+      this.resetHeadRotation();
+    }
+
+    if (this.vrm && this.vrm.lookAt && this.vrm.lookAt.target === this.eyeTarget) {
+      this.vrm.lookAt.target = null;
+    }
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      isEnabled: this.enabled,
+      source: this.source,
+      headYaw: THREE.MathUtils.radToDeg(this.headYaw).toFixed(1),
+      headPitch: THREE.MathUtils.radToDeg(this.headPitch).toFixed(1)
+    };
+  }
+}
@@ -0,0 +1,381 @@
+// 復旧の手順（失敗が続くたびに次の手順に進む）
+const RECOVERY_STEPS = ['reinitialize', 'fallback', 'reload'];
+// ページを読み込み直した回数を残すキー（読み込み直しの間隔を伸ばすため）
+const RELOAD_STORAGE_KEY = 'signage.watchdog.reloads';
+
+/**
+ * 稼働監視クラス
+ * 読み込みが終わらない・アニメーションが進まない（Tポーズのまま・更新が止まった）・WebGLコンテキストの喪失・
+ * JavaScriptの例外の頻発を検出し、シーンの作り直し -> 既知の正常なモデル・アニメーションへの切り替え ->
+ * ページの読み込み直し（間隔を伸ばしながら）の順に復旧する（config.watchdog）
+ *
+ * 外部のプロセスが監視できるよう、heartbeatUrl に稼働状況を定期的に送る（server/RemoteControlServer.jsが受け取る）
+ */
+export class HealthWatchdog {
+  /**
+   * コンストラクタ
+   * @param {Object} options - オプション（config.watchdog）
+   * @param {Function} options.getAnimationTimes - キャラクターごとのミキサーの時刻の配列を返す関数（再生中のアニメーションがない場合はnull）
+   * @param {Function} options.isActive - アニメーションが進むはずの状態か（停止時間帯・読み込み中はfalse）を返す関数
+   * @param {Function} options.getState - ハートビートに含める状態を返す関数
+   * @param {Function} options.onRecover - 復旧するときに呼ばれるコールバック (step, reason)。失敗した場合はrejectする
+   */
+  constructor(options = {}) {
+    this.getAnimationTimes = options.getAnimationTimes || (() => []);
+    this.isActive = options.isActive || (() => true);
+    this.getState = options.getState || (() => ({}));
+    this.onRecover = options.onRecover || null;
+
+    this.startTime = Date.now();
+    this.loading = null;
+    this.canvas = null;
+    this.contextLostAt = null;
+    this.errorTimes = [];
+    this.lastError = null;
+    this.animationTimes = null;
+    this.lastAdvance = Date.now();
+    this.recoveryLevel = 0;
+    this.isRecovering = false;
+    this.lastFailure = null;
+    this.lastFailureTime = null;
+    this.reloadTimer = null;
+    this.checkTimer = null;
+    this.heartbeatTimer = null;
+
+    this.applyConfig(options);
+
+    this.onError = (event) => this.reportError(event.error || event.message);
+    this.onUnhandledRejection = (event) => this.reportError(event.reason);
+    this.onContextLost = () => {
+      this.contextLostAt = Date.now();
+      console.warn('WebGLコンテキストが失われました');
+    };
+    this.onContextRestored = () => {
+      this.contextLostAt = null;
+      console.log('WebGLコンテキストが復元されました');
+    };
+  }
+
+  /**
+   * 設定を反映する
+   * @param {Object} options - オプション（config.watchdog）
+   */
+  applyConfig(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.checkInterval = options.checkInterval || 5000;
+    this.loadingTimeout = options.loadingTimeout || 60000;
+    this.stallTimeout = options.stallTimeout || 15000;
+    this.contextRestoreTimeout = options.contextRestoreTimeout !== undefined ? options.contextRestoreTimeout : 5000;
+    this.errorLimit = options.errorLimit || 10;
+    this.errorWindow = options.errorWindow || 60000;
+    this.stableTime = options.stableTime !== undefined ? options.stableTime : 600000;
+    this.reloadDelay = options.reloadDelay !== undefined ? options.reloadDelay : 5000;
+    this.maxReloadDelay = options.maxReloadDelay !== undefined ? options.maxReloadDelay : 600000;
+    this.heartbeatUrl = options.heartbeatUrl || '';
+    this.heartbeatInterval = options.heartbeatInterval || 10000;
+    this.fallback = options.fallback || null;
+  }
+
+  /**
+   * 監視とハートビートを開始する
+   */
+  start() {
+    this.stop();
+    window.addEventListener('error', this.onError);
+    window.addEventListener('unhandledrejection', this.onUnhandledRejection);
+
+    if (this.enabled) {
+      this.checkTimer = setInterval(() => this.check(), this.checkInterval);
+    }
+    if (this.heartbeatUrl) {
+      this.sendHeartbeat();
+      this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval);
+    }
+  }
+
+  /**
+   * 監視とハートビートを止める（予約済みの読み込み直しは取り消さない）
+   */
+  stop() {
+    window.removeEventListener('error', this.onError);
+    window.removeEventListener('unhandledrejection', this.onUnhandledRejection);
+
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * 読み込みの開始を記録する（loadingTimeout を過ぎても終わらない場合は復旧する）
+   * @param {string} label - 読み込むもの（ログ用）
+   */
+  beginLoading(label) {
+    this.loading = { label, startTime: Date.now() };
+  }
+
+  /**
+   * 読み込みの終了を記録する（読み込み中の時間はアニメーションの停止とみなさない）
+   */
+  endLoading() {
+    this.loading = null;
+    this.resetProgress();
+  }
+
+  /**
+   * WebGLコンテキストの喪失を監視するキャンバスを設定する（レンダラーを作り直した場合は新しいキャンバスに切り替える）
+   * @param {HTMLCanvasElement} canvas - レンダラーのキャンバス
+   */
+  watchCanvas(canvas) {
+    if (this.canvas) {
+      this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
+      this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+    }
+    this.canvas = canvas;
+    this.contextLostAt = null;
+    this.canvas.addEventListener('webglcontextlost', this.onContextLost);
+    this.canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+  }
+
+  /**
+   * 例外を記録する（errorWindow のあいだに errorLimit 回に達した場合は復旧する）
+   * @param {Error|string} error - 例外
+   */
+  reportError(error) {
+    const now = Date.now();
+    this.errorTimes = this.errorTimes.filter((time) => now - time < this.errorWindow);
+    this.errorTimes.push(now);
+    this.lastError = error instanceof Error ? error.message : String(error);
+
+    if (this.enabled && this.errorTimes.length >= this.errorLimit) {
+      this.fail('exception', `${this.errorTimes.length}回の例外（最後: ${this.lastError}）`);
+    }
+  }
+
+  /**
+   * 読み込み・アニメーション・WebGLコンテキストの状態を確認する
+   * @param {number} now - 現在時刻（ミリ秒）
+   */
+  check(now = Date.now()) {
+    if (this.isRecovering || this.reloadTimer) return;
+
+    if (this.loading && now - this.loading.startTime > this.loadingTimeout) {
+      this.fail('loading', `${this.loading.label}が${Math.round(this.loadingTimeout / 1000)}秒以内に終わりませんでした`);
+      return;
+    }
+
+    if (this.contextLostAt !== null && now - this.contextLostAt > this.contextRestoreTimeout) {
+      this.fail('context', 'WebGLコンテキストが復元されませんでした');
+      return;
+    }
+
+    if (this.loading || !this.isActive()) {
+      this.resetProgress(now);
+    } else if (this.updateProgress(now) && now - this.lastAdvance > this.stallTimeout) {
+      this.fail('stalled', `アニメーションが${Math.round(this.stallTimeout / 1000)}秒間進んでいません`);
+      return;
+    }
+
+    // しばらく問題がなければ復旧の手順と読み込み直しの間隔を最初に戻す
+    const healthySince = this.lastFailureTime !== null ? this.lastFailureTime : this.startTime;
+    if (now - healthySince > this.stableTime && (this.recoveryLevel > 0 || HealthWatchdog.getReloadCount() > 0)) {
+      console.log('稼働が安定したため、復旧の段階を元に戻しました');
+      this.recoveryLevel = 0;
+      HealthWatchdog.setReloadCount(0);
+    }
+  }
+
+  /**
+   * ミキサーの時刻を前回と比べる
+   * @param {number} now - 現在時刻（ミリ秒）
+   * @returns {boolean} 進んでいないキャラクターがいる場合はtrue
+   */
+  updateProgress(now) {
+    const times = this.getAnimationTimes();
+    const previous = this.animationTimes;
+    this.animationTimes = times;
+
+    // キャラクターが入れ替わった場合は次の確認から比べる
+    if (!previous || previous.length !== times.length) {
+      this.lastAdvance = now;
+      return false;
+    }
+
+    const stalled = times.length === 0 || times.some((time, index) => time === null || previous[index] === null || time <= previous[index]);
+    if (!stalled) {
+      this.lastAdvance = now;
+    }
+    return stalled;
+  }
+
+  /**
+   * アニメーションの進み具合の記録を捨てる
+   * @param {number} now - 現在時刻（ミリ秒）
+   */
+  resetProgress(now = Date.now()) {
+    this.animationTimes = null;
+    this.lastAdvance = now;
+  }
+
+  /**
+   * 問題を検出したときの処理（復旧の手順を1つ進める）
+   * @param {string} reason - 問題の種類（loading・stalled・context・exception・init）
+   * @param {string} detail - 問題の詳細（ログ用）
+   */
+  async fail(reason, detail = '') {
+    if (this.isRecovering || this.reloadTimer) return;
+
+    this.lastFailure = { reason, detail, time: Date.now() };
+    this.lastFailureTime = Date.now();
+    console.error(`稼働監視: 問題を検出しました（${reason}${detail ? `: ${detail}` : ''}）`);
+
+    // 既知の正常なモデル・アニメーションがない場合は切り替えを飛ばす
+    let step = RECOVERY_STEPS[Math.min(this.recoveryLevel, RECOVERY_STEPS.length - 1)];
+    if (step === 'fallback' && !this.hasFallback()) {
+      step = 'reload';
+    }
+    this.recoveryLevel = RECOVERY_STEPS.indexOf(step) + 1;
+
+    if (step === 'reload' || !this.onRecover) {
+      this.scheduleReload(reason);
+      return;
+    }
+
+    this.isRecovering = true;
+    this.sendHeartbeat();
+    try {
+      console.log(`稼働監視: 復旧します（${step}）`);
+      await this.onRecover(step, reason);
+      this.errorTimes = [];
+      this.contextLostAt = null;
+      this.resetProgress();
+    } catch (error) {
+      console.error(`稼働監視: 復旧に失敗しました（${step}）:`, error);
+      this.isRecovering = false;
+      this.fail(reason, error.message);
+      return;
+    }
+    this.isRecovering = false;
+  }
+
+  /**
+   * 既知の正常なモデル・アニメーションが設定されているか
+   * @returns {boolean} 設定されている場合はtrue
+   */
+  hasFallback() {
+    return !!(this.fallback && ((this.fallback.model && this.fallback.model.path) || this.fallback.animations));
+  }
+
+  /**
+   * ページの読み込み直しを予約する（繰り返すたびに間隔を倍にする）
+   * @param {string} reason - 読み込み直す理由（ログ用）
+   * @returns {number} 読み込み直すまでの時間（ミリ秒）
+   */
+  scheduleReload(reason) {
+    if (this.reloadTimer) return 0;
+
+    const count = HealthWatchdog.getReloadCount();
+    const delay = Math.min(this.reloadDelay * Math.pow(2, count), this.maxReloadDelay);
+    HealthWatchdog.setReloadCount(count + 1);
+
+    console.warn(`稼働監視: ${Math.round(delay / 1000)}秒後にページを読み込み直します（${reason}、${count + 1}回目）`);
+    this.reloadTimer = setTimeout(() => window.location.reload(), delay);
+    this.sendHeartbeat();
+    return delay;
+  }
+
+  /**
+   * 稼働状況
+   * @returns {string} ok・loading・recovering・reloading・contextLost のいずれか
+   */
+  getStatus() {
+    if (this.reloadTimer) return 'reloading';
+    if (this.isRecovering) return 'recovering';
+    if (this.contextLostAt !== null) return 'contextLost';
+    if (this.loading) return 'loading';
+    return 'ok';
+  }
+
+  /**
+   * ハートビートを送る（送れない場合は無視する）
+   */
+  sendHeartbeat() {
+    if (!this.heartbeatUrl) return;
+
+    const heartbeat = {
+      timestamp: Date.now(),
+      status: this.getStatus(),
+      uptime: Math.round((Date.now() - this.startTime) / 1000),
+      reloads: HealthWatchdog.getReloadCount(),
+      lastFailure: this.lastFailure,
+      ...this.getState()
+    };
+
+    fetch(this.heartbeatUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(heartbeat)
+    }).catch(() => {
+      // 監視するプロセスが動いていない場合も表示は続ける
+    });
+  }
+
+  /**
+   * ページを読み込み直した回数（問題が続いている間だけ数える）
+   * @returns {number} 回数
+   */
+  static getReloadCount() {
+    try {
+      return Number(window.localStorage.getItem(RELOAD_STORAGE_KEY)) || 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * ページを読み込み直した回数を保存する
+   * @param {number} count - 回数（0の場合は消す）
+   */
+  static setReloadCount(count) {
+    try {
+      if (count > 0) {
+        window.localStorage.setItem(RELOAD_STORAGE_KEY, String(count));
+      } else {
+        window.localStorage.removeItem(RELOAD_STORAGE_KEY);
+      }
+    } catch (error) {
+      // ストレージが使えない場合は毎回最初の間隔で読み込み直す
+    }
+  }
+
+  /**
+   * 監視・ハートビート・キャンバスのイベントを解除する
+   */
+  dispose() {
+    this.stop();
+    if (this.canvas) {
+      this.canvas.removeEventListener('webglcontextlost', this.onContextLost);
+      this.canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+      this.canvas = null;
+    }
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      enabled: this.enabled,
+      status: this.getStatus(),
+      recoveryLevel: this.recoveryLevel,
+      reloads: HealthWatchdog.getReloadCount(),
+      recentErrors: this.errorTimes.length,
+      lastFailure: this.lastFailure
+    };
+  }
+}
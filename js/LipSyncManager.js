@@ -0,0 +1,570 @@
+/**
+ * リップシンク管理クラス
+ * 音声ファイルをWeb Audioで再生し、その解析結果からVRMの口の形（aa/ih/ou/ee/oh）を動かす
+ *
+ * 解析は簡易的なフォルマント推定で行う:
+ * - 平滑化したスペクトルの強いピーク2つを第1・第2フォルマントとみなす
+ * - 第1フォルマントを口の開き、第2フォルマントを舌の前後位置の目安にする
+ * この2つの特徴量と各母音の代表値との距離から、母音ごとの重みを求める
+ *
+ * 感情表情やまばたきはExpressionManagerが別の表情名で制御するため、口の形と同時に動作する
+ */
+
+// 解析対象の口の形
+export const VISEMES = ['aa', 'ih', 'ou', 'ee', 'oh'];
+
+// 各母音の代表的な特徴量（openness: 口の開き, frontness: 舌の前後位置）
+// 日本語母音のおおよそのフォルマント (F1, F2) から求めた値
+const VISEME_PROTOTYPES = {
+  aa: { openness: 1.0, frontness: 0.25 },  // F1 800Hz, F2 1200Hz
+  ih: { openness: 0.1, frontness: 1.0 },   // F1 300Hz, F2 2400Hz
+  ou: { openness: 0.2, frontness: 0.4 },   // F1 350Hz, F2 1400Hz
+  ee: { openness: 0.45, frontness: 0.7 },  // F1 500Hz, F2 1900Hz
+  oh: { openness: 0.45, frontness: 0.05 }  // F1 500Hz, F2 850Hz
+};
+
+export class LipSyncManager {
+  /**
+   * コンストラクタ
+   * @param {Object} vrm - VRMインスタンス
+   * @param {Object} options - オプション（config.lipSync）
+   */
+  constructor(vrm, options = {}) {
+    this.vrm = vrm;
+
+    // 解析・平滑化パラメータ
+    this.mode = options.mode || 'offline';
+    this.volume = options.volume !== undefined ? options.volume : 1.0;
+    this.attack = options.attack || 0.04;   // 口を開くときの時定数（秒）
+    this.release = options.release || 0.12; // 口を閉じるときの時定数（秒）
+    this.silenceThreshold = options.silenceThreshold !== undefined ? options.silenceThreshold : -50; // dB
+    this.gain = options.gain || 1.0;        // 口の動きの大きさ
+
+    // 再生管理
+    this.audioContext = null;
+    this.source = null;
+    this.analyser = null;
+    this.analysis = null;
+    this.startTime = 0;
+    this.isSpeaking = false;
+    this.currentPath = null;
+    this.bufferCache = new Map();
+
+    // 現在の口の形（目標値と平滑化後の値）
+    this.targets = LipSyncManager.createEmptyFrame();
+    this.values = LipSyncManager.createEmptyFrame();
+  }
+
+  /**
+   * VRMインスタンスを設定する
+   * @param {Object} vrm - VRMインスタンス
+   */
+  setVRM(vrm) {
+    this.stop();
+    this.vrm = vrm;
+  }
+
+  /**
+   * AudioContextを取得する（初回のみ作成）
+   * @returns {AudioContext} AudioContext
+   */
+  getAudioContext() {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return this.audioContext;
+  }
+
+  /**
+   * 音声ファイルを読み込んでデコードする（同じパスはキャッシュを使う）
+   * @param {string} path - 音声ファイルのパス（WAV/MP3/OGG）
+   * @returns {Promise<AudioBuffer>} デコード済みの音声
+   */
+  async loadAudio(path) {
+    if (this.bufferCache.has(path)) {
+      return this.bufferCache.get(path);
+    }
+
+    const response = await fetch(path);
+    if (!response.ok) {
+      throw new Error(`音声ファイルの読み込みに失敗しました: ${path} (HTTP ${response.status})`);
+    }
+
+    const arrayBuffer = await response.arrayBuffer();
+    const audioBuffer = await this.getAudioContext().decodeAudioData(arrayBuffer);
+    this.bufferCache.set(path, audioBuffer);
+    return audioBuffer;
+  }
+
+  /**
+   * 音声を再生してリップシンクを開始する
+   * @param {string} path - 音声ファイルのパス
+   * @param {Object} options - オプション
+   * @param {string} options.mode - 'offline'（事前解析）または 'realtime'（再生中に解析）
+   * @returns {Promise} 再生が終わると解決するPromise
+   */
+  async play(path, options = {}) {
+    const mode = options.mode || this.mode;
+    const audioBuffer = await this.loadAudio(path);
+    const context = this.getAudioContext();
+
+    if (context.state === 'suspended') {
+      await context.resume();
+    }
+
+    this.stop();
+
+    // 事前解析の場合は再生前にフレームごとの口の形を求めておく
+    this.analysis = mode === 'offline'
+      ? LipSyncManager.analyzeSamples(LipSyncManager.mixToMono(audioBuffer), audioBuffer.sampleRate, {
+          silenceThreshold: this.silenceThreshold
+        })
+      : null;
+
+    const source = context.createBufferSource();
+    source.buffer = audioBuffer;
+
+    const gainNode = context.createGain();
+    gainNode.gain.value = this.volume;
+    source.connect(gainNode);
+    gainNode.connect(context.destination);
+
+    if (mode === 'realtime') {
+      this.analyser = context.createAnalyser();
+      this.analyser.fftSize = 1024;
+      this.analyserData = new Float32Array(this.analyser.fftSize);
+      source.connect(this.analyser);
+    }
+
+    this.source = source;
+    this.currentPath = path;
+    this.isSpeaking = true;
+    this.startTime = context.currentTime;
+
+    console.log(`リップシンク再生開始: ${path} (${mode})`);
+
+    return new Promise((resolve) => {
+      source.onended = () => {
+        if (this.source === source) {
+          this.finishSpeaking();
+        }
+        resolve();
+      };
+      source.start();
+    });
+  }
+
+  /**
+   * 再生を停止する
+   */
+  stop() {
+    if (this.source) {
+      const source = this.source;
+      this.source = null;
+      try {
+        source.stop();
+      } catch (error) {
+        // 再生前・再生済みのソースは無視
+      }
+    }
+    this.finishSpeaking();
+  }
+
+  /**
+   * 発話の終了処理（口は平滑化によって自然に閉じる）
+   */
+  finishSpeaking() {
+    this.isSpeaking = false;
+    this.analyser = null;
+    this.analysis = null;
+    this.currentPath = null;
+    this.targets = LipSyncManager.createEmptyFrame();
+  }
+
+  /**
+   * 毎フレームの更新処理
+   * @param {number} deltaTime - 経過時間（秒）
+   */
+  update(deltaTime) {
+    if (this.isSpeaking) {
+      this.targets = this.getCurrentTargets();
+    }
+
+    // 口の開閉で異なる時定数を使って平滑化
+    let active = false;
+    for (const viseme of VISEMES) {
+      const target = this.targets[viseme] * this.gain;
+      const current = this.values[viseme];
+      const tau = target > current ? this.attack : this.release;
+      const next = current + (target - current) * (1 - Math.exp(-deltaTime / tau));
+
+      this.values[viseme] = next < 0.001 ? 0 : Math.min(1, next);
+      if (this.values[viseme] > 0) active = true;
+    }
+
+    // 発話していない間は表情の値に触れない
+    if (active || this.wasActive) {
+      this.applyToVRM();
+    }
+    this.wasActive = active;
+  }
+
+  /**
+   * 現在の再生位置に対応する口の形を取得する
+   * @returns {Object} 口の形ごとの重み
+   */
+  getCurrentTargets() {
+    if (this.analysis) {
+      const elapsed = this.getAudioContext().currentTime - this.startTime;
+      const index = Math.floor(elapsed * this.analysis.frameRate);
+      return this.analysis.frames[Math.min(index, this.analysis.frames.length - 1)] ||
+        LipSyncManager.createEmptyFrame();
+    }
+
+    if (this.analyser) {
+      this.analyser.getFloatTimeDomainData(this.analyserData);
+      return LipSyncManager.analyzeFrame(this.analyserData, this.getAudioContext().sampleRate, {
+        silenceThreshold: this.silenceThreshold
+      });
+    }
+
+    return LipSyncManager.createEmptyFrame();
+  }
+
+  /**
+   * 口の形をVRMの表情に反映する
+   */
+  applyToVRM() {
+    if (!this.vrm || !this.vrm.expressionManager) return;
+
+    for (const viseme of VISEMES) {
+      this.vrm.expressionManager.setValue(viseme, this.values[viseme]);
+    }
+  }
+
+  /**
+   * 全ての口の形が0のフレームを作成
+   * @returns {Object} 口の形ごとの重み
+   */
+  static createEmptyFrame() {
+    return { aa: 0, ih: 0, ou: 0, ee: 0, oh: 0 };
+  }
+
+  /**
+   * AudioBufferの全チャンネルを平均してモノラルにする
+   * @param {AudioBuffer} audioBuffer - 音声
+   * @returns {Float32Array} モノラルのサンプル
+   */
+  static mixToMono(audioBuffer) {
+    const mono = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        mono[i] += data[i] / audioBuffer.numberOfChannels;
+      }
+    }
+    return mono;
+  }
+
+  /**
+   * 音声全体を事前解析する
+   * @param {Float32Array} samples - モノラルのサンプル
+   * @param {number} sampleRate - サンプリングレート
+   * @param {Object} options - オプション
+   * @param {number} options.frameRate - 1秒あたりの解析フレーム数
+   * @param {number} options.windowSize - 解析窓のサンプル数（2のべき乗）
+   * @param {number} options.silenceThreshold - 無音とみなす音量（dB）
+   * @returns {Object} 解析結果 ({ frameRate, duration, frames })
+   */
+  static analyzeSamples(samples, sampleRate, options = {}) {
+    const frameRate = options.frameRate || 60;
+    const windowSize = options.windowSize || 1024;
+    const hop = sampleRate / frameRate;
+    const frameCount = Math.ceil(samples.length / hop);
+    const window = new Float32Array(windowSize);
+    const frames = [];
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      // 解析窓の中心をフレームの時刻に合わせる
+      const start = Math.round(frame * hop) - windowSize / 2;
+      for (let i = 0; i < windowSize; i++) {
+        const index = start + i;
+        window[i] = index >= 0 && index < samples.length ? samples[index] : 0;
+      }
+      frames.push(LipSyncManager.analyzeFrame(window, sampleRate, options));
+    }
+
+    return {
+      frameRate,
+      duration: samples.length / sampleRate,
+      frames
+    };
+  }
+
+  /**
+   * 1フレーム分のサンプルから口の形を推定する
+   * @param {Float32Array} samples - 解析窓のサンプル（長さは2のべき乗）
+   * @param {number} sampleRate - サンプリングレート
+   * @param {Object} options - オプション
+   * @param {number} options.silenceThreshold - 無音とみなす音量（dB）
+   * @returns {Object} 口の形ごとの重み（0〜1）
+   */
+  static analyzeFrame(samples, sampleRate, options = {}) {
+    const silenceThreshold = options.silenceThreshold !== undefined ? options.silenceThreshold : -50;
+    const dynamicRange = 30; // 無音のしきい値からこのdB分で口が最大まで開く
+    const size = samples.length;
+
+    // 音量（RMS）
+    let sum = 0;
+    for (let i = 0; i < size; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sum / size);
+    const db = 20 * Math.log10(rms + 1e-12);
+    const loudness = Math.min(1, Math.max(0, (db - silenceThreshold) / dynamicRange));
+
+    const frame = LipSyncManager.createEmptyFrame();
+    if (loudness === 0) return frame;
+
+    // ハン窓をかけてスペクトルを求める
+    const real = new Float32Array(size);
+    const imag = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      real[i] = samples[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (size - 1)));
+    }
+    fft(real, imag);
+
+    // スペクトル包絡を平滑化し、強いピーク2つを第1・第2フォルマントとみなす
+    const binWidth = sampleRate / size;
+    const minBin = Math.max(1, Math.floor(150 / binWidth));
+    const maxBin = Math.min(size / 2 - 1, Math.ceil(3500 / binWidth));
+    const power = new Float32Array(maxBin + 1);
+    for (let bin = minBin; bin <= maxBin; bin++) {
+      power[bin] = real[bin] * real[bin] + imag[bin] * imag[bin];
+    }
+
+    // 倍音による細かい山をならすため、移動平均を2回かける
+    const radius = Math.max(1, Math.round(100 / binWidth));
+    const envelope = smoothSpectrum(smoothSpectrum(power, minBin, maxBin, radius), minBin, maxBin, radius);
+
+    // 第1フォルマント: 250〜1000Hzで最も強い山
+    // 第2フォルマント: 第1フォルマントより250Hz以上高い範囲で最も強い山
+    const findPeak = (fromHz, toHz) => {
+      let best = null;
+      let loudest = null;
+      const from = Math.max(minBin + 1, Math.ceil(fromHz / binWidth));
+      const to = Math.min(maxBin - 1, Math.floor(toHz / binWidth));
+      for (let bin = from; bin <= to; bin++) {
+        const isPeak = envelope[bin] > envelope[bin - 1] && envelope[bin] >= envelope[bin + 1];
+        if (isPeak && (best === null || envelope[bin] > envelope[best])) {
+          best = bin;
+        }
+        if (loudest === null || envelope[bin] > envelope[loudest]) {
+          loudest = bin;
+        }
+      }
+      // 山が見つからない場合は範囲内で最も強いビンを使う
+      return best !== null ? best : loudest;
+    };
+
+    const f1Bin = findPeak(200, 1000);
+    if (f1Bin === null) return frame;
+    const f2Bin = findPeak(f1Bin * binWidth + 250, 3000);
+
+    const f1 = f1Bin * binWidth;
+    const f2 = f2Bin !== null ? f2Bin * binWidth : f1;
+
+    const openness = Math.min(1, Math.max(0, (f1 - 250) / 550));
+    const frontness = Math.min(1, Math.max(0, (f2 - 800) / 1600));
+
+    // 各母音の代表値との距離から重みを求め、音量で口の大きさを決める
+    const sigma = 0.25;
+    let total = 0;
+    for (const viseme of VISEMES) {
+      const prototype = VISEME_PROTOTYPES[viseme];
+      const distance = (openness - prototype.openness) ** 2 + (frontness - prototype.frontness) ** 2;
+      frame[viseme] = Math.exp(-distance / (sigma * sigma));
+      total += frame[viseme];
+    }
+    for (const viseme of VISEMES) {
+      frame[viseme] = total > 0 ? (frame[viseme] / total) * loudness : 0;
+    }
+
+    return frame;
+  }
+
+  /**
+   * WAVファイルをデコードする（Web Audioを使わない事前解析・テスト用）
+   * 対応形式: PCM 8/16/24/32bit, IEEE float 32bit
+   * @param {ArrayBuffer} arrayBuffer - WAVファイルの内容
+   * @returns {Object} { sampleRate, samples: モノラルのFloat32Array }
+   */
+  static parseWav(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const readTag = (offset) => String.fromCharCode(
+      view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+
+    if (readTag(0) !== 'RIFF' || readTag(8) !== 'WAVE') {
+      throw new Error('WAVファイルではありません');
+    }
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+      const tag = readTag(offset);
+      const size = view.getUint32(offset + 4, true);
+      const body = offset + 8;
+
+      if (tag === 'fmt ') {
+        format = {
+          audioFormat: view.getUint16(body, true),
+          channels: view.getUint16(body + 2, true),
+          sampleRate: view.getUint32(body + 4, true),
+          bitsPerSample: view.getUint16(body + 14, true)
+        };
+      } else if (tag === 'data') {
+        if (!format) {
+          throw new Error('WAVファイルのfmtチャンクがありません');
+        }
+        return {
+          sampleRate: format.sampleRate,
+          samples: decodePcm(view, body, Math.min(size, view.byteLength - body), format)
+        };
+      }
+
+      // チャンクは2バイト境界に揃えられている
+      offset = body + size + (size % 2);
+    }
+
+    throw new Error('WAVファイルのdataチャンクがありません');
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    const dominant = VISEMES.reduce((a, b) => (this.values[a] >= this.values[b] ? a : b));
+    return {
+      isSpeaking: this.isSpeaking,
+      currentPath: this.currentPath || 'なし',
+      mode: this.mode,
+      dominantViseme: this.values[dominant] > 0 ? `${dominant} (${this.values[dominant].toFixed(2)})` : 'なし'
+    };
+  }
+}
+
+/**
+ * WAVのPCMデータをモノラルのFloat32Arrayにデコードする
+ * @param {DataView} view - WAVファイルのDataView
+ * @param {number} start - dataチャンクの開始位置
+ * @param {number} length - dataチャンクのバイト数
+ * @param {Object} format - fmtチャンクの情報
+ * @returns {Float32Array} モノラルのサンプル
+ */
+function decodePcm(view, start, length, format) {
+  const bytesPerSample = format.bitsPerSample / 8;
+  const frameSize = bytesPerSample * format.channels;
+  const frameCount = Math.floor(length / frameSize);
+  const samples = new Float32Array(frameCount);
+
+  const readSample = (offset) => {
+    if (format.audioFormat === 3 && format.bitsPerSample === 32) {
+      return view.getFloat32(offset, true);
+    }
+    switch (format.bitsPerSample) {
+      case 8:
+        return (view.getUint8(offset) - 128) / 128;
+      case 16:
+        return view.getInt16(offset, true) / 32768;
+      case 24: {
+        const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+        return value / 8388608;
+      }
+      case 32:
+        return view.getInt32(offset, true) / 2147483648;
+      default:
+        throw new Error(`未対応のWAV形式です: ${format.bitsPerSample}bit`);
+    }
+  };
+
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel++) {
+      sum += readSample(start + i * frameSize + channel * bytesPerSample);
+    }
+    samples[i] = sum / format.channels;
+  }
+
+  return samples;
+}
+
+/**
+ * スペクトルに移動平均をかける
+ * @param {Float32Array} spectrum - パワースペクトル
+ * @param {number} minBin - 対象範囲の最小ビン
+ * @param {number} maxBin - 対象範囲の最大ビン
+ * @param {number} radius - 平均をとる半径（ビン数）
+ * @returns {Float32Array} 平滑化したスペクトル
+ */
+function smoothSpectrum(spectrum, minBin, maxBin, radius) {
+  const smoothed = new Float32Array(spectrum.length);
+  for (let bin = minBin; bin <= maxBin; bin++) {
+    let total = 0;
+    let count = 0;
+    for (let k = Math.max(minBin, bin - radius); k <= Math.min(maxBin, bin + radius); k++) {
+      total += spectrum[k];
+      count++;
+    }
+    smoothed[bin] = total / count;
+  }
+  return smoothed;
+}
+
+/**
+ * 基数2のFFT（その場で変換する）
+ * @param {Float32Array} real - 実部（長さは2のべき乗）
+ * @param {Float32Array} imag - 虚部
+ */
+function fft(real, imag) {
+  const n = real.length;
+
+  // ビット反転による並べ替え
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = -2 * Math.PI / length;
+    const wReal = Math.cos(angle);
+    const wImag = Math.sin(angle);
+
+    for (let i = 0; i < n; i += length) {
+      let curReal = 1;
+      let curImag = 0;
+      for (let j = 0; j < length / 2; j++) {
+        const a = i + j;
+        const b = a + length / 2;
+        const tReal = real[b] * curReal - imag[b] * curImag;
+        const tImag = real[b] * curImag + imag[b] * curReal;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+
+        const nextReal = curReal * wReal - curImag * wImag;
+        curImag = curReal * wImag + curImag * wReal;
+        curReal = nextReal;
+      }
+    }
+  }
+}
@@ -86,6 +86,9 @@ export class MixamoVRMMapper {
       }
     });
     
+    // ルートモーションの抽出に使うヒップの初期位置
+    this.measureHips();
+    
     // デバッグモードの場合、解析結果を表示
     if (this.debugMode) {
       console.log('VRM構造解析結果:', this.vrmStructure);
@@ -95,6 +98,26 @@ export class MixamoVRMMapper {
     }
   }
   
+  /**
+   * ヒップの初期位置（親からの相対位置）と床からの高さを記録する
+   * 高さは、リグなしでリターゲットする場合にアニメーション側のヒップの高さとの比で移動量の縮尺を求めるのに使う
+   */
+  measureHips() {
+    const hips = this.vrmStructure.humanoidBones.hips;
+    if (!hips) {
+      this.hipsRest = null;
+      return;
+    }
+    
+    this.vrm.scene.updateMatrixWorld(true);
+    const worldPosition = hips.node.getWorldPosition(new THREE.Vector3());
+    
+    this.hipsRest = {
+      position: hips.node.position.clone(),
+      height: this.vrm.scene.worldToLocal(worldPosition).y
+    };
+  }
+  
   /**
    * 指のボーンかどうかを判定
    * @param {string} boneName - ボーン名
@@ -255,18 +278,36 @@ export class MixamoVRMMapper {
   
   /**
    * Mixamoアニメーションをリターゲットしてアニメーションを生成
+   *
+   * ソースのリグ（FBXLoaderで読み込んだシーン）を渡すと、各ボーンの初期姿勢と親のワールド回転を考慮して
+   * 正規化ボーン（初期姿勢が単位回転のボーン）へリターゲットする。ヒップの移動は脚の長さの比で拡大縮小する。
+   * リグがない場合は、回転をそのままコピーしてヒップだけY軸180度回転する従来の方法を使う
+   *
+   * options.boneMap（元のボーン名 -> ヒューマノイドボーン名）を渡すと、Mixamo以外のリグ（BVHなど）も扱える
    * @param {THREE.AnimationClip} srcClip - 元のアニメーションクリップ
    * @param {string} name - 新しいアニメーション名（省略可）
+   * @param {THREE.Object3D} sourceRig - 元のアニメーションのリグ（省略可）
+   * @param {Object} options - オプション
+   * @param {Object} options.boneMap - ボーンマッピング（省略時はMixamo）
+   * @param {string} options.metaVersion - 出力する向きのVRMバージョン（省略時はVRMのもの。VRMAへの書き出しでは'1'）
    * @returns {THREE.AnimationClip} リターゲットされたアニメーションクリップ
    */
-  retargetAnimation(srcClip, name = null) {
+  retargetAnimation(srcClip, name = null, sourceRig = null, options = {}) {
     if (!srcClip) {
       console.error('MixamoVRMMapper: アニメーションクリップがnullです');
       return null;
     }
     
     // ボーンマッピングを取得
-    const boneMap = this.getMixamoToVRMBoneMap();
+    const humanoidMap = options.boneMap || this.getMixamoToHumanoidBoneMap();
+    const boneMap = options.boneMap ? this.toNodeNameMap(options.boneMap) : this.getMixamoToVRMBoneMap();
+    const hipsName = Object.keys(humanoidMap).find((sourceName) => humanoidMap[sourceName] === 'hips');
+    
+    // 初期姿勢を考慮したリターゲットの準備（リグがない・正規化ボーンがない場合はnull）
+    const context = sourceRig ? this.createRetargetContext(sourceRig, humanoidMap, hipsName, options.metaVersion) : null;
+    if (sourceRig && !context) {
+      console.warn('MixamoVRMMapper: 初期姿勢を使ったリターゲットができないため、従来の方法でリターゲットします');
+    }
     
     // リターゲット用の新しいトラックを格納する配列
     const retargetedTracks = [];
@@ -277,6 +318,9 @@ export class MixamoVRMMapper {
     // 適用できないトラックを記録
     const skippedTracks = [];
     
+    // ヒップの移動から取り出したルートモーション
+    let rootMotion = null;
+    
     // 各トラックをリターゲット
     for (const track of srcClip.tracks) {
       const trackSplits = track.name.split('.');
@@ -284,9 +328,11 @@ export class MixamoVRMMapper {
       const propertyName = trackSplits.slice(1).join('.');
       
       // VRMボーン名に変換
-      const vrmBoneName = boneMap[boneName];
+      const vrmBoneName = context ? context.targets[boneName] : boneMap[boneName];
       
-      if (vrmBoneName) {
+      // 移動はヒップだけを使う（他のボーンの移動は体型の違いで崩れるため）
+      const isHips = boneName === hipsName;
+      if (vrmBoneName && (propertyName !== 'position' || isHips)) {
         // 新しいトラック名を生成
         const newTrackName = `${vrmBoneName}.${propertyName}`;
         
@@ -294,9 +340,29 @@ export class MixamoVRMMapper {
         const retargetedTrack = track.clone();
         retargetedTrack.name = newTrackName;
         
-        // ヒップボーンの場合、回転を調整（Y軸180度回転）
-        if (boneName === 'mixamorigHips' && propertyName === 'quaternion') {
-          this.adjustHipRotation(retargetedTrack);
+        if (context) {
+          if (propertyName === 'quaternion') {
+            this.retargetRotationTrack(retargetedTrack, context.rest[boneName], context.flip);
+          } else if (propertyName === 'position') {
+            this.scalePositionTrack(retargetedTrack, context.hipsScale, context.flip);
+          }
+        } else {
+          // ヒップボーンの場合、回転を調整（Y軸180度回転）
+          if (isHips && propertyName === 'quaternion') {
+            this.adjustHipRotation(retargetedTrack);
+          }
+          
+          if (isHips && propertyName === 'position') {
+            const firstHeight = retargetedTrack.values[1];
+            const scale = this.hipsRest && this.hipsRest.height > 0 && firstHeight > 0 ? this.hipsRest.height / firstHeight : 1;
+            this.scalePositionTrack(retargetedTrack, scale, true);
+          }
+        }
+        
+        // ヒップの移動からルートモーション（前進する量）を取り出す
+        if (isHips && propertyName === 'position') {
+          const rest = context ? context.hipsRestPosition : this.hipsRest && this.hipsRest.position;
+          rootMotion = this.extractRootMotion(retargetedTrack, rest);
         }
         
         // リターゲット済みトラックに追加
@@ -306,8 +372,8 @@ export class MixamoVRMMapper {
         if (this.debugMode) {
           console.log(`リターゲット: ${boneName} -> ${vrmBoneName} (${propertyName})`);
         }
-      } else {
-        // マッピングされていないトラックをスキップ
+      } else if (!vrmBoneName) {
+        // マッピングされていないトラックをスキップ（ヒップ以外の移動は意図して使わないため含めない）
         skippedTracks.push(`${boneName}.${propertyName}`);
       }
     }
@@ -319,6 +385,12 @@ export class MixamoVRMMapper {
       retargetedTracks
     );
     
+    // リターゲット済みであることと歩幅の情報、適用できなかったトラックをクリップに持たせる
+    retargetedClip.userData = { ...srcClip.userData, retargeted: true, rootMotion, skippedTracks };
+    if (rootMotion) {
+      console.info(`ルートモーション: ${rootMotion.distance.toFixed(2)}m / ${retargetedClip.duration.toFixed(2)}秒 (歩幅の速度 ${rootMotion.speed.toFixed(2)}m/秒)`);
+    }
+    
     // デバッグ情報
     if (this.debugMode || skippedTracks.length > 0) {
       console.info(`アニメーションリターゲット完了: ${retargetedTracks.length}/${srcClip.tracks.length} トラック`);
@@ -333,6 +405,190 @@ export class MixamoVRMMapper {
     return retargetedClip;
   }
   
+  /**
+   * ソースのリグの初期姿勢から、初期姿勢を考慮したリターゲットに必要な情報を集める
+   * @param {THREE.Object3D} sourceRig - 元のアニメーションのリグ
+   * @param {Object} humanoidMap - ボーンマッピング（元のボーン名 -> ヒューマノイドボーン名）
+   * @param {string} hipsName - 元のリグのヒップのボーン名
+   * @param {string} metaVersion - 出力する向きのVRMバージョン（省略時はVRMのもの）
+   * @returns {Object|null} リターゲットの情報（正規化ボーンが使えない場合はnull）
+   */
+  createRetargetContext(sourceRig, humanoidMap, hipsName, metaVersion = null) {
+    const humanoid = this.vrm.humanoid;
+    if (!humanoid || typeof humanoid.getNormalizedBoneNode !== 'function') {
+      return null;
+    }
+    
+    sourceRig.updateMatrixWorld(true);
+    this.vrm.scene.updateMatrixWorld(true);
+    
+    const targets = {}; // 元のボーン名 -> 正規化ボーンのノード名
+    const rest = {};    // 元のボーン名 -> { restRotationInverse, parentRestWorldRotation }
+    
+    for (const [sourceName, humanBoneName] of Object.entries(humanoidMap)) {
+      const sourceNode = sourceRig.getObjectByName(sourceName);
+      const targetNode = humanoid.getNormalizedBoneNode(humanBoneName);
+      if (!sourceNode || !targetNode) continue;
+      
+      const restRotationInverse = sourceNode.getWorldQuaternion(new THREE.Quaternion()).invert();
+      const parentRestWorldRotation = sourceNode.parent
+        ? sourceNode.parent.getWorldQuaternion(new THREE.Quaternion())
+        : new THREE.Quaternion();
+      
+      targets[sourceName] = targetNode.name;
+      rest[sourceName] = { restRotationInverse, parentRestWorldRotation };
+    }
+    
+    if (!hipsName || !targets[hipsName]) {
+      return null;
+    }
+    
+    // VRM0の正規化ボーンは-Z向き、Mixamo・VRM1は+Z向き
+    const vrmVersion = this.vrm.meta && this.vrm.meta.metaVersion;
+    const version = metaVersion || vrmVersion;
+    const targetHips = humanoid.getNormalizedBoneNode('hips');
+    
+    // 出力する向きがVRMと異なる場合は、ヒップの初期位置もY軸180度回転する
+    const hipsRestPosition = targetHips.position.clone();
+    if ((version === '0') !== (vrmVersion === '0')) {
+      hipsRestPosition.set(-hipsRestPosition.x, hipsRestPosition.y, -hipsRestPosition.z);
+    }
+    
+    return {
+      targets,
+      rest,
+      flip: version === '0',
+      hipsScale: this.calculateHipsScale(sourceRig, humanoidMap, hipsName),
+      hipsRestPosition
+    };
+  }
+  
+  /**
+   * Mixamoボーン名からVRMヒューマノイドボーン名へのマッピングを取得
+   * @returns {Object} ボーンマッピング（mixamo名 -> ヒューマノイドボーン名）
+   */
+  getMixamoToHumanoidBoneMap() {
+    const nodeToHumanBone = {};
+    for (const [humanBoneName, boneData] of Object.entries(this.vrmStructure.humanoidBones)) {
+      nodeToHumanBone[boneData.name] = humanBoneName;
+    }
+    
+    const map = {};
+    for (const [mixamoName, nodeName] of Object.entries(this.getMixamoToVRMBoneMap())) {
+      if (nodeName && nodeToHumanBone[nodeName]) {
+        map[mixamoName] = nodeToHumanBone[nodeName];
+      }
+    }
+    return map;
+  }
+  
+  /**
+   * ヒューマノイドボーン名のマッピングをVRMのノード名のマッピングに変換する
+   * @param {Object} humanoidMap - ボーンマッピング（元のボーン名 -> ヒューマノイドボーン名）
+   * @returns {Object} ボーンマッピング（元のボーン名 -> VRMノード名）
+   */
+  toNodeNameMap(humanoidMap) {
+    const map = {};
+    for (const [sourceName, humanBoneName] of Object.entries(humanoidMap)) {
+      const nodeName = this.getVRMBoneByName(humanBoneName);
+      if (nodeName) {
+        map[sourceName] = nodeName;
+      }
+    }
+    return map;
+  }
+  
+  /**
+   * ヒップの移動量の縮尺を脚の長さの比から求める
+   * 脚のボーンが揃っていない場合はヒップの高さの比を使う
+   * @param {THREE.Object3D} sourceRig - 元のアニメーションのリグ（updateMatrixWorld済み）
+   * @param {Object} humanoidMap - ボーンマッピング（元のボーン名 -> ヒューマノイドボーン名）
+   * @param {string} hipsName - 元のリグのヒップのボーン名
+   * @returns {number} 縮尺
+   */
+  calculateHipsScale(sourceRig, humanoidMap, hipsName) {
+    const sourceHips = sourceRig.getObjectByName(hipsName);
+    const humanoid = this.vrm.humanoid;
+    const legBones = ['leftUpperLeg', 'leftLowerLeg', 'leftFoot'];
+    const sourceNameOf = (humanBoneName) => Object.keys(humanoidMap).find((sourceName) => humanoidMap[sourceName] === humanBoneName);
+    
+    // ヒップの位置トラックは親の座標系の値なので、ソースの長さも親の座標系で測る
+    const sourceSpace = sourceHips.parent || sourceRig;
+    const sourceLeg = this.measureChain(
+      legBones.map((humanBoneName) => {
+        const sourceName = sourceNameOf(humanBoneName);
+        return sourceName ? sourceRig.getObjectByName(sourceName) : null;
+      }),
+      sourceSpace
+    );
+    const targetLeg = this.measureChain(
+      legBones.map((humanBoneName) => humanoid.getNormalizedBoneNode(humanBoneName)),
+      this.vrm.scene
+    );
+    
+    if (sourceLeg > 0 && targetLeg > 0) {
+      return targetLeg / sourceLeg;
+    }
+    
+    const sourceHeight = sourceHips.position.y;
+    const targetHips = humanoid.getNormalizedBoneNode('hips');
+    const targetHeight = this.vrm.scene.worldToLocal(targetHips.getWorldPosition(new THREE.Vector3())).y;
+    return sourceHeight > 0 && targetHeight > 0 ? targetHeight / sourceHeight : 1;
+  }
+  
+  /**
+   * つながったボーンの長さの合計を測る
+   * @param {Array<THREE.Object3D|null>} nodes - 根元から順に並べたボーン
+   * @param {THREE.Object3D} space - 長さを測る座標系
+   * @returns {number} 長さ（ボーンが欠けている場合は0）
+   */
+  measureChain(nodes, space) {
+    if (nodes.some((node) => !node)) return 0;
+    
+    const points = nodes.map((node) => space.worldToLocal(node.getWorldPosition(new THREE.Vector3())));
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += points[i].distanceTo(points[i - 1]);
+    }
+    return length;
+  }
+  
+  /**
+   * 回転トラックを正規化ボーン用に変換する
+   * 親の初期ワールド回転 * アニメーションの回転 * 自分の初期ワールド回転の逆 で、初期姿勢からのワールド空間の回転にする
+   * @param {THREE.KeyframeTrack} track - 回転トラック（書き換えられる）
+   * @param {Object} rest - { restRotationInverse, parentRestWorldRotation }
+   * @param {boolean} flip - VRM0向けにX・Z成分を反転するか
+   */
+  retargetRotationTrack(track, rest, flip) {
+    const quat = new THREE.Quaternion();
+    
+    for (let i = 0; i < track.values.length; i += 4) {
+      quat.fromArray(track.values, i);
+      quat.premultiply(rest.parentRestWorldRotation).multiply(rest.restRotationInverse);
+      quat.toArray(track.values, i);
+      
+      if (flip) {
+        track.values[i] = -track.values[i];
+        track.values[i + 2] = -track.values[i + 2];
+      }
+    }
+  }
+  
+  /**
+   * 位置トラックを拡大縮小する
+   * @param {THREE.KeyframeTrack} track - 位置トラック（書き換えられる）
+   * @param {number} scale - 縮尺
+   * @param {boolean} flip - Y軸180度回転（X・Zの反転）するか
+   */
+  scalePositionTrack(track, scale, flip) {
+    for (let i = 0; i < track.values.length; i += 3) {
+      track.values[i] *= flip ? -scale : scale;
+      track.values[i + 1] *= scale;
+      track.values[i + 2] *= flip ? -scale : scale;
+    }
+  }
+  
   /**
    * ヒップの回転を調整（Mixamo -> VRMの座標系変換）
    * @param {THREE.KeyframeTrack} track - キーフレームトラック
@@ -365,6 +621,43 @@ export class MixamoVRMMapper {
     }
   }
   
+  /**
+   * VRMの縮尺・向きに変換したヒップの位置トラックからルートモーションを取り除く
+   * クリップ全体で直線的に前進する分だけを取り除くため、左右の揺れと上下動は残り、ループの継ぎ目も揃う
+   * @param {THREE.KeyframeTrack} track - ヒップの位置トラック（書き換えられる）
+   * @param {THREE.Vector3|null} rest - ヒップの初期位置（水平方向の位置をこれに合わせる）
+   * @returns {Object|null} ルートモーション ({ distance, speed, direction })、前進しない場合はnull
+   */
+  extractRootMotion(track, rest = null) {
+    const count = track.times.length;
+    if (count < 2) return null;
+    
+    const values = track.values;
+    const first = new THREE.Vector3().fromArray(values, 0);
+    const last = new THREE.Vector3().fromArray(values, (count - 1) * 3);
+    const startTime = track.times[0];
+    const span = track.times[count - 1] - startTime;
+    const deltaX = last.x - first.x;
+    const deltaZ = last.z - first.z;
+    const originX = rest ? rest.x : first.x;
+    const originZ = rest ? rest.z : first.z;
+    
+    for (let i = 0; i < count; i++) {
+      const progress = span > 0 ? (track.times[i] - startTime) / span : 0;
+      values[i * 3] = originX + values[i * 3] - first.x - deltaX * progress;
+      values[i * 3 + 2] = originZ + values[i * 3 + 2] - first.z - deltaZ * progress;
+    }
+    
+    const distance = Math.hypot(deltaX, deltaZ);
+    if (distance < 0.01 || span <= 0) return null;
+    
+    return {
+      distance,
+      speed: distance / span,
+      direction: { x: deltaX / distance, z: deltaZ / distance }
+    };
+  }
+  
   /**
    * デバッグモードの切り替え
    * @param {boolean} enabled - 有効/無効
@@ -374,19 +667,42 @@ export class MixamoVRMMapper {
   }
   
   /**
-   * トラックの検証情報を取得
-   * @param {THREE.AnimationClip} clip - 検証するアニメーションクリップ
-   * @returns {Object} 検証結果
+   * アニメーションで動かせるノード名を集める
+   * ボーンに加えて、リターゲット後・VRMAのトラックが対象にする正規化ボーン、表情、視線のプロキシも含める
+   * @returns {Set<string>} ノード名
    */
-  validateClip(clip) {
-    const availableBones = new Set();
+  getAnimatableNodeNames() {
+    const names = new Set();
     
-    // 利用可能なボーン名を収集
     this.vrm.scene.traverse(node => {
-      if (node.isBone || node.type === 'Bone') {
-        availableBones.add(node.name);
+      if (node.isBone || node.type === 'Bone' || node.name === 'VRMLookAtQuaternionProxy') {
+        names.add(node.name);
       }
     });
+    
+    for (const boneName of Object.keys(this.vrm.humanoid.humanBones)) {
+      const node = this.vrm.humanoid.getNormalizedBoneNode(boneName);
+      if (node) {
+        names.add(node.name);
+      }
+    }
+    
+    if (this.vrm.expressionManager) {
+      for (const expression of this.vrm.expressionManager.expressions) {
+        names.add(expression.name);
+      }
+    }
+    
+    return names;
+  }
+  
+  /**
+   * トラックの検証情報を取得
+   * @param {THREE.AnimationClip} clip - 検証するアニメーションクリップ
+   * @returns {Object} 検証結果
+   */
+  validateClip(clip) {
+    const availableBones = this.getAnimatableNodeNames();
 
     const validTracks = [];
     const invalidTracks = [];
@@ -405,7 +721,7 @@ export class MixamoVRMMapper {
       valid: validTracks.length,
       invalid: invalidTracks.length,
       total: clip.tracks.length,
-      validRatio: validTracks.length / clip.tracks.length,
+      validRatio: clip.tracks.length > 0 ? validTracks.length / clip.tracks.length : 0,
       validTracks,
       invalidTracks
     };
@@ -0,0 +1,569 @@
+import * as THREE from 'three';
+
+// 斜め移動のコスト
+const DIAGONAL_COST = Math.SQRT2;
+// 隣接するセル（dx, dz, コスト）
+const NEIGHBORS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, DIAGONAL_COST], [1, -1, DIAGONAL_COST], [-1, 1, DIAGONAL_COST], [-1, -1, DIAGONAL_COST]
+];
+
+/**
+ * ナビゲーショングリッド
+ * 歩行可能な領域（多角形）と障害物（小物・画面上のUIパネルなど）から床をグリッドに分割し、
+ * A*で障害物を避ける経路を求める。目的地は名前付きの地点（pointsOfInterest）から選ぶ
+ *
+ * 障害物の種類（config.navigation.obstacles）:
+ * - rect: 中心（x, z）・幅（width）・奥行き（depth）・回転（rotation、度）の長方形
+ * - circle: 中心（x, z）・半径（radius）の円
+ * - polygon: 頂点（points）の多角形
+ * - screen: 画面上の領域（left, top, width, heightを画面に対する割合で指定）。
+ *   足元から頭まで（characterHeight）のどこかがその領域に重なる位置を通らない
+ */
+export class NavigationGrid {
+  /**
+   * コンストラクタ
+   * @param {Object} options - オプション（config.navigation）
+   * @param {THREE.Camera} camera - カメラ（画面上の障害物の投影に使う）
+   */
+  constructor(options = {}, camera = null) {
+    this.camera = camera;
+    this.bounds = null;
+    this.cells = null; // 歩行可能なら1
+    this.columns = 0;
+    this.rows = 0;
+    this.lastPointName = null;
+    this.applyConfig(options);
+  }
+
+  /**
+   * 設定を反映し、グリッドを作り直す
+   * @param {Object} options - オプション（config.navigation）
+   */
+  applyConfig(options = {}) {
+    this.cellSize = options.cellSize || 0.1;
+    this.characterRadius = options.characterRadius !== undefined ? options.characterRadius : 0.2;
+    this.characterHeight = options.characterHeight || 1.6;
+    this.lookAhead = options.lookAhead !== undefined ? options.lookAhead : 0.3;
+    this.walkableArea = options.walkableArea && options.walkableArea.length >= 3 ? options.walkableArea : null;
+    this.obstacles = (options.obstacles || []).map((obstacle) => NavigationGrid.createShape(obstacle));
+    this.pointsOfInterest = options.pointsOfInterest || [];
+
+    if (this.bounds) {
+      this.build();
+    }
+  }
+
+  /**
+   * 障害物の判定に使う形を作る（長方形は多角形に変換する）
+   * @param {Object} obstacle - 障害物の設定
+   * @returns {Object} 形
+   */
+  static createShape(obstacle) {
+    if (obstacle.type !== 'rect') {
+      return obstacle;
+    }
+
+    const halfWidth = (obstacle.width || 0) / 2;
+    const halfDepth = (obstacle.depth || 0) / 2;
+    const angle = THREE.MathUtils.degToRad(obstacle.rotation || 0);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const points = [[-halfWidth, -halfDepth], [halfWidth, -halfDepth], [halfWidth, halfDepth], [-halfWidth, halfDepth]]
+      .map(([x, z]) => ({
+        x: (obstacle.x || 0) + x * cos + z * sin,
+        z: (obstacle.z || 0) - x * sin + z * cos
+      }));
+
+    return { ...obstacle, type: 'polygon', points };
+  }
+
+  /**
+   * グリッドの範囲（キャラクターの移動可能な領域）を設定する
+   * 範囲が変わった場合だけグリッドを作り直す
+   * @param {{minX: number, maxX: number, minZ: number, maxZ: number}} bounds - 範囲
+   * @returns {boolean} 作り直した場合はtrue
+   */
+  setBounds(bounds) {
+    if (this.bounds &&
+        this.bounds.minX === bounds.minX && this.bounds.maxX === bounds.maxX &&
+        this.bounds.minZ === bounds.minZ && this.bounds.maxZ === bounds.maxZ) {
+      return false;
+    }
+
+    this.bounds = { ...bounds };
+    this.build();
+    return true;
+  }
+
+  /**
+   * 各セルが歩行可能かどうかを求める
+   */
+  build() {
+    const { minX, maxX, minZ, maxZ } = this.bounds;
+    this.columns = Math.max(1, Math.floor((maxX - minX) / this.cellSize) + 1);
+    this.rows = Math.max(1, Math.floor((maxZ - minZ) / this.cellSize) + 1);
+    this.cells = new Uint8Array(this.columns * this.rows);
+
+    if (this.camera) {
+      this.camera.updateMatrixWorld();
+    }
+
+    let walkableCount = 0;
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        const { x, z } = this.getCellCenter(column, row);
+        const walkable = this.isInsideWalkableArea(x, z) && !this.isBlocked(x, z);
+        this.cells[row * this.columns + column] = walkable ? 1 : 0;
+        if (walkable) walkableCount++;
+      }
+    }
+
+    console.log(`ナビゲーショングリッドを作成しました: ${this.columns}x${this.rows}セル（歩行可能 ${walkableCount}セル、障害物 ${this.obstacles.length}個）`);
+  }
+
+  /**
+   * セルの中心の座標
+   * @param {number} column - 列
+   * @param {number} row - 行
+   * @returns {{x: number, z: number}} 座標
+   */
+  getCellCenter(column, row) {
+    return {
+      x: Math.min(this.bounds.minX + column * this.cellSize, this.bounds.maxX),
+      z: Math.min(this.bounds.minZ + row * this.cellSize, this.bounds.maxZ)
+    };
+  }
+
+  /**
+   * 座標を含むセル（範囲外は端のセル）
+   * @param {number} x - X座標
+   * @param {number} z - Z座標
+   * @returns {{column: number, row: number}} セル
+   */
+  getCell(x, z) {
+    return {
+      column: THREE.MathUtils.clamp(Math.round((x - this.bounds.minX) / this.cellSize), 0, this.columns - 1),
+      row: THREE.MathUtils.clamp(Math.round((z - this.bounds.minZ) / this.cellSize), 0, this.rows - 1)
+    };
+  }
+
+  /**
+   * 歩行可能な領域の内側か（キャラクターの半径だけ内側に狭める）
+   * @param {number} x - X座標
+   * @param {number} z - Z座標
+   * @returns {boolean} 内側ならtrue
+   */
+  isInsideWalkableArea(x, z) {
+    if (!this.walkableArea) return true;
+    return NavigationGrid.isInsidePolygon(x, z, this.walkableArea) &&
+      NavigationGrid.distanceToPolygonEdges(x, z, this.walkableArea) >= this.characterRadius;
+  }
+
+  /**
+   * 障害物（キャラクターの半径だけ広げる）に重なるか
+   * @param {number} x - X座標
+   * @param {number} z - Z座標
+   * @returns {boolean} 重なる場合はtrue
+   */
+  isBlocked(x, z) {
+    const radius = this.characterRadius;
+
+    return this.obstacles.some((obstacle) => {
+      switch (obstacle.type) {
+        case 'circle':
+          return Math.hypot(x - (obstacle.x || 0), z - (obstacle.z || 0)) < (obstacle.radius || 0) + radius;
+        case 'polygon':
+          return obstacle.points.length >= 3 &&
+            (NavigationGrid.isInsidePolygon(x, z, obstacle.points) ||
+             NavigationGrid.distanceToPolygonEdges(x, z, obstacle.points) < radius);
+        case 'screen':
+          return [[0, 0], [radius, 0], [-radius, 0], [0, radius], [0, -radius]]
+            .some(([dx, dz]) => this.isHiddenByScreenArea(x + dx, z + dz, obstacle));
+        default:
+          return false;
+      }
+    });
+  }
+
+  /**
+   * 床の位置に立ったキャラクター（足元から頭まで）が画面上の領域に重なるか
+   * @param {number} x - X座標
+   * @param {number} z - Z座標
+   * @param {Object} area - 画面上の領域（left, top, width, height: 0〜1）
+   * @returns {boolean} 重なる場合はtrue
+   */
+  isHiddenByScreenArea(x, z, area) {
+    if (!this.camera) return false;
+
+    // 正規化デバイス座標（-1〜1、上が+）に変換して比べる
+    const foot = new THREE.Vector3(x, 0, z).project(this.camera);
+    const head = new THREE.Vector3(x, this.characterHeight, z).project(this.camera);
+    const left = (area.left || 0) * 2 - 1;
+    const right = ((area.left || 0) + (area.width || 0)) * 2 - 1;
+    const top = 1 - (area.top || 0) * 2;
+    const bottom = 1 - ((area.top || 0) + (area.height || 0)) * 2;
+
+    const minX = Math.min(foot.x, head.x);
+    const maxX = Math.max(foot.x, head.x);
+    const minY = Math.min(foot.y, head.y);
+    const maxY = Math.max(foot.y, head.y);
+    return maxX >= left && minX <= right && maxY >= bottom && minY <= top;
+  }
+
+  /**
+   * 座標が歩行可能か
+   * @param {number} x - X座標
+   * @param {number} z - Z座標
+   * @returns {boolean} 歩行可能ならtrue
+   */
+  isWalkable(x, z) {
+    if (!this.cells) return true;
+    if (x < this.bounds.minX || x > this.bounds.maxX || z < this.bounds.minZ || z > this.bounds.maxZ) return false;
+    const { column, row } = this.getCell(x, z);
+    return this.cells[row * this.columns + column] === 1;
+  }
+
+  /**
+   * 最も近い歩行可能なセルの中心を求める
+   * @param {number} x - X座標
+   * @param {number} z - Z座標
+   * @returns {{x: number, z: number}|null} 座標（歩行可能なセルがない場合はnull）
+   */
+  findNearestWalkable(x, z) {
+    if (this.isWalkable(x, z)) return { x, z };
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        if (this.cells[row * this.columns + column] !== 1) continue;
+        const center = this.getCellCenter(column, row);
+        const distance = Math.hypot(center.x - x, center.z - z);
+        if (distance < nearestDistance) {
+          nearest = center;
+          nearestDistance = distance;
+        }
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * 2点の間を障害物に当たらずにまっすぐ歩けるか
+   * @param {{x: number, z: number}} from - 始点
+   * @param {{x: number, z: number}} to - 終点
+   * @returns {boolean} 歩ける場合はtrue
+   */
+  hasLineOfSight(from, to) {
+    const distance = Math.hypot(to.x - from.x, to.z - from.z);
+    const steps = Math.ceil(distance / (this.cellSize / 2));
+
+    for (let i = 1; i <= steps; i++) {
+      const t = i / steps;
+      if (!this.isWalkable(from.x + (to.x - from.x) * t, from.z + (to.z - from.z) * t)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 障害物を避けて目的地まで歩く経路を求める（A*のあと、見通せる経由点を省いてなめらかにする）
+   * 始点・目的地が歩行できない位置にある場合は、最も近い歩行可能な位置を使う
+   * @param {{x: number, z: number}} start - 始点
+   * @param {{x: number, z: number}} goal - 目的地
+   * @returns {Array<THREE.Vector3>} 経由点（始点を含まず、最後が目的地）。経路がない場合は空
+   */
+  findPath(start, goal) {
+    if (!this.cells) {
+      return [new THREE.Vector3(goal.x, 0, goal.z)];
+    }
+
+    const reachableGoal = this.findNearestWalkable(goal.x, goal.z);
+    const reachableStart = this.findNearestWalkable(start.x, start.z);
+    if (!reachableGoal || !reachableStart) return [];
+
+    // 見通せる場合はまっすぐ歩く
+    if (this.hasLineOfSight(start, reachableGoal)) {
+      return [new THREE.Vector3(reachableGoal.x, 0, reachableGoal.z)];
+    }
+
+    const cellPath = this.searchCells(this.getCell(reachableStart.x, reachableStart.z), this.getCell(reachableGoal.x, reachableGoal.z));
+    if (!cellPath) return [];
+
+    const points = [
+      { x: start.x, z: start.z },
+      ...cellPath.slice(1, -1).map(({ column, row }) => this.getCellCenter(column, row)),
+      reachableGoal
+    ];
+    return this.smoothPath(points).slice(1).map((point) => new THREE.Vector3(point.x, 0, point.z));
+  }
+
+  /**
+   * グリッド上のA*探索（角をすり抜ける斜め移動はしない）
+   * @param {{column: number, row: number}} start - 始点のセル
+   * @param {{column: number, row: number}} goal - 目的地のセル
+   * @returns {Array<{column: number, row: number}>|null} セルの列（見つからない場合はnull）
+   */
+  searchCells(start, goal) {
+    const index = (column, row) => row * this.columns + column;
+    const startIndex = index(start.column, start.row);
+    const goalIndex = index(goal.column, goal.row);
+    const heuristic = (column, row) => {
+      const dx = Math.abs(column - goal.column);
+      const dz = Math.abs(row - goal.row);
+      return Math.max(dx, dz) + (DIAGONAL_COST - 1) * Math.min(dx, dz);
+    };
+
+    const costs = new Float64Array(this.cells.length).fill(Infinity);
+    const parents = new Int32Array(this.cells.length).fill(-1);
+    const closed = new Uint8Array(this.cells.length);
+    const open = new MinHeap();
+
+    costs[startIndex] = 0;
+    open.push(startIndex, heuristic(start.column, start.row));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === goalIndex) break;
+      if (closed[current]) continue;
+      closed[current] = 1;
+
+      const column = current % this.columns;
+      const row = Math.floor(current / this.columns);
+
+      for (const [dx, dz, cost] of NEIGHBORS) {
+        const nextColumn = column + dx;
+        const nextRow = row + dz;
+        if (nextColumn < 0 || nextColumn >= this.columns || nextRow < 0 || nextRow >= this.rows) continue;
+
+        const next = index(nextColumn, nextRow);
+        if (!this.cells[next] || closed[next]) continue;
+        if (dx !== 0 && dz !== 0 && (!this.cells[index(column + dx, row)] || !this.cells[index(column, row + dz)])) continue;
+
+        const nextCost = costs[current] + cost;
+        if (nextCost < costs[next]) {
+          costs[next] = nextCost;
+          parents[next] = current;
+          open.push(next, nextCost + heuristic(nextColumn, nextRow));
+        }
+      }
+    }
+
+    if (startIndex !== goalIndex && parents[goalIndex] === -1) {
+      return null;
+    }
+
+    const path = [];
+    for (let current = goalIndex; current !== -1; current = parents[current]) {
+      path.unshift({ column: current % this.columns, row: Math.floor(current / this.columns) });
+      if (current === startIndex) break;
+    }
+    return path;
+  }
+
+  /**
+   * 見通せる経由点を省き、経路を短くする
+   * @param {Array<{x: number, z: number}>} points - 経由点（始点を含む）
+   * @returns {Array<{x: number, z: number}>} なめらかにした経由点
+   */
+  smoothPath(points) {
+    const result = [points[0]];
+    let anchor = 0;
+
+    while (anchor < points.length - 1) {
+      let next = points.length - 1;
+      while (next > anchor + 1 && !this.hasLineOfSight(points[anchor], points[next])) {
+        next--;
+      }
+      result.push(points[next]);
+      anchor = next;
+    }
+    return result;
+  }
+
+  /**
+   * 歩行可能なランダムな位置
+   * @param {Function} filter - (x, z) => 選んでよければtrue
+   * @param {number} attempts - 選び直す回数
+   * @returns {{x: number, z: number}|null} 位置
+   */
+  getRandomPoint(filter = null, attempts = 10) {
+    let point = null;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      const x = THREE.MathUtils.randFloat(this.bounds.minX, this.bounds.maxX);
+      const z = THREE.MathUtils.randFloat(this.bounds.minZ, this.bounds.maxZ);
+      if (!this.isWalkable(x, z)) continue;
+      point = { x, z };
+      if (!filter || filter(x, z)) break;
+    }
+    return point;
+  }
+
+  /**
+   * 名前付きの地点を取得する
+   * @param {string} name - 地点の名前
+   * @returns {Object|null} 地点
+   */
+  getPointOfInterest(name) {
+    return this.pointsOfInterest.find((point) => point.name === name) || null;
+  }
+
+  /**
+   * 次の目的地にする名前付きの地点を重みに応じて選ぶ（直前の地点と、条件に合わない地点は除く）
+   * @param {Function} filter - (x, z) => 選んでよければtrue
+   * @param {string|null} exclude - 除く地点の名前（現在いる地点）
+   * @returns {Object|null} 地点（選べない場合はnull）
+   */
+  choosePointOfInterest(filter = null, exclude = null) {
+    const candidates = this.pointsOfInterest.filter((point) =>
+      point.name !== exclude &&
+      (point.weight === undefined || point.weight > 0) &&
+      this.findNearestWalkable(point.x, point.z) &&
+      (!filter || filter(point.x, point.z))
+    );
+    if (candidates.length === 0) return null;
+
+    const total = candidates.reduce((sum, point) => sum + (point.weight !== undefined ? point.weight : 1), 0);
+    let random = Math.random() * total;
+    for (const point of candidates) {
+      random -= point.weight !== undefined ? point.weight : 1;
+      if (random <= 0) return point;
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * グリッド・障害物・地点を表示するデバッグ用のオブジェクトを作る（debug.showNavigation）
+   * @returns {THREE.Group} 歩行可能なセル（緑）・歩行できないセル（赤）・地点（青）の点
+   */
+  createDebugObject() {
+    const group = new THREE.Group();
+    group.name = 'NavigationDebug';
+    if (!this.cells) return group;
+
+    const walkable = [];
+    const blocked = [];
+    for (let row = 0; row < this.rows; row++) {
+      for (let column = 0; column < this.columns; column++) {
+        const { x, z } = this.getCellCenter(column, row);
+        (this.cells[row * this.columns + column] ? walkable : blocked).push(x, 0.01, z);
+      }
+    }
+    const points = this.pointsOfInterest.flatMap((point) => [point.x, 0.02, point.z]);
+
+    for (const [positions, color, size] of [[walkable, 0x00cc66, 4], [blocked, 0xff3333, 4], [points, 0x3366ff, 12]]) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+      group.add(new THREE.Points(geometry, new THREE.PointsMaterial({ color, size, sizeAttenuation: false })));
+    }
+    return group;
+  }
+
+  /**
+   * 点が多角形の内側にあるか
+   * @param {number} x - X座標
+   * @param {number} z - Z座標
+   * @param {Array<{x: number, z: number}>} polygon - 頂点
+   * @returns {boolean} 内側ならtrue
+   */
+  static isInsidePolygon(x, z, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * 点から多角形の辺までの最短距離
+   * @param {number} x - X座標
+   * @param {number} z - Z座標
+   * @param {Array<{x: number, z: number}>} polygon - 頂点
+   * @returns {number} 距離
+   */
+  static distanceToPolygonEdges(x, z, polygon) {
+    let distance = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[j];
+      const b = polygon[i];
+      const dx = b.x - a.x;
+      const dz = b.z - a.z;
+      const lengthSq = dx * dx + dz * dz;
+      const t = lengthSq > 0 ? THREE.MathUtils.clamp(((x - a.x) * dx + (z - a.z) * dz) / lengthSq, 0, 1) : 0;
+      distance = Math.min(distance, Math.hypot(x - (a.x + dx * t), z - (a.z + dz * t)));
+    }
+    return distance;
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      grid: this.cells ? `${this.columns}x${this.rows}` : '未作成',
+      walkableCells: this.cells ? this.cells.reduce((sum, cell) => sum + cell, 0) : 0,
+      obstacles: this.obstacles.length,
+      pointsOfInterest: this.pointsOfInterest.map((point) => point.name)
+    };
+  }
+}
+
+/**
+ * A*のオープンリスト用の二分ヒープ（優先度の小さい順に取り出す）
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.priorities = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, priority) {
+    this.items.push(item);
+    this.priorities.push(priority);
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.priorities[parent] <= this.priorities[i]) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const lastItem = this.items.pop();
+    const lastPriority = this.priorities.pop();
+    if (this.items.length > 0) {
+      this.items[0] = lastItem;
+      this.priorities[0] = lastPriority;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+        if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  swap(a, b) {
+    [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+    [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+  }
+}
@@ -0,0 +1,189 @@
+// 既定の画質の段階（上ほど高画質）
+const DEFAULT_TIERS = [
+  { name: 'high', pixelRatio: 2, antialias: true, shadowMapSize: 1024, springBoneInterval: 1, backgroundInterval: 0 },
+  { name: 'medium', pixelRatio: 1, antialias: true, shadowMapSize: 512, springBoneInterval: 1, backgroundInterval: 250 },
+  { name: 'low', pixelRatio: 0.75, antialias: false, shadowMapSize: 0, springBoneInterval: 2, backgroundInterval: 500 },
+  { name: 'minimum', pixelRatio: 0.5, antialias: false, shadowMapSize: 0, springBoneInterval: 0, backgroundInterval: 1000 }
+];
+// これより長いフレーム（タブの切り替え・レンダラーの作り直しなど）は計測に含めない（ミリ秒）
+const MAX_FRAME_TIME = 1000;
+// 上げた直後に下がった場合に、次に上げるまでの待ち時間を伸ばす倍率と上限
+const BACKOFF_FACTOR = 2;
+const MAX_BACKOFF = 8;
+
+/**
+ * 画質の自動調整クラス
+ * フレーム時間を計測し、目標のフレームレートに届かない場合は画質の段階（config.performance.tiers）を下げ、
+ * 余裕がある状態が続いた場合は上げる
+ *
+ * 上げ下げが繰り返されないよう、下げる・上げるしきい値に差を設け、上げるのは余裕が stepUpDelay 続いた場合に限る。
+ * 上げた直後に下がった場合は、次に上げるまでの待ち時間を伸ばす
+ */
+export class PerformanceGovernor {
+  /**
+   * コンストラクタ
+   * @param {Object} options - オプション（config.performance）
+   * @param {Function} options.onChange - 段階が変わったときに呼ばれるコールバック (tier, previousTier)
+   */
+  constructor(options = {}) {
+    this.onChange = options.onChange || null;
+
+    this.tierIndex = 0;
+    this.samples = [];
+    this.windowStart = null;
+    this.averageFrameTime = 0;
+    this.headroomSince = null;
+    this.settleUntil = 0;
+    this.lastStepUpTime = -Infinity;
+    this.backoff = 1;
+    this.lastChange = null;
+
+    this.applyConfig(options);
+    this.tierIndex = this.clampIndex(this.initialTier);
+  }
+
+  /**
+   * 設定を反映する（段階の数が減った場合は範囲内に収める。反映はgetTier()で取得して行う）
+   * @param {Object} options - オプション（config.performance）
+   */
+  applyConfig(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.targetFps = options.targetFps || 30;
+    this.sampleTime = options.sampleTime || 2000;
+    this.stepDownRatio = options.stepDownRatio || 1.2;
+    this.stepUpRatio = options.stepUpRatio || 0.75;
+    this.stepUpDelay = options.stepUpDelay !== undefined ? options.stepUpDelay : 10000;
+    this.settleTime = options.settleTime !== undefined ? options.settleTime : 3000;
+    this.initialTier = options.initialTier || 0;
+    this.tiers = options.tiers && options.tiers.length > 0 ? options.tiers : DEFAULT_TIERS;
+
+    this.tierIndex = this.clampIndex(this.tierIndex);
+    this.resetWindow();
+  }
+
+  /**
+   * 1フレームの目標時間（ミリ秒）
+   * @returns {number} 目標時間
+   */
+  getBudget() {
+    return 1000 / this.targetFps;
+  }
+
+  /**
+   * 現在の画質の段階
+   * @returns {Object} 段階（config.performance.tiersの要素）
+   */
+  getTier() {
+    return this.tiers[this.tierIndex];
+  }
+
+  /**
+   * フレーム時間を記録し、計測期間ごとに段階を見直す
+   * @param {number} frameTime - 前のフレームからの時間（ミリ秒）
+   * @param {number} now - 現在時刻（ミリ秒）
+   * @param {number} minimumFrameTime - 描画を間引いている場合の1フレームの時間（ミリ秒）
+   */
+  sample(frameTime, now, minimumFrameTime = 0) {
+    if (!this.enabled) return;
+    if (frameTime <= 0 || frameTime > MAX_FRAME_TIME) return;
+
+    // 目標より低いフレームレートに間引いている場合は、その間隔を目標の時間とみなして換算する
+    if (minimumFrameTime > this.getBudget()) {
+      frameTime *= this.getBudget() / minimumFrameTime;
+    }
+
+    if (this.windowStart === null) {
+      this.windowStart = now;
+    }
+    this.samples.push(frameTime);
+    if (now - this.windowStart < this.sampleTime) return;
+
+    this.averageFrameTime = this.samples.reduce((sum, time) => sum + time, 0) / this.samples.length;
+    this.resetWindow();
+    this.windowStart = now;
+
+    // 段階を変えた直後（シェーダーの再コンパイルなど）は判定しない
+    if (now < this.settleUntil) return;
+
+    const budget = this.getBudget();
+    if (this.averageFrameTime > budget * this.stepDownRatio) {
+      this.headroomSince = null;
+      if (this.tierIndex < this.tiers.length - 1) {
+        // 上げてすぐに間に合わなくなった場合は、次に上げるまでの待ち時間を伸ばす
+        if (now - this.lastStepUpTime < this.stepUpDelay * this.backoff) {
+          this.backoff = Math.min(this.backoff * BACKOFF_FACTOR, MAX_BACKOFF);
+          this.lastStepUpTime = -Infinity;
+        }
+        this.setTier(this.tierIndex + 1, now, `平均 ${this.averageFrameTime.toFixed(1)}ms`);
+      }
+      return;
+    }
+
+    if (this.averageFrameTime < budget * this.stepUpRatio && this.tierIndex > 0) {
+      if (this.headroomSince === null) {
+        this.headroomSince = now;
+      } else if (now - this.headroomSince >= this.stepUpDelay * this.backoff) {
+        this.lastStepUpTime = now;
+        this.setTier(this.tierIndex - 1, now, `平均 ${this.averageFrameTime.toFixed(1)}ms`);
+      }
+      return;
+    }
+
+    this.headroomSince = null;
+  }
+
+  /**
+   * 画質の段階を変更する
+   * @param {number} index - 段階の番号（0が最も高画質）
+   * @param {number} now - 現在時刻（ミリ秒）
+   * @param {string} reason - 変更の理由（ログ用）
+   */
+  setTier(index, now, reason = '') {
+    const nextIndex = this.clampIndex(index);
+    if (nextIndex === this.tierIndex) return;
+
+    const previous = this.getTier();
+    this.tierIndex = nextIndex;
+    this.headroomSince = null;
+    this.settleUntil = now + this.settleTime;
+    this.lastChange = { from: previous.name, to: this.getTier().name, reason };
+
+    console.log(`画質を変更しました: ${previous.name} -> ${this.getTier().name}${reason ? `（${reason}）` : ''}`);
+    if (this.onChange) {
+      this.onChange(this.getTier(), previous);
+    }
+  }
+
+  /**
+   * 段階の番号を範囲内に収める
+   * @param {number} index - 段階の番号
+   * @returns {number} 範囲内の番号
+   */
+  clampIndex(index) {
+    return Math.max(0, Math.min(this.tiers.length - 1, Math.round(index)));
+  }
+
+  /**
+   * 計測中のフレーム時間を破棄する
+   */
+  resetWindow() {
+    this.samples = [];
+    this.windowStart = null;
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      enabled: this.enabled,
+      tier: this.getTier().name,
+      tierIndex: this.tierIndex,
+      averageFrameTime: Number(this.averageFrameTime.toFixed(1)),
+      budget: Number(this.getBudget().toFixed(1)),
+      backoff: this.backoff,
+      lastChange: this.lastChange
+    };
+  }
+}
@@ -0,0 +1,331 @@
+// 動いている部分を探すセルの大きさ（解析画像のピクセル）と、セルを動きありとみなす割合
+const CELL_SIZE = 4;
+const CELL_ACTIVE_RATIO = 0.5;
+// 人が映っている画素の背景への取り込みを遅くする倍率（立ち止まった人がすぐ背景に溶けないように）
+const FOREGROUND_LEARNING_SCALE = 0.1;
+// 背景を学習し終えるまで判定しないフレーム数
+const WARMUP_FRAMES = 10;
+
+/**
+ * 来場者検知クラス
+ * カメラ（getUserMedia）または録画した動画ファイルを低解像度で解析し、
+ * 背景との差分から画面の前の人を検知して「近づいた・位置・離れた」を通知する（config.presence）
+ *
+ * プライバシー: 映像は解析用の小さな画像（既定 80x60 のグレースケール）に縮小してその場で処理し、
+ * 保存・送信はしない。外部に出すのは位置と大きさの数値だけで、映像要素もページに表示しない
+ */
+export class PresenceDetector {
+  /**
+   * コンストラクタ
+   * @param {Object} options - オプション（config.presence）
+   * @param {Function} options.onApproach - 人が近づいたときに呼ばれるコールバック (viewer)
+   * @param {Function} options.onPosition - 近づいている人の位置が更新されるたびに呼ばれるコールバック (viewer)
+   * @param {Function} options.onLeave - 人が離れたときに呼ばれるコールバック ()
+   */
+  constructor(options = {}) {
+    this.onApproach = options.onApproach || null;
+    this.onPosition = options.onPosition || null;
+    this.onLeave = options.onLeave || null;
+
+    // 映像の取得
+    this.video = null;
+    this.stream = null;
+    this.canvas = null;
+    this.context = null;
+    this.timer = null;
+
+    // 解析の状態
+    this.background = null;
+    this.frameCount = 0;
+    this.viewer = null;       // 近づいている人（{ x, y, size }）
+    this.detection = null;    // 最後のフレームで検知した動き
+    this.lastSeenTime = 0;
+    this.lastError = null;
+    this.minimumInterval = 0; // 画質の段階による解析間隔の下限
+
+    this.applyConfig(options);
+  }
+
+  /**
+   * 設定を反映する（映像の取得元・解析の大きさの変更はstart()し直すまで反映されない）
+   * @param {Object} options - オプション（config.presence）
+   */
+  applyConfig(options = {}) {
+    this.source = options.source || 'camera';
+    this.videoPath = options.videoPath || '';
+    this.deviceId = options.deviceId || '';
+    this.analysisWidth = options.analysisWidth || 80;
+    this.analysisHeight = options.analysisHeight || 60;
+    this.interval = options.interval || 200;
+    this.motionThreshold = options.motionThreshold !== undefined ? options.motionThreshold : 25;
+    this.minArea = options.minArea !== undefined ? options.minArea : 0.02;
+    this.approachArea = options.approachArea !== undefined ? options.approachArea : 0.12;
+    this.leaveDelay = options.leaveDelay !== undefined ? options.leaveDelay : 3000;
+    this.backgroundRate = options.backgroundRate !== undefined ? options.backgroundRate : 0.05;
+    this.mirror = options.mirror !== false;
+  }
+
+  /**
+   * 映像の取得と解析を開始する
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.stop();
+
+    this.video = document.createElement('video');
+    this.video.muted = true;
+    this.video.playsInline = true;
+
+    try {
+      if (this.source === 'video') {
+        // 動作確認用の録画（繰り返し再生する）
+        this.video.src = this.videoPath;
+        this.video.loop = true;
+      } else {
+        this.stream = await navigator.mediaDevices.getUserMedia({
+          audio: false,
+          video: this.deviceId ? { deviceId: { exact: this.deviceId } } : { facingMode: 'user' }
+        });
+        this.video.srcObject = this.stream;
+      }
+      await this.video.play();
+    } catch (error) {
+      this.lastError = error.message;
+      this.stop();
+      throw error;
+    }
+
+    // 解析用の小さなキャンバス（ページには追加しない）
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.analysisWidth;
+    this.canvas.height = this.analysisHeight;
+    this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+
+    this.background = null;
+    this.frameCount = 0;
+    this.lastError = null;
+    this.startTimer();
+    console.log(`来場者検知を開始しました（${this.source === 'video' ? this.videoPath : 'カメラ'}、${this.analysisWidth}x${this.analysisHeight}、${this.getInterval()}ms間隔）`);
+  }
+
+  /**
+   * 解析間隔の下限を設定する（負荷が高いときに画質の段階に合わせて解析を間引く）
+   * @param {number} interval - 下限（ミリ秒。0の場合はinterval通り）
+   */
+  setMinimumInterval(interval) {
+    this.minimumInterval = interval || 0;
+    if (this.timer) {
+      this.startTimer();
+    }
+  }
+
+  /**
+   * 実際の解析間隔
+   * @returns {number} 間隔（ミリ秒）
+   */
+  getInterval() {
+    return Math.max(this.interval, this.minimumInterval);
+  }
+
+  /**
+   * 解析のタイマーを（再）開始する
+   */
+  startTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+    }
+    this.timer = setInterval(() => this.captureFrame(), this.getInterval());
+  }
+
+  /**
+   * 映像の取得と解析を停止する（カメラも解放する）
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    if (this.video) {
+      this.video.pause();
+      this.video.removeAttribute('src');
+      this.video.srcObject = null;
+      this.video = null;
+    }
+    this.canvas = null;
+    this.context = null;
+    this.background = null;
+
+    if (this.viewer) {
+      this.viewer = null;
+      if (this.onLeave) this.onLeave();
+    }
+  }
+
+  /**
+   * 現在のフレームを縮小して解析する（画像は変数に残さない）
+   */
+  captureFrame() {
+    if (!this.video || this.video.readyState < 2) return;
+
+    this.context.drawImage(this.video, 0, 0, this.analysisWidth, this.analysisHeight);
+    const pixels = this.context.getImageData(0, 0, this.analysisWidth, this.analysisHeight).data;
+
+    const gray = new Float32Array(this.analysisWidth * this.analysisHeight);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114;
+    }
+
+    this.processFrame(gray, Date.now());
+  }
+
+  /**
+   * グレースケールの画像を解析し、人の出入り・位置を通知する
+   * @param {Float32Array} gray - 解析用の画像（analysisWidth x analysisHeight、0〜255）
+   * @param {number} now - 現在時刻（ミリ秒）
+   */
+  processFrame(gray, now) {
+    const detection = this.analyze(gray);
+    this.detection = detection;
+
+    if (detection && detection.size >= this.minArea) {
+      this.lastSeenTime = now;
+      const viewer = {
+        x: detection.x,
+        y: detection.y,
+        size: detection.size
+      };
+
+      if (!this.viewer && detection.size >= this.approachArea) {
+        this.viewer = viewer;
+        console.log(`来場者が近づきました（位置 ${viewer.x.toFixed(2)}、大きさ ${viewer.size.toFixed(2)}）`);
+        if (this.onApproach) this.onApproach(viewer);
+      } else if (this.viewer) {
+        this.viewer = viewer;
+      }
+
+      if (this.viewer && this.onPosition) {
+        this.onPosition(this.viewer);
+      }
+      return;
+    }
+
+    // しばらく見えなければ離れたとみなす
+    if (this.viewer && now - this.lastSeenTime >= this.leaveDelay) {
+      this.viewer = null;
+      console.log('来場者が離れました');
+      if (this.onLeave) this.onLeave();
+    }
+  }
+
+  /**
+   * 背景との差分から、最も大きな動きのまとまりを求める
+   * 背景は徐々に更新し、動いている部分はゆっくり取り込む
+   * @param {Float32Array} gray - 解析用の画像
+   * @returns {{x: number, y: number, size: number, box: Object}|null} 動きのまとまり
+   *   x: 横の位置（-1: 見ている人から見て画面の左 〜 1: 右）、y: 縦の位置（-1: 下 〜 1: 上）、size: 画像に対する面積の割合
+   */
+  analyze(gray) {
+    const width = this.analysisWidth;
+    const height = this.analysisHeight;
+
+    if (!this.background) {
+      this.background = Float32Array.from(gray);
+      this.frameCount = 1;
+      return null;
+    }
+    this.frameCount++;
+
+    // 差分の大きい画素をセルごとに数え、ノイズを除く
+    const columns = Math.floor(width / CELL_SIZE);
+    const rows = Math.floor(height / CELL_SIZE);
+    const cellCounts = new Uint16Array(columns * rows);
+    for (let y = 0; y < rows * CELL_SIZE; y++) {
+      for (let x = 0; x < columns * CELL_SIZE; x++) {
+        const i = y * width + x;
+        const foreground = Math.abs(gray[i] - this.background[i]) > this.motionThreshold;
+        if (foreground) {
+          cellCounts[Math.floor(y / CELL_SIZE) * columns + Math.floor(x / CELL_SIZE)]++;
+        }
+        const rate = foreground ? this.backgroundRate * FOREGROUND_LEARNING_SCALE : this.backgroundRate;
+        this.background[i] += (gray[i] - this.background[i]) * rate;
+      }
+    }
+
+    if (this.frameCount <= WARMUP_FRAMES) return null;
+
+    const threshold = CELL_SIZE * CELL_SIZE * CELL_ACTIVE_RATIO;
+    const active = cellCounts.map((count) => (count >= threshold ? 1 : 0));
+
+    // 隣り合う動きのあるセルをまとめ、最も大きなまとまりを人とみなす
+    const labels = new Int32Array(active.length).fill(-1);
+    let best = null;
+    for (let start = 0; start < active.length; start++) {
+      if (!active[start] || labels[start] !== -1) continue;
+
+      const blob = { count: 0, minX: columns, maxX: 0, minY: rows, maxY: 0 };
+      const stack = [start];
+      labels[start] = start;
+      while (stack.length > 0) {
+        const cell = stack.pop();
+        const cx = cell % columns;
+        const cy = Math.floor(cell / columns);
+        blob.count++;
+        blob.minX = Math.min(blob.minX, cx);
+        blob.maxX = Math.max(blob.maxX, cx);
+        blob.minY = Math.min(blob.minY, cy);
+        blob.maxY = Math.max(blob.maxY, cy);
+
+        for (const [nx, ny] of [[cx - 1, cy], [cx + 1, cy], [cx, cy - 1], [cx, cy + 1]]) {
+          if (nx < 0 || nx >= columns || ny < 0 || ny >= rows) continue;
+          const next = ny * columns + nx;
+          if (active[next] && labels[next] === -1) {
+            labels[next] = start;
+            stack.push(next);
+          }
+        }
+      }
+
+      if (!best || blob.count > best.count) {
+        best = blob;
+      }
+    }
+
+    if (!best) return null;
+
+    // まとまりを囲む矩形の中心と面積（カメラは見ている人の方を向いているため、既定では左右を反転する）
+    const centerX = ((best.minX + best.maxX + 1) / 2) / columns * 2 - 1;
+    const centerY = 1 - ((best.minY + best.maxY + 1) / 2) / rows * 2;
+    return {
+      x: this.mirror ? -centerX : centerX,
+      y: centerY,
+      size: ((best.maxX - best.minX + 1) * (best.maxY - best.minY + 1)) / (columns * rows),
+      box: {
+        left: best.minX / columns,
+        top: best.minY / rows,
+        width: (best.maxX - best.minX + 1) / columns,
+        height: (best.maxY - best.minY + 1) / rows
+      }
+    };
+  }
+
+  /**
+   * デバッグ情報を取得（映像は含めない）
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      isRunning: !!this.timer,
+      source: this.source === 'video' ? this.videoPath : 'camera',
+      interval: this.getInterval(),
+      viewer: this.viewer
+        ? { x: Number(this.viewer.x.toFixed(2)), size: Number(this.viewer.size.toFixed(2)) }
+        : null,
+      motion: this.detection ? Number(this.detection.size.toFixed(2)) : 0,
+      lastError: this.lastError
+    };
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * リモートコントロールクライアント
+ * ローカルのリモートコントロールサーバーにサイネージ画面として接続し、
+ * 受信したコマンドを実行して状態スナップショットを送り返す
+ */
+export class RemoteControlClient {
+  /**
+   * コンストラクタ
+   * @param {string} url - WebSocketのURL（例: ws://localhost:8001/ws）
+   * @param {Object} options - オプション
+   * @param {Object} options.handlers - コマンド名 -> 処理関数 のマップ
+   * @param {Function} options.getState - 状態スナップショットを返す関数
+   * @param {number} options.stateInterval - 状態を送る間隔（ミリ秒）
+   * @param {Function} options.WebSocketClass - 使用するWebSocket実装（テスト用に差し替え可能）
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.handlers = options.handlers || {};
+    this.getState = options.getState || (() => ({}));
+    this.stateInterval = options.stateInterval || 1000;
+    this.WebSocketClass = options.WebSocketClass || window.WebSocket;
+
+    // 接続管理
+    this.socket = null;
+    this.isConnected = false;
+    this.stateTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectDelay = 1000;
+    this.maxReconnectDelay = 30000;
+    this.stopped = false;
+
+    // 統計
+    this.commandCount = 0;
+    this.lastCommand = null;
+  }
+
+  /**
+   * 接続を開始する（切断時は自動で再接続する）
+   */
+  connect() {
+    this.stopped = false;
+
+    const separator = this.url.includes('?') ? '&' : '?';
+    this.socket = new this.WebSocketClass(`${this.url}${separator}role=display`);
+
+    this.socket.onopen = () => {
+      this.isConnected = true;
+      this.reconnectDelay = 1000;
+      console.log('リモートコントロールサーバーに接続しました');
+
+      this.sendState();
+      this.stateTimer = setInterval(() => this.sendState(), this.stateInterval);
+    };
+
+    this.socket.onmessage = (event) => {
+      this.handleMessage(event.data);
+    };
+
+    this.socket.onclose = () => {
+      this.handleDisconnect();
+    };
+
+    this.socket.onerror = () => {
+      // 接続エラーはoncloseで再接続処理を行う
+    };
+  }
+
+  /**
+   * 切断時の処理
+   */
+  handleDisconnect() {
+    if (this.isConnected) {
+      console.warn('リモートコントロールサーバーから切断されました');
+    }
+    this.isConnected = false;
+
+    if (this.stateTimer) {
+      clearInterval(this.stateTimer);
+      this.stateTimer = null;
+    }
+
+    if (this.stopped) return;
+
+    // 指数バックオフで再接続
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+  }
+
+  /**
+   * 接続を終了する
+   */
+  disconnect() {
+    this.stopped = true;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+
+  /**
+   * 受信したメッセージを処理する
+   * @param {string} data - 受信データ
+   */
+  async handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn('リモートコマンドの解析に失敗しました:', error);
+      return;
+    }
+
+    // nullや配列などもJSONとしては正しいため、オブジェクト以外は無視する
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      console.warn('リモートコマンドの形式が不正です:', message);
+      return;
+    }
+
+    if (message.type !== 'command') return;
+
+    const ack = await this.executeCommand(message.command);
+    this.send({ type: 'ack', id: message.id, ...ack });
+
+    // 実行結果をすぐに反映した状態を送る
+    this.sendState();
+  }
+
+  /**
+   * コマンドを実行する
+   * @param {Object} command - コマンド ({ action, ...params })
+   * @returns {Promise<Object>} 実行結果 ({ ok, result?, error? })
+   */
+  async executeCommand(command) {
+    const handler = command && this.handlers[command.action];
+    if (!handler) {
+      return { ok: false, error: `未対応のコマンド: ${command && command.action}` };
+    }
+
+    try {
+      const result = await handler(command);
+      this.commandCount++;
+      this.lastCommand = command.action;
+      console.log(`リモートコマンドを実行しました: ${command.action}`);
+      return { ok: true, result: result === undefined ? null : result };
+    } catch (error) {
+      console.error(`リモートコマンドの実行に失敗しました: ${command.action}`, error);
+      return { ok: false, error: error.message };
+    }
+  }
+
+  /**
+   * 状態スナップショットを送る
+   */
+  sendState() {
+    if (!this.isConnected) return;
+
+    try {
+      this.send({ type: 'state', state: this.getState() });
+    } catch (error) {
+      console.warn('状態スナップショットの作成に失敗しました:', error);
+    }
+  }
+
+  /**
+   * メッセージを送る
+   * @param {Object} message - メッセージ
+   */
+  send(message) {
+    if (this.socket && this.isConnected) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      isConnected: this.isConnected,
+      commandCount: this.commandCount,
+      lastCommand: this.lastCommand || 'なし'
+    };
+  }
+}
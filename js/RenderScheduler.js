@@ -0,0 +1,219 @@
+import { ContentScheduler } from './ContentScheduler.js';
+
+// 状態ごとの上限がない場合のフレームレート
+const DEFAULT_MAX_FPS = { default: 60, idle: 30, walking: 60 };
+// requestAnimationFrameの時刻の揺れを許す幅（ミリ秒）
+const FRAME_TOLERANCE = 2;
+
+/**
+ * 描画スケジューラークラス
+ * キャラクターの状態ごとにフレームレートの上限を決めて描画を間引き、
+ * 停止時間帯（config.render.offHours）は描画を止めてポスター画像または暗い画面を表示する（config.render）
+ *
+ * 停止中もタッチ・来場者検知（wakeOn）で wakeDuration のあいだ描画を再開し、時間帯が終われば自動で再開する
+ */
+export class RenderScheduler {
+  /**
+   * コンストラクタ
+   * @param {HTMLElement} container - 停止中の表示を置く要素（コンテンツの要素）
+   * @param {Object} options - オプション（config.render）
+   * @param {Function} options.onStandby - 描画を止めたときに呼ばれるコールバック ()
+   * @param {Function} options.onResume - 描画を再開したときに呼ばれるコールバック (reason)
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onStandby = options.onStandby || null;
+    this.onResume = options.onResume || null;
+
+    this.isStandby = false;
+    this.awakeUntil = 0;
+    this.lastRenderTime = null;
+    this.currentMaxFps = DEFAULT_MAX_FPS.default;
+    this.timer = null;
+
+    this.createElements();
+    this.applyConfig(options);
+
+    // 停止中の表示・キャンバスのどちらに触れても起こす
+    this.onPointerDown = () => this.wake('touch');
+    this.container.addEventListener('pointerdown', this.onPointerDown);
+  }
+
+  /**
+   * 停止中の表示を作成する
+   */
+  createElements() {
+    this.standbyElement = document.createElement('div');
+    this.standbyElement.className = 'standby';
+    this.standbyElement.style.display = 'none';
+    this.container.appendChild(this.standbyElement);
+  }
+
+  /**
+   * 設定を反映する（停止時間帯の変更は次の確認で反映される）
+   * @param {Object} options - オプション（config.render）
+   */
+  applyConfig(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.maxFps = { ...DEFAULT_MAX_FPS, ...options.maxFps };
+    this.offHours = options.offHours || [];
+    this.standbyMode = options.standbyMode || 'dim';
+    this.posterPath = options.posterPath || '';
+    this.dimOpacity = options.dimOpacity !== undefined ? options.dimOpacity : 0.85;
+    this.wakeOn = options.wakeOn || ['touch', 'presence'];
+    this.wakeDuration = options.wakeDuration !== undefined ? options.wakeDuration : 60000;
+    this.checkInterval = options.checkInterval || 30000;
+
+    // ポスターは画面いっぱいに縦横比を保って表示し、暗い画面は最後のフレームの上に重ねる
+    if (this.standbyMode === 'poster' && this.posterPath) {
+      Object.assign(this.standbyElement.style, {
+        background: `#000000 url("${this.posterPath}") center / contain no-repeat`
+      });
+    } else {
+      Object.assign(this.standbyElement.style, {
+        background: `rgba(0, 0, 0, ${this.dimOpacity})`
+      });
+    }
+  }
+
+  /**
+   * 停止時間帯の確認を開始する
+   */
+  start() {
+    this.stop();
+    this.check();
+    this.timer = setInterval(() => this.check(), this.checkInterval);
+  }
+
+  /**
+   * 停止時間帯の確認を止める
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 停止時間帯かどうかを確認し、描画を止める・再開する
+   * @param {Date} now - 現在時刻
+   */
+  check(now = new Date()) {
+    const offHours = this.enabled && this.isOffHours(now);
+
+    if (offHours && !this.isStandby && now.getTime() >= this.awakeUntil) {
+      this.enterStandby();
+    } else if (!offHours && this.isStandby) {
+      this.exitStandby('schedule');
+    }
+  }
+
+  /**
+   * 停止時間帯かどうか
+   * @param {Date} now - 現在時刻
+   * @returns {boolean} 停止時間帯の場合はtrue
+   */
+  isOffHours(now = new Date()) {
+    return this.offHours.some((range) => ContentScheduler.isEntryActive(range, now));
+  }
+
+  /**
+   * 停止中の描画を一時的に再開する（停止時間帯でも wakeDuration のあいだ描画する）
+   * @param {string} reason - 再開の理由（wakeOnに含まれるもの: "touch"・"presence" など）
+   */
+  wake(reason) {
+    if (!this.wakeOn.includes(reason)) return;
+
+    this.awakeUntil = Date.now() + this.wakeDuration;
+    if (this.isStandby) {
+      this.exitStandby(reason);
+    }
+  }
+
+  /**
+   * 描画を止めて停止中の表示を出す
+   */
+  enterStandby() {
+    this.isStandby = true;
+    this.standbyElement.style.display = 'block';
+    console.log(`停止時間帯のため描画を止めました（${this.standbyMode === 'poster' && this.posterPath ? 'ポスター' : '暗い画面'}）`);
+
+    if (this.onStandby) this.onStandby();
+  }
+
+  /**
+   * 停止中の表示を消して描画を再開する
+   * @param {string} reason - 再開の理由
+   */
+  exitStandby(reason) {
+    this.isStandby = false;
+    this.lastRenderTime = null;
+    this.standbyElement.style.display = 'none';
+    console.log(`描画を再開しました（${reason}）`);
+
+    if (this.onResume) this.onResume(reason);
+  }
+
+  /**
+   * キャラクターの状態からフレームレートの上限を決める（いちばん高いものを使う）
+   * @param {Array<string>} states - キャラクターの状態名
+   */
+  setStates(states) {
+    const rates = states.map((state) => (this.maxFps[state] !== undefined ? this.maxFps[state] : this.maxFps.default));
+    this.currentMaxFps = rates.length > 0 ? Math.max(...rates) : this.maxFps.default;
+  }
+
+  /**
+   * このフレームを描画するかどうか（上限のフレームレートを超える分は間引く）
+   * @param {number} timestamp - requestAnimationFrameの時刻（ミリ秒）
+   * @returns {boolean} 描画する場合はtrue
+   */
+  shouldRender(timestamp) {
+    if (this.isStandby) return false;
+    if (!this.enabled || !this.currentMaxFps) return true;
+
+    const interval = this.getFrameInterval();
+    if (this.lastRenderTime !== null && timestamp - this.lastRenderTime < interval - FRAME_TOLERANCE) {
+      return false;
+    }
+
+    // 間引いた端数を持ち越し、平均が上限のフレームレートになるようにする
+    this.lastRenderTime = this.lastRenderTime !== null && timestamp - this.lastRenderTime < interval * 2
+      ? this.lastRenderTime + interval
+      : timestamp;
+    return true;
+  }
+
+  /**
+   * 現在の上限のフレームレートでの1フレームの時間
+   * @returns {number} 時間（ミリ秒。上限がない場合は0）
+   */
+  getFrameInterval() {
+    return this.enabled && this.currentMaxFps ? 1000 / this.currentMaxFps : 0;
+  }
+
+  /**
+   * イベントの登録と確認のタイマーを解除する
+   */
+  dispose() {
+    this.stop();
+    this.container.removeEventListener('pointerdown', this.onPointerDown);
+    this.standbyElement.remove();
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    const now = Date.now();
+    return {
+      enabled: this.enabled,
+      isStandby: this.isStandby,
+      maxFps: this.currentMaxFps,
+      offHours: this.isOffHours(),
+      awakeRemaining: Math.max(0, Math.round((this.awakeUntil - now) / 1000))
+    };
+  }
+}
@@ -0,0 +1,233 @@
+import * as THREE from 'three';
+
+// 既定の部位（VRMのヒューマノイドボーン名）。触れた位置に最も近いボーンの部位になる
+const DEFAULT_REGIONS = [
+  { name: 'head', bones: ['head', 'neck', 'jaw', 'leftEye', 'rightEye'] },
+  { name: 'hands', bones: ['leftHand', 'rightHand', 'leftLowerArm', 'rightLowerArm'] },
+  {
+    name: 'body',
+    bones: [
+      'hips', 'spine', 'chest', 'upperChest',
+      'leftShoulder', 'rightShoulder', 'leftUpperArm', 'rightUpperArm',
+      'leftUpperLeg', 'rightUpperLeg', 'leftLowerLeg', 'rightLowerLeg', 'leftFoot', 'rightFoot'
+    ]
+  }
+];
+// ボーンの位置が分からない場合の部位
+const FALLBACK_REGION = 'body';
+
+/**
+ * タッチ操作クラス
+ * 画面に触れた位置からレイを飛ばしてキャラクターのメッシュとの交点を求め、
+ * 触れた部位（頭・体・手など）に応じた反応を選んで通知する（config.touch）
+ * 連打を防ぐため、キャラクターごと・反応ごとのクールダウン中の操作は無視する
+ */
+export class TouchInteraction {
+  /**
+   * コンストラクタ
+   * @param {HTMLElement} element - 操作を受け付ける要素（レンダラーのキャンバス）
+   * @param {THREE.Camera} camera - カメラ
+   * @param {Object} options - オプション（config.touch）
+   * @param {Function} options.getCharacters - 判定の対象のキャラクターの配列を返す関数
+   * @param {Function} options.toContentPoint - ウィンドウ上の座標をコンテンツ上の座標に変換する関数（DisplayLayout）
+   * @param {Function} options.onReaction - 反応を選んだときに呼ばれるコールバック (character, region, reaction)
+   */
+  constructor(element, camera, options = {}) {
+    this.element = element;
+    this.camera = camera;
+    this.getCharacters = options.getCharacters || (() => []);
+    this.toContentPoint = options.toContentPoint || ((x, y) => ({ x, y }));
+    this.onReaction = options.onReaction || null;
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.bonePosition = new THREE.Vector3();
+
+    // クールダウン（キャラクター -> 最後に反応した時刻、反応 -> 最後に選ばれた時刻）
+    this.characterTimes = new WeakMap();
+    this.reactionTimes = new WeakMap();
+    this.lastTouch = null;
+
+    this.applyConfig(options);
+
+    this.onPointerDown = (event) => this.handlePointerDown(event);
+    this.element.addEventListener('pointerdown', this.onPointerDown);
+  }
+
+  /**
+   * 設定を反映する
+   * @param {Object} options - オプション（config.touch）
+   */
+  applyConfig(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.cooldown = options.cooldown !== undefined ? options.cooldown : 3000;
+    this.regions = options.regions && options.regions.length > 0 ? options.regions : DEFAULT_REGIONS;
+    this.reactions = options.reactions || [];
+  }
+
+  /**
+   * 画面に触れたときの処理（マルチタッチの2本目以降は無視する）
+   * @param {PointerEvent} event - ポインターイベント
+   */
+  handlePointerDown(event) {
+    if (!this.enabled || !event.isPrimary) return;
+
+    const point = this.toContentPoint(event.clientX, event.clientY);
+    this.touch(point.x / this.element.clientWidth, point.y / this.element.clientHeight);
+  }
+
+  /**
+   * 指定した位置に触れたものとして判定し、反応を選ぶ
+   * @param {number} u - コンテンツの左端からの位置（0〜1）
+   * @param {number} v - コンテンツの上端からの位置（0〜1）
+   * @returns {{character: Character, region: string, reaction: Object}|null} 選んだ反応（キャラクターに触れていない・クールダウン中の場合はnull）
+   */
+  touch(u, v) {
+    const hit = this.pick(u, v);
+    if (!hit) return null;
+
+    const now = Date.now();
+    this.lastTouch = { character: hit.character.id, region: hit.region, reaction: null };
+
+    const lastTime = this.characterTimes.get(hit.character);
+    if (lastTime !== undefined && now - lastTime < this.cooldown) {
+      console.log(`タッチ: ${hit.region}（クールダウン中）`);
+      return null;
+    }
+
+    const reaction = this.chooseReaction(hit.region, now);
+    if (!reaction) {
+      console.log(`タッチ: ${hit.region}（反応なし）`);
+      return null;
+    }
+
+    this.characterTimes.set(hit.character, now);
+    this.reactionTimes.set(reaction, now);
+    this.lastTouch.reaction = reaction.animation || (reaction.expression && reaction.expression.name) || reaction.caption || null;
+    console.log(`タッチ: ${hit.region}（キャラクター: ${hit.character.id}）`);
+
+    if (this.onReaction) {
+      this.onReaction(hit.character, hit.region, reaction);
+    }
+    return { character: hit.character, region: hit.region, reaction };
+  }
+
+  /**
+   * 指定した位置にいる最も手前のキャラクターと、触れた部位を求める
+   * @param {number} u - コンテンツの左端からの位置（0〜1）
+   * @param {number} v - コンテンツの上端からの位置（0〜1）
+   * @returns {{character: Character, region: string, point: THREE.Vector3}|null} 触れたキャラクター
+   */
+  pick(u, v) {
+    const characters = this.getCharacters().filter((character) => character.vrm && character.controller);
+    if (characters.length === 0) return null;
+
+    this.pointer.set(u * 2 - 1, -(v * 2 - 1));
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    const intersections = this.raycaster.intersectObjects(characters.map((character) => character.vrm.scene), true);
+    for (const intersection of intersections) {
+      const character = characters.find((candidate) => TouchInteraction.isDescendant(intersection.object, candidate.vrm.scene));
+      if (character) {
+        return { character, region: this.findRegion(character, intersection.point), point: intersection.point };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 触れた位置に最も近いボーンから部位を求める
+   * @param {Character} character - キャラクター
+   * @param {THREE.Vector3} point - 触れた位置（ワールド座標）
+   * @returns {string} 部位の名前
+   */
+  findRegion(character, point) {
+    const humanoid = character.vrm.humanoid;
+    if (!humanoid) return FALLBACK_REGION;
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (const region of this.regions) {
+      for (const boneName of region.bones) {
+        const bone = humanoid.getRawBoneNode(boneName);
+        if (!bone) continue;
+
+        const distance = bone.getWorldPosition(this.bonePosition).distanceToSquared(point);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = region.name;
+        }
+      }
+    }
+    return best || FALLBACK_REGION;
+  }
+
+  /**
+   * 部位の反応から、クールダウン中でないものを1つ選ぶ
+   * @param {string} region - 部位の名前
+   * @param {number} now - 現在時刻（ミリ秒）
+   * @returns {Object|null} 反応（config.touch.reactionsの要素）
+   */
+  chooseReaction(region, now) {
+    const candidates = this.reactions.filter((reaction) => {
+      if (reaction.region !== region) return false;
+      const lastTime = this.reactionTimes.get(reaction);
+      return lastTime === undefined || !reaction.cooldown || now - lastTime >= reaction.cooldown;
+    });
+    if (candidates.length === 0) return null;
+
+    const totalWeight = candidates.reduce((sum, reaction) => sum + (reaction.weight !== undefined ? reaction.weight : 1), 0);
+    let random = Math.random() * totalWeight;
+    for (const reaction of candidates) {
+      random -= reaction.weight !== undefined ? reaction.weight : 1;
+      if (random < 0) return reaction;
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  /**
+   * オブジェクトが指定したオブジェクトの子孫（またはそのもの）か
+   * @param {THREE.Object3D} object - オブジェクト
+   * @param {THREE.Object3D} root - 親
+   * @returns {boolean} 子孫の場合はtrue
+   */
+  static isDescendant(object, root) {
+    for (let current = object; current; current = current.parent) {
+      if (current === root) return true;
+    }
+    return false;
+  }
+
+  /**
+   * 操作を受け付ける要素を差し替える（レンダラーを作り直した場合）
+   * @param {HTMLElement} element - 新しい要素
+   */
+  setElement(element) {
+    this.element.removeEventListener('pointerdown', this.onPointerDown);
+    this.element = element;
+    this.element.addEventListener('pointerdown', this.onPointerDown);
+  }
+
+  /**
+   * イベントの登録を解除する
+   */
+  dispose() {
+    if (this.onPointerDown) {
+      this.element.removeEventListener('pointerdown', this.onPointerDown);
+      this.onPointerDown = null;
+    }
+  }
+
+  /**
+   * デバッグ情報を取得
+   * @returns {Object} デバッグ情報
+   */
+  getDebugInfo() {
+    return {
+      enabled: this.enabled,
+      cooldown: this.cooldown,
+      reactionCount: this.reactions.length,
+      lastTouch: this.lastTouch
+    };
+  }
+}
@@ -7,9 +7,12 @@ export class VRMBoneAnalyzer {
   /**
    * VRMモデルのボーン構造を解析
    * @param {Object} vrm - VRMインスタンス
+   * @param {Object} options - オプション
+   * @param {boolean} options.quiet - 解析結果をコンソールに出力しない
    * @returns {Object} ボーン情報
    */
-  static analyzeVRMBones(vrm) {
+  static analyzeVRMBones(vrm, options = {}) {
+    const log = options.quiet ? () => {} : (...args) => console.log(...args);
     const boneInfo = {
       humanoidBones: {},
       allBones: [],
@@ -23,16 +26,20 @@ export class VRMBoneAnalyzer {
 
     // ヒューマノイドボーンの取得
     if (vrm.humanoid && vrm.humanoid.humanBones) {
-      console.log('=== VRMヒューマノイドボーン構造 ===');
+      log('=== VRMヒューマノイドボーン構造 ===');
       
       for (const [boneName, boneNode] of Object.entries(vrm.humanoid.humanBones)) {
         if (boneNode && boneNode.node) {
+          const normalizedNode = typeof vrm.humanoid.getNormalizedBoneNode === 'function'
+            ? vrm.humanoid.getNormalizedBoneNode(boneName)
+            : null;
           boneInfo.humanoidBones[boneName] = {
             name: boneNode.node.name,
+            normalizedName: normalizedNode ? normalizedNode.name : null,
             uuid: boneNode.node.uuid,
             type: boneNode.node.type
           };
-          console.log(`${boneName}: ${boneNode.node.name}`);
+          log(`${boneName}: ${boneNode.node.name}`);
         }
       }
     }
@@ -48,7 +55,7 @@ export class VRMBoneAnalyzer {
       }
     });
 
-    console.log(`=== 検出されたボーン総数: ${boneInfo.allBones.length} ===`);
+    log(`=== 検出されたボーン総数: ${boneInfo.allBones.length} ===`);
     
     return boneInfo;
   }
@@ -193,8 +200,11 @@ export class VRMBoneAnalyzer {
    * アニメーショントラックの有効性を検証
    * @param {Object} vrm - VRMインスタンス  
    * @param {THREE.AnimationClip} animation - 検証するアニメーション
+   * @param {Object} options - オプション
+   * @param {boolean} options.quiet - 検証結果をコンソールに出力しない
    * @returns {Object} 検証結果
-   */  static validateAnimationTracks(vrm, animation) {
+   */  static validateAnimationTracks(vrm, animation, options = {}) {
+    const log = options.quiet ? () => {} : (...args) => console.log(...args);
     const result = {
       validTracks: [],
       invalidTracks: [],
@@ -202,9 +212,11 @@ export class VRMBoneAnalyzer {
       totalTracks: animation.tracks.length
     };
 
-    const boneInfo = this.analyzeVRMBones(vrm);
+    const boneInfo = this.analyzeVRMBones(vrm, options);
+    // リターゲット済みのクリップは正規化ボーンを対象にする
     const availableBoneNames = new Set([
       ...Object.values(boneInfo.humanoidBones).map(b => b.name),
+      ...Object.values(boneInfo.humanoidBones).filter(b => b.normalizedName).map(b => b.normalizedName),
       ...boneInfo.allBones.map(b => b.name)
     ]);    for (const track of animation.tracks) {
       const trackParts = track.name.split('.');
@@ -224,15 +236,15 @@ export class VRMBoneAnalyzer {
       }
     }
 
-    console.log('=== アニメーショントラック検証結果 ===');
-    console.log(`有効: ${result.validTracks.length}/${result.totalTracks}`);
-    console.log(`無効: ${result.invalidTracks.length}/${result.totalTracks}`);
-    console.log(`VRM特有のボーン: ${result.vrmSpecificTracks.length}/${result.totalTracks}`);
+    log('=== アニメーショントラック検証結果 ===');
+    log(`有効: ${result.validTracks.length}/${result.totalTracks}`);
+    log(`無効: ${result.invalidTracks.length}/${result.totalTracks}`);
+    log(`VRM特有のボーン: ${result.vrmSpecificTracks.length}/${result.totalTracks}`);
     
     // 無効なトラックのうち、最初の5つを表示（デバッグ用）
     if (result.invalidTracks.length > 0) {
-      console.log('無効なトラックの例（最大5つ）:');
-      result.invalidTracks.slice(0, 5).forEach(t => console.log(`- ${t}`));
+      log('無効なトラックの例（最大5つ）:');
+      result.invalidTracks.slice(0, 5).forEach(t => log(`- ${t}`));
     }
     
     return result;
@@ -1,24 +1,73 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { VRM, VRMUtils, VRMLoaderPlugin } from '@pixiv/three-vrm';
 
-import { AnimationManager } from './AnimationManager.js';
-import { CharacterController } from './CharacterController.js';
+import { Character } from './Character.js';
+import { CharacterGroup } from './CharacterGroup.js';
+import { CharacterStateMachine } from './CharacterStateMachine.js';
 import { DebugPanel } from './DebugPanel.js';
-import { VRMBoneAnalyzer } from './VRMBoneAnalyzer.js';
-import { MixamoVRMMapper } from './MixamoVRMMapper.js';
+import { DisplayLayout } from './DisplayLayout.js';
+import { ContentScheduler } from './ContentScheduler.js';
+import { ConfigWatcher } from './ConfigWatcher.js';
+import { RemoteControlClient } from './RemoteControlClient.js';
+import { CaptionOverlay } from './CaptionOverlay.js';
+import { LipSyncManager } from './LipSyncManager.js';
+import { NavigationGrid } from './NavigationGrid.js';
+import { PresenceDetector } from './PresenceDetector.js';
+import { TouchInteraction } from './TouchInteraction.js';
+import { PerformanceGovernor } from './PerformanceGovernor.js';
+import { RenderScheduler } from './RenderScheduler.js';
+import { HealthWatchdog } from './HealthWatchdog.js';
+import { ConfigSchema } from './ConfigSchema.js';
+
+// 既定のアニメーション設定ファイル
+const DEFAULT_ANIMATIONS_PATH = './public/animations/animations.json';
+// 既定の状態定義ファイル
+const DEFAULT_STATES_PATH = './public/states/default.json';
+// 設定の問題をローディング表示に出しておく時間（ミリ秒）
+const PROBLEM_DISPLAY_TIME = 10000;
+// 位置を指定しないキャラクターを横に並べる間隔（メートル）
+const CHARACTER_SPACING = 1.0;
+// 1フレームで進める時間の上限（秒）。処理が止まった後にアニメーション・移動が一度に飛ばないようにする
+const MAX_DELTA = 0.1;
 
 // 設定ファイルを読み込む
 let config;
 
 // グローバル変数
 let scene, camera, renderer;
-let vrm, mixer, clock, vrmMapper;
-let animationManager, characterController;
+let clock;
+const characters = [];            // シーンのキャラクター（先頭が主キャラクター）
+let characterGroup;
+let navigationGrid;         // すべてのキャラクターで共有する経路探索
+let debugOverlay;           // debug.showBoundaries・showNavigationで表示する移動範囲・グリッド
+const stateDefinitions = new Map(); // 状態定義ファイルのパス -> 状態定義
 let debugPanel;
+let displayLayout;
 let loadingElement;
+let ambientLight, directionalLight;
+let scheduler;
+let configWatcher;
+let remoteClient;
+let captionOverlay;
+let lipSyncManager;
+let presenceDetector;       // config.presence.enabledの場合のみ作成する
+let touchInteraction;
+let performanceGovernor;    // フレーム時間に応じて画質の段階を切り替える
+let rendererAntialias;      // 現在のレンダラーのアンチエイリアス（変更にはレンダラーの作り直しが必要）
+let shadowCatcher;          // 影だけを描く透明な床
+let lastBackgroundUpdate = 0; // 画面に映らない処理（デバッグパネルなど）を最後に行った時刻
+let renderScheduler;        // 状態ごとのフレームレートの上限・停止時間帯
+let animationFrameId = null; // 停止時間帯はnull
+let watchdog;               // 読み込み・アニメーション・WebGLの異常を検出して復旧する
+let useFallbackContent = false; // 復旧のため既知の正常なモデル・アニメーション（watchdog.fallback）に切り替えた場合はtrue
+let currentContent;
+let isSwappingModel = false;
+const pendingReloads = new Set();   // モデルの差し替え中に届いた、後で実行する読み込み直し
+let isInitialized = false;  // 起動が完了した場合はtrue（稼働監視がシーンを作り直せる）
+let startupProblems = [];   // 起動時に見つかった設定ファイルの問題
+const characterProblems = new Map(); // キャラクターID -> 読み込み時の問題（読み込み直すたびに置き換える）
+let lastConfigReport = '';  // 同じ問題を繰り返しログに出さないため
 let stats = { fps: 0, deltaTime: 0, elapsedTime: 0 };
 
 // 初期化関数
@@ -27,36 +76,824 @@ async function init() {
   
   // 設定ファイルを読み込む
   await loadConfig();
+  showProblems(getProblems());
+  
+  // 稼働監視を開始（起動中の読み込みが終わらない場合も検出する）
+  startWatchdog();
+  watchdog.beginLoading('起動');
+  
+  // スケジュールを読み込み、起動時に表示するコンテンツを決定
+  await loadSchedule();
+  currentContent = scheduler
+    ? scheduler.resolveContent(scheduler.findActiveEntry())
+    : getDefaultContent();
   
   // シーンの作成
   createScene();
   
-  // VRMモデルの読み込み
-  await loadVRM();
+  // 障害物を避ける経路探索（グリッドは最初のキャラクターの移動可能領域で作られる）
+  navigationGrid = new NavigationGrid(config.navigation, camera);
   
-  // アニメーション管理の初期化
-  await initializeAnimations();
-  
-  // キャラクター制御の初期化
-  initializeCharacterController();
+  // キャラクター（VRMモデル・アニメーション・キャラクター制御）の読み込み
+  await createCharacters();
+  updateDebugOverlays();
+  watchdog.endLoading();
   
   // デバッグパネルの初期化
   initializeDebugPanel();
   
-  // ローディング表示を非表示にする
-  hideLoading();
+  // ローディング表示を非表示にする（設定に問題がある場合はしばらく表示しておく）
+  const problems = getProblems();
+  if (problems.length > 0) {
+    showProblems(problems);
+    setTimeout(hideLoading, PROBLEM_DISPLAY_TIME);
+  } else {
+    hideLoading();
+  }
   
   // アニメーションループを開始
-  animate();
+  startAnimationLoop();
+  renderScheduler.start();
+  
+  // スケジュールの監視を開始
+  if (scheduler) {
+    scheduler.start();
+  }
+  
+  // 設定ファイルの監視を開始
+  startConfigWatcher();
+  
+  // リモートコントロールの接続を開始
+  startRemoteControl();
+  
+  // 来場者検知を開始
+  startPresenceDetection();
+  
+  isInitialized = true;
 }
 
-// 設定ファイルの読み込み
+// 設定ファイルの読み込み（読み込めない・誤りがある場合も既定値で起動する）
 async function loadConfig() {
+  let rawConfig = {};
+  let loadError = null;
+  
   try {
     const response = await fetch('./config.json');
-    config = await response.json();
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    rawConfig = await response.json();
   } catch (error) {
     console.error('設定ファイルの読み込みに失敗しました:', error);
+    loadError = `config.jsonを読み込めませんでした（${error.message}）。既定の設定で起動します`;
+  }
+  
+  const result = normalizeConfig(rawConfig);
+  config = result.config;
+  startupProblems = [...(loadError ? [loadError] : []), ...result.errors, ...result.warnings];
+}
+
+// 設定を検証・補完する（問題が変わったときだけログに出す）
+function normalizeConfig(rawConfig) {
+  const result = ConfigSchema.normalizeConfig(rawConfig);
+  const report = [...result.errors, ...result.warnings].join('\n');
+  
+  if (report !== lastConfigReport) {
+    result.errors.forEach((message) => console.error(message));
+    result.warnings.forEach((message) => console.warn(message));
+    lastConfigReport = report;
+  }
+  
+  return result;
+}
+
+// 状態定義ファイルの読み込み（失敗時はステートマシンなしで動作する）
+// キャラクターごとに指定できるため、同じファイルは一度だけ読み込む
+async function loadStateDefinition(path = DEFAULT_STATES_PATH) {
+  if (!stateDefinitions.has(path)) {
+    try {
+      stateDefinitions.set(path, await CharacterStateMachine.loadDefinition(path));
+    } catch (error) {
+      console.error('状態定義の読み込みに失敗しました:', error);
+      stateDefinitions.set(path, null);
+    }
+  }
+  return stateDefinitions.get(path);
+}
+
+// config.jsonから既定のコンテンツを取得
+function getDefaultContent() {
+  return {
+    name: 'デフォルト',
+    model: config.model,
+    background: config.background,
+    animations: (config.animations && config.animations.path) || DEFAULT_ANIMATIONS_PATH,
+    lighting: config.lighting
+  };
+}
+
+// スケジュールファイルの読み込み
+async function loadSchedule() {
+  if (!config.schedule || !config.schedule.enabled) return;
+  
+  try {
+    const response = await fetch(config.schedule.path);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    // 不正なエントリは除外し、問題は設定ファイルの問題と同じく知らせる
+    const fileName = config.schedule.path.split('/').pop();
+    const { schedule, errors, warnings } = ConfigSchema.normalizeSchedule(await response.json(), fileName);
+    errors.forEach((message) => console.error(message));
+    warnings.forEach((message) => console.warn(message));
+    if (!isInitialized) {
+      startupProblems.push(...errors, ...warnings);
+    }
+    
+    scheduler = new ContentScheduler(schedule, getDefaultContent(), {
+      checkInterval: config.schedule.checkInterval,
+      onChange: (content) => applyContent(content)
+    });
+  } catch (error) {
+    console.error('スケジュールファイルの読み込みに失敗しました:', error);
+    scheduler = null;
+  }
+}
+
+// 設定ファイルのホットリロードを開始
+function startConfigWatcher() {
+  if (!config.hotReload || !config.hotReload.enabled) return;
+  
+  configWatcher = new ConfigWatcher('./config.json', config, {
+    interval: config.hotReload.interval,
+    normalize: (rawConfig) => normalizeConfig(rawConfig).config,
+    onChange: (newConfig, changes) => applyConfigChanges(newConfig, changes)
+  });
+  configWatcher.start();
+}
+
+// 変更された設定を実行中のシーンに反映し、実際に反映できた設定を返す
+// 項目ごとに反映し、失敗した項目は前の値に戻して返す（ConfigWatcherが次の確認でその項目だけを反映し直す）
+async function applyConfigChanges(newConfig, changes) {
+  const changed = (section) => ConfigWatcher.hasChanged(changes, section);
+  const previousConfig = config;
+  const failedSections = new Set();
+  
+  // 指定した項目のいずれかが変わった場合に反映する（失敗しても他の項目の反映は続ける）
+  const apply = async (sections, applySection) => {
+    if (!sections.some(changed)) return;
+    try {
+      await applySection();
+    } catch (error) {
+      const failed = sections.filter(changed);
+      console.error(`設定の反映に失敗しました (${failed.join(', ')})。次の確認で反映し直します:`, error);
+      failed.forEach((section) => failedSections.add(section));
+    }
+  };
+  
+  // 反映中は各処理が新しい設定を読めるようにしておく
+  config = newConfig;
+  
+  // 表示サイズ・回転・拡大縮小・セーフエリア
+  await apply(['display'], () => {
+    displayLayout.applyConfig(config.display);
+    onWindowResize();
+  });
+  
+  // カメラ
+  await apply(['camera'], () => {
+    camera.position.set(
+      config.camera.position.x,
+      config.camera.position.y,
+      config.camera.position.z
+    );
+    camera.lookAt(
+      config.camera.lookAt.x,
+      config.camera.lookAt.y,
+      config.camera.lookAt.z
+    );
+  });
+  
+  // 移動速度・間隔・歩行と走行のブレンド（カメラ変更時は境界の再計算も兼ねる）
+  await apply(['character', 'camera', 'gaze', 'locomotion'], () => {
+    characters.forEach((character) => character.applyConfig(config));
+    updateDebugOverlays();
+  });
+  
+  // キャラクターの構成
+  await apply(['characters'], () => applyCharacterDefinitions());
+  
+  // 歩行可能な領域・障害物・地点（画面上の障害物はカメラ・表示サイズにも依存する）
+  await apply(['navigation', 'camera', 'display'], () => applyNavigationConfig());
+  
+  // キャラクター同士の回避・向かい合わせ
+  await apply(['interaction'], () => {
+    if (characterGroup) {
+      characterGroup.applyConfig(config.interaction);
+    }
+  });
+  
+  // 画質の段階・自動調整
+  await apply(['performance'], () => {
+    performanceGovernor.applyConfig(config.performance);
+    applyQualityTier(performanceGovernor.getTier());
+  });
+  
+  // 稼働監視・ハートビート
+  await apply(['watchdog'], () => {
+    watchdog.applyConfig(config.watchdog);
+    watchdog.start();
+  });
+  
+  // 描画のフレームレートの上限・停止時間帯
+  await apply(['render'], () => {
+    renderScheduler.applyConfig(config.render);
+    renderScheduler.start();
+  });
+  
+  // タッチ操作の反応・クールダウン
+  await apply(['touch'], () => touchInteraction.applyConfig(config.touch));
+  
+  // 来場者検知（映像の取得元が変わる場合もあるため開始し直す）
+  await apply(['presence'], () => startPresenceDetection());
+  
+  // デバッグ設定
+  await apply(['debug'], () => applyDebugConfig());
+  
+  // スケジュール設定が変わった場合はスケジューラーを作り直す
+  await apply(['schedule'], async () => {
+    if (scheduler) {
+      scheduler.stop();
+      scheduler = null;
+    }
+    await loadSchedule();
+    if (scheduler) {
+      scheduler.start();
+    }
+  });
+  
+  // 背景・ライティング・モデル・アニメーションは、スケジュールの既定値も含めてコンテンツとして反映する
+  // （スケジュールを無効にした・読み込めなかった場合は既定のコンテンツに戻すため、スケジュールの変更でも反映し直す）
+  await apply(['schedule', 'model', 'background', 'lighting', 'animations'], async () => {
+    if (scheduler) {
+      scheduler.defaults = getDefaultContent();
+      await applyContent(scheduler.resolveContent(scheduler.activeEntry));
+    } else {
+      await applyContent(getDefaultContent());
+    }
+  });
+  
+  // 監視間隔の変更
+  await apply(['hotReload'], () => {
+    if (config.hotReload && config.hotReload.enabled) {
+      configWatcher.interval = config.hotReload.interval || configWatcher.interval;
+      configWatcher.start();
+    } else {
+      configWatcher.stop();
+    }
+  });
+  
+  // 反映が終わってから、実際に反映できた設定を現在の設定とする
+  const appliedConfig = { ...newConfig };
+  failedSections.forEach((section) => {
+    appliedConfig[section] = previousConfig[section];
+  });
+  config = appliedConfig;
+  return appliedConfig;
+}
+
+// 来場者検知を開始する（無効の場合は停止する）
+// 近づいた人には全員が振り向き、presence.followの場合は主キャラクターが横の位置についていく
+async function startPresenceDetection() {
+  if (presenceDetector) {
+    presenceDetector.stop();
+    presenceDetector = null;
+  }
+  if (!config.presence.enabled) return;
+  
+  presenceDetector = new PresenceDetector({
+    ...config.presence,
+    onApproach: (viewer) => {
+      renderScheduler.wake('presence');
+      characters.forEach((character) => {
+        if (character.controller) {
+          character.controller.engageViewer(viewer, getViewerOptions(character));
+        }
+      });
+    },
+    onPosition: (viewer) => {
+      renderScheduler.wake('presence');
+      characters.forEach((character) => {
+        if (!character.controller) return;
+        // 近づいた後に読み込まれたキャラクターは挨拶せずに振り向かせる
+        if (!character.controller.viewer) {
+          character.controller.engageViewer(viewer, { ...getViewerOptions(character), greetState: null });
+        }
+        character.controller.updateViewer(viewer);
+      });
+    },
+    onLeave: () => {
+      characters.forEach((character) => {
+        if (character.controller) {
+          character.controller.releaseViewer();
+        }
+      });
+    }
+  });
+  
+  presenceDetector.setMinimumInterval(performanceGovernor.getTier().backgroundInterval);
+  try {
+    await presenceDetector.start();
+  } catch (error) {
+    console.error('来場者検知を開始できませんでした:', error);
+  }
+}
+
+// タッチした部位の反応（表情・アニメーション・吹き出し）を再生する
+function applyTouchReaction(character, region, reaction) {
+  const clip = reaction.animation ? character.animationManager.findAnimation(reaction.animation) : null;
+  if (reaction.animation && !clip) {
+    console.warn(`タッチの反応のアニメーションが見つかりません: ${reaction.animation}`);
+  }
+  character.controller.react({ clip, expression: reaction.expression });
+  
+  if (reaction.caption && captionOverlay) {
+    captionOverlay.setVRM(character.vrm);
+    captionOverlay.say(reaction.caption, { interrupt: true });
+  }
+}
+
+// 来場者への反応のオプション（ついていくのは主キャラクターのみ）
+function getViewerOptions(character) {
+  return {
+    greetState: config.presence.greetState,
+    follow: config.presence.follow && character === characters[0],
+    followDistance: config.presence.followDistance
+  };
+}
+
+// 稼働監視を開始する
+function startWatchdog() {
+  watchdog = new HealthWatchdog({
+    ...config.watchdog,
+    getAnimationTimes,
+    isActive: () => !!renderScheduler && !renderScheduler.isStandby && !isSwappingModel,
+    getState: () => ({
+      fps: stats.fps,
+      characters: characters.length,
+      standby: renderScheduler ? renderScheduler.isStandby : false,
+      fallback: useFallbackContent
+    }),
+    onRecover: recoverScene
+  });
+  watchdog.start();
+}
+
+// キャラクターごとのミキサーの時刻（再生中のアニメーションがない・Tポーズのままの場合はnull）
+function getAnimationTimes() {
+  return characters.map((character) => (
+    character.mixer && character.mixer.stats.actions.inUse > 0 ? character.mixer.time : null
+  ));
+}
+
+// 稼働監視からの復旧（reinitialize: シーンを作り直す、fallback: 既知の正常なモデル・アニメーションで作り直す）
+async function recoverScene(step) {
+  // 起動の途中・読み込みが終わらない場合は作り直せないため、次の手順（読み込み直し）に進む
+  if (!isInitialized) {
+    throw new Error('起動が完了していません');
+  }
+  if (isSwappingModel) {
+    throw new Error('モデルの読み込みが終わっていません');
+  }
+  if (step === 'fallback') {
+    useFallbackContent = true;
+    console.warn('既知の正常なモデル・アニメーションに切り替えます');
+  }
+  
+  // コンテキストを失ったレンダラーは作り直し、画質の段階を反映し直す
+  if (renderer.getContext().isContextLost()) {
+    replaceRenderer(rendererAntialias);
+    applyQualityTier(performanceGovernor.getTier());
+  }
+  
+  await reloadCharacters(recreateCharacters);
+  if (characters.length === 0) {
+    throw new Error('キャラクターを読み込めませんでした');
+  }
+  startAnimationLoop();
+}
+
+// 既知の正常なモデル・アニメーション（config.watchdog.fallback。省略した項目は現在のコンテンツの値を使う）
+function getFallbackContent(content = currentContent) {
+  const fallback = config.watchdog.fallback || {};
+  return {
+    model: fallback.model && fallback.model.path ? { ...content.model, ...fallback.model } : content.model,
+    animations: fallback.animations || content.animations
+  };
+}
+
+// リモートコントロールの接続を開始
+function startRemoteControl() {
+  if (!config.remote || !config.remote.enabled) return;
+  
+  remoteClient = new RemoteControlClient(config.remote.url, {
+    stateInterval: config.remote.stateInterval,
+    getState: getRemoteState,
+    handlers: {
+      // アニメーションを名前で再生（additive: trueの場合は現在のアニメーションに重ねる）
+      // すべてのコマンドは character（キャラクターのID）で対象を指定でき、省略時は主キャラクターが対象
+      playAnimation: ({ name, additive = false, weight = 1.0, character: id }) => {
+        const character = requireCharacter(id);
+        const clip = character.animationManager.findAnimation(name);
+        if (!clip) {
+          throw new Error(`アニメーションが見つかりません: ${name}`);
+        }
+        if (additive) {
+          character.animationManager.playAdditive(clip, { weight });
+          return;
+        }
+        character.controller.playAnimationClip(clip);
+      },
+      // 表情を指定時間（ミリ秒）だけ表示
+      setExpression: ({ name, weight = 1.0, duration = 3000, character: id }) => {
+        const controller = requireCharacter(id).controller;
+        if (!controller.expressionManager || !controller.expressionManager.isEnabled) {
+          throw new Error('表情管理システムが利用できません');
+        }
+        controller.expressionManager.setExpression(name, weight, duration);
+      },
+      // 指定地点まで歩く（画面内に収めた実際の目的地を返す）
+      // point を指定した場合は config.navigation.pointsOfInterest の名前付きの地点へ歩く
+      walkTo: ({ x, z, point, character: id }) => {
+        const controller = requireCharacter(id).controller;
+        return point !== undefined ? controller.walkToPoint(point) : controller.walkTo(x, z);
+      },
+      // ステートマシンの状態を強制的に変更
+      setState: ({ state, character: id }) => {
+        const controller = requireCharacter(id).controller;
+        if (!controller.stateMachine) {
+          throw new Error('ステートマシンが利用できません');
+        }
+        if (!Object.values(controller.stateMachine.states).includes(state)) {
+          throw new Error(`未知の状態: ${state}`);
+        }
+        controller.stateMachine.forceStateChange(state);
+      },
+      // 吹き出しでメッセージを表示（指定したキャラクターの頭に追従させる）
+      say: ({ text, duration, typewriter, interrupt, character: id }) => {
+        if (!captionOverlay) {
+          throw new Error('吹き出し表示が無効です');
+        }
+        captionOverlay.setVRM(requireCharacter(id).vrm);
+        captionOverlay.say(text, { duration, typewriter, interrupt });
+      },
+      // 音声を再生して口を動かす（textがあれば吹き出しも表示）
+      speak: ({ path, text, mode, character: id }) => {
+        if (!lipSyncManager) {
+          throw new Error('リップシンクが無効です');
+        }
+        const character = requireCharacter(id);
+        if (text && captionOverlay) {
+          captionOverlay.setVRM(character.vrm);
+          captionOverlay.say(text, { interrupt: true });
+        }
+        lipSyncManager.setVRM(character.vrm);
+        lipSyncManager.play(path, { mode }).catch((error) => {
+          console.error('音声の再生に失敗しました:', error);
+        });
+      },
+      pause: ({ character: id }) => requireCharacter(id).controller.pause(),
+      resume: ({ character: id }) => requireCharacter(id).controller.resume()
+    }
+  });
+  remoteClient.connect();
+}
+
+// リモートコマンドの対象のキャラクターを取得（IDを省略した場合は主キャラクター）
+function requireCharacter(id) {
+  const character = id === undefined
+    ? characters[0]
+    : characters.find((candidate) => candidate.id === id);
+  
+  if (!character || !character.controller) {
+    throw new Error(id === undefined ? 'キャラクターが読み込まれていません' : `キャラクターが見つかりません: ${id}`);
+  }
+  return character;
+}
+
+// リモートコントロールに送る状態スナップショット（animation・characterは主キャラクター）
+function getRemoteState() {
+  const primary = characters[0];
+  return {
+    timestamp: Date.now(),
+    fps: stats.fps,
+    animation: primary && primary.animationManager ? primary.animationManager.getDebugInfo() : null,
+    character: primary && primary.controller ? primary.controller.getDebugInfo() : null,
+    characters: characters.map((character) => character.getDebugInfo()),
+    presence: presenceDetector ? presenceDetector.getDebugInfo() : null,
+    performance: performanceGovernor.getDebugInfo(),
+    render: renderScheduler.getDebugInfo(),
+    health: watchdog.getDebugInfo()
+  };
+}
+
+// デバッグ設定を反映
+function applyDebugConfig() {
+  const enabled = !!(config.debug && config.debug.enabled);
+  
+  if (enabled && !debugPanel) {
+    initializeDebugPanel();
+  } else if (!enabled && debugPanel) {
+    debugPanel.dispose();
+    debugPanel = null;
+  } else if (debugPanel) {
+    debugPanel.config = config;
+  }
+  
+  characters.forEach((character) => character.setDebugMode(enabled));
+  updateDebugOverlays();
+}
+
+// 有効な経路探索（navigation.enabledがfalseの場合はnull）
+function getActiveNavigation() {
+  return config.navigation.enabled ? navigationGrid : null;
+}
+
+// 経路探索の設定を反映し、歩行中のキャラクターの経路を求め直す
+function applyNavigationConfig() {
+  if (!navigationGrid) return;
+  
+  navigationGrid.applyConfig(config.navigation);
+  characters.forEach((character) => character.setNavigation(getActiveNavigation()));
+  updateDebugOverlays();
+}
+
+// デバッグ用の表示を作り直す
+// debug.showBoundaries: 全身が画面に収まる移動範囲（黄）、debug.showNavigation: 歩行可能なセル・障害物・地点
+function updateDebugOverlays() {
+  if (debugOverlay) {
+    scene.remove(debugOverlay);
+    debugOverlay.traverse((object) => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) object.material.dispose();
+    });
+    debugOverlay = null;
+  }
+  if (!scene || !config.debug) return;
+  
+  debugOverlay = new THREE.Group();
+  debugOverlay.name = 'DebugOverlay';
+  
+  if (config.debug.showBoundaries) {
+    for (const character of characters) {
+      if (!character.controller) continue;
+      const { minX, maxX, minZ, maxZ } = character.controller.boundaries;
+      const geometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(minX, 0.01, minZ),
+        new THREE.Vector3(maxX, 0.01, minZ),
+        new THREE.Vector3(maxX, 0.01, maxZ),
+        new THREE.Vector3(minX, 0.01, maxZ)
+      ]);
+      debugOverlay.add(new THREE.LineLoop(geometry, new THREE.LineBasicMaterial({ color: 0xffcc00 })));
+    }
+  }
+  
+  if (navigationGrid && getActiveNavigation() && config.debug.showNavigation) {
+    debugOverlay.add(navigationGrid.createDebugObject());
+  }
+  
+  scene.add(debugOverlay);
+}
+
+// スケジュールされたコンテンツを実行中のシーンに適用
+async function applyContent(content) {
+  const previous = currentContent;
+  currentContent = content;
+  
+  if (!previous) return;
+  
+  const changed = (key) => JSON.stringify(previous[key]) !== JSON.stringify(content[key]);
+  
+  if (changed('background')) {
+    setBackground(content.background);
+  }
+  
+  if (changed('lighting')) {
+    setupLighting(content.lighting);
+  }
+  
+  // キャラクターごとに、コンテンツの値を使うモデル・アニメーションを切り替える
+  let needsModelSwap = false;
+  for (const character of [...characters]) {
+    const before = getCharacterContent(character.definition, previous);
+    const after = getCharacterContent(character.definition, content);
+    
+    // 読み込んだモデルファイルと変わる場合はアニメーションも含めて読み込み直す
+    if (character.modelConfig.path !== after.model.path) {
+      needsModelSwap = true;
+      continue;
+    }
+    
+    if (before.model.scale !== after.model.scale) {
+      character.setScale(after.model.scale);
+    }
+    
+    if (before.animations !== after.animations) {
+      try {
+        await character.switchAnimationSet(after.animations);
+      } catch (error) {
+        console.error('アニメーションセットの切り替えに失敗しました:', error);
+      }
+    }
+  }
+  
+  if (needsModelSwap) {
+    await reloadCharacters(swapModels);
+  }
+}
+
+// config.jsonのcharactersから、シーンに置くキャラクターの定義を作る
+// （charactersが空の場合はmodel・animationsの1体。位置を省略したキャラクターは横に並べる）
+function getCharacterDefinitions() {
+  const entries = config.characters.length > 0 ? config.characters : [{ id: 'main' }];
+  
+  return entries.map((entry, index) => ({
+    ...entry,
+    id: entry.id || `character${index + 1}`,
+    position: {
+      x: (index - (entries.length - 1) / 2) * CHARACTER_SPACING,
+      z: 0,
+      ...entry.position
+    }
+  }));
+}
+
+// キャラクターのモデル・アニメーションを求める（省略した項目はコンテンツの値を使う）
+function resolveCharacterContent(definition, content) {
+  return {
+    model: definition.model ? { ...content.model, ...definition.model } : content.model,
+    animations: definition.animations || content.animations
+  };
+}
+
+// キャラクターに読み込むモデル・アニメーション（既知の正常なコンテンツに切り替えている間はそちらを使う）
+function getCharacterContent(definition, content) {
+  return useFallbackContent ? getFallbackContent(content) : resolveCharacterContent(definition, content);
+}
+
+// すべてのキャラクターを読み込む（読み込めないキャラクターは飛ばして起動を続ける）
+async function createCharacters() {
+  if (!characterGroup) {
+    characterGroup = new CharacterGroup(characters, config.interaction);
+  }
+  
+  // 前回の読み込みの問題は残さない
+  characterProblems.clear();
+  
+  for (const definition of getCharacterDefinitions()) {
+    try {
+      characters.push(await createCharacter(definition, definition.position));
+    } catch (error) {
+      console.error(`キャラクターの読み込みに失敗しました (${definition.id}):`, error);
+      const problem = `キャラクター「${definition.id}」を読み込めませんでした（${error.message}）`;
+      characterProblems.set(definition.id, [problem]);
+      
+      // 既知の正常なモデル・アニメーションがあれば、それで読み込み直す
+      if (!useFallbackContent && watchdog.hasFallback()) {
+        try {
+          characters.push(await createCharacter(definition, definition.position, true));
+          characterProblems.set(definition.id, [problem, ...characterProblems.get(definition.id)]);
+        } catch (fallbackError) {
+          console.error(`既知の正常なモデルも読み込めませんでした (${definition.id}):`, fallbackError);
+          characterProblems.set(definition.id, [problem]);
+        }
+      }
+    }
+  }
+  
+  if (characters.length === 0) {
+    throw new Error('キャラクターを1体も読み込めませんでした');
+  }
+  attachPrimaryCharacter();
+}
+
+// キャラクターを1体読み込み、指定した位置で動かし始める（fallbackの場合は既知の正常なモデル・アニメーションを使う）
+async function createCharacter(definition, position, fallback = useFallbackContent) {
+  const { model, animations } = fallback ? getFallbackContent() : resolveCharacterContent(definition, currentContent);
+  const character = new Character(definition, { scene, camera, config, navigation: getActiveNavigation() });
+  
+  await character.loadVRM(model, (percent) => {
+    if (loadingElement) {
+      loadingElement.querySelector('.message').textContent =
+        `モデルを読み込み中 (${definition.id})... ${percent}%`;
+    }
+  });
+  
+  console.log(`アニメーション初期化開始 (${definition.id})...`);
+  characterProblems.set(definition.id, await character.loadAnimations(animations, config.animations.fallback));
+  
+  character.createController(await loadStateDefinition(character.config.character.statesPath));
+  character.setSpringBoneInterval(performanceGovernor.getTier().springBoneInterval);
+  characterGroup.attach(character);
+  character.start(position);
+  
+  return character;
+}
+
+// キャラクターをシーンから取り除いて破棄する
+function removeCharacter(character) {
+  const index = characters.indexOf(character);
+  if (index >= 0) {
+    characters.splice(index, 1);
+  }
+  characterGroup.remove(character);
+  character.dispose();
+}
+
+// 吹き出し・リップシンクを主キャラクター（先頭）に追従させる
+function attachPrimaryCharacter() {
+  const primary = characters[0];
+  if (!primary) return;
+  
+  if (captionOverlay) {
+    captionOverlay.setVRM(primary.vrm);
+  }
+  if (lipSyncManager) {
+    lipSyncManager.setVRM(primary.vrm);
+  }
+}
+
+// キャラクターの構成を反映する（キャラクターの追加・削除やモデル・アニメーションの変更は読み込み直す）
+async function applyCharacterDefinitions() {
+  const definitions = getCharacterDefinitions();
+  const sameCast = definitions.length === characters.length && definitions.every((definition, index) => {
+    const current = characters[index].definition;
+    return definition.id === current.id &&
+      JSON.stringify(definition.model) === JSON.stringify(current.model) &&
+      definition.animations === current.animations;
+  });
+  
+  if (!sameCast) {
+    await reloadCharacters(recreateCharacters);
+    return;
+  }
+  
+  // 移動速度などのキャラクターごとの設定だけを反映する
+  definitions.forEach((definition, index) => characters[index].applyConfig(config, definition));
+}
+
+// キャラクターをすべて作り直す
+async function recreateCharacters() {
+  [...characters].forEach(removeCharacter);
+  await createCharacters();
+}
+
+// VRMモデルを現在のコンテンツのものに差し替える（位置は引き継ぐ）
+// 対象は実行するときに決めるため、差し替え中に届いたコンテンツの変更も後から反映される
+async function swapModels() {
+  for (const character of [...characters]) {
+    const { model } = getCharacterContent(character.definition, currentContent);
+    const index = characters.indexOf(character);
+    if (index < 0 || character.modelConfig.path === model.path) continue;
+    
+    const position = { x: character.getPosition().x, z: character.getPosition().z };
+    removeCharacter(character);
+    
+    const replacement = await createCharacter(character.definition, position);
+    characters.splice(index, 0, replacement);
+    console.log(`モデルを差し替えました (${replacement.id}): ${replacement.modelConfig.path}`);
+  }
+}
+
+// キャラクターを読み込み直す（読み込み中はローディング表示を出し、重ねて実行しない）
+async function reloadCharacters(reload) {
+  // 差し替え中に届いた要求は同じ処理を1つにまとめて残し、差し替えが終わってから実行する
+  if (isSwappingModel) {
+    console.warn('モデルの差し替え中のため、終わってから反映します');
+    pendingReloads.add(reload);
+    return;
+  }
+  isSwappingModel = true;
+  showLoading('モデルを読み込み中...');
+  watchdog.beginLoading('モデルの読み込み');
+  
+  try {
+    await reload();
+  } catch (error) {
+    console.error('モデルの差し替えに失敗しました:', error);
+  } finally {
+    attachPrimaryCharacter();
+    updateDebugOverlays();
+    isSwappingModel = false;
+    watchdog.endLoading();
+    hideLoading();
+  }
+  
+  const [next] = pendingReloads;
+  if (next) {
+    pendingReloads.delete(next);
+    await reloadCharacters(next);
   }
 }
 
@@ -67,12 +904,19 @@ function createScene() {
   scene.background = null; // 透明な背景
   
   // 背景色/背景画像の設定
-  setBackground();
+  setBackground(currentContent.background);
+  
+  // 表示レイアウト（画面の回転・拡大縮小・セーフエリア）
+  displayLayout = new DisplayLayout({
+    screen: document.getElementById('screen'),
+    viewport: document.getElementById('viewport'),
+    container: document.getElementById('container')
+  }, config.display);
   
   // カメラ
   camera = new THREE.PerspectiveCamera(
     30,
-    config.display.width / config.display.height,
+    displayLayout.getAspect(),
     0.1,
     1000
   );
@@ -89,249 +933,223 @@ function createScene() {
     config.camera.lookAt.z
   );
   
-  // レンダラー
-  renderer = new THREE.WebGLRenderer({ 
-    antialias: true,
-    alpha: true // 透明背景を許可
+  // 画質の自動調整（レンダラーは最初の段階のアンチエイリアスで作る）
+  performanceGovernor = new PerformanceGovernor({
+    ...config.performance,
+    onChange: (tier) => applyQualityTier(tier)
   });
   
-  renderer.setSize(config.display.width, config.display.height);
-  renderer.setPixelRatio(window.devicePixelRatio);
-  renderer.setClearColor(0x000000, 0); // 透明な背景
+  // レンダラー
+  renderer = createRenderer(performanceGovernor.getTier().antialias);
+  
+  const contentSize = displayLayout.update(window.innerWidth, window.innerHeight);
+  renderer.setSize(contentSize.width, contentSize.height);
   document.getElementById('container').appendChild(renderer.domElement);
+  watchdog.watchCanvas(renderer.domElement);
   
   // ウィンドウリサイズ対応
   window.addEventListener('resize', onWindowResize);
   
+  // 影だけを描く透明な床（影を落とす段階の場合のみ表示する）
+  shadowCatcher = new THREE.Mesh(
+    new THREE.PlaneGeometry(20, 20),
+    new THREE.ShadowMaterial({ opacity: 0.25 })
+  );
+  shadowCatcher.rotation.x = -Math.PI / 2;
+  shadowCatcher.receiveShadow = true;
+  shadowCatcher.visible = false;
+  scene.add(shadowCatcher);
+  
   // ライティング
-  setupLighting();
+  setupLighting(currentContent.lighting);
+  
+  // 吹き出し表示
+  if (!config.caption || config.caption.enabled !== false) {
+    captionOverlay = new CaptionOverlay(
+      document.getElementById('container'),
+      camera,
+      renderer.domElement,
+      config.caption
+    );
+  }
+  
+  // リップシンク（VRMは読み込み後に設定）
+  if (!config.lipSync || config.lipSync.enabled !== false) {
+    lipSyncManager = new LipSyncManager(null, config.lipSync);
+  }
+  
+  // タッチ操作（回転・セーフエリアを考慮してコンテンツ上の位置に変換する）
+  touchInteraction = new TouchInteraction(renderer.domElement, camera, {
+    ...config.touch,
+    getCharacters: () => (isSwappingModel ? [] : characters),
+    toContentPoint: (clientX, clientY) => displayLayout.toContentPoint(clientX, clientY),
+    onReaction: applyTouchReaction
+  });
+  
+  // 画質の段階を反映（ピクセル比・影）
+  applyQualityTier(performanceGovernor.getTier());
+  
+  // 描画の間引き・停止時間帯（停止中はアニメーションループを止め、再開時に動かし直す）
+  renderScheduler = new RenderScheduler(document.getElementById('container'), {
+    ...config.render,
+    onResume: () => startAnimationLoop()
+  });
   
   // クロックの初期化
   clock = new THREE.Clock();
 }
 
 // 背景の設定
-function setBackground() {
-  // config.jsonから背景設定を取得
-  if (config.background.imagePath) {
+function setBackground(background = config.background) {
+  // 以前の背景画像を破棄
+  if (scene.background && scene.background.isTexture) {
+    scene.background.dispose();
+  }
+  
+  if (background.imagePath) {
     // 背景画像がある場合
     const textureLoader = new THREE.TextureLoader();
-    const backgroundTexture = textureLoader.load(config.background.imagePath);
+    const backgroundTexture = textureLoader.load(background.imagePath);
     scene.background = backgroundTexture;
   } else {
     // 背景画像がない場合、透明背景を保持
     // body要素のCSSで背景色を設定する
-    document.body.style.backgroundColor = config.background.color;
+    scene.background = null;
+    document.body.style.backgroundColor = background.color;
   }
 }
 
 // ライトの設定
-function setupLighting() {
+function setupLighting(lighting = config.lighting) {
+  // 既存のライトを取り除く
+  if (ambientLight) {
+    scene.remove(ambientLight);
+  }
+  if (directionalLight) {
+    scene.remove(directionalLight);
+  }
+  
   // 環境光
-  const ambientLight = new THREE.AmbientLight(
-    config.lighting.ambient.color, 
-    config.lighting.ambient.intensity
+  ambientLight = new THREE.AmbientLight(
+    lighting.ambient.color, 
+    lighting.ambient.intensity
   );
   scene.add(ambientLight);
   
   // 指向性ライト
-  const directionalLight = new THREE.DirectionalLight(
-    config.lighting.directional.color, 
-    config.lighting.directional.intensity
+  directionalLight = new THREE.DirectionalLight(
+    lighting.directional.color, 
+    lighting.directional.intensity
   );
   
   directionalLight.position.set(
-    config.lighting.directional.position.x,
-    config.lighting.directional.position.y,
-    config.lighting.directional.position.z
+    lighting.directional.position.x,
+    lighting.directional.position.y,
+    lighting.directional.position.z
   );
   
   scene.add(directionalLight);
+  
+  // 作り直したライトにも現在の画質の影を反映する
+  if (performanceGovernor) {
+    applyShadowQuality(performanceGovernor.getTier().shadowMapSize);
+  }
 }
 
-// VRMモデルの読み込み
-async function loadVRM() {
-  return new Promise((resolve, reject) => {
-    // GLTFLoaderにVRMLoaderPluginを登録
-    const loader = new GLTFLoader();
-    loader.register((parser) => {
-      return new VRMLoaderPlugin(parser);
-    });
-    
-    loader.load(
-      config.model.path,
-      async (gltf) => {
-        // VRMインスタンスを取得
-        vrm = gltf.userData.vrm;
-        
-        // VRMの初期化処理
-        if (vrm) {
-          // T-Poseに初期化
-          VRMUtils.rotateVRM0(vrm);
-          
-          // VRMをシーンに追加
-          scene.add(vrm.scene);
-          
-          // モデルのスケール調整
-          vrm.scene.scale.setScalar(config.model.scale);
-          
-          // アニメーションミキサーの作成
-          mixer = new THREE.AnimationMixer(vrm.scene);          // グローバルにVRMインスタンスとユーティリティを保存（他のクラスからアクセス可能に）
-          window.vrm = vrm;
-          window.VRMBoneAnalyzer = VRMBoneAnalyzer;
-          window.VRMUtils = VRMUtils;
-            // VRMボーン構造を解析してデバッグ情報を出力
-          console.log('=== VRMボーン構造解析開始 ===');
-          const { boneInfo, mapping } = VRMBoneAnalyzer.printDebugInfo(vrm);
-          
-          // MixamoVRMMapperの初期化
-          vrmMapper = new MixamoVRMMapper(vrm);
-          window.vrmMapper = vrmMapper; // グローバルアクセス用
-          
-          // デバッグモードを有効化（開発用、本番環境では無効化する）
-          if (config.debug && config.debug.enabled) {
-            vrmMapper.setDebugMode(true);
-            console.log('MixamoVRMMapperのデバッグモードを有効化しました');
-          }
-          
-          // ボーン構造のサマリーを表示
-          const humanoidBoneCount = Object.keys(boneInfo.humanoidBones).length;
-          const fingerBoneCount = Object.entries(mapping).filter(([mixamoName]) => 
-            mixamoName.includes('Hand') && 
-            (mixamoName.includes('Thumb') || 
-             mixamoName.includes('Index') || 
-             mixamoName.includes('Middle') || 
-             mixamoName.includes('Ring') || 
-             mixamoName.includes('Pinky') || 
-             mixamoName.includes('Little'))
-          ).length;
-          
-          console.log(`VRMボーン統計: 全${boneInfo.allBones.length}ボーン中、ヒューマノイド${humanoidBoneCount}ボーン、指${fingerBoneCount}ボーン`);
-          console.log('=== VRMボーン構造解析完了 ===');
-          
-          resolve(vrm);
-        } else {
-          reject(new Error('VRMの読み込みに失敗しました'));
-        }
-      },
-      (xhr) => {
-        // 読み込み進捗の表示（必要に応じて）
-        const percent = Math.round((xhr.loaded / xhr.total) * 100);
-        if (loadingElement) {
-          loadingElement.querySelector('.message').textContent = 
-            `モデルを読み込み中... ${percent}%`;
-        }
-      },
-      (error) => {
-        console.error('VRMモデルの読み込みに失敗しました:', error);
-        reject(error);
-      }
-    );
+// レンダラーを作成する（サイズは呼び出し側で設定する）
+function createRenderer(antialias) {
+  const newRenderer = new THREE.WebGLRenderer({
+    antialias,
+    alpha: true // 透明背景を許可
   });
-}  // アニメーションの初期化
-async function initializeAnimations() {
-  // アニメーション管理クラスの初期化
-  animationManager = new AnimationManager(vrm, mixer);
+  newRenderer.setClearColor(0x000000, 0); // 透明な背景
+  rendererAntialias = antialias;
+  return newRenderer;
+}
+
+// アンチエイリアスはWebGLコンテキストの作成時にしか指定できないため、レンダラーを作り直してキャンバスを差し替える
+function replaceRenderer(antialias) {
+  const previous = renderer;
+  const size = previous.getSize(new THREE.Vector2());
   
-  // VRMインスタンスを設定
-  animationManager.setVRM(vrm);
+  renderer = createRenderer(antialias);
+  renderer.setSize(size.x, size.y);
+  previous.domElement.replaceWith(renderer.domElement);
+  // 古いキャンバスのコンテキストは意図して失わせるため、監視を新しいキャンバスに移してから破棄する
+  watchdog.watchCanvas(renderer.domElement);
+  previous.dispose();
+  previous.forceContextLoss();
   
-  // アニメーションローダにVRMマッパーを設定
-  if (animationManager.animationLoader) {
-    animationManager.animationLoader.setVRM(vrm);
+  if (captionOverlay) {
+    captionOverlay.canvas = renderer.domElement;
   }
-  
-  console.log('アニメーション初期化開始...');
-  console.log('VRM:', vrm ? '読み込み済み' : '未読み込み');
-  console.log('Mixer:', mixer ? '初期化済み' : '未初期化');
-  console.log('VRMMapper:', vrmMapper ? '初期化済み' : '未初期化');
-  
-  // JSON設定ファイルからアニメーションを読み込む
-  try {
-    await animationManager.loadAnimationsFromConfig('./public/animations/animations.json');
-    console.log('アニメーションの読み込みが完了しました');
-  } catch (error) {
-    console.error('アニメーションの読み込みに失敗しました:', error);
-    
-    // エラーが発生した場合は、設定ファイルから読み込む（フォールバック）
-    try {
-      console.log('フォールバックアニメーション読み込み開始...');
-      
-      // 歩行アニメーションの読み込み
-      await animationManager.loadWalkAnimation(
-        config.animations.walk.path,
-        config.animations.walk.name
-      );
-      
-      // アイドルアニメーションの読み込み
-      await animationManager.loadIdleAnimations(config.animations.idle);
-      
-      console.log('フォールバックアニメーションの読み込み完了');
-    } catch (fallbackError) {
-      console.error('フォールバックアニメーションの読み込みにも失敗しました:', fallbackError);
-    }
+  touchInteraction.setElement(renderer.domElement);
+  console.log(`レンダラーを作り直しました（アンチエイリアス: ${antialias ? 'あり' : 'なし'}）`);
+}
+
+// 画質の段階を反映する
+function applyQualityTier(tier) {
+  if (tier.antialias !== rendererAntialias) {
+    replaceRenderer(tier.antialias);
+  }
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
+  applyShadowQuality(tier.shadowMapSize);
+  characters.forEach((character) => character.setSpringBoneInterval(tier.springBoneInterval));
+  if (presenceDetector) {
+    presenceDetector.setMinimumInterval(tier.backgroundInterval);
   }
-  
-  // 少し待ってからアニメーションを開始
-  setTimeout(() => {
-    console.log('初期アニメーション開始...');
-    animationManager.playRandomIdleAnimation();
-  }, 500);
 }
 
-// キャラクターコントローラーの初期化
-function initializeCharacterController() {
-  characterController = new CharacterController(
-    vrm.scene, 
-    scene, 
-    camera, 
-    config, 
-    animationManager
-  );
-  
-  // VRMインスタンスを設定
-  characterController.setVRM(vrm);
+// 影の解像度を反映する（0の場合は影を落とさない）
+function applyShadowQuality(mapSize) {
+  const enabled = mapSize > 0;
+  renderer.shadowMap.enabled = enabled;
+  shadowCatcher.visible = enabled;
+  if (!directionalLight) return;
   
-  // アニメーション管理にもVRMを設定
-  animationManager.setVRM(vrm);
-  
-  // 初期位置を設定
-  characterController.setInitialPosition();
-  
-  // 移動を開始
-  setTimeout(() => {
-    characterController.startMoving();
-  }, 1000);
+  directionalLight.castShadow = enabled;
+  if (enabled && directionalLight.shadow.mapSize.x !== mapSize) {
+    directionalLight.shadow.mapSize.set(mapSize, mapSize);
+    // 影のテクスチャは次の描画で新しい解像度で作り直される
+    if (directionalLight.shadow.map) {
+      directionalLight.shadow.map.dispose();
+      directionalLight.shadow.map = null;
+    }
+  }
 }
 
 // デバッグパネルの初期化
 function initializeDebugPanel() {
   if (config.debug && config.debug.enabled) {
-    debugPanel = new DebugPanel(config);
+    debugPanel = new DebugPanel(config, document.getElementById('container'));
   }
 }
 
 // ウィンドウサイズ変更時の処理
 function onWindowResize() {
-  // 縦横比を計算（常に縦向き）
-  const aspect = config.display.width / config.display.height;
-  
-  // カメラのアスペクト比を更新
-  camera.aspect = aspect;
+  // カメラのアスペクト比はコンテンツの向き（display.orientation）で決まる
+  // （stretchの場合はキャンバスの縦横比と異なり、引き伸ばして表示される）
+  camera.aspect = displayLayout.getAspect();
   camera.updateProjectionMatrix();
   
-  // レンダラーのサイズを更新
-  const container = document.getElementById('container');
-  
-  // 縦向き用にサイズを設定
-  const width = Math.min(window.innerWidth, window.innerHeight * aspect);
-  const height = width / aspect;
-  
-  renderer.setSize(width, height);
+  // 回転・拡大縮小したコンテンツの大きさにレンダラーを合わせる
+  const contentSize = displayLayout.update(window.innerWidth, window.innerHeight);
+  renderer.setSize(contentSize.width, contentSize.height);
   
   // キャラクターの移動可能領域を再計算
-  if (characterController) {
-    characterController.calculateScreenBoundaries();
+  characters.forEach((character) => {
+    if (character.controller) {
+      character.controller.calculateScreenBoundaries();
+    }
+  });
+  updateDebugOverlays();
+}
+
+// ローディング表示を表示する
+function showLoading(message) {
+  if (loadingElement) {
+    loadingElement.querySelector('.message').textContent = message;
+    loadingElement.style.display = 'flex';
   }
 }
 
@@ -339,40 +1157,105 @@ function onWindowResize() {
 function hideLoading() {
   if (loadingElement) {
     loadingElement.style.display = 'none';
+    showProblems([]);
   }
 }
 
+// 設定ファイル・キャラクターの読み込みの問題を集める
+function getProblems() {
+  return [...startupProblems, ...[...characterProblems.values()].flat()];
+}
+
+// 問題をローディング表示に一覧で出す
+function showProblems(problems) {
+  if (!loadingElement) return;
+  
+  let listElement = loadingElement.querySelector('.problems');
+  if (!listElement) {
+    listElement = document.createElement('ul');
+    listElement.className = 'problems';
+    loadingElement.appendChild(listElement);
+  }
+  
+  listElement.replaceChildren(...problems.map((problem) => {
+    const item = document.createElement('li');
+    item.textContent = problem;
+    return item;
+  }));
+}
+
+// アニメーションループを開始する（停止時間帯から再開した場合は、止まっていた時間を経過時間に含めない）
+function startAnimationLoop() {
+  if (animationFrameId !== null) return;
+  
+  clock.getDelta();
+  animationFrameId = requestAnimationFrame(animate);
+}
+
+// 描画のフレームレートの上限に使うキャラクターの状態
+function getCharacterState(character) {
+  const controller = character.controller;
+  if (!controller) return 'idle';
+  if (controller.stateMachine) return controller.stateMachine.currentState;
+  return controller.isMoving ? 'walking' : 'idle';
+}
+
 // アニメーションループ
-function animate() {
-  requestAnimationFrame(animate);
+function animate(timestamp = performance.now()) {
+  // 停止時間帯はループを止める
+  if (renderScheduler.isStandby) {
+    animationFrameId = null;
+    return;
+  }
+  animationFrameId = requestAnimationFrame(animate);
   
-  // デルタタイムを計算
-  const delta = clock.getDelta();
+  // 状態ごとのフレームレートの上限を超える分は間引く
+  renderScheduler.setStates(characters.map(getCharacterState));
+  if (!renderScheduler.shouldRender(timestamp)) return;
+  
+  // デルタタイムを計算（FPS・画質の段階には実際のフレーム時間を使い、更新には上限をかけた値を使う）
+  // フレームレートの上限が低い状態では1フレームがMAX_DELTAより長くなるため、その間隔までは時間を進める
+  const frameTime = clock.getDelta();
+  const delta = Math.min(frameTime, Math.max(MAX_DELTA, 2 * renderScheduler.getFrameInterval() / 1000));
   const elapsed = clock.getElapsedTime();
   
   // FPS計算（0.5秒ごとに更新）
-  stats.deltaTime = delta;
+  stats.deltaTime = frameTime;
   stats.elapsedTime = elapsed;
-  if (Math.floor(elapsed * 2) > Math.floor((elapsed - delta) * 2)) {
-    stats.fps = Math.round(1 / delta);
+  if (Math.floor(elapsed * 2) > Math.floor((elapsed - frameTime) * 2)) {
+    stats.fps = Math.round(1 / frameTime);
   }
   
-  // アニメーションの更新
-  if (animationManager) {
-    animationManager.update();
+  // フレーム時間から画質の段階を見直す
+  const now = performance.now();
+  performanceGovernor.sample(frameTime * 1000, now, renderScheduler.getFrameInterval());
+  
+  // アニメーションとキャラクターの更新
+  characters.forEach((character) => character.update(delta));
+  
+  // キャラクター同士の回避・向かい合わせ
+  if (characterGroup) {
+    characterGroup.update(delta);
   }
-    // キャラクターの更新
-  if (characterController) {
-    characterController.update(delta);
+  
+  // リップシンクの更新（VRMの表情更新より前に口の形を設定する）
+  if (lipSyncManager) {
+    lipSyncManager.update(delta);
   }
   
   // VRMの更新
-  if (vrm) {
-    vrm.update(delta);
+  characters.forEach((character) => character.updateVRM(delta));
+  
+  // 吹き出しの更新（VRM更新後の頭の位置に合わせる）
+  if (captionOverlay) {
+    captionOverlay.update(delta);
   }
   
-  // デバッグ情報の更新
-  updateDebugInfo();
+  // デバッグ情報の更新（画面に映らない処理のため、画質の段階に応じて間引く）
+  if (now - lastBackgroundUpdate >= performanceGovernor.getTier().backgroundInterval) {
+    lastBackgroundUpdate = now;
+    updateDebugInfo();
+  }
   
   // シーンのレンダリング
   renderer.render(scene, camera);
@@ -382,14 +1265,96 @@ function animate() {
 function updateDebugInfo() {
   if (!debugPanel || !config.debug || !config.debug.enabled) return;
   
+  // 詳細は主キャラクター（先頭）について表示する
+  const primary = characters[0];
+  const vrm = primary && primary.vrm;
+  const animationManager = primary && primary.animationManager;
+  const characterController = primary && primary.controller;
+  
   // 基本デバッグ情報を収集
   const debugInfo = {
     'FPS': stats.fps,
     '経過時間': stats.elapsedTime.toFixed(1) + 's',
     'モデルロード済': vrm ? 'はい' : 'いいえ',
-    'ミキサー': mixer ? 'はい' : 'いいえ'
+    'ミキサー': primary && primary.mixer ? 'はい' : 'いいえ'
   };
   
+  // 表示レイアウト
+  const layoutDebug = displayLayout.getDebugInfo();
+  debugInfo['表示'] = `${layoutDebug.content} (回転 ${layoutDebug.rotation}°, ${layoutDebug.scaleMode})`;
+  
+  // 画質の段階
+  const performanceDebug = performanceGovernor.getDebugInfo();
+  debugInfo['画質'] = `${performanceDebug.tier} (平均 ${performanceDebug.averageFrameTime}ms / 目標 ${performanceDebug.budget}ms${performanceDebug.enabled ? '' : '、固定'})`;
+  
+  // 稼働監視
+  const healthDebug = watchdog.getDebugInfo();
+  debugInfo['稼働監視'] = `${healthDebug.status}${healthDebug.lastFailure ? ` (最後の問題: ${healthDebug.lastFailure.reason})` : ''}`;
+  
+  // 描画のフレームレートの上限
+  const renderDebug = renderScheduler.getDebugInfo();
+  debugInfo['描画'] = `上限 ${renderDebug.maxFps}fps${renderDebug.offHours ? ` (停止時間帯、あと${renderDebug.awakeRemaining}秒で停止)` : ''}`;
+  
+  // 複数のキャラクターがいる場合は、それぞれの状態と位置
+  if (characters.length > 1) {
+    for (const character of characters) {
+      const info = character.controller && character.controller.getDebugInfo();
+      if (!info) continue;
+      const state = info.stateMachine ? info.stateMachine.currentState : (info.isMoving ? 'walking' : 'idle');
+      debugInfo[`キャラクター ${character.id}`] = `${state} (X:${info.position.x}, Z:${info.position.z})${info.isAvoiding ? ' 回避中' : ''}`;
+    }
+    if (characterGroup) {
+      debugInfo['向かい合わせ'] = characterGroup.getDebugInfo().facingPairs.join(', ') || 'なし';
+    }
+  }
+  
+  // スケジュールのデバッグ情報
+  if (scheduler) {
+    const scheduleDebug = scheduler.getDebugInfo();
+    debugInfo['スケジュール'] = scheduleDebug.activeEntry;
+    debugInfo['スケジュール確認'] = scheduleDebug.lastCheckTime;
+  }
+  
+  // リモートコントロールのデバッグ情報
+  if (remoteClient) {
+    const remoteDebug = remoteClient.getDebugInfo();
+    debugInfo['リモート接続'] = remoteDebug.isConnected ? 'はい' : 'いいえ';
+    debugInfo['最後のリモートコマンド'] = remoteDebug.lastCommand;
+  }
+  
+  // タッチ操作のデバッグ情報
+  if (touchInteraction && touchInteraction.enabled) {
+    const touchDebug = touchInteraction.getDebugInfo();
+    debugInfo['最後のタッチ'] = touchDebug.lastTouch
+      ? `${touchDebug.lastTouch.character} ${touchDebug.lastTouch.region} (${touchDebug.lastTouch.reaction || 'クールダウン中・反応なし'})`
+      : 'なし';
+  }
+  
+  // 来場者検知のデバッグ情報
+  if (presenceDetector) {
+    const presenceDebug = presenceDetector.getDebugInfo();
+    debugInfo['来場者'] = presenceDebug.viewer
+      ? `あり (位置 ${presenceDebug.viewer.x}, 大きさ ${presenceDebug.viewer.size})`
+      : `なし (動き ${presenceDebug.motion})`;
+    if (presenceDebug.lastError) {
+      debugInfo['来場者検知のエラー'] = presenceDebug.lastError;
+    }
+  }
+  
+  // 吹き出しのデバッグ情報
+  if (captionOverlay) {
+    const captionDebug = captionOverlay.getDebugInfo();
+    debugInfo['吹き出し'] = captionDebug.currentText;
+    debugInfo['吹き出しキュー'] = captionDebug.queueLength;
+  }
+  
+  // リップシンクのデバッグ情報
+  if (lipSyncManager) {
+    const lipSyncDebug = lipSyncManager.getDebugInfo();
+    debugInfo['発話中'] = lipSyncDebug.isSpeaking ? `はい (${lipSyncDebug.currentPath})` : 'いいえ';
+    debugInfo['口の形'] = lipSyncDebug.dominantViseme;
+  }
+  
   // アニメーション管理のデバッグ情報
   if (animationManager) {
     const animDebug = animationManager.getDebugInfo();
@@ -398,6 +1363,13 @@ function updateDebugInfo() {
     debugInfo['再生中'] = animDebug.isPlaying ? 'はい' : 'いいえ';
     debugInfo['歩行アニメーション'] = animDebug.hasWalkAnimation ? 'あり' : 'なし';
     debugInfo['アイドルアニメーション数'] = animDebug.idleAnimationCount;
+    debugInfo['アイドル選択理由'] = animDebug.idleSelection.reason;
+    if (animDebug.blendTree) {
+      debugInfo['ブレンド'] = `速度 ${animDebug.blendTree.parameter} (${animDebug.blendTree.weights})`;
+    }
+    if (animDebug.additiveLayers.length > 0) {
+      debugInfo['加算レイヤー'] = animDebug.additiveLayers.join(', ');
+    }
   }
   
   // キャラクターコントローラーのデバッグ情報
@@ -406,6 +1378,10 @@ function updateDebugInfo() {
     debugInfo['移動中'] = controllerDebug.isMoving ? 'はい' : 'いいえ';
     debugInfo['位置'] = `X:${controllerDebug.position.x}, Z:${controllerDebug.position.z}`;
     debugInfo['回転'] = `${controllerDebug.rotation} rad`;
+    if (getActiveNavigation()) {
+      debugInfo['地点'] = controllerDebug.pointOfInterest || 'なし';
+      debugInfo['残りの経由点'] = controllerDebug.waypoints;
+    }
     
     // ステートマシンの情報
     if (controllerDebug.stateMachine) {
@@ -419,6 +1395,11 @@ function updateDebugInfo() {
       debugInfo['現在の表情'] = controllerDebug.expressions.currentExpressions.join(', ') || 'なし';
       debugInfo['まばたき'] = controllerDebug.expressions.isBlinking ? 'はい' : 'いいえ';
     }
+    
+    // 視線の情報
+    if (controllerDebug.gaze && controllerDebug.gaze.isEnabled) {
+      debugInfo['視線'] = `${controllerDebug.gaze.source} (首 ${controllerDebug.gaze.headYaw}°, ${controllerDebug.gaze.headPitch}°)`;
+    }
   }
   
   // VRMの詳細情報
@@ -445,5 +1426,16 @@ function countBones(object) {
   return count;
 }
 
-// ページロード時に初期化を実行
-window.addEventListener('DOMContentLoaded', init);
+// ページロード時に初期化を実行（失敗した場合は真っ白な画面にせず理由を表示する）
+window.addEventListener('DOMContentLoaded', () => {
+  init().catch((error) => {
+    console.error('初期化に失敗しました:', error);
+    showLoading(`起動できませんでした: ${error.message}`);
+    showProblems(getProblems());
+    
+    // 稼働監視が有効な場合は、間隔を伸ばしながらページを読み込み直す
+    if (watchdog && watchdog.enabled) {
+      watchdog.scheduleReload('init');
+    }
+  });
+});
@@ -0,0 +1,499 @@
+/**
+ * リモートコントロールサーバー
+ * HTTP/WebSocket経由でキャラクターへのコマンドを受け付け、サイネージ画面（ブラウザ）へ中継する
+ *
+ * 接続の種類:
+ * - display: サイネージ画面。コマンドを受け取り、実行結果(ack)と状態スナップショット(state)を返す
+ * - controller: 操作側クライアント。コマンドを送り、状態スナップショットを受け取る
+ *
+ * サイネージ画面の稼働監視（js/HealthWatchdog.js）からハートビートを受け取り、
+ * 外部のプロセスが監視できるよう /api/health とハートビートファイルに書き出す
+ */
+
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import { WebSocketServer } from 'ws';
+
+// 受け付けるコマンド
+export const REMOTE_COMMANDS = [
+  'playAnimation',
+  'setExpression',
+  'walkTo',
+  'setState',
+  'say',
+  'speak',
+  'pause',
+  'resume'
+];
+
+// 既定で接続・リクエストを受け付けるブラウザのオリジン（サイネージ画面を配信する静的サーバー）
+export const DEFAULT_ALLOWED_ORIGINS = ['http://localhost:8000', 'http://127.0.0.1:8000'];
+// 受け付けるリクエストボディの大きさ（バイト）
+const MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * リクエストボディが大きすぎる場合のエラー（不正なJSONと区別して413を返すため）
+ */
+export class PayloadTooLargeError extends Error {
+  constructor(limit) {
+    super(`リクエストが大きすぎます（${limit}バイトまで）`);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+export class RemoteControlServer {
+  /**
+   * コンストラクタ
+   * @param {Object} options - オプション
+   * @param {string} options.host - 待ち受けるホスト（既定はローカルのみ）
+   * @param {number} options.port - 待ち受けるポート
+   * @param {number} options.commandTimeout - 画面からの応答を待つ時間（ミリ秒）
+   * @param {string} options.heartbeatFile - ハートビートを書き出すファイル（省略時は書き出さない）
+   * @param {number} options.heartbeatTimeout - ハートビートが途絶えたとみなす時間（ミリ秒）
+   * @param {Array<string>} options.allowedOrigins - 受け付けるブラウザのオリジン（Originヘッダーのないcurlなどは常に受け付ける）
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port !== undefined ? options.port : 8001;
+    this.commandTimeout = options.commandTimeout || 3000;
+    this.heartbeatFile = options.heartbeatFile || null;
+    this.heartbeatTimeout = options.heartbeatTimeout || 30000;
+    this.allowedOrigins = options.allowedOrigins && options.allowedOrigins.length > 0
+      ? options.allowedOrigins
+      : DEFAULT_ALLOWED_ORIGINS;
+
+    this.displays = new Set();
+    this.controllers = new Set();
+    this.pendingCommands = new Map();
+    this.nextCommandId = 1;
+    this.latestState = null;
+    this.latestHeartbeat = null;
+
+    this.httpServer = http.createServer((req, res) => this.handleHttpRequest(req, res));
+    // 他のページからdisplayになりすまして接続されないよう、許可したオリジン以外の接続は拒否する
+    this.wsServer = new WebSocketServer({
+      server: this.httpServer,
+      path: '/ws',
+      verifyClient: ({ origin }) => {
+        const allowed = this.isOriginAllowed(origin);
+        if (!allowed) {
+          console.warn(`許可されていないオリジンからの接続を拒否しました: ${origin}`);
+        }
+        return allowed;
+      }
+    });
+    this.wsServer.on('connection', (socket, req) => this.handleConnection(socket, req));
+  }
+
+  /**
+   * サーバーを起動する
+   * @returns {Promise<number>} 実際に待ち受けているポート
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.port = this.httpServer.address().port;
+        console.log(`リモートコントロールサーバーを起動しました: http://${this.host}:${this.port}`);
+        resolve(this.port);
+      });
+    });
+  }
+
+  /**
+   * サーバーを停止する
+   * @returns {Promise} 停止完了Promise
+   */
+  stop() {
+    for (const pending of this.pendingCommands.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('サーバーが停止しました'));
+    }
+    this.pendingCommands.clear();
+
+    for (const socket of [...this.displays, ...this.controllers]) {
+      socket.terminate();
+    }
+
+    return new Promise((resolve) => {
+      this.wsServer.close(() => this.httpServer.close(() => resolve()));
+    });
+  }
+
+  /**
+   * WebSocket接続を処理する
+   * @param {WebSocket} socket - 接続したソケット
+   * @param {http.IncomingMessage} req - 接続要求
+   */
+  handleConnection(socket, req) {
+    const url = new URL(req.url, 'http://localhost');
+    const role = url.searchParams.get('role') === 'display' ? 'display' : 'controller';
+    const group = role === 'display' ? this.displays : this.controllers;
+
+    group.add(socket);
+    console.log(`${role}が接続しました (display: ${this.displays.size}, controller: ${this.controllers.size})`);
+
+    // 接続直後の操作側には最新の状態を送る
+    if (role === 'controller' && this.latestState) {
+      this.send(socket, { type: 'state', state: this.latestState });
+    }
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        this.send(socket, { type: 'error', error: '不正なJSONです' });
+        return;
+      }
+
+      // nullや配列・数値などもJSONとしては正しいため、オブジェクト以外は拒否する
+      if (!RemoteControlServer.isPlainObject(message)) {
+        this.send(socket, { type: 'error', error: 'メッセージはオブジェクトで送ってください' });
+        return;
+      }
+
+      if (role === 'display') {
+        this.handleDisplayMessage(message);
+      } else {
+        this.handleControllerMessage(socket, message);
+      }
+    });
+
+    socket.on('close', () => {
+      group.delete(socket);
+      console.log(`${role}が切断しました`);
+    });
+  }
+
+  /**
+   * サイネージ画面からのメッセージを処理する
+   * @param {Object} message - 受信メッセージ
+   */
+  handleDisplayMessage(message) {
+    if (message.type === 'state') {
+      this.latestState = message.state;
+      this.broadcast(this.controllers, message);
+    } else if (message.type === 'ack') {
+      const pending = this.pendingCommands.get(message.id);
+      if (!pending) return;
+
+      clearTimeout(pending.timer);
+      this.pendingCommands.delete(message.id);
+      pending.resolve(message);
+    }
+  }
+
+  /**
+   * 操作側クライアントからのメッセージを処理する
+   * @param {WebSocket} socket - 送信元ソケット
+   * @param {Object} message - 受信メッセージ
+   */
+  async handleControllerMessage(socket, message) {
+    if (message.type !== 'command') {
+      this.send(socket, { type: 'error', error: `未知のメッセージ種別: ${message.type}` });
+      return;
+    }
+
+    const result = await this.dispatchCommand(message.command);
+    this.send(socket, { type: 'result', requestId: message.requestId, ...result });
+  }
+
+  /**
+   * HTTPリクエストを処理する
+   * - GET  /api/state   : 最新の状態スナップショット
+   * - POST /api/command : コマンドの実行
+   * - POST /api/heartbeat: サイネージ画面からのハートビート
+   * - GET  /api/health  : 最後のハートビート（途絶えている場合は503）
+   * ブラウザからのリクエストは許可したオリジンのみ受け付け、POSTはapplication/jsonのみ受け付ける
+   * （他のページからフォームなどのプリフライトのないリクエストでコマンドを送られないようにする）
+   * @param {http.IncomingMessage} req - リクエスト
+   * @param {http.ServerResponse} res - レスポンス
+   */
+  async handleHttpRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const origin = req.headers.origin;
+
+    if (!this.isOriginAllowed(origin)) {
+      this.sendJson(res, 403, { ok: false, error: `許可されていないオリジンです: ${origin}` });
+      return;
+    }
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      res.end();
+      return;
+    }
+
+    if (req.method === 'POST' && !this.isJsonRequest(req)) {
+      this.sendJson(res, 415, { ok: false, error: 'Content-Typeはapplication/jsonを指定してください' });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/state') {
+      this.sendJson(res, 200, {
+        connected: this.displays.size > 0,
+        state: this.latestState
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/heartbeat') {
+      let heartbeat;
+      try {
+        heartbeat = JSON.parse(await this.readBody(req));
+      } catch (error) {
+        this.sendBodyError(req, res, error);
+        return;
+      }
+      if (!RemoteControlServer.isPlainObject(heartbeat)) {
+        this.sendJson(res, 400, { ok: false, error: 'ハートビートはオブジェクトで送ってください' });
+        return;
+      }
+
+      await this.recordHeartbeat(heartbeat);
+      this.sendJson(res, 200, { ok: true });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/health') {
+      const health = this.getHealth();
+      this.sendJson(res, health.ok ? 200 : 503, health);
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/api/command') {
+      let command;
+      try {
+        command = JSON.parse(await this.readBody(req));
+      } catch (error) {
+        this.sendBodyError(req, res, error);
+        return;
+      }
+
+      const result = await this.dispatchCommand(command);
+      this.sendJson(res, result.ok ? 200 : result.status || 500, result);
+      return;
+    }
+
+    this.sendJson(res, 404, { ok: false, error: 'Not Found' });
+  }
+
+  /**
+   * ハートビートを記録し、ファイルに書き出す（書き出せない場合も受け付けは続ける）
+   * @param {Object} heartbeat - サイネージ画面からのハートビート
+   */
+  async recordHeartbeat(heartbeat) {
+    this.latestHeartbeat = { ...heartbeat, receivedAt: Date.now() };
+    if (!this.heartbeatFile) return;
+
+    try {
+      await fs.writeFile(this.heartbeatFile, JSON.stringify(this.latestHeartbeat, null, 2));
+    } catch (error) {
+      console.error(`ハートビートを書き出せませんでした: ${this.heartbeatFile}`, error);
+    }
+  }
+
+  /**
+   * サイネージ画面の稼働状況
+   * @returns {Object} 稼働状況 ({ ok, age, heartbeat })
+   */
+  getHealth() {
+    if (!this.latestHeartbeat) {
+      return { ok: false, age: null, heartbeat: null };
+    }
+
+    const age = Date.now() - this.latestHeartbeat.receivedAt;
+    return {
+      ok: age <= this.heartbeatTimeout,
+      age,
+      heartbeat: this.latestHeartbeat
+    };
+  }
+
+  /**
+   * コマンドを検証してサイネージ画面に送り、応答を待つ
+   * @param {Object} command - コマンド ({ action, ...params })
+   * @returns {Promise<Object>} 実行結果 ({ ok, error?, status? })
+   */
+  async dispatchCommand(command) {
+    const validationError = this.validateCommand(command);
+    if (validationError) {
+      return { ok: false, status: 400, error: validationError };
+    }
+
+    if (this.displays.size === 0) {
+      return { ok: false, status: 503, error: 'サイネージ画面が接続されていません' };
+    }
+
+    const id = this.nextCommandId++;
+    const ack = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingCommands.delete(id);
+        reject(new Error('サイネージ画面からの応答がタイムアウトしました'));
+      }, this.commandTimeout);
+      this.pendingCommands.set(id, { resolve, reject, timer });
+    });
+
+    this.broadcast(this.displays, { type: 'command', id, command });
+
+    try {
+      const message = await ack;
+      return message.ok
+        ? { ok: true, result: message.result }
+        : { ok: false, status: 422, error: message.error };
+    } catch (error) {
+      return { ok: false, status: 504, error: error.message };
+    }
+  }
+
+  /**
+   * コマンドの形式を検証する
+   * @param {Object} command - コマンド
+   * @returns {string|null} エラーメッセージ（問題なければnull）
+   */
+  validateCommand(command) {
+    if (!command || typeof command !== 'object') {
+      return 'コマンドはオブジェクトで指定してください';
+    }
+    if (!REMOTE_COMMANDS.includes(command.action)) {
+      return `未知のコマンド: ${command.action}（利用可能: ${REMOTE_COMMANDS.join(', ')}）`;
+    }
+    if (command.character !== undefined && typeof command.character !== 'string') {
+      return 'character（キャラクターのID）は文字列で指定してください';
+    }
+
+    switch (command.action) {
+      case 'playAnimation':
+        return typeof command.name === 'string' ? null : 'name（アニメーション名）が必要です';
+      case 'setExpression':
+        return typeof command.name === 'string' ? null : 'name（表情名）が必要です';
+      case 'walkTo':
+        if (command.point !== undefined) {
+          return typeof command.point === 'string' ? null : 'point（地点の名前）は文字列で指定してください';
+        }
+        return Number.isFinite(command.x) && Number.isFinite(command.z) ? null : 'x, z（数値）またはpoint（地点の名前）が必要です';
+      case 'setState':
+        return typeof command.state === 'string' ? null : 'state（状態名）が必要です';
+      case 'say':
+        return typeof command.text === 'string' ? null : 'text（表示するテキスト）が必要です';
+      case 'speak':
+        return typeof command.path === 'string' ? null : 'path（音声ファイルのパス）が必要です';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * ブラウザのオリジンを受け付けるか
+   * @param {string|undefined} origin - Originヘッダー（ブラウザ以外からの接続ではundefined）
+   * @returns {boolean} 受け付ける場合はtrue
+   */
+  isOriginAllowed(origin) {
+    return !origin || this.allowedOrigins.includes(origin);
+  }
+
+  /**
+   * リクエストのContent-Typeがapplication/jsonか
+   * @param {http.IncomingMessage} req - リクエスト
+   * @returns {boolean} application/jsonの場合はtrue
+   */
+  isJsonRequest(req) {
+    const contentType = req.headers['content-type'] || '';
+    return contentType.split(';')[0].trim().toLowerCase() === 'application/json';
+  }
+
+  /**
+   * 値がJSONのオブジェクト（nullと配列を除く）か
+   * @param {*} value - 値
+   * @returns {boolean} オブジェクトの場合はtrue
+   */
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * ソケットにメッセージを送る
+   * @param {WebSocket} socket - 送信先
+   * @param {Object} message - メッセージ
+   */
+  send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * 複数のソケットにメッセージを送る
+   * @param {Set<WebSocket>} sockets - 送信先
+   * @param {Object} message - メッセージ
+   */
+  broadcast(sockets, message) {
+    for (const socket of sockets) {
+      this.send(socket, message);
+    }
+  }
+
+  /**
+   * リクエストボディを読み込む
+   * 大きすぎる場合はPayloadTooLargeErrorで拒否する（応答を返せるよう、接続は呼び出し側で閉じる）
+   * @param {http.IncomingMessage} req - リクエスト
+   * @returns {Promise<string>} ボディ文字列
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      // 日本語などの複数バイトの文字がチャンクの境目で分かれても壊れないよう、まとめてから文字列にする
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+          chunks.length = 0;
+          reject(new PayloadTooLargeError(MAX_BODY_SIZE));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * リクエストボディを読めなかった場合の応答を返す
+   * 大きすぎる場合は413を返してから接続を閉じ（残りのボディは読まない）、それ以外は不正なJSONとして400を返す
+   * @param {http.IncomingMessage} req - リクエスト
+   * @param {http.ServerResponse} res - レスポンス
+   * @param {Error} error - readBody・JSON.parseのエラー
+   */
+  sendBodyError(req, res, error) {
+    if (error instanceof PayloadTooLargeError) {
+      res.setHeader('Connection', 'close');
+      res.on('finish', () => req.destroy());
+      this.sendJson(res, 413, { ok: false, error: error.message });
+      return;
+    }
+    this.sendJson(res, 400, { ok: false, error: '不正なJSONです' });
+  }
+
+  /**
+   * JSONレスポンスを返す
+   * @param {http.ServerResponse} res - レスポンス
+   * @param {number} status - ステータスコード
+   * @param {Object} body - ボディ
+   */
+  sendJson(res, status, body) {
+    const { status: _status, ...payload } = body;
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8'
+    });
+    res.end(JSON.stringify(payload));
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * リモートコントロールサーバーの起動スクリプト
+ * 使い方: node server/remote.js [--port 8001] [--host 127.0.0.1] [--heartbeat-file /tmp/signage-heartbeat.json] [--heartbeat-timeout 30000]
+ *                              [--allow-origin http://localhost:8000 ...]（複数指定可）
+ */
+
+import { RemoteControlServer } from './RemoteControlServer.js';
+
+// コマンドライン引数の解析
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') {
+      options.port = Number(argv[++i]);
+    } else if (argv[i] === '--host') {
+      options.host = argv[++i];
+    } else if (argv[i] === '--heartbeat-file') {
+      options.heartbeatFile = argv[++i];
+    } else if (argv[i] === '--heartbeat-timeout') {
+      options.heartbeatTimeout = Number(argv[++i]);
+    } else if (argv[i] === '--allow-origin') {
+      options.allowedOrigins = [...(options.allowedOrigins || []), argv[++i]];
+    }
+  }
+  return options;
+}
+
+const server = new RemoteControlServer(parseArgs(process.argv.slice(2)));
+
+server.start().catch((error) => {
+  console.error('リモートコントロールサーバーの起動に失敗しました:', error);
+  process.exit(1);
+});
+
+// 終了シグナルで停止
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await server.stop();
+    process.exit(0);
+  });
+}
@@ -9,4 +9,4 @@ xset s off
 xset -dpms
 
 # Chromiumをキオスクモードで起動
-chromium-browser --noerrdialogs --disable-infobars --kiosk http://localhost:8000/
+chromium-browser --noerrdialogs --disable-infobars --autoplay-policy=no-user-gesture-required --use-fake-ui-for-media-stream --kiosk http://localhost:8000/
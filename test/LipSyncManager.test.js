@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LipSyncManager, VISEMES } from '../js/LipSyncManager.js';
+
+const SAMPLE_RATE = 16000;
+const FUNDAMENTAL = 120;
+
+// 母音のおおよそのフォルマント（LipSyncManagerの代表値と同じ日本語母音の値）
+const VOWELS = {
+  aa: [800, 1200],
+  ih: [300, 2400],
+  ou: [350, 1400],
+  ee: [500, 1900],
+  oh: [500, 850]
+};
+
+/**
+ * 基本周波数の倍音をフォルマントの共鳴の強さで重み付けした合成母音を作る
+ * （実際の声と同じく、倍音は高いほど弱くなる: -6dB/oct）
+ * @param {Array<number>} formants - フォルマントの周波数（Hz）
+ * @param {number} duration - 長さ（秒）
+ * @returns {Float32Array} サンプル
+ */
+function synthesizeVowel(formants, duration) {
+  const samples = new Float32Array(Math.round(duration * SAMPLE_RATE));
+  const bandwidth = 80;
+  for (let harmonic = FUNDAMENTAL; harmonic < 4000; harmonic += FUNDAMENTAL) {
+    const resonance = formants.reduce((sum, formant) => sum + 1 / (1 + ((harmonic - formant) / bandwidth) ** 2), 0);
+    const amplitude = resonance * FUNDAMENTAL / harmonic;
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] += amplitude * Math.sin(2 * Math.PI * harmonic * i / SAMPLE_RATE);
+    }
+  }
+
+  const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+  return samples.map((value) => (value / peak) * 0.5);
+}
+
+/**
+ * モノラル16bit PCMのWAVファイルを作る
+ * @param {Float32Array} samples - サンプル（-1〜1）
+ * @returns {ArrayBuffer} WAVファイルの内容
+ */
+function encodeWav(samples) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeTag = (offset, tag) => [...tag].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, SAMPLE_RATE, true);
+  view.setUint32(28, SAMPLE_RATE * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeTag(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  samples.forEach((value, i) => view.setInt16(44 + i * 2, Math.round(value * 32767), true));
+  return buffer;
+}
+
+// 無音 -> 各母音 -> 無音 を並べたWAV（区間は0.5秒ずつ）
+const SEGMENT = 0.5;
+const order = ['silence', ...VISEMES, 'silence'];
+const parts = order.map((name) => (name === 'silence'
+  ? new Float32Array(SEGMENT * SAMPLE_RATE)
+  : synthesizeVowel(VOWELS[name], SEGMENT)));
+const wav = encodeWav(Float32Array.from(parts.flatMap((part) => [...part])));
+
+const dominantViseme = (frame) => VISEMES.reduce((a, b) => (frame[a] >= frame[b] ? a : b));
+
+test('parseWavは16bit PCMのWAVをモノラルのサンプルに戻す', () => {
+  const { sampleRate, samples } = LipSyncManager.parseWav(wav);
+  assert.equal(sampleRate, SAMPLE_RATE);
+  assert.equal(samples.length, order.length * SEGMENT * SAMPLE_RATE);
+  assert.ok(Math.abs(samples[SEGMENT * SAMPLE_RATE + 100]) <= 0.5 + 1e-3);
+});
+
+test('parseWavはWAV以外を拒否する', () => {
+  assert.throws(() => LipSyncManager.parseWav(new ArrayBuffer(44)), /WAVファイルではありません/);
+});
+
+test('合成母音の区間ごとに期待する口の形が最も強くなる', () => {
+  const { sampleRate, samples } = LipSyncManager.parseWav(wav);
+  const analysis = LipSyncManager.analyzeSamples(samples, sampleRate, { frameRate: 20 });
+  assert.equal(analysis.duration, order.length * SEGMENT);
+
+  order.forEach((name, index) => {
+    // 区間の境目をまたがない中央付近のフレームを調べる
+    const frame = analysis.frames[Math.round((index + 0.5) * SEGMENT * analysis.frameRate)];
+    if (name === 'silence') {
+      VISEMES.forEach((viseme) => assert.equal(frame[viseme], 0, `無音区間で${viseme}が0ではありません`));
+      return;
+    }
+    assert.equal(dominantViseme(frame), name, `${name}の区間で${dominantViseme(frame)}が最も強くなっています: ${JSON.stringify(frame)}`);
+    assert.ok(frame[name] > 0.3, `${name}の口の開きが小さすぎます: ${frame[name]}`);
+  });
+});
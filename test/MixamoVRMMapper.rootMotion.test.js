@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { MixamoVRMMapper } from '../js/MixamoVRMMapper.js';
+
+/**
+ * ヒップだけを持つVRMの代わりを作る（ルートモーションの抽出はヒップの位置トラックだけを扱う）
+ * @returns {Object} VRM
+ */
+function createVRM() {
+  const scene = new THREE.Object3D();
+  const hips = new THREE.Bone();
+  hips.name = 'Normalized_hips';
+  hips.position.set(0, 1, 0);
+  scene.add(hips);
+  scene.updateMatrixWorld(true);
+  return {
+    scene,
+    meta: { metaVersion: '1' },
+    humanoid: {
+      humanBones: { hips: { node: hips } },
+      getNormalizedBoneNode: (humanBoneName) => (humanBoneName === 'hips' ? hips : null)
+    }
+  };
+}
+
+test('ルートモーションの抽出で水平方向の前進だけを取り除く', () => {
+  const mapper = new MixamoVRMMapper(createVRM());
+  const times = [0, 0.5, 1];
+  // 1秒で前（+Z）に2m進みながら、上下に揺れ、左右にも少し揺れる
+  const values = [
+    0, 1.0, 0,
+    0.05, 1.05, 1,
+    0, 1.0, 2
+  ];
+  const track = new THREE.VectorKeyframeTrack('Normalized_hips.position', times, values);
+  const rest = new THREE.Vector3(0, 1, 0.3);
+
+  const rootMotion = mapper.extractRootMotion(track, rest);
+  assert.ok(Math.abs(rootMotion.distance - 2) < 1e-6);
+  assert.ok(Math.abs(rootMotion.speed - 2) < 1e-6);
+  assert.deepEqual(rootMotion.direction, { x: 0, z: 1 });
+
+  // 前進は取り除かれ初期位置に揃い、左右の揺れと上下動は残る
+  const expected = [
+    0, 1.0, 0.3,
+    0.05, 1.05, 0.3,
+    0, 1.0, 0.3
+  ];
+  expected.forEach((value, i) => assert.ok(Math.abs(track.values[i] - value) < 1e-6, `${i}: ${track.values[i]} != ${value}`));
+});
+
+test('前進しないヒップの移動はルートモーションなしとする', () => {
+  const mapper = new MixamoVRMMapper(createVRM());
+  const track = new THREE.VectorKeyframeTrack('Normalized_hips.position', [0, 1], [0, 1, 0, 0, 1.1, 0]);
+  assert.equal(mapper.extractRootMotion(track), null);
+});
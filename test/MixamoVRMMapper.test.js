@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+
+import { MixamoVRMMapper } from '../js/MixamoVRMMapper.js';
+
+// 元のリグのボーン名 -> ヒューマノイドボーン名
+const BONE_MAP = {
+  mixamorigHips: 'hips',
+  mixamorigSpine: 'spine',
+  mixamorigLeftUpLeg: 'leftUpperLeg',
+  mixamorigLeftLeg: 'leftLowerLeg',
+  mixamorigLeftFoot: 'leftFoot'
+};
+
+/**
+ * ヒップ・背骨・左脚だけの骨格を作る
+ * @param {Function} nameOf - ヒューマノイドボーン名からボーン名を決める関数
+ * @param {number} hipsHeight - ヒップの高さ
+ * @param {number} legSegment - 太もも・すねの長さ
+ * @param {Object} restRotations - ヒューマノイドボーン名 -> 初期姿勢の回転（省略時は回転なし）
+ * @returns {{root: THREE.Object3D, bones: Object}} 骨格（bonesはヒューマノイドボーン名 -> ボーン）
+ */
+function createSkeleton(nameOf, hipsHeight, legSegment, restRotations = {}) {
+  const root = new THREE.Object3D();
+  const bones = {};
+  const add = (humanBoneName, parent, position) => {
+    const bone = new THREE.Bone();
+    bone.name = nameOf(humanBoneName);
+    bone.position.copy(position);
+    if (restRotations[humanBoneName]) {
+      bone.quaternion.copy(restRotations[humanBoneName]);
+    }
+    parent.add(bone);
+    bones[humanBoneName] = bone;
+    return bone;
+  };
+
+  const hips = add('hips', root, new THREE.Vector3(0, hipsHeight, 0));
+  add('spine', hips, new THREE.Vector3(0, 0.1, 0));
+  const upperLeg = add('leftUpperLeg', hips, new THREE.Vector3(0.1, 0, 0));
+  const lowerLeg = add('leftLowerLeg', upperLeg, new THREE.Vector3(0, -legSegment, 0));
+  add('leftFoot', lowerLeg, new THREE.Vector3(0, -legSegment, 0));
+  root.updateMatrixWorld(true);
+  return { root, bones };
+}
+
+/**
+ * 正規化ボーンを持つVRMの代わりを作る
+ * @param {string} metaVersion - VRMのバージョン（'0' または '1'）
+ * @param {number} hipsHeight - ヒップの高さ
+ * @param {number} legSegment - 太もも・すねの長さ
+ * @returns {Object} VRM
+ */
+function createVRM(metaVersion, hipsHeight = 1, legSegment = 0.5) {
+  const { root, bones } = createSkeleton((humanBoneName) => `Normalized_${humanBoneName}`, hipsHeight, legSegment);
+  const humanBones = Object.fromEntries(Object.entries(bones).map(([humanBoneName, node]) => [humanBoneName, { node }]));
+  return {
+    scene: root,
+    meta: { metaVersion },
+    humanoid: {
+      humanBones,
+      getNormalizedBoneNode: (humanBoneName) => (bones[humanBoneName] || null)
+    }
+  };
+}
+
+// Mixamoのリグ（初期姿勢の回転を指定できる）
+function createSourceRig(hipsHeight = 1, legSegment = 0.5, restRotations = {}) {
+  const nameOf = (humanBoneName) => Object.keys(BONE_MAP).find((sourceName) => BONE_MAP[sourceName] === humanBoneName);
+  return createSkeleton(nameOf, hipsHeight, legSegment, restRotations).root;
+}
+
+const rotation = (axis, angle) => new THREE.Quaternion().setFromAxisAngle(axis, angle);
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+
+// 回転トラックの値がクォータニオンとして一致するか（q と -q は同じ回転）
+function assertSameRotations(actual, expected, message) {
+  for (let i = 0; i < expected.length; i += 4) {
+    const dot = actual[i] * expected[i] + actual[i + 1] * expected[i + 1] + actual[i + 2] * expected[i + 2] + actual[i + 3] * expected[i + 3];
+    assert.ok(Math.abs(Math.abs(dot) - 1) < 1e-6, `${message}: ${[...actual.slice(i, i + 4)]} != ${[...expected.slice(i, i + 4)]}`);
+  }
+}
+
+const findTrack = (clip, name) => clip.tracks.find((track) => track.name === name);
+
+test('初期姿勢が一致する場合は回転をそのまま正規化ボーンに移す', () => {
+  const mapper = new MixamoVRMMapper(createVRM('1'));
+  const values = [...rotation(X_AXIS, 0.4).toArray(), ...rotation(Y_AXIS, -0.7).toArray()];
+  const clip = new THREE.AnimationClip('test', 1, [
+    new THREE.QuaternionKeyframeTrack('mixamorigSpine.quaternion', [0, 1], values)
+  ]);
+
+  const retargeted = mapper.retargetAnimation(clip, 'test', createSourceRig(), { boneMap: BONE_MAP });
+  const track = findTrack(retargeted, 'Normalized_spine.quaternion');
+  assert.ok(track, '正規化ボーンのトラックがありません');
+  assertSameRotations(track.values, values, '回転が変わっています');
+});
+
+test('元のリグの初期姿勢の回転を打ち消す', () => {
+  const restRotation = rotation(X_AXIS, Math.PI / 2);
+  const mapper = new MixamoVRMMapper(createVRM('1'));
+  const sourceRig = createSourceRig(1, 0.5, { spine: restRotation });
+
+  // 初期姿勢のままのキーは、正規化ボーンでは回転なしになる
+  const clip = new THREE.AnimationClip('test', 1, [
+    new THREE.QuaternionKeyframeTrack('mixamorigSpine.quaternion', [0], restRotation.toArray())
+  ]);
+  const track = findTrack(mapper.retargetAnimation(clip, 'test', sourceRig, { boneMap: BONE_MAP }), 'Normalized_spine.quaternion');
+  assertSameRotations(track.values, [0, 0, 0, 1], '初期姿勢の回転が残っています');
+});
+
+test('VRM0の正規化ボーンにはX・Z成分を反転した回転を出力する', () => {
+  const source = rotation(new THREE.Vector3(1, 1, 1).normalize(), 0.6);
+  const clip = new THREE.AnimationClip('test', 1, [
+    new THREE.QuaternionKeyframeTrack('mixamorigSpine.quaternion', [0], source.toArray())
+  ]);
+
+  const vrm0 = new MixamoVRMMapper(createVRM('0'));
+  const track = findTrack(vrm0.retargetAnimation(clip, 'test', createSourceRig(), { boneMap: BONE_MAP }), 'Normalized_spine.quaternion');
+  assertSameRotations(track.values, [-source.x, source.y, -source.z, source.w], 'VRM0向けに反転されていません');
+
+  // VRMAへの書き出しのようにVRM1の向きを指定した場合は反転しない
+  const asVrm1 = findTrack(vrm0.retargetAnimation(clip, 'test', createSourceRig(), { boneMap: BONE_MAP, metaVersion: '1' }), 'Normalized_spine.quaternion');
+  assertSameRotations(asVrm1.values, source.toArray(), 'VRM1の向きで反転されています');
+});
+
+test('ヒップの移動量を脚の長さの比で縮尺する', () => {
+  // 元のリグの脚は1.0m、VRMの脚は0.8m
+  const mapper = new MixamoVRMMapper(createVRM('1', 0.8, 0.4));
+  const sourceRig = createSourceRig(1, 0.5);
+
+  const context = mapper.createRetargetContext(sourceRig, BONE_MAP, 'mixamorigHips');
+  assert.ok(Math.abs(context.hipsScale - 0.8) < 1e-6, `縮尺が脚の長さの比になっていません: ${context.hipsScale}`);
+
+  const track = new THREE.VectorKeyframeTrack('Normalized_hips.position', [0, 1], [0.1, 1, 0.2, -0.1, 0.9, 0.4]);
+  mapper.scalePositionTrack(track, context.hipsScale, false);
+  [0.08, 0.8, 0.16, -0.08, 0.72, 0.32].forEach((expected, i) => assert.ok(Math.abs(track.values[i] - expected) < 1e-6));
+
+  // VRM0向けはY軸180度回転（X・Zの反転）も行う
+  const flipped = new THREE.VectorKeyframeTrack('Normalized_hips.position', [0], [0.1, 1, 0.2]);
+  mapper.scalePositionTrack(flipped, 0.8, true);
+  [-0.08, 0.8, -0.16].forEach((expected, i) => assert.ok(Math.abs(flipped.values[i] - expected) < 1e-6));
+});
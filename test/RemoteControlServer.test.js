@@ -0,0 +1,223 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import WebSocket from 'ws';
+
+import { RemoteControlServer } from '../server/RemoteControlServer.js';
+import { RemoteControlClient } from '../js/RemoteControlClient.js';
+
+// 接続・コマンドのたびに出るサーバー・クライアントのログは出さない
+beforeEach((t) => {
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, () => {});
+  }
+});
+
+/**
+ * 空いているポートでサーバーを起動する（テストの終わりに停止する）
+ * @param {Object} t - テストのコンテキスト
+ * @param {Object} options - RemoteControlServerのオプション
+ * @returns {Promise<{server: RemoteControlServer, baseUrl: string, wsUrl: string}>} サーバーと接続先
+ */
+async function startServer(t, options = {}) {
+  const server = new RemoteControlServer({ port: 0, ...options });
+  const port = await server.start();
+  t.after(() => server.stop());
+  return { server, baseUrl: `http://127.0.0.1:${port}`, wsUrl: `ws://127.0.0.1:${port}/ws` };
+}
+
+/**
+ * 条件を満たすまで待つ
+ * @param {Function} predicate - 条件
+ * @param {number} timeout - 待つ時間の上限（ミリ秒）
+ */
+async function waitFor(predicate, timeout = 2000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('条件を満たしませんでした');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * サイネージ画面の代わりにRemoteControlClientで接続する
+ * @param {Object} t - テストのコンテキスト
+ * @param {RemoteControlServer} server - サーバー
+ * @param {string} wsUrl - WebSocketのURL
+ * @param {Object} handlers - コマンド名 -> 処理関数
+ * @returns {Promise<RemoteControlClient>} 接続したクライアント
+ */
+async function connectDisplay(t, server, wsUrl, handlers) {
+  const client = new RemoteControlClient(wsUrl, {
+    handlers,
+    getState: () => ({ characters: [{ id: 'main', state: 'idle' }] }),
+    WebSocketClass: WebSocket
+  });
+  client.connect();
+  t.after(() => client.disconnect());
+  await waitFor(() => client.isConnected && server.displays.size === 1);
+  return client;
+}
+
+/**
+ * 操作側として接続し、受信したメッセージを順に取り出せるようにする
+ * @param {Object} t - テストのコンテキスト
+ * @param {string} wsUrl - WebSocketのURL
+ * @returns {Promise<{socket: WebSocket, next: Function}>} ソケットと、次のメッセージ（typeで絞り込める）を待つ関数
+ */
+async function connectController(t, wsUrl) {
+  const socket = new WebSocket(`${wsUrl}?role=controller`);
+  const messages = [];
+  socket.on('message', (data) => messages.push(JSON.parse(data.toString())));
+  t.after(() => socket.terminate());
+  await once(socket, 'open');
+
+  const next = async (type) => {
+    let index = -1;
+    await waitFor(() => (index = messages.findIndex((message) => !type || message.type === type)) >= 0);
+    return messages.splice(index, 1)[0];
+  };
+  return { socket, next };
+}
+
+// JSONのPOSTリクエスト
+function postJson(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+test('形式の正しくないコマンドは画面に送らず400を返す', async (t) => {
+  const { server, baseUrl, wsUrl } = await startServer(t);
+  let received = 0;
+  await connectDisplay(t, server, wsUrl, { say: () => { received++; } });
+
+  for (const command of [
+    { action: 'dance' },
+    { action: 'say' },
+    { action: 'walkTo', x: 1 },
+    { action: 'walkTo', point: 3 },
+    { action: 'say', text: 'こんにちは', character: 1 }
+  ]) {
+    const response = await postJson(`${baseUrl}/api/command`, command);
+    assert.equal(response.status, 400, JSON.stringify(command));
+    const body = await response.json();
+    assert.equal(body.ok, false);
+    assert.equal(typeof body.error, 'string');
+  }
+  assert.equal(received, 0);
+});
+
+test('コマンドを画面に中継し、応答(ack)を結果として返す', async (t) => {
+  const { server, baseUrl, wsUrl } = await startServer(t);
+  const said = [];
+  await connectDisplay(t, server, wsUrl, {
+    say: (command) => {
+      said.push(command.text);
+      return { shown: true };
+    },
+    setExpression: () => {
+      throw new Error('表情がありません');
+    }
+  });
+
+  // HTTP
+  const response = await postJson(`${baseUrl}/api/command`, { action: 'say', text: 'こんにちは' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { ok: true, result: { shown: true } });
+  assert.deepEqual(said, ['こんにちは']);
+
+  // 画面で失敗したコマンドは422
+  const failed = await postJson(`${baseUrl}/api/command`, { action: 'setExpression', name: 'unknown' });
+  assert.equal(failed.status, 422);
+  assert.equal((await failed.json()).error, '表情がありません');
+
+  // WebSocketの操作側
+  const controller = await connectController(t, wsUrl);
+  controller.socket.send(JSON.stringify({ type: 'command', requestId: 'r1', command: { action: 'say', text: 'またね' } }));
+  const result = await controller.next('result');
+  assert.equal(result.requestId, 'r1');
+  assert.equal(result.ok, true);
+  assert.deepEqual(said, ['こんにちは', 'またね']);
+
+  // 画面の状態スナップショットが操作側に届く
+  const state = await controller.next('state');
+  assert.deepEqual(state.state, { characters: [{ id: 'main', state: 'idle' }] });
+});
+
+test('画面が接続されていない場合は503を返す', async (t) => {
+  const { baseUrl, wsUrl } = await startServer(t);
+
+  const response = await postJson(`${baseUrl}/api/command`, { action: 'pause' });
+  assert.equal(response.status, 503);
+  assert.equal((await response.json()).ok, false);
+
+  const controller = await connectController(t, wsUrl);
+  controller.socket.send(JSON.stringify({ type: 'command', requestId: 1, command: { action: 'pause' } }));
+  const result = await controller.next('result');
+  assert.equal(result.ok, false);
+  assert.equal(result.requestId, 1);
+});
+
+test('画面から応答がない場合は504を返す', async (t) => {
+  const { server, baseUrl, wsUrl } = await startServer(t, { commandTimeout: 100 });
+
+  // コマンドを受け取っても応答しない画面
+  const display = new WebSocket(`${wsUrl}?role=display`);
+  t.after(() => display.terminate());
+  await once(display, 'open');
+  await waitFor(() => server.displays.size === 1);
+
+  const response = await postJson(`${baseUrl}/api/command`, { action: 'resume' });
+  assert.equal(response.status, 504);
+  assert.equal((await response.json()).ok, false);
+  assert.equal(server.pendingCommands.size, 0);
+});
+
+test('許可されていないオリジンからの接続・リクエストを拒否する', async (t) => {
+  const { server, baseUrl, wsUrl } = await startServer(t);
+
+  const socket = new WebSocket(`${wsUrl}?role=display`, { origin: 'http://evil.example' });
+  const [, response] = await once(socket, 'unexpected-response');
+  assert.equal(response.statusCode, 401);
+  response.destroy();
+  assert.equal(server.displays.size, 0);
+
+  const rejected = await postJson(`${baseUrl}/api/command`, { action: 'pause' }, { Origin: 'http://evil.example' });
+  assert.equal(rejected.status, 403);
+
+  // 許可したオリジンにはCORSのヘッダーを返す
+  const allowed = await fetch(`${baseUrl}/api/state`, { headers: { Origin: 'http://localhost:8000' } });
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:8000');
+});
+
+test('JSONでないPOST・大きすぎるボディ・オブジェクトでないメッセージを拒否する', async (t) => {
+  const { baseUrl, wsUrl } = await startServer(t);
+
+  const form = await fetch(`${baseUrl}/api/command`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: JSON.stringify({ action: 'pause' })
+  });
+  assert.equal(form.status, 415);
+
+  const broken = await postJson(`${baseUrl}/api/command`, '{ "action": ');
+  assert.equal(broken.status, 400);
+
+  const heartbeat = await postJson(`${baseUrl}/api/heartbeat`, 'null');
+  assert.equal(heartbeat.status, 400);
+
+  const large = await postJson(`${baseUrl}/api/heartbeat`, JSON.stringify({ text: 'x'.repeat(100 * 1024) }));
+  assert.equal(large.status, 413);
+
+  const controller = await connectController(t, wsUrl);
+  controller.socket.send('[1, 2]');
+  assert.equal((await controller.next('error')).type, 'error');
+  controller.socket.send('not json');
+  assert.equal((await controller.next('error')).error, '不正なJSONです');
+});
@@ -0,0 +1,143 @@
+/**
+ * アニメーションのベイク
+ * FBX・BVHのアニメーションを、サイネージ画面と同じAnimationLoader・MixamoVRMMapperでVRMにリターゲットし、
+ * そのまま再生できるVRMAファイルとして書き出す（起動のたびにRaspberry Piでリターゲットしないため）
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { AnimationLoader } from '../js/AnimationLoader.js';
+import { NodeVRMLoader } from './NodeVRMLoader.js';
+import { VRMAnimationWriter } from './VRMAnimationWriter.js';
+
+// ベイクする形式（それ以外のエントリはそのまま残す）
+export const BAKE_TYPES = ['fbx', 'bvh'];
+
+export class AnimationBaker {
+  /**
+   * コンストラクタ
+   * @param {Object} options - オプション
+   * @param {string} options.rootDir - プロジェクトのルート（animations.jsonのパスの基準）
+   */
+  constructor(options = {}) {
+    this.vrmLoader = new NodeVRMLoader(options);
+    this.vrm = null;
+
+    // VRMAは+Z正面（VRM1の向き）で書き出す
+    this.animationLoader = new AnimationLoader();
+    this.animationLoader.outputMetaVersion = '1';
+  }
+
+  /**
+   * animations.jsonに書かれたパスをファイルのパスに変換する
+   * @param {string} urlPath - パス（"/public/..." または "./public/..."）
+   * @returns {string} ファイルのパス
+   */
+  resolvePath(urlPath) {
+    return this.vrmLoader.resolvePath(urlPath);
+  }
+
+  /**
+   * VRMモデルを読み込む
+   * @param {string} vrmPath - VRMファイルのパス
+   * @returns {Promise<Object>} VRMインスタンス
+   */
+  async loadVRM(vrmPath) {
+    this.vrm = await this.vrmLoader.load(vrmPath);
+    this.animationLoader.setVRM(this.vrm);
+    return this.vrm;
+  }
+
+  /**
+   * animations.jsonのFBX・BVHをベイクし、書き換えたエントリの一覧を返す
+   * @param {string} animationsPath - animations.jsonのパス
+   * @param {string} outDir - VRMAの出力先
+   * @returns {Promise<Array<Object>>} 新しいanimations.jsonのエントリ
+   */
+  async bake(animationsPath, outDir) {
+    if (!this.vrm) {
+      throw new Error('VRMが読み込まれていません');
+    }
+
+    const entries = JSON.parse(await fs.readFile(animationsPath, 'utf8'));
+    await fs.mkdir(outDir, { recursive: true });
+
+    const result = [];
+    const outPaths = new Map(); // 出力先 -> 元のファイル（別のファイルを上書きしないため）
+    for (const entry of entries) {
+      if (!BAKE_TYPES.includes(entry.type.toLowerCase())) {
+        result.push(entry);
+        continue;
+      }
+
+      try {
+        const outPath = this.getOutputPath(entry, path.dirname(animationsPath), outDir);
+        if (outPaths.has(outPath)) {
+          throw new Error(`出力先が${outPaths.get(outPath)}と重なります: ${outPath}`);
+        }
+        outPaths.set(outPath, entry.path);
+
+        result.push(await this.bakeEntry(entry, outPath));
+      } catch (error) {
+        // 失敗したエントリは元のまま残し、画面側で従来どおりリターゲットさせる
+        console.error(`ベイクに失敗しました (${entry.path}): ${error.message}`);
+        result.push(entry);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * エントリのVRMAの出力先を求める
+   * animations.jsonのフォルダからの相対的なフォルダ構成を出力先でも保つ（別のフォルダの同じ名前のファイルを上書きしないため）
+   * @param {Object} entry - animations.jsonのエントリ
+   * @param {string} sourceDir - animations.jsonのフォルダ
+   * @param {string} outDir - VRMAの出力先
+   * @returns {string} VRMAのファイルのパス
+   */
+  getOutputPath(entry, sourceDir, outDir) {
+    const sourcePath = this.resolvePath(entry.path);
+    let relativePath = path.relative(sourceDir, sourcePath);
+
+    // animations.jsonのフォルダの外にあるファイルは、プロジェクトのルートからの構成にする
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      relativePath = path.relative(this.vrmLoader.rootDir, sourcePath);
+    }
+
+    const parsed = path.parse(relativePath);
+    return path.join(outDir, parsed.dir, `${parsed.name}.vrma`);
+  }
+
+  /**
+   * 1つのエントリをベイクする
+   * @param {Object} entry - animations.jsonのエントリ
+   * @param {string} outPath - VRMAのファイルのパス
+   * @returns {Promise<Object>} VRMAを指す新しいエントリ
+   */
+  async bakeEntry(entry, outPath) {
+    const clip = await this.animationLoader.parseAnimation(await this.vrmLoader.readAnimationFile(entry), entry);
+
+    const sourceName = path.basename(entry.path);
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    const writer = new VRMAnimationWriter(this.vrm);
+    await fs.writeFile(outPath, Buffer.from(writer.write(clip)));
+
+    console.log(`ベイクしました: ${entry.path} -> ${outPath} (トラック数: ${clip.tracks.length}, ${clip.duration.toFixed(2)}秒)`);
+
+    // ボーンマッピングはベイク済みのため不要。形式が変わっても役割・名前は元のまま
+    const { boneMap, ...rest } = entry;
+    const baked = {
+      ...rest,
+      type: 'vrma',
+      path: this.vrmLoader.toUrlPath(outPath),
+      name: entry.name || sourceName,
+      role: AnimationLoader.getRole(entry),
+      bakedFrom: entry.path
+    };
+    if (clip.userData.rootMotion) {
+      baked.rootMotion = clip.userData.rootMotion;
+    }
+    return baked;
+  }
+}
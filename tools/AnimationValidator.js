@@ -0,0 +1,284 @@
+/**
+ * アニメーションの検証
+ * animations.jsonのすべてのエントリをサイネージ画面と同じ方法でVRMに読み込み、
+ * MixamoVRMMapper.validateClip・VRMBoneAnalyzer.validateAnimationTracksで検証したレポートを作る
+ * （店舗に配信する前に、VRMに合わないアニメーションを見つけるため）
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import * as THREE from 'three';
+import { AnimationLoader } from '../js/AnimationLoader.js';
+import { ConfigSchema } from '../js/ConfigSchema.js';
+import { VRMBoneAnalyzer } from '../js/VRMBoneAnalyzer.js';
+import { NodeVRMLoader } from './NodeVRMLoader.js';
+
+// 有効なトラックの割合の既定の下限
+export const DEFAULT_MIN_VALID_RATIO = 0.8;
+
+// ループの継ぎ目とみなす最初と最後の姿勢の差
+const LOOP_ROTATION_TOLERANCE = 10;   // 度
+const LOOP_POSITION_TOLERANCE = 0.05; // メートル（ヒップの高さ）
+
+// VRMの必須ヒューマノイドボーン（アニメーションがないと姿勢が崩れる）
+const REQUIRED_BONES = [
+  'hips', 'spine', 'head',
+  'leftUpperArm', 'leftLowerArm', 'leftHand',
+  'rightUpperArm', 'rightLowerArm', 'rightHand',
+  'leftUpperLeg', 'leftLowerLeg', 'leftFoot',
+  'rightUpperLeg', 'rightLowerLeg', 'rightFoot'
+];
+
+export class AnimationValidator {
+  /**
+   * コンストラクタ
+   * @param {Object} options - オプション
+   * @param {string} options.rootDir - プロジェクトのルート（animations.jsonのパスの基準）
+   * @param {number} options.minValidRatio - これを下回るクリップをエラーにする有効なトラックの割合
+   */
+  constructor(options = {}) {
+    this.vrmLoader = new NodeVRMLoader(options);
+    this.animationLoader = new AnimationLoader();
+    this.minValidRatio = options.minValidRatio !== undefined ? options.minValidRatio : DEFAULT_MIN_VALID_RATIO;
+    this.vrm = null;
+    this.vrmPath = null;
+  }
+
+  /**
+   * VRMモデルを読み込む
+   * @param {string} vrmPath - VRMファイルのパス
+   * @returns {Promise<Object>} VRMインスタンス
+   */
+  async loadVRM(vrmPath) {
+    this.vrm = await this.vrmLoader.load(vrmPath);
+    this.vrmPath = vrmPath;
+    this.animationLoader.setVRM(this.vrm);
+    return this.vrm;
+  }
+
+  /**
+   * animations.jsonのすべてのエントリを検証する
+   * @param {string} animationsPath - animations.jsonのパス
+   * @returns {Promise<Object>} レポート
+   */
+  async validate(animationsPath) {
+    if (!this.vrm) {
+      throw new Error('VRMが読み込まれていません');
+    }
+
+    // 形式の誤りはサイネージ画面と同じく、そのエントリを除外したうえでエラーとして報告する
+    const { animations: entries, errors: schemaErrors } = ConfigSchema.normalizeAnimations(
+      JSON.parse(await fs.readFile(animationsPath, 'utf8')),
+      path.basename(animationsPath)
+    );
+
+    const clips = [];
+    for (const entry of entries) {
+      clips.push(await this.validateEntry(entry));
+    }
+
+    return {
+      generatedAt: new Date().toISOString(),
+      vrm: this.vrmPath,
+      animations: animationsPath,
+      minValidRatio: this.minValidRatio,
+      passed: schemaErrors.length === 0 && clips.every((clip) => clip.status !== 'error'),
+      schemaErrors,
+      summary: {
+        total: clips.length,
+        ok: clips.filter((clip) => clip.status === 'ok').length,
+        warning: clips.filter((clip) => clip.status === 'warning').length,
+        error: clips.filter((clip) => clip.status === 'error').length
+      },
+      clips
+    };
+  }
+
+  /**
+   * 1つのエントリを読み込んで検証する
+   * @param {Object} entry - animations.jsonのエントリ
+   * @returns {Promise<Object>} クリップの検証結果
+   */
+  async validateEntry(entry) {
+    const result = {
+      name: entry.name || entry.path.split('/').pop(),
+      path: entry.path,
+      type: entry.type,
+      role: AnimationLoader.getRole(entry),
+      status: 'ok',
+      problems: []
+    };
+
+    let clip;
+    try {
+      clip = await this.animationLoader.parseAnimation(await this.vrmLoader.readAnimationFile(entry), entry);
+    } catch (error) {
+      result.status = 'error';
+      result.problems.push(`読み込みに失敗しました: ${error.message}`);
+      return result;
+    }
+
+    Object.assign(result, this.analyzeClip(clip));
+
+    if (result.validRatio < this.minValidRatio) {
+      result.status = 'error';
+      result.problems.push(`有効なトラックの割合が${Math.round(result.validRatio * 100)}%で、下限の${Math.round(this.minValidRatio * 100)}%を下回っています`);
+    }
+    if (result.missingBones.length > 0) {
+      result.problems.push(`必須ボーンのアニメーションがありません: ${result.missingBones.join(', ')}`);
+    }
+    if (!result.loop.loopable) {
+      result.problems.push(`最初と最後の姿勢が一致しないため、ループ再生で継ぎ目が見えます (回転 ${result.loop.rotationGap}度, 高さ ${result.loop.positionGap}m)`);
+    }
+    if (result.status === 'ok' && result.problems.length > 0) {
+      result.status = 'warning';
+    }
+
+    return result;
+  }
+
+  /**
+   * VRM用のクリップを検証する
+   * リターゲットで適用できなかったトラックも、有効なトラックの割合の分母に含める
+   * @param {THREE.AnimationClip} clip - VRM用のクリップ
+   * @returns {Object} 検証結果
+   */
+  analyzeClip(clip) {
+    const validation = this.animationLoader.vrmMapper.validateClip(clip);
+    const skippedTracks = (clip.userData && clip.userData.skippedTracks) || [];
+
+    // VRMBoneAnalyzerは画面向けに解析結果を出力するため、ここでは表示しない
+    const trackValidation = VRMBoneAnalyzer.validateAnimationTracks(this.vrm, clip, { quiet: true });
+
+    const total = validation.total + skippedTracks.length;
+
+    return {
+      duration: Number(clip.duration.toFixed(3)),
+      tracks: validation.total,
+      validTracks: validation.valid,
+      validRatio: total > 0 ? Number((validation.valid / total).toFixed(3)) : 0,
+      invalidTracks: validation.invalidTracks.map((track) => track.name),
+      skippedTracks,
+      vrmSpecificTracks: trackValidation.vrmSpecificTracks,
+      missingBones: this.getMissingBones(clip),
+      loop: this.checkLoop(clip)
+    };
+  }
+
+  /**
+   * クリップが回転を持たない必須ボーンを求める
+   * @param {THREE.AnimationClip} clip - VRM用のクリップ
+   * @returns {Array<string>} ヒューマノイドボーン名
+   */
+  getMissingBones(clip) {
+    const humanoid = this.vrm.humanoid;
+    const animated = new Set(
+      clip.tracks
+        .filter((track) => track.name.endsWith('.quaternion'))
+        .map((track) => track.name.split('.')[0])
+    );
+
+    return REQUIRED_BONES.filter((boneName) => {
+      const normalizedNode = humanoid.getNormalizedBoneNode(boneName);
+      const rawNode = humanoid.getRawBoneNode(boneName);
+      if (!normalizedNode && !rawNode) return false;
+      return !(normalizedNode && animated.has(normalizedNode.name)) && !(rawNode && animated.has(rawNode.name));
+    });
+  }
+
+  /**
+   * 最初と最後の姿勢を比べ、ループ再生できるかを判定する
+   * ヒップの水平方向の移動はルートモーションとして扱われるため、高さだけを比べる
+   * @param {THREE.AnimationClip} clip - VRM用のクリップ
+   * @returns {{loopable: boolean, rotationGap: number, positionGap: number}} 判定結果
+   */
+  checkLoop(clip) {
+    const first = new THREE.Quaternion();
+    const last = new THREE.Quaternion();
+    let rotationGap = 0;
+    let positionGap = 0;
+
+    for (const track of clip.tracks) {
+      const size = track.getValueSize();
+      const lastOffset = track.values.length - size;
+      if (lastOffset <= 0) continue;
+
+      if (track.name.endsWith('.quaternion')) {
+        first.fromArray(track.values, 0);
+        last.fromArray(track.values, lastOffset);
+        rotationGap = Math.max(rotationGap, THREE.MathUtils.radToDeg(first.angleTo(last)));
+      } else if (track.name.endsWith('.position')) {
+        positionGap = Math.max(positionGap, Math.abs(track.values[lastOffset + 1] - track.values[1]));
+      }
+    }
+
+    return {
+      loopable: rotationGap <= LOOP_ROTATION_TOLERANCE && positionGap <= LOOP_POSITION_TOLERANCE,
+      rotationGap: Number(rotationGap.toFixed(1)),
+      positionGap: Number(positionGap.toFixed(3))
+    };
+  }
+
+  /**
+   * レポートをHTMLに変換する
+   * @param {Object} report - validate()の結果
+   * @returns {string} HTML
+   */
+  createHTML(report) {
+    const escape = (value) => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const list = (items) => items.length > 0
+      ? `<details><summary>${items.length}件</summary>${items.map(escape).join('<br>')}</details>`
+      : '-';
+
+    const rows = report.clips.map((clip) => `
+      <tr class="${clip.status}">
+        <td>${escape(clip.status)}</td>
+        <td>${escape(clip.name)}<br><small>${escape(clip.path)}</small></td>
+        <td>${escape(clip.type)} / ${escape(clip.role)}</td>
+        <td>${clip.validRatio !== undefined ? `${Math.round(clip.validRatio * 100)}% (${clip.validTracks}/${clip.tracks + clip.skippedTracks.length})` : '-'}</td>
+        <td>${clip.duration !== undefined ? `${clip.duration}秒` : '-'}</td>
+        <td>${clip.loop ? `${clip.loop.loopable ? '可' : '不可'} (${clip.loop.rotationGap}度, ${clip.loop.positionGap}m)` : '-'}</td>
+        <td>${clip.missingBones ? list(clip.missingBones) : '-'}</td>
+        <td>${clip.skippedTracks ? list([...clip.skippedTracks, ...clip.invalidTracks]) : '-'}</td>
+        <td>${clip.problems.map(escape).join('<br>') || '-'}</td>
+      </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8">
+  <title>アニメーション検証レポート</title>
+  <style>
+    body { font-family: sans-serif; margin: 20px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 6px; text-align: left; vertical-align: top; font-size: 14px; }
+    tr.ok td:first-child { background: #d4edda; }
+    tr.warning td:first-child { background: #fff3cd; }
+    tr.error td:first-child { background: #f8d7da; }
+  </style>
+</head>
+<body>
+  <h1>アニメーション検証レポート: ${report.passed ? '合格' : '不合格'}</h1>
+  <p>
+    VRM: ${escape(report.vrm)}<br>
+    アニメーションリスト: ${escape(report.animations)}<br>
+    有効なトラックの下限: ${Math.round(report.minValidRatio * 100)}%<br>
+    作成日時: ${escape(report.generatedAt)}<br>
+    結果: OK ${report.summary.ok}件 / 警告 ${report.summary.warning}件 / エラー ${report.summary.error}件
+  </p>
+  ${report.schemaErrors.length > 0 ? `<h2>形式の誤り</h2><ul>${report.schemaErrors.map((error) => `<li>${escape(error)}</li>`).join('')}</ul>` : ''}
+  <table>
+    <tr>
+      <th>状態</th><th>クリップ</th><th>形式 / 役割</th><th>有効なトラック</th><th>長さ</th>
+      <th>ループ</th><th>不足している必須ボーン</th><th>適用できないトラック</th><th>問題</th>
+    </tr>${rows}
+  </table>
+</body>
+</html>
+`;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Node.jsでのVRM読み込み
+ * ベイク・検証などのツールで、サイネージ画面と同じ向き・正規化ボーンを持つVRMを用意する
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { VRMLoaderPlugin, VRMUtils } from '@pixiv/three-vrm';
+
+export class NodeVRMLoader {
+  /**
+   * コンストラクタ
+   * @param {Object} options - オプション
+   * @param {string} options.rootDir - プロジェクトのルート（animations.jsonのパスの基準）
+   */
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || process.cwd();
+  }
+
+  /**
+   * animations.jsonに書かれたパスをファイルのパスに変換する
+   * @param {string} urlPath - パス（"/public/..." または "./public/..."）
+   * @returns {string} ファイルのパス
+   */
+  resolvePath(urlPath) {
+    return path.join(this.rootDir, urlPath.replace(/^\.?\//, ''));
+  }
+
+  /**
+   * ファイルのパスをanimations.jsonに書くパスに変換する
+   * @param {string} filePath - ファイルのパス
+   * @returns {string} パス（"/public/..."）
+   */
+  toUrlPath(filePath) {
+    return '/' + path.relative(this.rootDir, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * プロジェクトのconfig.jsonを読み込む（ツールの既定のパスに使う）
+   * @returns {Promise<Object>} 設定（読み込めない場合は空のオブジェクト）
+   */
+  async readConfig() {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.rootDir, 'config.json'), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * VRMモデルを読み込む
+   * @param {string} vrmPath - VRMファイルのパス
+   * @returns {Promise<Object>} VRMインスタンス
+   */
+  async load(vrmPath) {
+    const loader = new GLTFLoader();
+    loader.register((parser) => new VRMLoaderPlugin(parser));
+
+    // Node.jsでは画像を読み込めないため、テクスチャは空のものに置き換える（ボーンしか使わない）
+    loader.register(() => ({
+      name: 'HEADLESS_TEXTURES',
+      loadTexture: () => Promise.resolve(new THREE.Texture())
+    }));
+
+    const gltf = await loader.parseAsync(toArrayBuffer(await fs.readFile(vrmPath)), '');
+    const vrm = gltf.userData.vrm;
+    if (!vrm) {
+      throw new Error(`VRMとして読み込めませんでした: ${vrmPath}`);
+    }
+
+    // サイネージ画面と同じ向きにする
+    VRMUtils.rotateVRM0(vrm);
+    vrm.scene.updateMatrixWorld(true);
+
+    console.log(`VRMを読み込みました: ${vrmPath} (VRM${vrm.meta.metaVersion === '0' ? '0.x' : '1.0'})`);
+    return vrm;
+  }
+
+  /**
+   * animations.jsonのエントリのファイルを読み込む
+   * @param {Object} entry - animations.jsonのエントリ
+   * @returns {Promise<ArrayBuffer|string>} ファイルの内容（BVHは文字列、それ以外はArrayBuffer）
+   */
+  async readAnimationFile(entry) {
+    const data = await fs.readFile(this.resolvePath(entry.path));
+    return entry.type.toLowerCase() === 'bvh' ? data.toString('utf8') : toArrayBuffer(data);
+  }
+}
+
+/**
+ * NodeのBufferをArrayBufferに変換する
+ * @param {Buffer} data - ファイルの内容
+ * @returns {ArrayBuffer} ArrayBuffer
+ */
+export function toArrayBuffer(data) {
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
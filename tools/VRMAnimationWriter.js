@@ -0,0 +1,236 @@
+/**
+ * VRMAの書き出し
+ * 正規化ボーン向けにリターゲットしたAnimationClipを、VRMC_vrm_animation拡張付きのGLB（.vrma）に変換する
+ *
+ * 書き出すボーンの初期姿勢は正規化ボーンと同じく回転なしにするため、
+ * クリップの回転トラックの値はそのままVRMAの回転になる（VRM1の向き、+Z正面で渡すこと）
+ */
+
+import * as THREE from 'three';
+
+// GLBのチャンク
+const GLB_MAGIC = 0x46546c67;
+const GLB_VERSION = 2;
+const CHUNK_JSON = 0x4e4f534a;
+const CHUNK_BIN = 0x004e4942;
+
+// glTFの定数
+const COMPONENT_FLOAT = 5126;
+
+export class VRMAnimationWriter {
+  /**
+   * コンストラクタ
+   * @param {Object} vrm - VRMインスタンス（正規化ボーンの階層と初期位置を使う）
+   */
+  constructor(vrm) {
+    this.vrm = vrm;
+
+    // VRM0のリグは-Z正面のため、VRMAの向き（+Z正面）に合わせてY軸180度回転する
+    this.flip = vrm.meta && vrm.meta.metaVersion === '0';
+  }
+
+  /**
+   * クリップをVRMAのバイナリに変換する
+   * @param {THREE.AnimationClip} clip - 正規化ボーン向けのクリップ
+   * @returns {ArrayBuffer} GLBのバイナリ
+   */
+  write(clip) {
+    const { nodes, humanBones, nodeIndexByName } = this.createNodes();
+    const buffer = { chunks: [], byteLength: 0 };
+    const bufferViews = [];
+    const accessors = [];
+    const samplers = [];
+    const channels = [];
+
+    const addAccessor = (array, type, withBounds) => {
+      bufferViews.push({ buffer: 0, byteOffset: buffer.byteLength, byteLength: array.byteLength });
+      buffer.chunks.push(array);
+      buffer.byteLength += array.byteLength;
+
+      const accessor = {
+        bufferView: bufferViews.length - 1,
+        componentType: COMPONENT_FLOAT,
+        count: array.length / this.getComponentCount(type),
+        type
+      };
+      if (withBounds) {
+        Object.assign(accessor, this.getBounds(array, type));
+      }
+      accessors.push(accessor);
+      return accessors.length - 1;
+    };
+
+    for (const track of clip.tracks) {
+      const [nodeName, propertyName] = track.name.split('.');
+      const node = nodeIndexByName.get(nodeName);
+      if (node === undefined) {
+        console.warn(`VRMAに書き出せないトラックを省略します: ${track.name}`);
+        continue;
+      }
+
+      let path;
+      let type;
+      if (propertyName === 'quaternion') {
+        path = 'rotation';
+        type = 'VEC4';
+      } else if (propertyName === 'position' && nodes[node].name === 'hips') {
+        path = 'translation';
+        type = 'VEC3';
+      } else {
+        console.warn(`VRMAでは使えないトラックを省略します: ${track.name}`);
+        continue;
+      }
+
+      const input = addAccessor(new Float32Array(track.times), 'SCALAR', true);
+      const output = addAccessor(new Float32Array(track.values), type, false);
+      samplers.push({ input, output, interpolation: 'LINEAR' });
+      channels.push({ sampler: samplers.length - 1, target: { node, path } });
+    }
+
+    const json = {
+      asset: { version: '2.0', generator: 'AnimationBaker' },
+      scene: 0,
+      scenes: [{ nodes: nodes.map((node, index) => index).filter((index) => !nodes[index].hasParent) }],
+      nodes: nodes.map(({ hasParent, ...node }) => node),
+      animations: [{ name: clip.name, channels, samplers }],
+      accessors,
+      bufferViews,
+      buffers: [{ byteLength: buffer.byteLength }],
+      extensionsUsed: ['VRMC_vrm_animation'],
+      extensions: {
+        VRMC_vrm_animation: {
+          specVersion: '1.0',
+          humanoid: { humanBones }
+        }
+      }
+    };
+
+    return this.createGLB(json, buffer);
+  }
+
+  /**
+   * 正規化ボーンの階層からglTFのノードを作る
+   * @returns {Object} { nodes, humanBones, nodeIndexByName }
+   */
+  createNodes() {
+    const humanoid = this.vrm.humanoid;
+    const scene = this.vrm.scene;
+    scene.updateMatrixWorld(true);
+
+    // ヒューマノイドボーン名 -> 正規化ボーン
+    const bones = new Map();
+    for (const boneName of Object.keys(humanoid.humanBones)) {
+      const node = humanoid.getNormalizedBoneNode(boneName);
+      if (node) {
+        bones.set(boneName, node);
+      }
+    }
+
+    const boneNameOf = new Map([...bones].map(([boneName, node]) => [node, boneName]));
+    const positionOf = (node) => {
+      const position = scene.worldToLocal(node.getWorldPosition(new THREE.Vector3()));
+      return this.flip ? position.set(-position.x, position.y, -position.z) : position;
+    };
+
+    const nodes = [];
+    const indexOf = new Map();
+    for (const [boneName, node] of bones) {
+      indexOf.set(boneName, nodes.length);
+      nodes.push({ name: boneName, translation: null, hasParent: false });
+    }
+
+    const nodeIndexByName = new Map();
+    for (const [boneName, node] of bones) {
+      const gltfNode = nodes[indexOf.get(boneName)];
+      nodeIndexByName.set(node.name, indexOf.get(boneName));
+
+      // 一番近いヒューマノイドボーンの祖先を親にする
+      let parent = node.parent;
+      while (parent && !boneNameOf.has(parent)) {
+        parent = parent.parent;
+      }
+
+      const position = positionOf(node);
+      if (parent) {
+        const parentNode = nodes[indexOf.get(boneNameOf.get(parent))];
+        parentNode.children = [...(parentNode.children || []), indexOf.get(boneName)];
+        position.sub(positionOf(parent));
+        gltfNode.hasParent = true;
+      }
+      gltfNode.translation = position.toArray();
+    }
+
+    const humanBones = {};
+    for (const [boneName, index] of indexOf) {
+      humanBones[boneName] = { node: index };
+    }
+
+    return { nodes, humanBones, nodeIndexByName };
+  }
+
+  /**
+   * アクセサの型の要素数を取得する
+   * @param {string} type - 'SCALAR'、'VEC3' または 'VEC4'
+   * @returns {number} 要素数
+   */
+  getComponentCount(type) {
+    return { SCALAR: 1, VEC3: 3, VEC4: 4 }[type];
+  }
+
+  /**
+   * アクセサの最小値・最大値を求める
+   * @param {Float32Array} array - 値
+   * @param {string} type - アクセサの型
+   * @returns {{min: Array<number>, max: Array<number>}} 最小値・最大値
+   */
+  getBounds(array, type) {
+    const count = this.getComponentCount(type);
+    const min = new Array(count).fill(Infinity);
+    const max = new Array(count).fill(-Infinity);
+    for (let i = 0; i < array.length; i++) {
+      const component = i % count;
+      min[component] = Math.min(min[component], array[i]);
+      max[component] = Math.max(max[component], array[i]);
+    }
+    return { min, max };
+  }
+
+  /**
+   * JSONとバイナリをGLBにまとめる
+   * @param {Object} json - glTFのJSON
+   * @param {Object} buffer - { chunks, byteLength }
+   * @returns {ArrayBuffer} GLBのバイナリ
+   */
+  createGLB(json, buffer) {
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+    const binLength = Math.ceil(buffer.byteLength / 4) * 4;
+    const totalLength = 12 + 8 + jsonLength + 8 + binLength;
+
+    const glb = new ArrayBuffer(totalLength);
+    const view = new DataView(glb);
+    const bytes = new Uint8Array(glb);
+
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, GLB_VERSION, true);
+    view.setUint32(8, totalLength, true);
+
+    // JSONチャンク（空白で4バイト境界に揃える）
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, CHUNK_JSON, true);
+    bytes.fill(0x20, 20, 20 + jsonLength);
+    bytes.set(jsonBytes, 20);
+
+    // バイナリチャンク（0で4バイト境界に揃える）
+    let offset = 20 + jsonLength;
+    view.setUint32(offset, binLength, true);
+    view.setUint32(offset + 4, CHUNK_BIN, true);
+    offset += 8;
+    for (const chunk of buffer.chunks) {
+      bytes.set(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength), offset);
+      offset += chunk.byteLength;
+    }
+
+    return glb;
+  }
+}
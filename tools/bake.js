@@ -0,0 +1,60 @@
+/**
+ * アニメーションのベイクスクリプト
+ * FBX・BVHをVRMにリターゲットしたVRMAとして書き出し、それを指すanimations.jsonを作る
+ * 使い方: node tools/bake.js [--vrm ./public/models/models.vrm] [--animations ./public/animations/animations.json]
+ *                            [--out ./public/animations/baked] [--output ./public/animations/animations.baked.json]
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { AnimationBaker } from './AnimationBaker.js';
+
+const DEFAULT_VRM_PATH = './public/models/models.vrm';
+const DEFAULT_ANIMATIONS_PATH = './public/animations/animations.json';
+const DEFAULT_OUT_DIR = './public/animations/baked';
+const DEFAULT_OUTPUT_PATH = './public/animations/animations.baked.json';
+
+// コマンドライン引数の解析
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--vrm') {
+      options.vrm = argv[++i];
+    } else if (argv[i] === '--animations') {
+      options.animations = argv[++i];
+    } else if (argv[i] === '--out') {
+      options.out = argv[++i];
+    } else if (argv[i] === '--output') {
+      options.output = argv[++i];
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const rootDir = process.cwd();
+  const options = parseArgs(process.argv.slice(2));
+  const baker = new AnimationBaker({ rootDir });
+
+  // VRMのパスが指定されていなければconfig.jsonのモデルを使う
+  // （引数はファイルのパス、config.jsonの値はサイネージ画面と同じURLのパスとして扱う）
+  const config = await baker.vrmLoader.readConfig();
+  await baker.loadVRM(options.vrm
+    ? path.resolve(options.vrm)
+    : baker.resolvePath((config.model && config.model.path) || DEFAULT_VRM_PATH));
+
+  const entries = await baker.bake(
+    path.resolve(options.animations || DEFAULT_ANIMATIONS_PATH),
+    path.resolve(options.out || DEFAULT_OUT_DIR)
+  );
+
+  const outputPath = path.resolve(options.output || DEFAULT_OUTPUT_PATH);
+  await fs.writeFile(outputPath, JSON.stringify(entries, null, 2) + '\n');
+  console.log(`アニメーションリストを書き出しました: ${outputPath}`);
+  console.log('サイネージで使うには、config.jsonのanimations.path（スケジュール使用時はschedule.jsonのanimations）にこのファイルを指定してください');
+}
+
+main().catch((error) => {
+  console.error('アニメーションのベイクに失敗しました:', error);
+  process.exit(1);
+});
@@ -0,0 +1,83 @@
+/**
+ * アニメーションの検証スクリプト
+ * VRMとanimations.jsonのすべてのアニメーションを読み込んで検証し、JSONまたはHTMLのレポートを書き出す
+ * 有効なトラックの割合が下限を下回る・読み込めないクリップがあれば終了コード1で終了する
+ * 使い方: node tools/validate.js [--vrm ./public/models/models.vrm] [--animations ./public/animations/animations.json]
+ *                               [--output ./animation-report.html] [--min-valid-ratio 0.8]
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { AnimationValidator, DEFAULT_MIN_VALID_RATIO } from './AnimationValidator.js';
+
+const DEFAULT_VRM_PATH = './public/models/models.vrm';
+const DEFAULT_ANIMATIONS_PATH = './public/animations/animations.json';
+const DEFAULT_OUTPUT_PATH = './animation-report.html';
+
+// コマンドライン引数の解析
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--vrm') {
+      options.vrm = argv[++i];
+    } else if (argv[i] === '--animations') {
+      options.animations = argv[++i];
+    } else if (argv[i] === '--output') {
+      options.output = argv[++i];
+    } else if (argv[i] === '--min-valid-ratio') {
+      options.minValidRatio = parseFloat(argv[++i]);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const rootDir = process.cwd();
+  const options = parseArgs(process.argv.slice(2));
+  const minValidRatio = Number.isFinite(options.minValidRatio) ? options.minValidRatio : DEFAULT_MIN_VALID_RATIO;
+  const validator = new AnimationValidator({ rootDir, minValidRatio });
+
+  // パスが指定されていなければconfig.jsonのモデルとアニメーションリストを使う
+  // （引数はファイルのパス、config.jsonの値はサイネージ画面と同じURLのパスとして扱う）
+  const config = await validator.vrmLoader.readConfig();
+  const vrmPath = options.vrm
+    ? path.resolve(options.vrm)
+    : validator.vrmLoader.resolvePath((config.model && config.model.path) || DEFAULT_VRM_PATH);
+  const animationsPath = options.animations
+    ? path.resolve(options.animations)
+    : validator.vrmLoader.resolvePath((config.animations && config.animations.path) || DEFAULT_ANIMATIONS_PATH);
+
+  await validator.loadVRM(vrmPath);
+  const report = await validator.validate(animationsPath);
+
+  // 拡張子が.jsonならJSON、それ以外はHTMLで書き出す
+  const outputPath = path.resolve(options.output || DEFAULT_OUTPUT_PATH);
+  const content = outputPath.toLowerCase().endsWith('.json')
+    ? JSON.stringify(report, null, 2) + '\n'
+    : validator.createHTML(report);
+  await fs.writeFile(outputPath, content);
+
+  console.log('');
+  for (const error of report.schemaErrors) {
+    console.log(`[error] ${error}`);
+  }
+  for (const clip of report.clips) {
+    const ratio = clip.validRatio !== undefined ? `${Math.round(clip.validRatio * 100)}%` : '-';
+    console.log(`[${clip.status}] ${clip.name} (有効なトラック ${ratio})`);
+    for (const problem of clip.problems) {
+      console.log(`    - ${problem}`);
+    }
+  }
+  console.log(`\nOK ${report.summary.ok}件 / 警告 ${report.summary.warning}件 / エラー ${report.summary.error}件`);
+  console.log(`レポートを書き出しました: ${outputPath}`);
+
+  if (!report.passed) {
+    console.error('検証に合格しなかったアニメーションがあります');
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error('アニメーションの検証に失敗しました:', error);
+  process.exit(1);
+});